@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+// Headless rendering of roadmap files, for scheduled jobs and CI where no one
+// opens the builder.
+//
+// Usage:
+//   node roadmap.mjs render <team.json> [--format html|svg] [--year YYYY]
+//                           [--zoom quarter|month|week] [--out <file>]
+//   node roadmap.mjs site <folder> --out <dir> [--year YYYY] [--zoom ...]
+//
+// render writes one roadmap, as HTML (the builder's HTML export) or SVG, to
+// --out or stdout. --year renders the plan as that year's roadmap. An HTML
+// page loads the stylesheet, logo and flag icons by relative URL, so those
+// are copied next to it.
+//
+// site renders every roadmap in a folder (only that year's with --year) as
+// HTML and SVG, a cross-team page of their stories like the search view's
+// roadmap, and an index.html linking them: a static site ready to publish.
+// The cross-team page covers --year, or the newest year in the folder.
+//
+// Files get the same migration and schema checks as in the builder; a bad
+// file ends render and is skipped, with a warning, by site. There is no PDF:
+// laying out the HTML needs a browser, so render SVG and convert that
+// (e.g. rsvg-convert -f pdf).
+
+import { readFile, readdir, writeFile, mkdir, cp } from 'node:fs/promises';
+import { basename, dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { readRoadmapFile } from './web/domain/migrations.js';
+import { resolveZoom } from './web/domain/timeline.js';
+import { RoadmapGenerator } from './web/roadmap-generator.js';
+import { IMOUtility } from './web/utilities/imo-utility.js';
+import { IMOViewGenerator } from './web/utilities/imo-view-generator.js';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const WEB_DIR = resolve(join(__dirname, 'web'));
+// Loaded by relative URL from a rendered HTML page
+const PAGE_ASSETS = ['roadmap-styles.css', 'teya-logo.png', 'assets/flags'];
+const FORMATS = ['html', 'svg'];
+const CROSS_TEAM_PAGE = 'all-teams.html';
+
+const USAGE = `Usage:
+  node roadmap.mjs render <team.json> [--format html|svg] [--year YYYY] [--zoom quarter|month|week] [--out <file>]
+  node roadmap.mjs site <folder> --out <dir> [--year YYYY] [--zoom quarter|month|week]`;
+
+const usageError = (message) => Object.assign(new Error(message), { usage: true });
+
+function readOptions(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'html' },
+            year: { type: 'string' },
+            zoom: { type: 'string', default: 'month' },
+            out: { type: 'string' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    let year;
+    if (values.year !== undefined) {
+        if (!/^\d{4}$/.test(values.year))
+            throw usageError(`--year must be a four-digit year, got "${values.year}"`);
+        year = Number(values.year);
+    }
+    if (resolveZoom(values.zoom) !== values.zoom) throw usageError(`Unknown zoom "${values.zoom}"`);
+    return { ...values, year, positionals };
+}
+
+async function loadTeamData(filePath) {
+    const { doc } = readRoadmapFile(await readFile(filePath, 'utf8'));
+    return doc;
+}
+
+function renderRoadmap(teamData, format, zoom) {
+    const generator = new RoadmapGenerator(teamData.roadmapYear);
+    generator.setZoom(zoom);
+    return format === 'svg'
+        ? generator.generateSVG(teamData)
+        : generator.generateRoadmap(teamData, false, false);
+}
+
+async function copyPageAssets(outDir) {
+    for (const asset of PAGE_ASSETS) {
+        await cp(join(WEB_DIR, asset), join(outDir, asset), { recursive: true });
+    }
+}
+
+async function render([file], { format, year, zoom, out }) {
+    if (!file) throw usageError('render needs a roadmap file');
+    if (format === 'pdf') {
+        throw new Error(
+            'PDF needs a browser to lay out the page; render --format svg and convert it (e.g. rsvg-convert -f pdf)'
+        );
+    }
+    if (!FORMATS.includes(format)) throw usageError(`Unknown format "${format}"`);
+
+    const { teamData } = await loadTeamData(resolve(file));
+    if (year) teamData.roadmapYear = year;
+    const output = renderRoadmap(teamData, format, zoom);
+    if (!out) {
+        process.stdout.write(output);
+        return;
+    }
+    const outPath = resolve(out);
+    await mkdir(dirname(outPath), { recursive: true });
+    await writeFile(outPath, output);
+    if (format === 'html') await copyPageAssets(dirname(outPath));
+    console.error(`Wrote ${outPath}`);
+}
+
+function pageName(fileName) {
+    return basename(fileName, '.json').replace(/[^\w.-]+/g, '-');
+}
+
+function generateIndexPage(roadmaps, crossTeam) {
+    const esc = (text) => IMOViewGenerator.escapeHtml(String(text ?? ''));
+    const rows = roadmaps
+        .map(({ fileName, teamData }) => {
+            const page = pageName(fileName);
+            const people = [teamData.em && `EM ${teamData.em}`, teamData.pm && `PM ${teamData.pm}`]
+                .filter(Boolean)
+                .join(' · ');
+            return `      <tr>
+        <td>${esc(teamData.teamName)}</td>
+        <td>${esc(teamData.roadmapYear)}</td>
+        <td>${esc(people)}</td>
+        <td><a href="${esc(page)}.html">HTML</a> · <a href="${esc(page)}.svg">SVG</a></td>
+      </tr>`;
+        })
+        .join('\n');
+    const crossTeamLink = crossTeam
+        ? `  <p><a href="${CROSS_TEAM_PAGE}">All teams, ${esc(crossTeam.year)}</a> (${crossTeam.stories} stories)</p>\n`
+        : '';
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Roadmaps</title>
+  <style>
+    body { font-family: Figtree, Arial, sans-serif; margin: 32px; color: #1a1a1a; }
+    table { border-collapse: collapse; }
+    th, td { text-align: left; padding: 6px 16px 6px 0; border-bottom: 1px solid #e0e0e0; }
+    a { color: #0b57d0; }
+  </style>
+</head>
+<body>
+  <h1>Roadmaps</h1>
+${crossTeamLink}  <table>
+    <thead><tr><th>Team</th><th>Year</th><th>People</th><th>Roadmap</th></tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+  <p><small>Generated ${esc(new Date().toISOString().slice(0, 16).replace('T', ' '))} UTC</small></p>
+</body>
+</html>
+`;
+}
+
+async function site([folder], { year, zoom, out }) {
+    if (!folder) throw usageError('site needs a folder of roadmap files');
+    if (!out) throw usageError('site needs --out <dir>');
+    const inDir = resolve(folder);
+    const outDir = resolve(out);
+
+    const roadmaps = [];
+    const fileNames = (await readdir(inDir))
+        .filter((name) => name.toLowerCase().endsWith('.json'))
+        .sort();
+    for (const fileName of fileNames) {
+        try {
+            const doc = await loadTeamData(join(inDir, fileName));
+            if (year && Number(doc.teamData.roadmapYear) !== year) continue;
+            roadmaps.push({ fileName, teamData: doc.teamData, created: doc.created || '' });
+        } catch (err) {
+            console.error(`Skipping ${fileName}: ${err.message}`);
+        }
+    }
+    if (!roadmaps.length) throw new Error(`No roadmaps${year ? ` for ${year}` : ''} in ${inDir}`);
+    roadmaps.sort(
+        (a, b) =>
+            Number(b.teamData.roadmapYear) - Number(a.teamData.roadmapYear) ||
+            a.teamData.teamName.localeCompare(b.teamData.teamName)
+    );
+
+    await mkdir(outDir, { recursive: true });
+    for (const { fileName, teamData } of roadmaps) {
+        const page = pageName(fileName);
+        await writeFile(join(outDir, `${page}.html`), renderRoadmap(teamData, 'html', zoom));
+        await writeFile(join(outDir, `${page}.svg`), renderRoadmap(teamData, 'svg', zoom));
+    }
+
+    // One year on the cross-team page; other years' bars would sit off the grid
+    const crossTeamYear = year || Number(roadmaps[0].teamData.roadmapYear);
+    const stories = IMOUtility.aggregateStoriesAcrossTeams(
+        roadmaps.filter(({ teamData }) => Number(teamData.roadmapYear) === crossTeamYear)
+    );
+    let crossTeam = null;
+    if (stories.length) {
+        const title = `All teams ${crossTeamYear}`;
+        const crossTeamData = IMOViewGenerator.transformStoriesToRoadmapData(stories, title);
+        crossTeamData.teamName = title;
+        crossTeamData.roadmapYear = crossTeamYear;
+        await writeFile(
+            join(outDir, CROSS_TEAM_PAGE),
+            IMOViewGenerator.generateRoadmapContentForIframe(crossTeamData, title)
+        );
+        crossTeam = { year: crossTeamYear, stories: stories.length };
+    }
+
+    await writeFile(join(outDir, 'index.html'), generateIndexPage(roadmaps, crossTeam));
+    await copyPageAssets(outDir);
+    console.error(`Wrote ${roadmaps.length} roadmap(s) to ${outDir}`);
+}
+
+const COMMANDS = { render, site };
+
+async function main() {
+    // Options may come before the command too, as in `roadmap --help`
+    const options = readOptions(process.argv.slice(2));
+    const [command, ...positionals] = options.positionals;
+    if (!command || options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!COMMANDS[command]) throw usageError(`Unknown command "${command}"`);
+    await COMMANDS[command](positionals, options);
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    if (err.usage || err.code?.startsWith('ERR_PARSE_ARGS')) console.error(USAGE);
+    process.exitCode = 1;
+});
@@ -0,0 +1,83 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import {
+    copyFileSync,
+    existsSync,
+    mkdirSync,
+    mkdtempSync,
+    readFileSync,
+    rmSync,
+    writeFileSync,
+} from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// The CLI runs on import, so it is driven as a child process
+const CLI = fileURLToPath(new URL('./roadmap.mjs', import.meta.url));
+const FIXTURE = fileURLToPath(new URL('./web/Roadmap-Default-Template.json', import.meta.url));
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+const tmp = mkdtempSync(join(tmpdir(), 'roadmap-cli-'));
+after(() => rmSync(tmp, { recursive: true, force: true }));
+
+test('--help and -h print the usage with or without a command', () => {
+    for (const args of [['--help'], ['-h'], [], ['render', '--help']]) {
+        const { status, stdout, stderr } = run(...args);
+        assert.equal(status, 0, args.join(' '));
+        assert.match(stdout, /^Usage:\n {2}node roadmap\.mjs render /, args.join(' '));
+        assert.equal(stderr, '');
+    }
+});
+
+test('an unknown command fails with the usage', () => {
+    const { status, stderr } = run('publish');
+    assert.equal(status, 1);
+    assert.match(stderr, /^Unknown command "publish"\nUsage:/);
+});
+
+test('render writes HTML to stdout, and SVG to --out', () => {
+    const html = run('render', FIXTURE);
+    assert.equal(html.status, 0, html.stderr);
+    assert.match(html.stdout, /<!DOCTYPE html>/);
+    assert.match(html.stdout, /<title>Teya\.Teya\.Roadmap\.2026<\/title>/);
+    assert.match(html.stdout, /EPIC 1 - Story 1/);
+
+    const out = join(tmp, 'render', 'teya.svg');
+    const svg = run('render', FIXTURE, '--format', 'svg', '--zoom', 'quarter', '--out', out);
+    assert.equal(svg.status, 0, svg.stderr);
+    assert.equal(svg.stdout, '');
+    const written = readFileSync(out, 'utf8');
+    assert.match(written, /^<\?xml [^>]*\?>\n<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    assert.match(written, /EPIC 1 - Story 1/);
+    // Only HTML pages need the stylesheet next to them
+    assert.equal(existsSync(join(tmp, 'render', 'roadmap-styles.css')), false);
+});
+
+test('render refuses PDF and unknown formats', () => {
+    assert.match(run('render', FIXTURE, '--format', 'pdf').stderr, /^PDF needs a browser/);
+    assert.match(run('render', FIXTURE, '--format', 'png').stderr, /^Unknown format "png"\nUsage:/);
+});
+
+test('site renders each roadmap, the cross-team page and an index, skipping bad files', () => {
+    const inDir = join(tmp, 'site-in');
+    const outDir = join(tmp, 'site-out');
+    mkdirSync(inDir);
+    copyFileSync(FIXTURE, join(inDir, 'Payments team.json'));
+    writeFileSync(join(inDir, 'broken.json'), '{ not json');
+
+    const { status, stderr } = run('site', inDir, '--out', outDir);
+    assert.equal(status, 0, stderr);
+    assert.match(stderr, /^Skipping broken\.json: /m);
+    assert.match(stderr, /Wrote 1 roadmap\(s\) to /);
+
+    const index = readFileSync(join(outDir, 'index.html'), 'utf8');
+    assert.match(index, /<td>Teya<\/td>/);
+    assert.match(index, /href="Payments-team\.html">HTML<\/a> · <a href="Payments-team\.svg">SVG/);
+    assert.match(index, /href="all-teams\.html">All teams, 2026<\/a> \(9 stories\)/);
+    assert.match(readFileSync(join(outDir, 'Payments-team.html'), 'utf8'), /EPIC 2 - Story 1/);
+    assert.match(readFileSync(join(outDir, 'Payments-team.svg'), 'utf8'), /^<\?xml /);
+    assert.match(readFileSync(join(outDir, 'all-teams.html'), 'utf8'), /EPIC 2 - Story 1/);
+    assert.ok(existsSync(join(outDir, 'roadmap-styles.css')));
+});
@@ -1,8 +1,23 @@
 import { createServer } from 'node:http';
-import { readFile, access } from 'node:fs/promises';
+import {
+  readFile,
+  access,
+  readdir,
+  stat,
+  writeFile,
+  rename,
+  unlink,
+  mkdir,
+} from 'node:fs/promises';
 import { constants as fsConstants } from 'node:fs';
+import { createHash } from 'node:crypto';
 import { extname, join, resolve, sep } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { validateRoadmapFile } from './web/domain/schema.js';
+import { migrateRoadmapFile } from './web/domain/migrations.js';
+import { parseFilter, evaluateFilter } from './web/domain/filter-expression.js';
+import { IMOUtility } from './web/utilities/imo-utility.js';
+import { roadmapToIcs } from './web/domain/ics.js';
 
 const __dirname = fileURLToPath(new URL('.', import.meta.url));
 const PORT = process.env.PORT || 8080;
@@ -11,6 +26,15 @@ const PORT = process.env.PORT || 8080;
 // wants to keep the server off the LAN.
 const HOST = process.env.HOST || '0.0.0.0';
 const WEB_DIR = resolve(join(__dirname, 'web'));
+// Shared roadmap folder served by /api/roadmaps. Defaults to ./data next to
+// the server; deployments point ROADMAP_DATA_DIR at a mounted volume so the
+// whole team reads and writes the same set of files.
+const DATA_DIR = resolve(process.env.ROADMAP_DATA_DIR || join(__dirname, 'data'));
+const API_ROADMAPS = '/api/roadmaps';
+const API_SEARCH = '/api/search';
+// Roadmap files are a few hundred KB at most; anything bigger is a mistake
+// (or abuse) and is rejected before it touches the disk.
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
 
 const MIME_TYPES = {
   '.html': 'text/html',
@@ -69,6 +93,312 @@ async function serveFile(res, filePath) {
   }
 }
 
+// ---- Roadmap storage API --------------------------------------------------
+//
+//   GET    /api/roadmaps          -> [{ name, size, lastModified }]
+//   GET    /api/roadmaps/:name    -> the roadmap JSON document
+//   PUT    /api/roadmaps/:name    -> create or replace (body must be JSON)
+//   DELETE /api/roadmaps/:name    -> remove
+//   GET    /api/roadmaps/:base.ics -> iCalendar feed of :base.json's milestones
+//
+// PUT bodies must match the roadmap schema (web/domain/schema.js); invalid
+// documents are refused with 422 and the same path-level errors the builder
+// shows on load.
+//
+// GET and PUT return an ETag (content hash). A PUT carrying If-Match is
+// refused with 412 when the file has changed since that ETag was read, so
+// two people saving the same roadmap can't silently overwrite each other.
+//
+// Names are bare filenames ending in .json; anything with a path separator
+// or that resolves outside DATA_DIR is rejected.
+//
+// The .ics feed (web/domain/ics.js) is read-only and meant for calendar
+// subscriptions, so it is stamped with the file's modification time: the
+// same file always gives the same feed.
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendApiError(res, status, message) {
+  sendJson(res, status, { error: message });
+}
+
+function resolveRoadmapPath(rawName) {
+  let name;
+  try {
+    name = decodeURIComponent(rawName);
+  } catch {
+    return null;
+  }
+  if (!name || name.length > 255) return null;
+  if (name.startsWith('.') || /[/\\\0]/.test(name)) return null;
+  if (!name.toLowerCase().endsWith('.json')) return null;
+  const filePath = resolve(join(DATA_DIR, name));
+  if (!filePath.startsWith(DATA_DIR + sep)) return null;
+  return { name, filePath };
+}
+
+function etagFor(content) {
+  return `"${createHash('sha1').update(content).digest('hex')}"`;
+}
+
+function readBody(req, limit) {
+  return new Promise((resolveBody, rejectBody) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > limit) {
+        // Keep draining rather than destroying the request, so the 413
+        // reaches the client; the connection closes after it.
+        tooLarge = true;
+        chunks.length = 0;
+        rejectBody(Object.assign(new Error('Request body too large'), { status: 413, closeConnection: true }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolveBody(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', rejectBody);
+  });
+}
+
+async function listRoadmaps(res) {
+  let entries;
+  try {
+    entries = await readdir(DATA_DIR, { withFileTypes: true });
+  } catch (err) {
+    // A missing folder is just an empty shelf - it's created on first PUT.
+    if (err.code === 'ENOENT') return sendJson(res, 200, []);
+    throw err;
+  }
+  const files = entries.filter((e) => e.isFile() && e.name.toLowerCase().endsWith('.json'));
+  const roadmaps = await Promise.all(
+    files.map(async (e) => {
+      const info = await stat(join(DATA_DIR, e.name));
+      return { name: e.name, size: info.size, lastModified: info.mtimeMs };
+    })
+  );
+  roadmaps.sort((a, b) => a.name.localeCompare(b.name));
+  sendJson(res, 200, roadmaps);
+}
+
+async function getRoadmap(res, { filePath }) {
+  let content;
+  let info;
+  try {
+    [content, info] = await Promise.all([readFile(filePath), stat(filePath)]);
+  } catch (err) {
+    if (err.code === 'ENOENT') return sendApiError(res, 404, 'Roadmap not found');
+    throw err;
+  }
+  res.writeHead(200, {
+    'Content-Type': 'application/json',
+    ETag: etagFor(content),
+    'Last-Modified': info.mtime.toUTCString(),
+    'Cache-Control': 'no-store',
+  });
+  res.end(content);
+}
+
+async function getRoadmapCalendar(res, { filePath }) {
+  let content;
+  let info;
+  try {
+    [content, info] = await Promise.all([readFile(filePath, 'utf8'), stat(filePath)]);
+  } catch (err) {
+    if (err.code === 'ENOENT') return sendApiError(res, 404, 'Roadmap not found');
+    throw err;
+  }
+  let teamData;
+  try {
+    ({ teamData } = migrateRoadmapFile(JSON.parse(content)).doc);
+  } catch (err) {
+    return sendApiError(res, 422, `Roadmap could not be read: ${err.message}`);
+  }
+  res.writeHead(200, {
+    'Content-Type': 'text/calendar; charset=utf-8',
+    ETag: etagFor(content),
+    'Last-Modified': info.mtime.toUTCString(),
+    'Cache-Control': 'no-cache',
+  });
+  res.end(roadmapToIcs(teamData || {}, { now: info.mtime }));
+}
+
+async function putRoadmap(req, res, { name, filePath }) {
+  const body = await readBody(req, MAX_BODY_BYTES);
+  let doc;
+  try {
+    doc = JSON.parse(body);
+  } catch (err) {
+    return sendApiError(res, 400, `Body is not valid JSON: ${err.message}`);
+  }
+  const validation = validateRoadmapFile(doc);
+  if (!validation.valid) {
+    return sendJson(res, 422, { error: 'Not a valid roadmap', errors: validation.errors });
+  }
+
+  const current = await readFile(filePath).catch((err) => {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  });
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch && ifMatch !== '*' && (!current || etagFor(current) !== ifMatch)) {
+    return sendApiError(res, 412, 'Roadmap was changed by someone else');
+  }
+  const existed = current !== null;
+  await mkdir(DATA_DIR, { recursive: true });
+  // Write to a sibling temp file and rename over the target so a reader
+  // never sees a half-written roadmap.
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await writeFile(tmpPath, body, 'utf8');
+  try {
+    await rename(tmpPath, filePath);
+  } catch (err) {
+    await unlink(tmpPath).catch(() => {});
+    throw err;
+  }
+  const info = await stat(filePath);
+  res.setHeader('ETag', etagFor(body));
+  sendJson(res, existed ? 200 : 201, { name, size: info.size, lastModified: info.mtimeMs });
+}
+
+async function deleteRoadmap(res, { filePath }) {
+  try {
+    await unlink(filePath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return sendApiError(res, 404, 'Roadmap not found');
+    throw err;
+  }
+  res.writeHead(204);
+  res.end();
+}
+
+async function handleRoadmapApi(req, res, pathname) {
+  const rest = pathname.slice(API_ROADMAPS.length).replace(/^\/+|\/+$/g, '');
+
+  if (!rest) {
+    if (req.method !== 'GET') {
+      res.writeHead(405, { Allow: 'GET' });
+      res.end();
+      return;
+    }
+    return listRoadmaps(res);
+  }
+
+  const calendar = /\.ics$/i.test(rest);
+  const target = resolveRoadmapPath(calendar ? rest.replace(/\.ics$/i, '.json') : rest);
+  if (!target) return sendApiError(res, 400, 'Invalid roadmap name');
+
+  if (calendar) {
+    if (req.method !== 'GET') {
+      res.writeHead(405, { Allow: 'GET' });
+      res.end();
+      return;
+    }
+    return getRoadmapCalendar(res, target);
+  }
+
+  switch (req.method) {
+    case 'GET':
+      return getRoadmap(res, target);
+    case 'PUT':
+      return putRoadmap(req, res, target);
+    case 'DELETE':
+      return deleteRoadmap(res, target);
+    default:
+      res.writeHead(405, { Allow: 'GET, PUT, DELETE' });
+      res.end();
+  }
+}
+
+// ---- Cross-team search API ------------------------------------------------
+//
+//   GET /api/search?q=&from=&to=&mode=&filter=  -> { count, teams, stories }
+//
+// Runs the search view's queries over every roadmap in DATA_DIR, so other
+// tools can ask the same questions without a browser:
+//
+//   q       IMO/project ID, quarter, month or EndDate=..., joined with && or ||
+//           (IMOUtility.searchStories)
+//   from    ISO day the stories start on or after
+//   to      ISO day the stories end on or before
+//   mode    how from/to match, as in the date search: range (default),
+//           exact or exact-7days
+//   filter  advanced filter expression, e.g. AtRisk && END<=Q3 && TEAM="Payments"
+//           (web/domain/filter-expression.js); a syntax error's 400 carries
+//           its offset as `position`
+//
+// Every parameter given must match; with none, all searchable stories come
+// back. Files are migrated like in the builder, and ones that can't be read
+// are skipped. Stories carry their team, epic and source file name.
+
+const SEARCH_MODES = new Set(['range', 'exact', 'exact-7days']);
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+async function loadRoadmapFiles() {
+  let names;
+  try {
+    names = (await readdir(DATA_DIR)).filter((name) => name.toLowerCase().endsWith('.json'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const files = await Promise.all(
+    names.map(async (fileName) => {
+      try {
+        const { doc } = migrateRoadmapFile(JSON.parse(await readFile(join(DATA_DIR, fileName), 'utf8')));
+        if (!doc.teamData?.teamName) return null;
+        return { fileName, teamData: doc.teamData, created: doc.created || '' };
+      } catch (err) {
+        console.warn(`Search: skipping ${fileName}: ${err.message}`);
+        return null;
+      }
+    })
+  );
+  return files.filter(Boolean).sort((a, b) => a.fileName.localeCompare(b.fileName));
+}
+
+async function handleSearchApi(req, res, params) {
+  if (req.method !== 'GET') {
+    res.writeHead(405, { Allow: 'GET' });
+    res.end();
+    return;
+  }
+  const q = params.get('q')?.trim();
+  const from = params.get('from')?.trim();
+  const to = params.get('to')?.trim();
+  const mode = params.get('mode')?.trim() || 'range';
+  const filter = params.get('filter')?.trim();
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && !ISO_DAY.test(value)) return sendApiError(res, 400, `${name} must be a YYYY-MM-DD date`);
+  }
+  if (!SEARCH_MODES.has(mode)) return sendApiError(res, 400, `Unknown mode: ${mode}`);
+  let filterAst;
+  try {
+    filterAst = parseFilter(filter);
+  } catch (err) {
+    return sendJson(res, 400, { error: `Invalid filter: ${err.message}`, position: err.position });
+  }
+
+  let stories = IMOUtility.aggregateStoriesAcrossTeams(await loadRoadmapFiles());
+  if (q) stories = IMOUtility.searchStories(stories, q);
+  if (from || to) stories = IMOUtility.searchStoriesByDateRange(stories, from, to, mode);
+  if (filterAst) stories = stories.filter((story) => evaluateFilter(filterAst, story));
+
+  res.setHeader('Cache-Control', 'no-store');
+  sendJson(res, 200, {
+    count: stories.length,
+    teams: new Set(stories.map((story) => story.teamName)).size,
+    // Leadership is only there for the LEADERSHIP filter
+    stories: stories.map(({ fileHandle: _fileHandle, _directorVP, _em, _pm, ...story }) => story),
+  });
+}
+
 function logRequest(req) {
   const clientIP = req.headers['x-forwarded-for'] ?? req.socket.remoteAddress;
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.url} - ${clientIP}`);
@@ -80,6 +410,22 @@ const server = createServer(async (req, res) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const { pathname } = url;
 
+  if (pathname === API_SEARCH || pathname === API_ROADMAPS || pathname.startsWith(API_ROADMAPS + '/')) {
+    try {
+      if (pathname === API_SEARCH) await handleSearchApi(req, res, url.searchParams);
+      else await handleRoadmapApi(req, res, pathname);
+    } catch (err) {
+      console.error('API error:', err);
+      if (res.headersSent) {
+        res.end();
+      } else {
+        if (err.closeConnection) res.setHeader('Connection', 'close');
+        sendApiError(res, err.status || 500, err.status ? err.message : 'Internal server error');
+      }
+    }
+    return;
+  }
+
   if (req.method === 'GET' && REDIRECTS[pathname]) {
     const target = REDIRECTS[pathname] + url.search + url.hash;
     res.writeHead(301, { Location: target });
@@ -105,4 +451,11 @@ server.listen(PORT, HOST, () => {
   for (const route of SPA_ROUTES) {
     console.log(`  GET    ${route}`);
   }
+  console.log(`Roadmap API (data dir: ${DATA_DIR}):`);
+  console.log(`  GET    ${API_ROADMAPS}`);
+  console.log(`  GET    ${API_ROADMAPS}/:name`);
+  console.log(`  PUT    ${API_ROADMAPS}/:name`);
+  console.log(`  DELETE ${API_ROADMAPS}/:name`);
+  console.log(`  GET    ${API_ROADMAPS}/:name.ics`);
+  console.log(`  GET    ${API_SEARCH}?q=&from=&to=&mode=&filter=`);
 });
@@ -1,24 +1,30 @@
 // Shared directory store: owns the selected roadmap folder so both the Builder
 // and the Cross-team Search view can read from a single source of truth.
 //
-// Two backends:
+// Three backends:
 //   - Real FileSystemDirectoryHandle / FileSystemFileHandle (Chromium, Edge).
 //     Persisted via IndexedDB across reloads; permission must be re-granted
 //     each session via a user gesture. Supports read AND in-place save.
 //   - Read-only fallback (Safari, Firefox) via <input type=file>. Files are
 //     loaded into memory; the app cannot save back to disk in this mode.
+//   - Shared server folder via the /api/roadmaps endpoints in server.mjs.
+//     Works in every browser and supports read AND in-place save; the
+//     selection is remembered in IndexedDB and needs no permission prompt.
 (function () {
     const DB_NAME = 'roadmap-builder';
     const DB_VERSION = 1;
     const STORE = 'kv';
     const HANDLE_KEY = 'dirHandle';
+    const SERVER_KEY = 'serverFolder';
+    const SERVER_API = '/api/roadmaps';
+    const SERVER_FOLDER_NAME = 'Shared roadmaps';
 
     const listeners = new Set();
     let state = {
         handle: null,       // FileSystemDirectoryHandle | FileSystemFileHandle | read-only synthesized handle | null
         name: null,         // folder/file name (string)
         permission: 'prompt', // 'granted' | 'prompt' | 'denied'
-        kind: null,         // 'native' | 'fallback'
+        kind: null,         // 'native' | 'fallback' | 'server'
         type: null,         // 'folder' | 'file'
     };
 
@@ -27,8 +33,12 @@
     const hasNativeSavePicker = typeof window.showSaveFilePicker === 'function';
     // True when this browser can save edits back to disk. Used by the UI
     // to surface a "browser doesn't support saving" hint instead of the
-    // generic "pick a folder first" tooltip.
-    const canSaveInBrowser = hasNativeSavePicker;
+    // generic "pick a folder first" tooltip. The shared server folder is
+    // writable everywhere, so it's exposed as a getter on window.AppDir
+    // that also returns true while that folder is selected.
+    function canSaveInBrowser() {
+        return hasNativeSavePicker || state.kind === 'server';
+    }
 
     // ---- IndexedDB helpers (small, promise-wrapped) ----------------------
 
@@ -189,6 +199,113 @@
         };
     }
 
+    // ---- Shared server folder -------------------------------------------
+    //
+    // Mirrors the subset of the File System Access API the rest of the app
+    // uses (entries(), getFile(), getFileHandle(), createWritable()) on top
+    // of the REST endpoints in server.mjs, so file-browser.js, IMOUtility
+    // and save.js treat it like any other folder.
+
+    function serverFileUrl(name) {
+        return `${SERVER_API}/${encodeURIComponent(name)}`;
+    }
+
+    async function serverError(res) {
+        let message = `${res.status} ${res.statusText}`;
+        try {
+            const body = await res.json();
+            if (body && body.error) message = body.error;
+            // Schema failures (422) carry path-level details; show the first few.
+            if (body && Array.isArray(body.errors) && body.errors.length) {
+                message += `: ${body.errors.slice(0, 5).map((e) => `${e.path}: ${e.message}`).join('; ')}`;
+            }
+        } catch { /* non-JSON error body */ }
+        const err = new Error(`Server storage: ${message}`);
+        err.name = res.status === 404 ? 'NotFoundError'
+            : res.status === 412 ? 'ConflictError'
+                : 'ServerStorageError';
+        return err;
+    }
+
+    // Writable that buffers chunks and PUTs the whole document on close(),
+    // matching FileSystemWritableFileStream's write-then-close contract.
+    // Sends If-Match with the ETag of the last read so the server rejects
+    // the write (ConflictError) if someone saved in between.
+    function makeServerWritable(name, version) {
+        const chunks = [];
+        return {
+            write: async (data) => { chunks.push(data); },
+            close: async () => {
+                const headers = { 'Content-Type': 'application/json' };
+                if (version.etag) headers['If-Match'] = version.etag;
+                const res = await fetch(serverFileUrl(name), {
+                    method: 'PUT',
+                    headers,
+                    body: new Blob(chunks, { type: 'application/json' }),
+                });
+                if (!res.ok) throw await serverError(res);
+                version.etag = res.headers.get('ETag');
+            },
+            abort: async () => { chunks.length = 0; },
+        };
+    }
+
+    function makeServerFileHandle(name) {
+        const version = { etag: null };
+        return {
+            kind: 'file',
+            name,
+            __server: true,
+            getFile: async () => {
+                const res = await fetch(serverFileUrl(name), { cache: 'no-store' });
+                if (!res.ok) throw await serverError(res);
+                version.etag = res.headers.get('ETag');
+                const text = await res.text();
+                const modified = Date.parse(res.headers.get('Last-Modified') || '');
+                return new File([text], name, {
+                    type: 'application/json',
+                    lastModified: Number.isNaN(modified) ? Date.now() : modified,
+                });
+            },
+            createWritable: async () => makeServerWritable(name, version),
+        };
+    }
+
+    function makeServerFolderHandle() {
+        return {
+            kind: 'directory',
+            name: SERVER_FOLDER_NAME,
+            __server: true,
+            entries: async function* () {
+                const res = await fetch(SERVER_API, { cache: 'no-store' });
+                if (!res.ok) throw await serverError(res);
+                const list = await res.json();
+                for (const item of list) {
+                    yield [item.name, makeServerFileHandle(item.name)];
+                }
+            },
+            // { create } is accepted for API parity; the server creates the
+            // file on the first PUT, so a handle is always returned.
+            getFileHandle: async (name, _options) => makeServerFileHandle(name),
+            removeEntry: async (name) => {
+                const res = await fetch(serverFileUrl(name), { method: 'DELETE' });
+                if (!res.ok) throw await serverError(res);
+            },
+        };
+    }
+
+    // True when the page is served by server.mjs with the storage API
+    // enabled. Cached after the first probe; a static host answers 404.
+    let serverProbe = null;
+    function hasServerStorage() {
+        if (!serverProbe) {
+            serverProbe = fetch(SERVER_API, { method: 'GET', cache: 'no-store' })
+                .then((res) => res.ok)
+                .catch(() => false);
+        }
+        return serverProbe;
+    }
+
     // ---- Public API -----------------------------------------------------
 
     async function select() {
@@ -196,6 +313,7 @@
             try {
                 const handle = await window.showDirectoryPicker();
                 await idbPut(HANDLE_KEY, handle).catch(() => { /* persistence best-effort */ });
+                idbDelete(SERVER_KEY).catch(() => {});
                 setState({
                     handle, name: handle.name, permission: 'granted',
                     kind: 'native', type: 'folder',
@@ -210,6 +328,7 @@
         if (!files || !files.length) return snapshot();
         const folderName = (files[0].webkitRelativePath || '').split('/')[0] || 'folder';
         const handle = makeReadOnlyFolderHandle(files, folderName);
+        idbDelete(SERVER_KEY).catch(() => {});
         setState({
             handle, name: folderName, permission: 'granted',
             kind: 'fallback', type: 'folder',
@@ -236,6 +355,7 @@
                     kind: 'native', type: 'file',
                 });
                 idbDelete(HANDLE_KEY).catch(() => {});
+                idbDelete(SERVER_KEY).catch(() => {});
                 return { content, name: file.name, fileHandle: fh };
             } catch (err) {
                 if (err && err.name === 'AbortError') return null;
@@ -251,6 +371,7 @@
             __readOnly: true,
             getFile: async () => file,
         };
+        idbDelete(SERVER_KEY).catch(() => {});
         setState({
             handle, name: file.name, permission: 'granted',
             kind: 'fallback', type: 'file',
@@ -275,6 +396,7 @@
                 kind: 'native', type: 'file',
             });
             idbDelete(HANDLE_KEY).catch(() => {});
+            idbDelete(SERVER_KEY).catch(() => {});
             return { fileHandle: fh, name };
         } catch (err) {
             if (err && err.name === 'AbortError') return null;
@@ -283,6 +405,20 @@
         }
     }
 
+    // Point AppDir at the shared server folder. Resolves with the snapshot,
+    // unchanged if the server has no storage API.
+    async function selectServer() {
+        if (!(await hasServerStorage())) return snapshot();
+        const handle = makeServerFolderHandle();
+        await idbPut(SERVER_KEY, true).catch(() => { /* persistence best-effort */ });
+        idbDelete(HANDLE_KEY).catch(() => {});
+        setState({
+            handle, name: handle.name, permission: 'granted',
+            kind: 'server', type: 'folder',
+        });
+        return snapshot();
+    }
+
     // Request read permission on the current handle (must be called from a user gesture).
     async function requestAccess() {
         if (!state.handle || state.kind !== 'native') return snapshot();
@@ -293,6 +429,7 @@
 
     async function clear() {
         await idbDelete(HANDLE_KEY).catch(() => { });
+        await idbDelete(SERVER_KEY).catch(() => { });
         setState({ handle: null, name: null, permission: 'prompt', kind: null, type: null });
     }
 
@@ -307,6 +444,12 @@
     // ---- Boot: restore from IndexedDB without triggering a prompt --------
 
     async function init() {
+        let useServer = false;
+        try { useServer = Boolean(await idbGet(SERVER_KEY)); } catch { /* ignore */ }
+        if (useServer) {
+            await selectServer();
+            return;
+        }
         if (!hasNativePicker) return; // fallback-only: nothing to restore
         let handle = null;
         try { handle = await idbGet(HANDLE_KEY); } catch { /* ignore */ }
@@ -316,8 +459,9 @@
     }
 
     window.AppDir = {
-        select, selectFile, selectSaveLocation, requestAccess, clear, get, subscribe,
-        hasNativePicker, canSaveInBrowser,
+        select, selectFile, selectSaveLocation, selectServer, requestAccess, clear, get, subscribe,
+        hasNativePicker, hasServerStorage,
+        get canSaveInBrowser() { return canSaveInBrowser(); },
     };
     init();
 })();
@@ -7,18 +7,17 @@
     const nav = document.getElementById('appNav');
     if (!nav) return;
 
-    // Auto-save relies on the File System Access API; only render the toggle
-    // when the browser actually supports in-place writes (Chrome/Edge/Brave/
-    // Arc). Safari and Firefox would silently no-op, which is worse than not
-    // showing the control at all.
-    const autoSaveSupported = !!(window.AppDir && window.AppDir.canSaveInBrowser);
-
-    const autoSaveBtn = autoSaveSupported
-        ? `<button type="button" id="appNavAutoSave" class="app-nav__theme app-nav__beta app-nav__autosave" title="Toggle auto-save" aria-pressed="false">
+    // Auto-save needs somewhere to write: the File System Access API
+    // (Chrome/Edge/Brave/Arc) or the shared server folder. Only show the
+    // toggle while in-place writes are possible - Safari and Firefox on a
+    // local folder would silently no-op, which is worse than not showing
+    // the control at all. Re-evaluated on every AppDir change below.
+    const autoSaveSupported = () => !!(window.AppDir && window.AppDir.canSaveInBrowser);
+
+    const autoSaveBtn = `<button type="button" id="appNavAutoSave" class="app-nav__theme app-nav__beta app-nav__autosave" title="Toggle auto-save" aria-pressed="false"${autoSaveSupported() ? '' : ' hidden'}>
                 <span class="app-nav__beta-icon">💾</span>
                 <span class="app-nav__beta-label" id="appNavAutoSaveLabel">Auto-save off</span>
-            </button>`
-        : '';
+            </button>`;
 
     nav.innerHTML = `
         <div class="app-nav__top">
@@ -39,6 +38,7 @@
                 <div id="appNavFolderMenu" class="app-nav__folder-menu">
                     <button type="button" data-pick="file" class="app-nav__folder-menu-item">📄 Open a single file...</button>
                     <button type="button" data-pick="folder" class="app-nav__folder-menu-item">📂 Open a folder...</button>
+                    <button type="button" data-pick="server" class="app-nav__folder-menu-item" hidden>🌐 Open shared roadmaps</button>
                 </div>
             </div>
         </div>
@@ -86,7 +86,7 @@
 
     renderStatusStyle();
 
-    // Auto-save toggle - only present in Chromium-based browsers (see
+    // Auto-save toggle - only visible while in-place writes are possible (see
     // autoSaveSupported above). Persists to localStorage and notifies the
     // builder's save module via a custom event.
     const autoSaveBtnEl = nav.querySelector('#appNavAutoSave');
@@ -121,6 +121,7 @@
     }
 
     function renderFolder(snap) {
+        if (autoSaveBtnEl) autoSaveBtnEl.hidden = !autoSaveSupported();
         if (!snap || !snap.handle) {
             folderBtn.textContent = '📂 Load roadmaps';
             folderBtn.dataset.state = 'empty';
@@ -179,6 +180,8 @@
         const choice = btn.dataset.pick;
         if (choice === 'folder') {
             await window.AppDir.select();
+        } else if (choice === 'server') {
+            await window.AppDir.selectServer();
         } else if (choice === 'file') {
             const result = await window.AppDir.selectFile();
             if (result && typeof window.onRoadmapFilePicked === 'function') {
@@ -187,6 +190,15 @@
         }
     });
 
+    // The shared-folder entry only makes sense when served by server.mjs
+    // with its storage API; static hosting leaves it hidden.
+    if (window.AppDir && typeof window.AppDir.hasServerStorage === 'function') {
+        window.AppDir.hasServerStorage().then((available) => {
+            const serverItem = menuEl.querySelector('[data-pick="server"]');
+            if (serverItem) serverItem.hidden = !available;
+        });
+    }
+
     if (window.AppDir) window.AppDir.subscribe(renderFolder);
     window.__updateNav = updateActive;
 })();
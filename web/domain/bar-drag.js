@@ -0,0 +1,136 @@
+// Date math for dragging story bars in the preview. Pure: the view measures
+// the pointer in grid columns (see columnToDate in grid.js) and asks here
+// for the story's new start and end.
+//
+// Three drags:
+//   start - the left edge follows the pointer; the end stays
+//   end   - the right edge follows the pointer; the start stays
+//   move  - both shift by the distance dragged, keeping the duration
+//
+// Snapping: 'day' keeps the exact day, 'week' lands starts on Mondays and
+// ends on Sundays (moves shift by whole weeks), 'month' lands starts on the
+// 1st and ends on the last day of a month (moves shift by whole months).
+// Dates in and out are ISO (YYYY-MM-DD); storyDateToIso/isoToEuropean in
+// dates.js convert at the form boundary. Columns are counted from the start of the
+// timeline window (timeline.js), the roadmap year unless one is given.
+
+import { calendarYearTimeline, timelineColumnToDate } from './timeline.js';
+
+/** @typedef {'start' | 'end' | 'move'} DragMode */
+/** @typedef {'day' | 'week' | 'month'} SnapUnit */
+
+export const SNAP_UNITS = Object.freeze(['day', 'week', 'month']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseIso(iso) {
+    const [y, m, d] = iso.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+}
+
+function toIso(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(iso, days) {
+    return toIso(new Date(parseIso(iso).getTime() + days * DAY_MS));
+}
+
+function daysBetween(fromIso, toIsoDate) {
+    return Math.round((parseIso(toIsoDate).getTime() - parseIso(fromIso).getTime()) / DAY_MS);
+}
+
+function lastDayOfMonth(year, monthIdx) {
+    return new Date(Date.UTC(year, monthIdx + 1, 0)).getUTCDate();
+}
+
+// Same day-of-month `months` later; month-end days stay month-end.
+function addMonths(iso, months) {
+    const date = parseIso(iso);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+    const wasMonthEnd = day === lastDayOfMonth(year, month);
+    const target = new Date(Date.UTC(year, month + months, 1));
+    const targetLast = lastDayOfMonth(target.getUTCFullYear(), target.getUTCMonth());
+    target.setUTCDate(wasMonthEnd ? targetLast : Math.min(day, targetLast));
+    return toIso(target);
+}
+
+/**
+ * Snap a day to the nearest week or month boundary.
+ *
+ * @param {string} iso
+ * @param {SnapUnit} unit
+ * @param {'start' | 'end'} edge - Starts snap to the first day of a
+ *        week/month, ends to the last
+ * @returns {string}
+ */
+export function snapDate(iso, unit, edge) {
+    if (unit === 'week') {
+        const weekday = (parseIso(iso).getUTCDay() + 6) % 7; // Monday = 0
+        // Nearest Monday for starts; nearest Sunday for ends.
+        const offset = edge === 'end' ? 6 - weekday : -weekday;
+        return addDays(iso, offset < -3 ? offset + 7 : offset > 3 ? offset - 7 : offset);
+    }
+    if (unit === 'month') {
+        const date = parseIso(iso);
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth();
+        // Boundary between this month and the next, or the previous one.
+        const half = lastDayOfMonth(year, month) / 2;
+        const next = date.getUTCDate() > half;
+        if (edge === 'end') {
+            const endMonth = next ? month : month - 1;
+            return toIso(new Date(Date.UTC(year, endMonth + 1, 0)));
+        }
+        return toIso(new Date(Date.UTC(year, next ? month + 1 : month, 1)));
+    }
+    return iso;
+}
+
+/**
+ * New dates for a story after a drag.
+ *
+ * @param {object} drag
+ * @param {DragMode} drag.mode
+ * @param {string} drag.start - Story start before the drag (ISO)
+ * @param {string} drag.end - Story end before the drag (ISO)
+ * @param {number} drag.fromColumn - Grid column where the drag began
+ * @param {number} drag.toColumn - Grid column under the pointer now
+ * @param {number} drag.year - Roadmap year the columns belong to
+ * @param {import('./timeline.js').TimelineWindow} [drag.timeline] - Window
+ *        the columns belong to; defaults to the roadmap year
+ * @param {SnapUnit} [drag.snap]
+ * @returns {{ start: string, end: string }}
+ */
+export function dragStoryDates({
+    mode,
+    start,
+    end,
+    fromColumn,
+    toColumn,
+    year,
+    timeline = calendarYearTimeline(year),
+    snap = 'day',
+}) {
+    if (mode === 'start') {
+        const next = snapDate(timelineColumnToDate(toColumn, timeline, 'start'), snap, 'start');
+        return { start: next > end ? end : next, end };
+    }
+    if (mode === 'end') {
+        const next = snapDate(timelineColumnToDate(toColumn, timeline, 'end'), snap, 'end');
+        return { start, end: next < start ? start : next };
+    }
+
+    const days = daysBetween(
+        timelineColumnToDate(fromColumn, timeline),
+        timelineColumnToDate(toColumn, timeline)
+    );
+    if (snap === 'month') {
+        const months = Math.round(days / 30.44);
+        return { start: addMonths(start, months), end: addMonths(end, months) };
+    }
+    const shift = snap === 'week' ? Math.round(days / 7) * 7 : days;
+    return { start: addDays(start, shift), end: addDays(end, shift) };
+}
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dragStoryDates, snapDate } from './bar-drag.js';
+import { dateToColumn } from './grid.js';
+
+const YEAR = 2026;
+const col = (iso, edge) => dateToColumn(iso, YEAR, edge);
+
+test('snapDate to weeks: starts on the nearest Monday, ends on the nearest Sunday', () => {
+    // 2026-03-12 is a Thursday.
+    assert.equal(snapDate('2026-03-12', 'week', 'start'), '2026-03-09');
+    assert.equal(snapDate('2026-03-13', 'week', 'start'), '2026-03-16');
+    assert.equal(snapDate('2026-03-12', 'week', 'end'), '2026-03-15');
+    assert.equal(snapDate('2026-03-10', 'week', 'end'), '2026-03-08');
+});
+
+test('snapDate to months: starts on the 1st, ends on the last day', () => {
+    assert.equal(snapDate('2026-03-10', 'month', 'start'), '2026-03-01');
+    assert.equal(snapDate('2026-03-20', 'month', 'start'), '2026-04-01');
+    assert.equal(snapDate('2026-03-20', 'month', 'end'), '2026-03-31');
+    assert.equal(snapDate('2026-03-10', 'month', 'end'), '2026-02-28');
+    assert.equal(snapDate('2026-03-10', 'day', 'end'), '2026-03-10');
+});
+
+test('dragging an edge moves only that edge and never past the other', () => {
+    const story = { start: '2026-02-01', end: '2026-04-30', year: YEAR };
+    assert.deepEqual(
+        dragStoryDates({
+            ...story,
+            mode: 'end',
+            fromColumn: col('2026-04-30', 'end'),
+            toColumn: col('2026-05-15', 'end'),
+        }),
+        { start: '2026-02-01', end: '2026-05-15' }
+    );
+    assert.deepEqual(
+        dragStoryDates({
+            ...story,
+            mode: 'start',
+            fromColumn: 11,
+            toColumn: col('2026-03-09'),
+            snap: 'month',
+        }),
+        { start: '2026-03-01', end: '2026-04-30' }
+    );
+    assert.deepEqual(dragStoryDates({ ...story, mode: 'end', fromColumn: 41, toColumn: 2 }), {
+        start: '2026-02-01',
+        end: '2026-02-01',
+    });
+});
+
+test('moving a bar keeps its length, in whole weeks or months when snapping', () => {
+    const story = {
+        mode: /** @type {const} */ ('move'),
+        start: '2026-02-02',
+        end: '2026-03-13',
+        year: YEAR,
+    };
+    const from = col('2026-06-10');
+    assert.deepEqual(dragStoryDates({ ...story, fromColumn: from, toColumn: col('2026-06-19') }), {
+        start: '2026-02-11',
+        end: '2026-03-22',
+    });
+    assert.deepEqual(
+        dragStoryDates({ ...story, fromColumn: from, toColumn: col('2026-06-19'), snap: 'week' }),
+        { start: '2026-02-09', end: '2026-03-20' }
+    );
+    // Month-end dates stay month-end.
+    assert.deepEqual(
+        dragStoryDates({
+            mode: 'move',
+            start: '2026-01-01',
+            end: '2026-01-31',
+            year: YEAR,
+            fromColumn: from,
+            toColumn: col('2026-07-12'),
+            snap: 'month',
+        }),
+        { start: '2026-02-01', end: '2026-02-28' }
+    );
+});
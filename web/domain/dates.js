@@ -90,3 +90,75 @@ export function monthIndex(name) {
     if (short !== -1) return short;
     return MONTH_LONG.indexOf(upper);
 }
+
+/**
+ * A story date in a form that compares: DD/MM/YY, DD/MM/YYYY, DD-MM-YY...
+ * become YYYY-MM-DD so different spellings of one day are equal and sort by
+ * day; month names are upper-cased; anything else is trimmed.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function comparableDate(value) {
+    const text = String(value || '').trim();
+    const m = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})$/);
+    if (m) {
+        const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+        return `${year}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+    }
+    return /^[a-z]+$/i.test(text) ? text.toUpperCase() : text;
+}
+
+/**
+ * A story's end as it stands: the new end of the newest timeline change
+ * that set one, or the planned end date / month when none has. Changes
+ * recorded on the same day go by list order.
+ *
+ * @param {object} story
+ * @returns {string} As written (date or month name); '' when unset
+ */
+export function effectiveEnd(story) {
+    const changes =
+        story.roadmapChanges && Array.isArray(story.roadmapChanges.changes)
+            ? story.roadmapChanges.changes.filter((c) => c && c.newEndDate)
+            : [];
+    if (!changes.length) return story.endDate || story.endMonth || '';
+    const newest = changes.reduce((a, b) =>
+        comparableDate(b.date) >= comparableDate(a.date) ? b : a
+    );
+    return newest.newEndDate;
+}
+
+/**
+ * A story's start or end as written in the form - DD/MM/YY, ISO or a month
+ * name - as an ISO day. Month names stand for their first day (start) or
+ * last day (end) in the roadmap year.
+ *
+ * @param {string} value
+ * @param {number} year - Roadmap year, for months and year-less dates
+ * @param {'start' | 'end'} edge
+ * @returns {string | null} null when the value isn't a date or month
+ */
+export function storyDateToIso(value, year, edge) {
+    const text = String(value || '').trim();
+    const month = monthIndex(text);
+    if (month !== -1) {
+        const day = edge === 'end' ? Date.UTC(year, month + 1, 0) : Date.UTC(year, month, 1);
+        return new Date(day).toISOString().slice(0, 10);
+    }
+    const iso = looksEuropean(text) ? europeanToIso(text, year) : text;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(iso)) return null;
+    const [y, m, d] = iso.split('-').map(Number);
+    return isNaN(Date.UTC(y, m - 1, d)) ? null : iso;
+}
+
+/**
+ * ISO day as DD/MM/YY, the format the builder's date fields use.
+ *
+ * @param {string} iso
+ * @returns {string}
+ */
+export function isoToEuropean(iso) {
+    const [y, m, d] = iso.split('-');
+    return `${d}/${m}/${y.slice(-2)}`;
+}
@@ -10,6 +10,10 @@ import {
     looksEuropean,
     looksIso,
     monthIndex,
+    comparableDate,
+    effectiveEnd,
+    storyDateToIso,
+    isoToEuropean,
 } from './dates.js';
 
 test('MONTH_SHORT and MONTH_LONG have 12 entries', () => {
@@ -102,3 +106,37 @@ test('monthIndex returns -1 for unknown input', () => {
     assert.equal(monthIndex('Smarch'), -1);
     assert.equal(monthIndex(null), -1);
 });
+
+test('comparableDate makes spellings of one day equal', () => {
+    assert.equal(comparableDate('1/3/26'), '2026-03-01');
+    assert.equal(comparableDate('01-03-2026'), '2026-03-01');
+    assert.equal(comparableDate(' apr '), 'APR');
+    assert.equal(comparableDate(null), '');
+});
+
+test('effectiveEnd takes the newest change that set an end', () => {
+    const story = {
+        endMonth: 'MAR',
+        roadmapChanges: {
+            changes: [
+                { date: '01/04/26', newEndDate: '30/04/26' },
+                { date: '10/05/2026', newEndDate: '31/05/26' },
+                { date: '20/05/26', newEndDate: '', description: 'Comment only' },
+                { date: '02/03/26', newEndDate: 'JUN' },
+            ],
+        },
+    };
+    assert.equal(effectiveEnd(story), '31/05/26');
+    assert.equal(effectiveEnd({ endDate: '15/03/26', endMonth: 'MAR' }), '15/03/26');
+    assert.equal(effectiveEnd({ roadmapChanges: { changes: [] } }), '');
+});
+
+test('storyDateToIso reads form values; isoToEuropean writes them', () => {
+    assert.equal(storyDateToIso('15/03/26', 2026, 'start'), '2026-03-15');
+    assert.equal(storyDateToIso('15/03', 2026, 'start'), '2026-03-15');
+    assert.equal(storyDateToIso('FEB', 2026, 'start'), '2026-02-01');
+    assert.equal(storyDateToIso('feb', 2026, 'end'), '2026-02-28');
+    assert.equal(storyDateToIso('2026-09-01', 2026, 'end'), '2026-09-01');
+    assert.equal(storyDateToIso('soon', 2026, 'end'), null);
+    assert.equal(isoToEuropean('2026-03-05'), '05/03/26');
+});
@@ -0,0 +1,171 @@
+// Story dependencies ("blocked by"). A story lists its predecessors in
+// dependsOn: { storyId } for a story on the same roadmap, { team, storyId }
+// for another team's. The builder edits them as text - "0x50000003,
+// Payments: 0x50000012" - and the renderer draws an arrow per same-roadmap
+// link and flags the rest on the bar.
+//
+// A link is a scheduling conflict when the predecessor's effective end (the
+// newest timeline change wins) falls after the dependent story starts.
+// Cross-team links can only be checked when the other team's roadmap is
+// supplied; until then they are reported as 'unknown-team'.
+
+import { effectiveEnd, storyDateToIso, isoToEuropean } from './dates.js';
+
+/**
+ * @typedef {object} DependencyRef
+ * @property {string} storyId
+ * @property {string} [team] - Other team's name; omitted for this roadmap
+ */
+
+/** @typedef {'ok' | 'conflict' | 'missing' | 'unknown-team'} DependencyStatus */
+
+/**
+ * @typedef {object} DependencyLink
+ * @property {DependencyRef} ref
+ * @property {boolean} external - Predecessor is on another team's roadmap
+ * @property {DependencyStatus} status
+ * @property {string} title - Predecessor title ('' when not found)
+ * @property {string} end - Predecessor's effective end, ISO ('' when unknown)
+ * @property {string} start - Dependent story's start, ISO ('' when unknown)
+ */
+
+const teamKey = (name) =>
+    String(name || '')
+        .trim()
+        .toLowerCase();
+
+/**
+ * @param {DependencyRef} ref
+ * @returns {string} 'storyId' or 'Team: storyId'
+ */
+export function formatDependencyRef(ref) {
+    return ref.team ? `${ref.team}: ${ref.storyId}` : ref.storyId;
+}
+
+/**
+ * Parse the builder's "Blocked by" field: comma- or newline-separated refs,
+ * each a storyId or "Team: storyId". Duplicates are dropped.
+ *
+ * @param {string} text
+ * @returns {DependencyRef[]}
+ */
+export function parseDependencyList(text) {
+    const refs = [];
+    const seen = new Set();
+    for (const part of String(text || '').split(/[,\n]/)) {
+        const item = part.trim();
+        if (!item) continue;
+        const colon = item.lastIndexOf(':');
+        const team = colon === -1 ? '' : item.slice(0, colon).trim();
+        const storyId = (colon === -1 ? item : item.slice(colon + 1)).trim();
+        if (!storyId) continue;
+        const key = `${teamKey(team)}\n${storyId}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        refs.push(team ? { team, storyId } : { storyId });
+    }
+    return refs;
+}
+
+/**
+ * @param {DependencyRef[]} [refs]
+ * @returns {string}
+ */
+export function formatDependencyList(refs) {
+    return (Array.isArray(refs) ? refs : []).map(formatDependencyRef).join(', ');
+}
+
+function indexStories(teamData) {
+    const year = Number(teamData && teamData.roadmapYear) || new Date().getFullYear();
+    const index = new Map();
+    for (const epic of teamData && Array.isArray(teamData.epics) ? teamData.epics : []) {
+        for (const story of Array.isArray(epic.stories) ? epic.stories : []) {
+            if (story && story.storyId) index.set(story.storyId, { story, year });
+        }
+    }
+    return index;
+}
+
+/**
+ * True when any story depends on another team's story.
+ *
+ * @param {object} teamData
+ * @returns {boolean}
+ */
+export function hasExternalDependencies(teamData) {
+    const own = teamKey(teamData && teamData.teamName);
+    for (const { story } of indexStories(teamData).values()) {
+        if ((story.dependsOn || []).some((ref) => ref && ref.team && teamKey(ref.team) !== own))
+            return true;
+    }
+    return false;
+}
+
+/**
+ * Resolve every story's dependencies and check their dates.
+ *
+ * @param {object} teamData
+ * @param {object[]} [externalRoadmaps] - Other teams' teamData, for cross-team links
+ * @returns {Record<string, DependencyLink[]>} Keyed by the dependent storyId;
+ *          stories without dependencies are absent
+ */
+export function findDependencies(teamData, externalRoadmaps = []) {
+    const own = teamKey(teamData && teamData.teamName);
+    const local = indexStories(teamData);
+    const teams = new Map();
+    for (const other of externalRoadmaps) {
+        const key = teamKey(other && other.teamName);
+        if (key && key !== own && !teams.has(key)) teams.set(key, indexStories(other));
+    }
+
+    /** @type {Record<string, DependencyLink[]>} */
+    const result = {};
+    for (const [storyId, { story, year }] of local) {
+        const refs = Array.isArray(story.dependsOn) ? story.dependsOn : [];
+        if (!refs.length) continue;
+        const start = storyDateToIso(story.startDate || story.startMonth, year, 'start') || '';
+        const links = [];
+        for (const ref of refs) {
+            if (!ref || !ref.storyId) continue;
+            const external = !!ref.team && teamKey(ref.team) !== own;
+            if (!external && ref.storyId === storyId) continue;
+            const index = external ? teams.get(teamKey(ref.team)) : local;
+            const found = index && index.get(ref.storyId);
+            const link = { ref, external, status: 'ok', title: '', end: '', start };
+            if (!index) {
+                link.status = 'unknown-team';
+            } else if (!found) {
+                link.status = 'missing';
+            } else {
+                link.title = found.story.title || '';
+                link.end = storyDateToIso(effectiveEnd(found.story), found.year, 'end') || '';
+                if (link.end && start && link.end > start) link.status = 'conflict';
+            }
+            links.push(/** @type {DependencyLink} */ (link));
+        }
+        if (links.length) result[storyId] = links;
+    }
+    return result;
+}
+
+/**
+ * One-line description of a link, for tooltips and lists.
+ *
+ * @param {DependencyLink} link
+ * @returns {string}
+ */
+export function describeDependency(link) {
+    const label = link.title
+        ? `"${link.title}"${link.external ? ` (${link.ref.team})` : ''}`
+        : formatDependencyRef(link.ref);
+    switch (link.status) {
+        case 'conflict':
+            return `Scheduling conflict: ${label} ends ${isoToEuropean(link.end)}, after this story starts ${isoToEuropean(link.start)}`;
+        case 'missing':
+            return `Blocked by ${label}: story not found`;
+        case 'unknown-team':
+            return `Blocked by ${label}: ${link.ref.team}'s roadmap isn't loaded`;
+        default:
+            return `Blocked by ${label}${link.end ? `, ends ${isoToEuropean(link.end)}` : ''}`;
+    }
+}
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    parseDependencyList,
+    formatDependencyList,
+    findDependencies,
+    hasExternalDependencies,
+    describeDependency,
+} from './dependencies.js';
+
+/** @returns {any} */
+function roadmap(teamName, stories) {
+    return { teamName, roadmapYear: 2026, epics: [{ name: 'Epic', stories }] };
+}
+
+function story(storyId, startDate, endDate, extra = {}) {
+    return { title: `Story ${storyId}`, storyId, startDate, endDate, ...extra };
+}
+
+test('parseDependencyList reads ids and team-qualified ids', () => {
+    assert.deepEqual(parseDependencyList(' S1, Payments: S9 ,\nS1,, Core Banking:S2 '), [
+        { storyId: 'S1' },
+        { team: 'Payments', storyId: 'S9' },
+        { team: 'Core Banking', storyId: 'S2' },
+    ]);
+    assert.deepEqual(parseDependencyList(''), []);
+    assert.equal(formatDependencyList(parseDependencyList('S1, Payments: S9')), 'S1, Payments: S9');
+});
+
+test('a predecessor ending after the dependent starts is a conflict', () => {
+    const doc = roadmap('Acquiring', [
+        story('A', '01/01/26', '31/03/26'),
+        story('B', '01/04/26', '30/06/26', { dependsOn: [{ storyId: 'A' }] }),
+        story('C', '15/03/26', '30/06/26', { dependsOn: [{ storyId: 'A' }, { storyId: 'B' }] }),
+    ]);
+    const deps = findDependencies(doc);
+    assert.deepEqual(Object.keys(deps), ['B', 'C']);
+    assert.equal(deps.B[0].status, 'ok');
+    assert.deepEqual(
+        deps.C.map((l) => l.status),
+        ['conflict', 'conflict']
+    );
+    assert.equal(deps.C[0].end, '2026-03-31');
+    assert.equal(deps.C[0].start, '2026-03-15');
+    assert.equal(
+        describeDependency(deps.C[0]),
+        'Scheduling conflict: "Story A" ends 31/03/26, after this story starts 15/03/26'
+    );
+});
+
+test('the predecessor end follows its timeline changes and month ends', () => {
+    const slipped = story('A', '01/01/26', '31/03/26', {
+        roadmapChanges: {
+            changes: [{ date: '01/03/26', prevEndDate: '31/03/26', newEndDate: '15/04/26' }],
+        },
+    });
+    const monthly = { title: 'M', storyId: 'M', startMonth: 'JAN', endMonth: 'APR' };
+    const doc = roadmap('Acquiring', [
+        slipped,
+        monthly,
+        story('B', '01/04/26', '30/06/26', { dependsOn: [{ storyId: 'A' }, { storyId: 'M' }] }),
+    ]);
+    const [a, m] = findDependencies(doc).B;
+    assert.equal(a.status, 'conflict');
+    assert.equal(a.end, '2026-04-15');
+    assert.equal(m.end, '2026-04-30');
+});
+
+test('cross-team links resolve against the other roadmaps by team name', () => {
+    const doc = roadmap('Acquiring', [
+        story('B', '01/04/26', '30/06/26', {
+            dependsOn: [
+                { team: 'payments', storyId: 'P1' },
+                { team: 'Payments', storyId: 'P404' },
+                { team: 'Risk', storyId: 'R1' },
+            ],
+        }),
+    ]);
+    assert.equal(hasExternalDependencies(doc), true);
+    const payments = roadmap('Payments', [story('P1', '01/02/26', '20/05/26')]);
+    const links = findDependencies(doc, [payments]).B;
+    assert.deepEqual(
+        links.map((l) => [l.external, l.status]),
+        [
+            [true, 'conflict'],
+            [true, 'missing'],
+            [true, 'unknown-team'],
+        ]
+    );
+    assert.equal(describeDependency(links[2]), "Blocked by Risk: R1: Risk's roadmap isn't loaded");
+});
+
+test('own-team qualified links and self links', () => {
+    const doc = roadmap('Acquiring', [
+        story('A', '01/01/26', '31/01/26'),
+        story('B', '01/03/26', '30/06/26', {
+            dependsOn: [{ team: 'ACQUIRING', storyId: 'A' }, { storyId: 'B' }],
+        }),
+    ]);
+    assert.equal(hasExternalDependencies(doc), false);
+    const links = findDependencies(doc).B;
+    assert.equal(links.length, 1);
+    assert.equal(links[0].external, false);
+    assert.equal(links[0].status, 'ok');
+});
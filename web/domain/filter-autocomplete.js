@@ -0,0 +1,172 @@
+// Type-ahead and validation for the advanced filter box, working on the text
+// alone: what could go at the caret, values harvested from the scanned
+// roadmaps, and where a malformed expression goes wrong. The search view
+// draws the list and the underline (views/imo-search/filter-assist.js).
+
+import { DATE_FIELDS, FILTER_NAMES, TEXT_FIELDS, parseFilter } from './filter-expression.js';
+
+const MAX_SUGGESTIONS = 30;
+
+// Story values offered after FIELD=
+const HARVESTED_FIELDS = {
+    TEAM: (story) => [story.teamName],
+    EPIC: (story) => [story.epicName],
+    IMO: (story) => [story.imo],
+    VPID: (story) => [story.directorVPId],
+    COUNTRY: (story) => story.countryFlags || [],
+    LEADERSHIP: (story) => [story._directorVP, story._em, story._pm],
+};
+
+const FIXED_VALUES = {
+    PRIORITY: ['High', 'Medium', 'Low'],
+};
+
+const QUARTERS = ['Q1', 'Q2', 'Q3', 'Q4'];
+const DATE_VALUES = [
+    ...QUARTERS,
+    'Jan',
+    'Feb',
+    'Mar',
+    'Apr',
+    'May',
+    'Jun',
+    'Jul',
+    'Aug',
+    'Sep',
+    'Oct',
+    'Nov',
+    'Dec',
+];
+
+// A value being typed after FIELD op: a started "string" or a bare word
+const VALUE_BEFORE_CARET = /([A-Za-z]+)\s*(!=|<=|>=|=|<|>)\s*("(?:[^"\\]|\\.)*|[^\s()!&|=<>"]*)$/;
+const WORD_BEFORE_CARET = /[^\s()!&|=<>"]*$/;
+const WORD_AFTER_CARET = /^[^\s()!&|=<>"]*/;
+const STRING_AFTER_CARET = /^(?:[^"\\]|\\.)*"?/;
+
+/**
+ * @typedef {object} FilterSuggestion
+ * @property {string} label - Shown in the list
+ * @property {string} insert - Replaces the text from..to
+ * @property {'field' | 'name' | 'value'} kind
+ */
+
+/**
+ * @typedef {object} FilterCompletion
+ * @property {number} from
+ * @property {number} to
+ * @property {FilterSuggestion[]} items
+ */
+
+/**
+ * Distinct values per field, for suggestions after TEAM=, IMO= and so on.
+ *
+ * @param {object[]} stories - From IMOUtility.aggregateStoriesAcrossTeams
+ * @returns {Record<string, string[]>} Sorted, first spelling of each kept
+ */
+export function collectFilterValues(stories) {
+    const values = /** @type {Record<string, string[]>} */ ({});
+    for (const [field, read] of Object.entries(HARVESTED_FIELDS)) {
+        const seen = new Map();
+        for (const story of stories) {
+            for (const raw of read(story)) {
+                const value = String(raw ?? '').trim();
+                if (value && !seen.has(value.toLowerCase())) seen.set(value.toLowerCase(), value);
+            }
+        }
+        values[field] = [...seen.values()].sort((a, b) => a.localeCompare(b));
+    }
+    return values;
+}
+
+/**
+ * Suggestions for the text at the caret.
+ *
+ * @param {string} text
+ * @param {number} caret
+ * @param {Record<string, string[]>} [values] - From collectFilterValues
+ * @param {{ all?: boolean }} [options] - all: offer every name even with
+ *   nothing typed yet (Ctrl+Space)
+ * @returns {FilterCompletion | null} null when there's nothing to offer
+ */
+export function completeFilter(text, caret, values = {}, { all = false } = {}) {
+    const before = text.slice(0, caret);
+    const after = text.slice(caret);
+
+    const valueMatch = before.match(VALUE_BEFORE_CARET);
+    if (valueMatch) {
+        const [, fieldText, , partial] = valueMatch;
+        const field = fieldText.toUpperCase();
+        const isDate = DATE_FIELDS.includes(field);
+        const pool = isDate ? DATE_VALUES : values[field] || FIXED_VALUES[field] || [];
+        const quoted = partial.startsWith('"');
+        const query = (quoted ? partial.slice(1).replace(/\\(.)/g, '$1') : partial).toLowerCase();
+        const items = rank(pool, query).map((value) => ({
+            label: value,
+            insert: isDate ? value : `"${value.replace(/["\\]/g, '\\$&')}"`,
+            kind: /** @type {const} */ ('value'),
+        }));
+        const rest = after.match(quoted ? STRING_AFTER_CARET : WORD_AFTER_CARET)[0];
+        return completion(text, caret - partial.length, caret + rest.length, items);
+    }
+
+    // Inside a string that isn't a value: nothing sensible to offer
+    if ((before.replace(/\\./g, '').match(/"/g) || []).length % 2) return null;
+    const partial = before.match(WORD_BEFORE_CARET)[0];
+    if (!partial && !all) return null;
+    const query = partial.toLowerCase();
+    const items = [
+        ...Object.keys(TEXT_FIELDS).map((field) => ({
+            label: `${field}="…"`,
+            insert: `${field}="`,
+            kind: 'field',
+        })),
+        ...DATE_FIELDS.map((field) => ({ label: `${field} < > =`, insert: field, kind: 'field' })),
+        ...Object.keys(FILTER_NAMES).map((name) => ({ label: name, insert: name, kind: 'name' })),
+        ...QUARTERS.map((quarter) => ({ label: quarter, insert: quarter, kind: 'name' })),
+    ].filter(({ insert }) => insert.toLowerCase().startsWith(query));
+    const rest = after.match(WORD_AFTER_CARET)[0];
+    return completion(
+        text,
+        caret - partial.length,
+        caret + rest.length,
+        /** @type {FilterSuggestion[]} */ (items)
+    );
+}
+
+// Values starting with the query first, then ones containing it
+function rank(pool, query) {
+    const starts = pool.filter((value) => value.toLowerCase().startsWith(query));
+    const contains = pool.filter(
+        (value) => !value.toLowerCase().startsWith(query) && value.toLowerCase().includes(query)
+    );
+    return [...starts, ...contains];
+}
+
+function completion(text, from, to, items) {
+    const replaced = text.slice(from, to);
+    // Not what is already typed
+    const useful = items.filter(({ insert }) => insert !== replaced).slice(0, MAX_SUGGESTIONS);
+    return useful.length ? { from, to, items: useful } : null;
+}
+
+/**
+ * Where a malformed expression goes wrong, for underlining. When it ends
+ * too early the last word is marked, e.g. a dangling &&.
+ *
+ * @param {string} text
+ * @returns {{ start: number, end: number, message: string } | null} null when
+ *   the expression is valid or empty
+ */
+export function findFilterProblem(text) {
+    try {
+        parseFilter(text);
+        return null;
+    } catch (error) {
+        const trimmedLength = text.trimEnd().length;
+        let start = error.position;
+        if (start >= trimmedLength) start = text.slice(0, trimmedLength).search(/\S+$/);
+        const word = text.slice(start).match(/^("(?:[^"\\]|\\.)*"?|[^\s()]+|\S)/);
+        return { start, end: start + (word ? word[0].length : 0), message: error.message };
+    }
+}
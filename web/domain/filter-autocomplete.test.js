@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { collectFilterValues, completeFilter, findFilterProblem } from './filter-autocomplete.js';
+
+const VALUES = collectFilterValues([
+    {
+        teamName: 'Payments',
+        epicName: 'Core',
+        imo: 'IMO0043',
+        countryFlags: ['es', 'gb'],
+        _em: 'Ana',
+    },
+    { teamName: 'payments', epicName: 'Cards "Plus"', imo: '', _pm: 'Bob' },
+    { teamName: 'Terminal', epicName: 'Core', directorVPId: 'VP7', _directorVP: 'Carla' },
+]);
+
+const labels = (text, caret = text.length, options) =>
+    completeFilter(text, caret, VALUES, options)?.items.map((item) => item.label) ?? null;
+
+test('values are harvested once per spelling and sorted', () => {
+    assert.deepEqual(VALUES.TEAM, ['Payments', 'Terminal']);
+    assert.deepEqual(VALUES.EPIC, ['Cards "Plus"', 'Core']);
+    assert.deepEqual(VALUES.IMO, ['IMO0043']);
+    assert.deepEqual(VALUES.LEADERSHIP, ['Ana', 'Bob', 'Carla']);
+    assert.deepEqual(VALUES.VPID, ['VP7']);
+});
+
+test('names and fields are offered for the word at the caret', () => {
+    assert.deepEqual(labels('Done && at'), ['AtRisk']);
+    assert.deepEqual(labels('!(t'), [
+        'TEAM="…"',
+        'TITLE="…"',
+        'Timeline',
+        'TransferredIn',
+        'TransferredOut',
+    ]);
+    assert.deepEqual(labels('q'), ['Q1', 'Q2', 'Q3', 'Q4']);
+    // Nothing typed, or already complete
+    assert.equal(labels('Done && '), null);
+    assert.equal(labels('Done'), null);
+    assert.equal(labels('Done && ', 8, { all: true }).length, 29);
+
+    const { from, to, items } = completeFilter('Done && te || New', 10, VALUES);
+    assert.deepEqual([from, to, items[0].insert], [8, 10, 'TEAM="']);
+});
+
+test('values are offered after a field and its operator', () => {
+    assert.deepEqual(labels('TEAM="'), ['Payments', 'Terminal']);
+    assert.deepEqual(labels('TEAM=ter'), ['Terminal']);
+    assert.deepEqual(labels('LEADERSHIP="a'), ['Ana', 'Carla']);
+    assert.deepEqual(labels('PRIORITY!="'), ['High', 'Medium', 'Low']);
+    assert.deepEqual(labels('END<=q'), ['Q1', 'Q2', 'Q3', 'Q4']);
+    // Quotes in values are escaped, and the whole value is replaced
+    const completion = completeFilter('EPIC="ca" && Done', 8, VALUES);
+    assert.deepEqual([completion.from, completion.to], [5, 9]);
+    assert.equal(completion.items[0].insert, '"Cards \\"Plus\\""');
+    assert.equal(labels('TITLE="open'), null);
+});
+
+test('problems point at the text to underline', () => {
+    assert.equal(findFilterProblem('Done && (AtRisk || New)'), null);
+    assert.equal(findFilterProblem('   '), null);
+    assert.deepEqual(findFilterProblem('Done && Someday'), {
+        start: 8,
+        end: 15,
+        message: 'Unknown name "Someday" (column 9)',
+    });
+    // Ending too early marks the last word
+    assert.equal(findFilterProblem('AtRisk && ').start, 7);
+    assert.equal(findFilterProblem('TITLE="open').end, 11);
+});
@@ -0,0 +1,365 @@
+// The advanced filter of the cross-team search. Shared by the search view and
+// the server's /api/search, so both answer a query the same way.
+//
+//   expression := or
+//   or         := and ( "||" and )*
+//   and        := not ( "&&" not )*
+//   not        := "!" not | primary
+//   primary    := "(" expression ")" | FIELD op value | name
+//
+// A name is a status (Done, AtRisk, Overdue, ...), a presence check (IMO,
+// Priority), a priority value, a quarter (Q1-Q4, in the team's fiscal year),
+// a month name (matches the written end) or an IMO prefix like IMO0043.
+// Text fields (TEAM, EPIC, TITLE, IMO, PRIORITY, VPID, COUNTRY, LEADERSHIP)
+// take = and !=; dates (START, END) also take < <= > >= against a day, a
+// month or a quarter of the roadmap year, e.g. END<2026-06-30, START>=Q2.
+// Values are "quoted" (\" and \\ escape) or bare words; names and fields
+// are case-insensitive.
+//
+// parseFilter turns the text into an AST, or throws an error carrying the
+// offset of the problem; evaluateFilter runs an AST against a story.
+// Stories are the ones IMOUtility.aggregateStoriesAcrossTeams returns: story
+// fields plus teamName, epicName, roadmapYear, fiscalYearStart and the team's
+// leadership (_directorVP, _em, _pm).
+
+import { IMOUtility } from '../utilities/imo-utility.js';
+import { storyDateToIso } from './dates.js';
+import { resolveAsOf, isOverdue } from './overdue.js';
+import { resolveFiscalStart } from './timeline.js';
+
+/**
+ * @typedef {object} FilterToken
+ * @property {'and' | 'or' | 'not' | 'lparen' | 'rparen' | 'op' | 'word' | 'string'} type
+ * @property {string} value - Operator text, word, or unescaped string
+ * @property {number} start - Offset in the expression
+ * @property {number} end
+ */
+
+/**
+ * @typedef {(
+ *   { type: 'and' | 'or', left: FilterNode, right: FilterNode } |
+ *   { type: 'not', operand: FilterNode } |
+ *   { type: 'status', name: string } |
+ *   { type: 'quarter', quarter: number } |
+ *   { type: 'month', month: string } |
+ *   { type: 'imoPrefix', prefix: string } |
+ *   { type: 'compare', field: string, op: string, value: string }
+ * ) & { start: number, end: number }} FilterNode
+ */
+
+/**
+ * Statuses and presence checks, by canonical name.
+ * @type {Readonly<Record<string, (story: any) => boolean>>}
+ */
+export const FILTER_NAMES = Object.freeze({
+    Done: (story) => !!story.isDone,
+    Cancelled: (story) => !!story.isCancelled,
+    Timeline: (story) => !!story.roadmapChanges?.changes?.length,
+    New: (story) => !!story.isNewStory,
+    AtRisk: (story) => !!story.isAtRisk,
+    Proposed: (story) => !!story.isProposed,
+    Info: (story) => !!story.isInfo,
+    TransferredIn: (story) => !!story.isTransferredIn,
+    TransferredOut: (story) => !!story.isTransferredOut,
+    // Past its effective end as of today, not Done or Cancelled
+    Overdue: (story) =>
+        isOverdue(story, resolveAsOf(null), story.roadmapYear || new Date().getFullYear()),
+    // Field presence
+    IMO: (story) =>
+        String(story.imo || '')
+            .trim()
+            .toLowerCase()
+            .startsWith('imo'),
+    Priority: (story) => !!story.priority,
+    // Priority values
+    High: (story) => priorityOf(story) === 'high',
+    Medium: (story) => priorityOf(story) === 'medium',
+    Low: (story) => priorityOf(story) === 'low',
+});
+
+/**
+ * Text fields: how each matches a lower-cased value.
+ * @type {Readonly<Record<string, (story: any, value: string) => boolean>>}
+ */
+export const TEXT_FIELDS = Object.freeze({
+    TEAM: (story, value) => lower(story.teamName).includes(value),
+    EPIC: (story, value) => lower(story.epicName).includes(value),
+    TITLE: (story, value) => lower(story.title).includes(value),
+    IMO: (story, value) => lower(story.imo).includes(value),
+    PRIORITY: (story, value) => priorityOf(story) === value,
+    VPID: (story, value) => lower(story.directorVPId).includes(value),
+    COUNTRY: (story, value) =>
+        (story.countryFlags || []).some((flag) => lower(flag).includes(value)),
+    // Director/VP, EM or PM of the story's team
+    LEADERSHIP: (story, value) =>
+        [story._directorVP, story._em, story._pm].some((name) => lower(name).includes(value)),
+});
+
+/** Date fields: START is the story's start, END its planned end. */
+export const DATE_FIELDS = Object.freeze(['START', 'END']);
+
+export const TEXT_OPERATORS = Object.freeze(['=', '!=']);
+export const DATE_OPERATORS = Object.freeze(['=', '!=', '<', '<=', '>', '>=']);
+
+const MONTH_RE =
+    /^(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec|january|february|march|april|june|july|august|september|october|november|december)$/i;
+const QUARTER_RE = /^q([1-4])$/i;
+// Characters that end a bare word
+const WORD_END = /[\s()!&|=<>"]/;
+
+const lower = (value) => String(value || '').toLowerCase();
+const priorityOf = (story) => lower(story.priority);
+
+/**
+ * The error for a malformed expression. `position` is the offset of the
+ * offending text, or the expression's length when it ended too early.
+ *
+ * @param {string} reason
+ * @param {number} position
+ * @returns {Error & { reason: string, position: number }}
+ */
+function syntaxError(reason, position) {
+    return Object.assign(new Error(`${reason} (column ${position + 1})`), { reason, position });
+}
+
+/**
+ * @param {string} text
+ * @returns {FilterToken[]}
+ * @throws {Error} With `reason` and `position` when malformed
+ */
+export function tokenizeFilter(text) {
+    const tokens = [];
+    let i = 0;
+    const push = (type, value, start) => tokens.push({ type, value, start, end: i });
+    while (i < text.length) {
+        const start = i;
+        const ch = text[i];
+        const pair = text.slice(i, i + 2);
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '(' || ch === ')') {
+            i++;
+            push(ch === '(' ? 'lparen' : 'rparen', ch, start);
+        } else if (pair === '&&' || pair === '||') {
+            i += 2;
+            push(pair === '&&' ? 'and' : 'or', pair, start);
+        } else if (ch === '&' || ch === '|') {
+            throw syntaxError(`Expected "${ch}${ch}"`, start);
+        } else if (pair === '!=' || pair === '<=' || pair === '>=') {
+            i += 2;
+            push('op', pair, start);
+        } else if (ch === '=' || ch === '<' || ch === '>') {
+            i++;
+            push('op', ch, start);
+        } else if (ch === '!') {
+            i++;
+            push('not', ch, start);
+        } else if (ch === '"') {
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\' && i + 1 < text.length) i++;
+                value += text[i++];
+            }
+            if (i >= text.length) throw syntaxError('Unterminated string', start);
+            i++;
+            push('string', value, start);
+        } else {
+            while (i < text.length && !WORD_END.test(text[i])) i++;
+            push('word', text.slice(start, i), start);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * @param {string} text
+ * @returns {FilterNode | null} null for an empty expression
+ * @throws {Error} With `reason` and `position` when malformed
+ */
+export function parseFilter(text) {
+    const source = String(text ?? '');
+    const tokens = tokenizeFilter(source);
+    if (!tokens.length) return null;
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const fail = (reason, token = peek()) => {
+        throw syntaxError(reason, token ? token.start : source.length);
+    };
+    const describe = (token) =>
+        token ? `Unexpected "${token.value}"` : 'Unexpected end of expression';
+
+    const parseBinary = (type, parseOperand) => {
+        let left = parseOperand();
+        while (peek()?.type === type) {
+            pos++;
+            const right = parseOperand();
+            left = { type, left, right, start: left.start, end: right.end };
+        }
+        return left;
+    };
+    const parseOr = () => parseBinary('or', parseAnd);
+    const parseAnd = () => parseBinary('and', parseNot);
+
+    const parseNot = () => {
+        const token = peek();
+        if (token?.type !== 'not') return parsePrimary();
+        pos++;
+        const operand = parseNot();
+        return { type: 'not', operand, start: token.start, end: operand.end };
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (token?.type === 'lparen') {
+            pos++;
+            const inner = parseOr();
+            const close = peek();
+            if (close?.type !== 'rparen')
+                fail(close ? 'Expected ")"' : 'Missing closing parenthesis');
+            pos++;
+            return { ...inner, start: token.start, end: close.end };
+        }
+        if (token?.type !== 'word') fail(describe(token));
+        pos++;
+        if (peek()?.type === 'op') return parseComparison(token);
+        return parseName(token);
+    };
+
+    const parseComparison = (fieldToken) => {
+        const field = fieldToken.value.toUpperCase();
+        const op = tokens[pos++];
+        const isDate = DATE_FIELDS.includes(field);
+        if (!isDate && !TEXT_FIELDS[field]) fail(`Unknown field "${fieldToken.value}"`, fieldToken);
+        if (!(isDate ? DATE_OPERATORS : TEXT_OPERATORS).includes(op.value)) {
+            fail(`${field} only takes ${TEXT_OPERATORS.join(' and ')}`, op);
+        }
+        const valueToken = peek();
+        if (valueToken?.type !== 'word' && valueToken?.type !== 'string')
+            fail(`Expected a value after "${op.value}"`);
+        pos++;
+        if (isDate && !dateRange(valueToken.value, {})) {
+            fail(`"${valueToken.value}" is not a date, month or quarter`, valueToken);
+        }
+        return {
+            type: 'compare',
+            field,
+            op: op.value,
+            value: valueToken.value,
+            start: fieldToken.start,
+            end: valueToken.end,
+        };
+    };
+
+    const parseName = (token) => {
+        const { value, start, end } = token;
+        const name = Object.keys(FILTER_NAMES).find(
+            (key) => key.toLowerCase() === value.toLowerCase()
+        );
+        if (name) return { type: 'status', name, start, end };
+        const quarter = value.match(QUARTER_RE);
+        if (quarter) return { type: 'quarter', quarter: Number(quarter[1]), start, end };
+        if (MONTH_RE.test(value)) return { type: 'month', month: value.toLowerCase(), start, end };
+        if (/^imo./i.test(value))
+            return { type: 'imoPrefix', prefix: value.toLowerCase(), start, end };
+        return fail(`Unknown name "${value}"`, token);
+    };
+
+    const ast = parseOr();
+    if (pos < tokens.length) fail(describe(peek()));
+    return ast;
+}
+
+/**
+ * @param {FilterNode | null} node - From parseFilter; null matches everything
+ * @param {object} story
+ * @returns {boolean}
+ */
+export function evaluateFilter(node, story) {
+    if (!node) return true;
+    switch (node.type) {
+        case 'and':
+            return evaluateFilter(node.left, story) && evaluateFilter(node.right, story);
+        case 'or':
+            return evaluateFilter(node.left, story) || evaluateFilter(node.right, story);
+        case 'not':
+            return !evaluateFilter(node.operand, story);
+        case 'status':
+            return FILTER_NAMES[node.name](story);
+        case 'quarter':
+            // The story's team's fiscal quarter
+            return (
+                IMOUtility.getQuarterFromDate(
+                    endText(story),
+                    story.fiscalYearStart,
+                    roadmapYearOf(story)
+                ) === `q${node.quarter}`
+            );
+        case 'month':
+            return endText(story).toLowerCase().includes(node.month);
+        case 'imoPrefix':
+            return lower(story.imo).startsWith(node.prefix);
+        case 'compare':
+            return DATE_FIELDS.includes(node.field)
+                ? compareDate(node, story)
+                : compareText(node, story);
+        default:
+            return false;
+    }
+}
+
+const roadmapYearOf = (story) => story.roadmapYear || new Date().getFullYear();
+const endText = (story) => String(story.endDate || story.endMonth || '');
+
+function compareText({ field, op, value }, story) {
+    const matches = TEXT_FIELDS[field](story, value.toLowerCase());
+    return op === '!=' ? !matches : matches;
+}
+
+function compareDate({ field, op, value }, story) {
+    const year = roadmapYearOf(story);
+    const day =
+        field === 'START'
+            ? storyDateToIso(story.startDate || story.startMonth, year, 'start')
+            : storyDateToIso(endText(story), year, 'end');
+    const range = dateRange(value, story);
+    if (!day || !range) return false;
+    switch (op) {
+        case '<':
+            return day < range.first;
+        case '<=':
+            return day <= range.last;
+        case '>':
+            return day > range.last;
+        case '>=':
+            return day >= range.first;
+        case '!=':
+            return day < range.first || day > range.last;
+        default:
+            return day >= range.first && day <= range.last;
+    }
+}
+
+/**
+ * The days a comparison value stands for: one day, a month of the roadmap
+ * year, or a quarter of the team's fiscal year starting in it.
+ *
+ * @param {string} value
+ * @param {object} story
+ * @returns {{ first: string, last: string } | null}
+ */
+function dateRange(value, story) {
+    const year = roadmapYearOf(story);
+    const quarter = value.trim().match(QUARTER_RE);
+    if (quarter) {
+        const month = resolveFiscalStart(story.fiscalYearStart) + (Number(quarter[1]) - 1) * 3;
+        const iso = (date) => date.toISOString().slice(0, 10);
+        return {
+            first: iso(new Date(Date.UTC(year, month, 1))),
+            last: iso(new Date(Date.UTC(year, month + 3, 0))),
+        };
+    }
+    const first = storyDateToIso(value, year, 'start');
+    return first ? { first, last: storyDateToIso(value, year, 'end') } : null;
+}
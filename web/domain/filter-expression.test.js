@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { tokenizeFilter, parseFilter, evaluateFilter } from './filter-expression.js';
+
+const STORY = {
+    title: 'Card issuing in Spain',
+    teamName: 'Payments',
+    epicName: 'Issuing',
+    imo: 'IMO1234',
+    priority: 'High',
+    isAtRisk: true,
+    startDate: '01/02/26',
+    endDate: '15/03/26',
+    roadmapYear: 2026,
+    countryFlags: ['es'],
+    _em: 'Ana Lopez',
+};
+
+const matches = (expression, story = STORY) => evaluateFilter(parseFilter(expression), story);
+
+const syntaxError = (expression) => {
+    try {
+        parseFilter(expression);
+    } catch (error) {
+        return [error.reason, error.position];
+    }
+    return null;
+};
+
+test('tokens keep their offsets and strings unescape', () => {
+    assert.deepEqual(
+        tokenizeFilter('!(TEAM!="a \\"b\\"" || END<=Q2)').map((t) => [t.type, t.value, t.start]),
+        [
+            ['not', '!', 0],
+            ['lparen', '(', 1],
+            ['word', 'TEAM', 2],
+            ['op', '!=', 6],
+            ['string', 'a "b"', 8],
+            ['or', '||', 18],
+            ['word', 'END', 21],
+            ['op', '<=', 24],
+            ['word', 'Q2', 26],
+            ['rparen', ')', 28],
+        ]
+    );
+});
+
+test('the AST follows precedence: ! over && over ||', () => {
+    assert.deepEqual(parseFilter('Done || !New && (AtRisk)'), {
+        type: 'or',
+        left: { type: 'status', name: 'Done', start: 0, end: 4 },
+        right: {
+            type: 'and',
+            left: {
+                type: 'not',
+                operand: { type: 'status', name: 'New', start: 9, end: 12 },
+                start: 8,
+                end: 12,
+            },
+            right: { type: 'status', name: 'AtRisk', start: 16, end: 24 },
+            start: 8,
+            end: 24,
+        },
+        start: 0,
+        end: 24,
+    });
+    assert.equal(parseFilter('  '), null);
+});
+
+test('status, field and date tokens combine with && || ! and parentheses', () => {
+    assert.equal(matches('AtRisk && !Done'), true);
+    assert.equal(matches('Done || (High && Q1)'), true);
+    assert.equal(matches('team="pay" && EPIC="issuing" && COUNTRY="ES"'), true);
+    assert.equal(matches('LEADERSHIP="lopez" && IMO="1234" && IMO12'), true);
+    assert.equal(matches('TEAM!=Payments || Q2 || Low'), false);
+    assert.equal(matches('TITLE="say \\"hi\\""', { ...STORY, title: 'Say "hi" to users' }), true);
+    // Month names match the written end month
+    assert.equal(matches('Mar', { ...STORY, endDate: '', endMonth: 'MAR' }), true);
+    // Quarters follow the team's fiscal year
+    assert.equal(matches('Q4', { ...STORY, fiscalYearStart: 4 }), true);
+});
+
+test('dates compare against days, months and quarters', () => {
+    assert.equal(matches('END<2026-06-30 && END>=2026-03-15 && START=01/02/26'), true);
+    assert.equal(matches('END<2026-03-15'), false);
+    assert.equal(matches('END<=Mar && END>Feb && END=Q1'), true);
+    assert.equal(matches('START>=Q2 || END>Q1 || END!=Q1'), false);
+    // Fiscal Q1 from April runs Apr-Jun
+    assert.equal(
+        matches('START>=Q1 && END<=Q1', {
+            ...STORY,
+            fiscalYearStart: 4,
+            startMonth: 'APR',
+            startDate: '',
+            endDate: '30/06/26',
+        }),
+        true
+    );
+    assert.equal(matches('END<2027-01-01', { ...STORY, endDate: '' }), false);
+});
+
+test('syntax errors name the problem and where it is', () => {
+    assert.deepEqual(syntaxError('AtRisk &&'), ['Unexpected end of expression', 9]);
+    assert.deepEqual(syntaxError('(Done'), ['Missing closing parenthesis', 5]);
+    assert.deepEqual(syntaxError('(Done New)'), ['Expected ")"', 6]);
+    assert.deepEqual(syntaxError('Done && Someday'), ['Unknown name "Someday"', 8]);
+    assert.deepEqual(syntaxError('OWNER="x"'), ['Unknown field "OWNER"', 0]);
+    assert.deepEqual(syntaxError('TEAM<"x"'), ['TEAM only takes = and !=', 4]);
+    assert.deepEqual(syntaxError('END<soon'), ['"soon" is not a date, month or quarter', 4]);
+    assert.deepEqual(syntaxError('END<'), ['Expected a value after "<"', 4]);
+    assert.deepEqual(syntaxError('TITLE="open'), ['Unterminated string', 6]);
+    assert.deepEqual(syntaxError('Done & New'), ['Expected "&&"', 5]);
+    assert.deepEqual(syntaxError('Done)'), ['Unexpected ")"', 4]);
+    assert.throws(() => parseFilter('Done )'), { message: 'Unexpected ")" (column 6)' });
+});
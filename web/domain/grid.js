@@ -37,6 +37,57 @@ export function gridToMonthIndex(column) {
     return Math.floor((column - 1) / COLUMNS_PER_MONTH);
 }
 
+function daysInMonth(year, monthIdx) {
+    return new Date(Date.UTC(year, monthIdx + 1, 0)).getUTCDate();
+}
+
+/**
+ * Day at a (fractional) grid position - the continuous inverse of the
+ * renderer's dateToGrid, at day rather than quarter-month precision. Each
+ * month's 10 columns are shared evenly by its days, so column 1 is the start
+ * of 1 January and column 121 (the right edge) the end of 31 December.
+ *
+ * @param {number} column - 1-indexed, fractional; clamped to 1..121
+ * @param {number} year
+ * @param {'start' | 'end'} [edge] - 'start' gives the day the position
+ *        falls in; 'end' the day that ends at or after it, so a bar's right
+ *        edge maps to its last day rather than the day after.
+ * @returns {string} ISO date (YYYY-MM-DD)
+ */
+export function columnToDate(column, year, edge = 'start') {
+    const offset = Math.min(Math.max(column, 1), MAX_COLUMNS + 1) - 1;
+    // A month boundary is the start of one month but the end of the one before.
+    const monthFloat = offset / COLUMNS_PER_MONTH;
+    const month = Math.min(
+        Math.max(edge === 'end' ? Math.ceil(monthFloat) - 1 : Math.floor(monthFloat), 0),
+        MONTHS_IN_YEAR - 1
+    );
+    const days = daysInMonth(year, month);
+    const dayPosition = ((offset - month * COLUMNS_PER_MONTH) / COLUMNS_PER_MONTH) * days;
+    // The epsilon absorbs float error from dateToColumn round trips.
+    const day = edge === 'end' ? Math.ceil(dayPosition - 1e-9) : Math.floor(dayPosition + 1e-9) + 1;
+    const clamped = Math.min(Math.max(day, 1), days);
+    return `${year}-${String(month + 1).padStart(2, '0')}-${String(clamped).padStart(2, '0')}`;
+}
+
+/**
+ * Fractional grid position of a day's start ('start') or end ('end') edge.
+ * Inverse of columnToDate. Days outside `year` clamp to the grid edges.
+ *
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {number} year
+ * @param {'start' | 'end'} [edge]
+ * @returns {number}
+ */
+export function dateToColumn(isoDate, year, edge = 'start') {
+    const [y, m, d] = isoDate.split('-').map(Number);
+    if (y < year) return 1;
+    if (y > year) return MAX_COLUMNS + 1;
+    const days = daysInMonth(y, m - 1);
+    const dayOffset = edge === 'end' ? d : d - 1;
+    return 1 + (m - 1) * COLUMNS_PER_MONTH + (dayOffset / days) * COLUMNS_PER_MONTH;
+}
+
 /**
  * Width of the IMO/text-box badge for a given item count, in grid units.
  * Matches the table in ConfigUtility.TEXT_BOX_WIDTHS, including the linear
@@ -10,6 +10,8 @@ import {
     textBoxWidth,
     zoomLevel,
     shouldPlaceBadgeBelow,
+    columnToDate,
+    dateToColumn,
 } from './grid.js';
 
 test('grid constants', () => {
@@ -108,3 +110,21 @@ test('shouldPlaceBadgeBelow false for short stories with 1-2 items', () => {
     assert.equal(shouldPlaceBadgeBelow(20, 20, 1), false);
     assert.equal(shouldPlaceBadgeBelow(30, 26, 2), false);
 });
+
+test('columnToDate maps grid positions to days, edges included', () => {
+    assert.equal(columnToDate(1, 2026), '2026-01-01');
+    assert.equal(columnToDate(11, 2026), '2026-02-01');
+    assert.equal(columnToDate(16, 2026), '2026-02-15'); // halfway through 28 days
+    assert.equal(columnToDate(121, 2026, 'end'), '2026-12-31');
+    assert.equal(columnToDate(11, 2026, 'end'), '2026-01-31'); // Feb's left edge ends January
+    assert.equal(columnToDate(-5, 2026), '2026-01-01');
+});
+
+test('dateToColumn is the inverse of columnToDate', () => {
+    for (const iso of ['2026-01-01', '2026-02-28', '2026-07-17', '2026-12-31']) {
+        assert.equal(columnToDate(dateToColumn(iso, 2026), 2026), iso);
+        assert.equal(columnToDate(dateToColumn(iso, 2026, 'end'), 2026, 'end'), iso);
+    }
+    assert.equal(dateToColumn('2025-11-01', 2026), 1);
+    assert.equal(dateToColumn('2027-02-01', 2026, 'end'), 121);
+});
@@ -0,0 +1,114 @@
+// Undo/redo stack over document snapshots. Pure: snapshots are opaque
+// values compared with ===, so callers pass something cheap to compare -
+// the builder uses the JSON text of teamData.
+//
+// The stack tracks the current snapshot itself. record() is called
+// whenever the document settles; if it differs from the current one, the
+// current snapshot becomes an undo step labelled with what changed it.
+// Records with the same label in quick succession (one delete that
+// re-renders twice, a drag that fires several updates) fold into a single
+// step, so each step is one user action - a transaction.
+//
+// undo()/redo() hand back the snapshot to restore. Restoring may normalise
+// the document slightly (the builder round-trips through the form), so the
+// next record() after either adopts what it is given as the new current
+// snapshot instead of treating the difference as an edit.
+
+/**
+ * @typedef {object} HistoryStep
+ * @property {*} snapshot - Document to restore
+ * @property {string} label - The action this step undoes / redoes, e.g. "Delete story"
+ */
+
+/**
+ * @typedef {object} HistoryOptions
+ * @property {number} [limit] - Undo steps kept; the oldest are dropped
+ * @property {number} [mergeWindowMs] - Same-label records closer together
+ *           than this form one step (0 disables merging)
+ */
+
+/**
+ * @param {HistoryOptions} [options]
+ */
+export function createHistory({ limit = 100, mergeWindowMs = 0 } = {}) {
+    /** @type {Array<HistoryStep & { at: number }>} */
+    let undoStack = [];
+    /** @type {HistoryStep[]} */
+    let redoStack = [];
+    let current;
+    // True until the first record, and right after undo/redo.
+    let adoptPending = true;
+
+    return {
+        /**
+         * Note the document as it is now.
+         *
+         * @param {*} snapshot
+         * @param {string} label - What changed it
+         * @param {number} [now] - Timestamp, for merging
+         * @returns {boolean} True when an undo step was added or extended
+         */
+        record(snapshot, label, now = Date.now()) {
+            if (adoptPending) {
+                adoptPending = false;
+                current = snapshot;
+                return false;
+            }
+            if (snapshot === current) return false;
+
+            const top = undoStack[undoStack.length - 1];
+            if (top && !redoStack.length && top.label === label && now - top.at < mergeWindowMs) {
+                top.at = now;
+            } else {
+                undoStack.push({ snapshot: current, label, at: now });
+                if (undoStack.length > limit) undoStack = undoStack.slice(-limit);
+            }
+            redoStack = [];
+            current = snapshot;
+            return true;
+        },
+
+        /** @returns {HistoryStep | null} Snapshot to restore, or null when there's nothing to undo */
+        undo() {
+            const step = undoStack.pop();
+            if (!step) return null;
+            redoStack.push({ snapshot: current, label: step.label });
+            current = step.snapshot;
+            adoptPending = true;
+            return { snapshot: step.snapshot, label: step.label };
+        },
+
+        /** @returns {HistoryStep | null} Snapshot to restore, or null when there's nothing to redo */
+        redo() {
+            const step = redoStack.pop();
+            if (!step) return null;
+            undoStack.push({ snapshot: current, label: step.label, at: 0 });
+            current = step.snapshot;
+            adoptPending = true;
+            return { ...step };
+        },
+
+        /** Forget every step; the next record() is the new starting point. */
+        reset() {
+            undoStack = [];
+            redoStack = [];
+            current = undefined;
+            adoptPending = true;
+        },
+
+        /** Take the next record() as the current snapshot without adding a step. */
+        adoptNext() {
+            adoptPending = true;
+        },
+
+        /** @returns {string | null} Label of the step undo() would revert */
+        undoLabel() {
+            return undoStack.length ? undoStack[undoStack.length - 1].label : null;
+        },
+
+        /** @returns {string | null} Label of the step redo() would re-apply */
+        redoLabel() {
+            return redoStack.length ? redoStack[redoStack.length - 1].label : null;
+        },
+    };
+}
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createHistory } from './history.js';
+
+test('the first record is the starting point, not a step', () => {
+    const h = createHistory();
+    assert.equal(h.record('a', 'Edit'), false);
+    assert.equal(h.undo(), null);
+});
+
+test('undo walks back and redo forward', () => {
+    const h = createHistory();
+    h.record('a', 'Edit', 0);
+    h.record('b', 'Delete story', 10);
+    h.record('c', 'Move story', 20);
+
+    assert.deepEqual(h.undo(), { snapshot: 'b', label: 'Move story' });
+    h.record('b', 'Edit', 30); // the restore settling
+    assert.deepEqual(h.undo(), { snapshot: 'a', label: 'Delete story' });
+    assert.equal(h.undo(), null);
+
+    assert.deepEqual(h.redo(), { snapshot: 'b', label: 'Delete story' });
+    assert.deepEqual(h.redo(), { snapshot: 'c', label: 'Move story' });
+    assert.equal(h.redo(), null);
+    assert.equal(h.undoLabel(), 'Move story');
+});
+
+test('an unchanged snapshot records nothing', () => {
+    const h = createHistory();
+    h.record('a', 'Edit');
+    assert.equal(h.record('a', 'Edit'), false);
+    assert.equal(h.undoLabel(), null);
+});
+
+test('a new edit clears the redo stack', () => {
+    const h = createHistory();
+    h.record('a', 'Edit', 0);
+    h.record('b', 'Edit', 10);
+    h.undo();
+    h.record('a', 'Edit', 20);
+    h.record('x', 'Rename story', 30);
+    assert.equal(h.redoLabel(), null);
+    assert.deepEqual(h.undo(), { snapshot: 'a', label: 'Rename story' });
+});
+
+test('the record after a restore adopts a normalised snapshot', () => {
+    const h = createHistory();
+    h.record('a', 'Edit', 0);
+    h.record('b', 'Edit', 10);
+    h.undo();
+    // The form hands back 'a' with a normalised field.
+    assert.equal(h.record('a*', 'Edit', 20), false);
+    assert.equal(h.redoLabel(), 'Edit');
+    assert.deepEqual(h.redo(), { snapshot: 'b', label: 'Edit' });
+    h.record('b', 'Edit', 30);
+    assert.deepEqual(h.undo(), { snapshot: 'a*', label: 'Edit' });
+});
+
+test('same-label records inside the merge window are one step', () => {
+    const h = createHistory({ mergeWindowMs: 100 });
+    h.record('a', 'Delete story', 0);
+    h.record('b', 'Delete story', 1000);
+    h.record('c', 'Delete story', 1050);
+    h.record('d', 'Edit', 1060);
+    h.record('e', 'Edit', 1300);
+
+    assert.deepEqual(h.undo(), { snapshot: 'd', label: 'Edit' });
+    h.record('d', 'Edit', 1400);
+    assert.deepEqual(h.undo(), { snapshot: 'c', label: 'Edit' });
+    h.record('c', 'Edit', 1500);
+    assert.deepEqual(h.undo(), { snapshot: 'a', label: 'Delete story' });
+});
+
+test('limit drops the oldest steps', () => {
+    const h = createHistory({ limit: 2 });
+    ['a', 'b', 'c', 'd'].forEach((s, i) => h.record(s, 'Edit', i * 10));
+    assert.equal(h.undo().snapshot, 'c');
+    h.record('c', 'Edit', 100);
+    assert.equal(h.undo().snapshot, 'b');
+    h.record('b', 'Edit', 110);
+    assert.equal(h.undo(), null);
+});
+
+test('reset forgets everything', () => {
+    const h = createHistory();
+    h.record('a', 'Edit', 0);
+    h.record('b', 'Edit', 10);
+    h.reset();
+    assert.equal(h.record('z', 'Edit', 20), false);
+    assert.equal(h.undo(), null);
+});
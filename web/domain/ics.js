@@ -0,0 +1,183 @@
+// iCalendar (RFC 5545) feeds of story milestones, for PMs to subscribe to
+// in their calendar. Each story contributes all-day events for its start,
+// its effective end (the newest timeline change's end, as in the search),
+// and every milestone the roadmap shows on its bar (domain/milestones.js)
+// that has a date: timeline changes, done, cancelled, at risk, new, info,
+// transfers and proposed.
+//
+// UIDs depend only on what they describe, so a calendar that re-reads the
+// feed updates events in place instead of duplicating them: the team, the
+// Story ID (or else the epic and title), and for milestones their type,
+// date and a hash of their notes. Adding a milestone or reordering stories
+// leaves every other UID alone. Used by the builder and search exports and
+// by the server's /api/roadmaps/:name.ics.
+
+import { effectiveEnd, storyDateToIso } from './dates.js';
+import { storyMilestones } from './milestones.js';
+import { hashText } from './revision.js';
+
+const PRODUCT_ID = '-//Teya//Roadmap Builder//EN';
+
+/**
+ * @typedef {object} CalendarEvent
+ * @property {string} uid
+ * @property {string} date - ISO day
+ * @property {string} summary
+ * @property {string} description
+ */
+
+const slug = (text) =>
+    String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '') || 'x';
+
+/**
+ * The milestones of one story. Cancelled stories keep their milestones but
+ * drop the start and end they will no longer meet; milestones without a
+ * date have no place on a calendar.
+ *
+ * @param {object} story - With teamName, epicName and roadmapYear, as the
+ *        cross-team search aggregates them
+ * @returns {CalendarEvent[]} Oldest first
+ */
+export function storyCalendarEvents(story) {
+    const year = Number(story.roadmapYear) || new Date().getFullYear();
+    const title = story.title || 'Untitled story';
+    const storyKey = story.storyId || `${slug(story.epicName)}.${slug(title)}`;
+    const uidBase = `${slug(story.teamName)}.${storyKey}`;
+    const context = [story.teamName, story.epicName].filter(Boolean).join(' › ');
+    const events = [];
+    const add = (key, date, summary, details = []) => {
+        const uid = `${uidBase}.${key}@roadmap-builder`;
+        // The same entry twice is one event
+        if (!date || events.some((e) => e.uid === uid)) return;
+        events.push({
+            uid,
+            date,
+            summary,
+            description: [context, ...details].filter(Boolean).join('\n'),
+        });
+    };
+    const day = (value, edge) => (value ? storyDateToIso(value, year, edge) : null);
+
+    if (!story.isCancelled) {
+        add('start', day(story.startDate || story.startMonth, 'start'), `Start: ${title}`);
+        const planned = story.endDate || story.endMonth;
+        const end = effectiveEnd(story);
+        add('end', day(end, 'end'), `Due: ${title}`, [
+            end !== planned && planned ? `Originally due ${planned}` : '',
+        ]);
+    }
+
+    for (const milestone of storyMilestones(story)) {
+        const date = day(milestone.date, 'start');
+        if (!date) continue;
+        const details =
+            milestone.type === 'change'
+                ? [
+                      `End moved from ${milestone.prevEndDate || '?'} to ${milestone.newEndDate || '?'}`,
+                      milestone.notes,
+                  ]
+                : [milestone.notes];
+        const key = `${milestone.type}.${date.replace(/-/g, '')}.${hashText(milestone.notes || '').slice(0, 8)}`;
+        add(key, date, `${milestone.name}: ${title}`, details);
+    }
+
+    return events.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * A calendar of the given stories' milestones.
+ *
+ * @param {object[]} stories - Carrying teamName, epicName and roadmapYear
+ * @param {object} options
+ * @param {string} options.name - Calendar name shown by the calendar app
+ * @param {Date} [options.now] - Stamp for the events (default: now)
+ * @returns {string} CRLF-separated iCalendar text
+ */
+export function storiesToIcs(stories, { name, now = new Date() }) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+    ];
+    // Stories without a Story ID that share an epic and title would share
+    // UIDs; later ones get a counter
+    const seen = new Map();
+    for (const story of stories) {
+        for (const event of storyCalendarEvents(story)) {
+            const n = (seen.get(event.uid) || 0) + 1;
+            seen.set(event.uid, n);
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${n > 1 ? event.uid.replace('@', `.${n}@`) : event.uid}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${event.date.replace(/-/g, '')}`,
+                `DTEND;VALUE=DATE:${nextDay(event.date).replace(/-/g, '')}`,
+                `SUMMARY:${escapeText(event.summary)}`,
+                ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            );
+        }
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * A team roadmap's calendar.
+ *
+ * @param {object} teamData
+ * @param {{ now?: Date }} [options]
+ * @returns {string}
+ */
+export function roadmapToIcs(teamData, { now } = {}) {
+    const stories = (teamData.epics || []).flatMap((epic) =>
+        (epic.stories || []).map((story) => ({
+            ...story,
+            teamName: teamData.teamName,
+            epicName: epic.name,
+            roadmapYear: teamData.roadmapYear,
+        }))
+    );
+    return storiesToIcs(stories, { name: `${teamData.teamName || 'Team'} roadmap`, now });
+}
+
+function nextDay(iso) {
+    const date = new Date(`${iso}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+}
+
+function escapeText(text) {
+    return String(text)
+        .replace(/[\\;,]/g, (ch) => `\\${ch}`)
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a character
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const ch of line) {
+        const bytes = encoder.encode(ch).length;
+        if (size + bytes > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += ch;
+        size += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
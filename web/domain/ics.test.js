@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { storyCalendarEvents, storiesToIcs, roadmapToIcs } from './ics.js';
+
+const STORY = {
+    teamName: 'Payments',
+    epicName: 'Issuing',
+    title: 'Cards in Spain',
+    storyId: '0x50000007',
+    startMonth: 'FEB',
+    endDate: '15/03/26',
+    roadmapYear: 2026,
+    roadmapChanges: {
+        changes: [
+            {
+                date: '10/03/26',
+                prevEndDate: '15/03/26',
+                newEndDate: '30/04/26',
+                description: 'Vendor late',
+            },
+        ],
+        atRiskInfo: { date: '2026-03-01', notes: 'Licence pending' },
+        infoInfo: [
+            { date: '05/01/26', notes: 'Kick-off' },
+            { date: '', notes: 'Undated' },
+        ],
+    },
+};
+
+test('a story yields its start, effective end and dated milestones', () => {
+    assert.deepEqual(
+        storyCalendarEvents(STORY).map((e) => [e.date, e.summary, e.uid]),
+        [
+            [
+                '2026-01-05',
+                'Info: Cards in Spain',
+                'payments.0x50000007.info.20260105.151a39b1@roadmap-builder',
+            ],
+            ['2026-02-01', 'Start: Cards in Spain', 'payments.0x50000007.start@roadmap-builder'],
+            [
+                '2026-03-01',
+                'At risk: Cards in Spain',
+                'payments.0x50000007.atrisk.20260301.13d391c0@roadmap-builder',
+            ],
+            [
+                '2026-03-10',
+                'Timeline change: Cards in Spain',
+                'payments.0x50000007.change.20260310.03f3ccce@roadmap-builder',
+            ],
+            ['2026-04-30', 'Due: Cards in Spain', 'payments.0x50000007.end@roadmap-builder'],
+        ]
+    );
+    const due = storyCalendarEvents(STORY).find((e) => e.summary.startsWith('Due'));
+    assert.equal(due.description, 'Payments › Issuing\nOriginally due 15/03/26');
+    // A cancelled story keeps its milestones but has nothing to start or deliver
+    const cancelled = {
+        ...STORY,
+        isCancelled: true,
+        roadmapChanges: { cancelInfo: { date: '20/02/26' } },
+    };
+    assert.deepEqual(
+        storyCalendarEvents(cancelled).map((e) => e.summary),
+        ['Cancelled: Cards in Spain']
+    );
+});
+
+test('the calendar is valid iCalendar text', () => {
+    const ics = storiesToIcs([{ ...STORY, roadmapChanges: null }], {
+        name: 'Search; results',
+        now: new Date('2026-10-19T08:30:15.123Z'),
+    });
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(!/[^\r]\n/.test(ics), 'every line ends in CRLF');
+    assert.match(ics, /\r\nX-WR-CALNAME:Search\\; results\r\n/);
+    assert.match(ics, /\r\nDTSTAMP:20261019T083015Z\r\n/);
+    assert.match(
+        ics,
+        /\r\nDTSTART;VALUE=DATE:20260315\r\nDTEND;VALUE=DATE:20260316\r\nSUMMARY:Due: Cards in Spain\r\n/
+    );
+    assert.match(ics, /\r\nDESCRIPTION:Payments › Issuing\r\n/);
+    assert.equal(ics.match(/BEGIN:VEVENT/g).length, 2);
+});
+
+test('long lines fold at 75 octets without splitting characters', () => {
+    const ics = storiesToIcs([{ ...STORY, title: 'Ünïcödé '.repeat(20), roadmapChanges: null }], {
+        name: 'x',
+    });
+    for (const line of ics.split('\r\n')) {
+        assert.ok(new TextEncoder().encode(line).length <= 75, line);
+    }
+    // Unfolding gives the text back
+    assert.ok(
+        ics.replace(/\r\n /g, '').includes(`\r\nSUMMARY:Start: ${'Ünïcödé '.repeat(20)}\r\n`)
+    );
+});
+
+test('a roadmap calendar covers every epic and names the team', () => {
+    const ics = roadmapToIcs({
+        teamName: 'Payments',
+        roadmapYear: 2026,
+        epics: [
+            { name: 'Issuing', stories: [{ title: 'A', startMonth: 'JAN', endMonth: 'MAR' }] },
+            { name: 'Acquiring', stories: [{ title: 'B', endDate: '01/06/26' }] },
+        ],
+    });
+    assert.match(ics, /X-WR-CALNAME:Payments roadmap/);
+    assert.deepEqual(ics.match(/UID:[^\r]+/g), [
+        'UID:payments.issuing.a.start@roadmap-builder',
+        'UID:payments.issuing.a.end@roadmap-builder',
+        'UID:payments.acquiring.b.end@roadmap-builder',
+    ]);
+    assert.match(ics, /DESCRIPTION:Payments › Acquiring/);
+});
+
+test('UIDs survive new milestones and reordered stories', () => {
+    const uids = (stories) =>
+        storiesToIcs(stories, { name: 'x' })
+            .match(/UID:[^\r]+/g)
+            .sort();
+    const before = uids([STORY, { ...STORY, storyId: '', title: 'Kiosks' }]);
+
+    const changes = [
+        { date: '01/02/26', prevEndDate: 'MAR', newEndDate: '15/03/26' },
+        ...STORY.roadmapChanges.changes,
+    ];
+    const edited = { ...STORY, roadmapChanges: { ...STORY.roadmapChanges, changes } };
+    const after = uids([{ ...STORY, storyId: '', title: 'Kiosks' }, edited]);
+    assert.equal(after.length, before.length + 1);
+    assert.deepEqual(
+        after.filter((uid) => before.includes(uid)),
+        before
+    );
+
+    // Stories told apart only by position still get distinct UIDs
+    const twins = uids([
+        { ...STORY, storyId: '' },
+        { ...STORY, storyId: '' },
+    ]);
+    assert.equal(new Set(twins).size, twins.length);
+});
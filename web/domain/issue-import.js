@@ -0,0 +1,403 @@
+// Importing an issue tracker's export (Jira's CSV or JSON, or a plain list
+// of issue objects) into a roadmap. Epic issues become epics and the rest
+// become stories grouped by their epic link or parent. Due and start dates
+// become the story's end and start, the priority field (or a label such as
+// "priority-high") its priority, and labels naming a country its flags.
+//
+// Every story keeps its ticket key as issueKey, and an epic the key of its
+// epic issue, so importing the same export again updates those stories and
+// epics in place - including moving a story whose epic changed - rather
+// than adding copies. Fields the issue leaves empty keep whatever the
+// roadmap has; stories that aren't in the export are left alone.
+
+import { findCountry, GLOBAL_COUNTRY_CODE, COUNTRIES } from '../utilities/countries.js';
+import { storyDateToIso, isoToEuropean } from './dates.js';
+import { parseCsv } from './spreadsheet-import.js';
+
+export const NO_EPIC = 'No epic';
+
+/**
+ * @typedef {object} Issue
+ * @property {string} key - e.g. 'PAY-123'
+ * @property {string} id - The tracker's numeric id; CSV exports link parents by it
+ * @property {string} type - 'Epic', 'Story', 'Sub-task', ...
+ * @property {string} summary
+ * @property {string} priority
+ * @property {string} start
+ * @property {string} due
+ * @property {string[]} labels
+ * @property {string[]} epicRefs - Key or id of the epic, from Epic Link and Parent
+ * @property {string} epicName - The Epic Name field, on epic issues
+ * @property {string} parentSummary - The parent's summary, for an epic missing from the export
+ */
+
+// Header names per Issue property, after normalizeHeader (Jira's
+// "Custom field (Start date)" becomes "start date"). Labels and the epic
+// references may span several columns.
+const COLUMNS = Object.freeze({
+    key: ['issue key', 'key'],
+    id: ['issue id', 'id'],
+    type: ['issue type', 'issuetype', 'type'],
+    summary: ['summary', 'title'],
+    priority: ['priority'],
+    start: ['start date', 'start', 'target start'],
+    due: ['due date', 'duedate', 'due', 'target end'],
+    labels: ['labels', 'label'],
+    epicLink: ['epic link', 'epic'],
+    parent: ['parent', 'parent key', 'parent id'],
+    epicName: ['epic name'],
+    parentSummary: ['parent summary'],
+});
+
+// Jira Cloud's ids for its custom fields, used when a JSON export has no
+// "names" map to look them up in
+const DEFAULT_FIELD_IDS = Object.freeze({
+    start: 'customfield_10015',
+    epicLink: 'customfield_10014',
+    epicName: 'customfield_10011',
+});
+
+const PRIORITY_NAMES = Object.freeze({
+    blocker: 'High',
+    critical: 'High',
+    highest: 'High',
+    high: 'High',
+    medium: 'Medium',
+    normal: 'Medium',
+    low: 'Low',
+    lowest: 'Low',
+    minor: 'Low',
+    trivial: 'Low',
+});
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const normalizeHeader = (header) =>
+    String(header || '')
+        .toLowerCase()
+        .replace(/^custom field \((.*)\)$/, '$1')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+
+const isEpic = (issue) => issue.type.toLowerCase() === 'epic';
+const isSubtask = (issue) => /^sub-?task$/i.test(issue.type.replace(/\s+/g, ''));
+
+/**
+ * Issues from an export file: JSON (a Jira search response, an array of
+ * Jira issues, or an array of flat objects keyed like the CSV headers) or
+ * CSV with a header row.
+ *
+ * @param {string} text
+ * @returns {Issue[]}
+ */
+export function parseIssueExport(text) {
+    const source = text.replace(/^\uFEFF/, '').trim();
+    if (source.startsWith('{') || source.startsWith('[')) {
+        return issuesFromJson(JSON.parse(source));
+    }
+    const [headers = [], ...rows] = parseCsv(source);
+    const columns = headers.map(normalizeHeader);
+    if (!columns.some((c) => COLUMNS.key.includes(c))) {
+        throw new Error('No "Issue key" column - export the issues with their keys');
+    }
+    return rows
+        .filter((cells) => cells.some((cell) => cell.trim()))
+        .map((cells) => issueFromRecord(columns.map((column, i) => [column, cells[i]])));
+}
+
+function issuesFromJson(json) {
+    const list = Array.isArray(json) ? json : json.issues;
+    if (!Array.isArray(list))
+        throw new Error('Expected a list of issues or an object with "issues"');
+    const names = json.names || {};
+    const fieldId = (name, fallback) =>
+        Object.keys(names).find((id) => String(names[id]).toLowerCase() === name) || fallback;
+    const fieldIds = {
+        start: fieldId('start date', DEFAULT_FIELD_IDS.start),
+        epicLink: fieldId('epic link', DEFAULT_FIELD_IDS.epicLink),
+        epicName: fieldId('epic name', DEFAULT_FIELD_IDS.epicName),
+    };
+    return list.map((item) =>
+        item && item.fields
+            ? issueFromJira(item, fieldIds)
+            : issueFromRecord(
+                  Object.entries(item || {}).map(([name, value]) => [normalizeHeader(name), value])
+              )
+    );
+}
+
+// An issue as the Jira REST API returns it
+function issueFromJira(item, fieldIds) {
+    const fields = item.fields;
+    const parent = fields.parent || {};
+    const text = (value) => (value == null ? '' : String(value).trim());
+    return {
+        key: text(item.key),
+        id: text(item.id),
+        type: text(fields.issuetype && fields.issuetype.name),
+        summary: text(fields.summary),
+        priority: text(fields.priority && fields.priority.name),
+        start: text(fields[fieldIds.start]),
+        due: text(fields.duedate),
+        labels: (fields.labels || []).map(text).filter(Boolean),
+        epicRefs: [fields[fieldIds.epicLink], parent.key, parent.id].map(text).filter(Boolean),
+        epicName: text(fields[fieldIds.epicName]),
+        parentSummary: text(parent.fields && parent.fields.summary),
+    };
+}
+
+// A CSV row or flat object as [normalized header, value] pairs
+function issueFromRecord(pairs) {
+    const values = (property) =>
+        pairs
+            .filter(([column]) => COLUMNS[property].includes(column))
+            .flatMap(([, value]) => (Array.isArray(value) ? value : [value]))
+            .map((value) => String(value ?? '').trim())
+            .filter(Boolean);
+    const first = (property) => values(property)[0] || '';
+    return {
+        key: first('key'),
+        id: first('id'),
+        type: first('type'),
+        summary: first('summary'),
+        priority: first('priority'),
+        start: first('start'),
+        due: first('due'),
+        // One label per column in Jira's export; space-separated elsewhere
+        labels: values('labels')
+            .flatMap((value) => value.split(/[\s,;]+/))
+            .filter(Boolean),
+        epicRefs: [...values('epicLink'), ...values('parent')],
+        epicName: first('epicName'),
+        parentSummary: first('parentSummary'),
+    };
+}
+
+/**
+ * ISO day from a tracker date: ISO (with or without a time), Jira's
+ * "15/Mar/26 12:00 AM", or anything the builder's own date fields accept.
+ *
+ * @param {string} text
+ * @param {number} year - For dates without one
+ * @param {'start' | 'end'} edge
+ * @returns {string | null}
+ */
+export function issueDateToIso(text, year, edge) {
+    const iso = /^(\d{4}-\d{2}-\d{2})(?:[T\s]|$)/.exec(text);
+    if (iso) return storyDateToIso(iso[1], year, edge);
+    const jira = /^(\d{1,2})\/([a-z]{3})\/(\d{2}|\d{4})\b/i.exec(text);
+    if (jira) {
+        const month = MONTHS.indexOf(jira[2].toLowerCase());
+        if (month === -1) return null;
+        const fullYear = jira[3].length === 2 ? 2000 + Number(jira[3]) : Number(jira[3]);
+        return storyDateToIso(
+            `${fullYear}-${String(month + 1).padStart(2, '0')}-${jira[1].padStart(2, '0')}`,
+            year,
+            edge
+        );
+    }
+    return storyDateToIso(text, year, edge);
+}
+
+/**
+ * @typedef {object} IssueImportResult
+ * @property {object} teamData - A copy of the roadmap with the issues applied
+ * @property {number} added - New stories
+ * @property {number} updated - Existing stories (matched by issueKey) that changed
+ * @property {number} unchanged - Existing stories the export had nothing new for
+ * @property {number} skipped - Sub-tasks, which aren't roadmap stories
+ * @property {Array<{ key: string, message: string }>} warnings
+ */
+
+/**
+ * Apply issues to a roadmap.
+ *
+ * @param {object} teamData - Left as it is
+ * @param {Issue[]} issues
+ * @returns {IssueImportResult}
+ */
+export function importIssues(teamData, issues) {
+    const result = JSON.parse(JSON.stringify(teamData));
+    result.epics = result.epics || [];
+    const year = Number(result.roadmapYear) || new Date().getFullYear();
+    const warnings = [];
+    let added = 0;
+    let updated = 0;
+    let unchanged = 0;
+    let skipped = 0;
+
+    let nextEpicNumber = maxIdNumber(
+        result.epics.map((e) => e.epicId),
+        '0xE'
+    );
+    let nextStoryNumber = maxIdNumber(
+        result.epics.flatMap((e) => (e.stories || []).map((s) => s.storyId)),
+        '0x5'
+    );
+
+    // Epic issues in the export, by key and by id
+    const epicIssues = new Map();
+    for (const issue of issues.filter(isEpic)) {
+        if (issue.key) epicIssues.set(issue.key, issue);
+        if (issue.id) epicIssues.set(issue.id, issue);
+    }
+
+    function findOrAddEpic({ key, name }) {
+        let epic = key && result.epics.find((e) => e.issueKey === key);
+        if (epic) {
+            epic.name = name;
+            return epic;
+        }
+        epic = result.epics.find(
+            (e) =>
+                String(e.name || '').toLowerCase() === name.toLowerCase() && (!key || !e.issueKey)
+        );
+        if (!epic) {
+            epic = { name, epicId: hexId('0xE', ++nextEpicNumber), stories: [] };
+            result.epics.push(epic);
+        }
+        if (key) epic.issueKey = key;
+        epic.stories = epic.stories || [];
+        return epic;
+    }
+
+    // The epic a story belongs in: the epic issue when it's in the export,
+    // otherwise whatever the story says about it; null when it has none
+    function epicFor(issue) {
+        const ref = issue.epicRefs.find((r) => epicIssues.has(r));
+        if (ref) {
+            const epicIssue = epicIssues.get(ref);
+            return {
+                key: epicIssue.key,
+                name: epicIssue.epicName || epicIssue.summary || epicIssue.key,
+            };
+        }
+        const [other] = issue.epicRefs;
+        if (!other && !issue.parentSummary) return null;
+        const key = /^[A-Z][A-Z0-9_]*-\d+$/.test(other || '') ? other : '';
+        return { key, name: issue.parentSummary || other };
+    }
+
+    for (const issue of issues.filter(isEpic)) {
+        if (issue.key)
+            findOrAddEpic({ key: issue.key, name: issue.epicName || issue.summary || issue.key });
+    }
+
+    for (const issue of issues) {
+        if (isEpic(issue)) continue;
+        if (isSubtask(issue)) {
+            skipped++;
+            continue;
+        }
+        const warn = (message) =>
+            warnings.push({ key: issue.key || issue.summary || '(no key)', message });
+        if (!issue.key) {
+            warn('No issue key - skipped');
+            continue;
+        }
+        if (!issue.summary) {
+            warn('No summary - skipped');
+            continue;
+        }
+
+        const fields = storyFields(issue, year, warn);
+        const epicRef = epicFor(issue);
+        const located = findStoryByKey(result.epics, issue.key);
+
+        if (located) {
+            const { epic, story } = located;
+            const before = JSON.stringify(story);
+            applyFields(story, fields);
+            let moved = false;
+            if (epicRef) {
+                const target = findOrAddEpic(epicRef);
+                if (target !== epic) {
+                    epic.stories.splice(epic.stories.indexOf(story), 1);
+                    target.stories.push(story);
+                    moved = true;
+                }
+            }
+            if (moved || JSON.stringify(story) !== before) updated++;
+            else unchanged++;
+        } else {
+            const story = {
+                title: issue.summary,
+                storyId: hexId('0x5', ++nextStoryNumber),
+                issueKey: issue.key,
+            };
+            applyFields(story, fields);
+            findOrAddEpic(epicRef || { key: '', name: NO_EPIC }).stories.push(story);
+            added++;
+        }
+    }
+
+    return { teamData: result, added, updated, unchanged, skipped, warnings };
+}
+
+// The story fields an issue sets; the ones it leaves out are absent
+function storyFields(issue, year, warn) {
+    const fields = { title: issue.summary };
+
+    const start = issue.start && issueDateToIso(issue.start, year, 'start');
+    const end = issue.due && issueDateToIso(issue.due, year, 'end');
+    if (issue.start && !start) warn(`Start date "${issue.start}" is not a date`);
+    if (issue.due && !end) warn(`Due date "${issue.due}" is not a date`);
+    if (start) fields.startDate = isoToEuropean(start);
+    if (end) fields.endDate = isoToEuropean(end);
+    if (start && end && end < start)
+        warn(`Due date ${fields.endDate} is before the start ${fields.startDate}`);
+
+    const priority =
+        PRIORITY_NAMES[issue.priority.toLowerCase()] ||
+        issue.labels.map(labelPriority).find(Boolean);
+    if (priority) fields.priority = priority;
+    else if (issue.priority) warn(`Priority "${issue.priority}" has no roadmap equivalent`);
+
+    const countries = [];
+    for (const label of issue.labels) {
+        const country = findCountry(label.replace(/[-_]+/g, ' '));
+        if (country && !countries.includes(country.name)) countries.push(country.name);
+    }
+    // Global and individual countries don't mix; the countries win, as in the form
+    const global = COUNTRIES.find((c) => c.code === GLOBAL_COUNTRY_CODE).name;
+    if (countries.length)
+        fields.countryFlags =
+            countries.length > 1 ? countries.filter((c) => c !== global) : countries;
+
+    return fields;
+}
+
+// "priority-high", "prio_low", "High" -> the roadmap priority
+function labelPriority(label) {
+    const match = /^(?:prio(?:rity)?[-_:]?)?(high|medium|low)$/i.exec(label);
+    return match ? match[1][0].toUpperCase() + match[1].slice(1).toLowerCase() : '';
+}
+
+function applyFields(story, fields) {
+    // An exact date replaces a month-only start or end
+    if (fields.startDate) delete story.startMonth;
+    if (fields.endDate) delete story.endMonth;
+    Object.assign(story, fields);
+}
+
+function findStoryByKey(epics, key) {
+    for (const epic of epics) {
+        const story = (epic.stories || []).find((s) => s.issueKey === key);
+        if (story) return { epic, story };
+    }
+    return null;
+}
+
+function maxIdNumber(ids, prefix) {
+    return ids.reduce((max, id) => {
+        const n = String(id || '').startsWith(prefix)
+            ? parseInt(String(id).slice(prefix.length), 16)
+            : NaN;
+        return Number.isNaN(n) ? max : Math.max(max, n);
+    }, 0);
+}
+
+// Same shape as the builder's ids: 0xE0000001 for epics, 0x50000001 for stories
+function hexId(prefix, n) {
+    return `${prefix}${n.toString(16).padStart(7, '0').toUpperCase()}`;
+}
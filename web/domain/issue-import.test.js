@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseIssueExport, issueDateToIso, importIssues, NO_EPIC } from './issue-import.js';
+
+const CSV = [
+    'Summary,Issue key,Issue id,Issue Type,Priority,Due date,Labels,Labels,Custom field (Start date),Parent,Parent summary',
+    'Card issuing,PAY-1,10001,Epic,Medium,,,,,,',
+    'Cards in Spain,PAY-7,10007,Story,Highest,15/Mar/26 12:00 AM,spain,united-kingdom,2026-02-01,10001,Card issuing',
+    'Write tests,PAY-8,10008,Sub-task,,,,,,10007,Cards in Spain',
+    'Loose end,PAY-9,10009,Task,Whenever,soon,priority-low,backend,,,',
+].join('\n');
+
+test('Jira CSV columns are read, including repeated Labels', () => {
+    const [epic, story, subtask, task] = parseIssueExport(CSV);
+    assert.equal(epic.type, 'Epic');
+    assert.deepEqual(story, {
+        key: 'PAY-7',
+        id: '10007',
+        type: 'Story',
+        summary: 'Cards in Spain',
+        priority: 'Highest',
+        start: '2026-02-01',
+        due: '15/Mar/26 12:00 AM',
+        labels: ['spain', 'united-kingdom'],
+        epicRefs: ['10001'],
+        epicName: '',
+        parentSummary: 'Card issuing',
+    });
+    assert.equal(subtask.type, 'Sub-task');
+    assert.deepEqual(task.labels, ['priority-low', 'backend']);
+    assert.throws(() => parseIssueExport('Summary,Status\nX,Done'), /Issue key/);
+});
+
+test('Jira JSON finds custom fields through the names map', () => {
+    const [issue] = parseIssueExport(
+        JSON.stringify({
+            names: { customfield_20001: 'Start date', customfield_20002: 'Epic Link' },
+            issues: [
+                {
+                    key: 'PAY-7',
+                    id: '10007',
+                    fields: {
+                        summary: 'Cards in Spain',
+                        issuetype: { name: 'Story' },
+                        priority: { name: 'Low' },
+                        duedate: '2026-03-15',
+                        labels: ['ES'],
+                        customfield_20001: '2026-02-01',
+                        customfield_20002: 'PAY-1',
+                    },
+                },
+            ],
+        })
+    );
+    assert.deepEqual(
+        [issue.start, issue.due, issue.priority, issue.epicRefs],
+        ['2026-02-01', '2026-03-15', 'Low', ['PAY-1']]
+    );
+    // Flat objects use the CSV header names
+    const [flat] = parseIssueExport(
+        '[{"Issue key": "OPS-2", "Summary": "Rotate keys", "Labels": ["uk"], "Epic Link": "OPS-1"}]'
+    );
+    assert.deepEqual([flat.key, flat.labels, flat.epicRefs], ['OPS-2', ['uk'], ['OPS-1']]);
+});
+
+test('tracker dates become ISO days', () => {
+    assert.equal(issueDateToIso('15/Mar/26 12:00 AM', 2026, 'end'), '2026-03-15');
+    assert.equal(issueDateToIso('2026-02-01T09:30:00.000+0000', 2026, 'start'), '2026-02-01');
+    assert.equal(issueDateToIso('Apr', 2027, 'end'), '2027-04-30');
+    assert.equal(issueDateToIso('31/Foo/26', 2026, 'end'), null);
+});
+
+test('issues become stories grouped under their epics', () => {
+    const roadmap = {
+        roadmapYear: 2026,
+        teamName: 'Payments',
+        epics: [
+            {
+                name: 'Card issuing',
+                epicId: '0xE0000003',
+                stories: [{ title: 'Hand-made', storyId: '0x50000004' }],
+            },
+        ],
+    };
+    const result = importIssues(roadmap, parseIssueExport(CSV));
+
+    assert.equal(roadmap.epics[0].stories.length, 1, 'the roadmap passed in is untouched');
+    assert.deepEqual(
+        [result.added, result.updated, result.unchanged, result.skipped],
+        [2, 0, 0, 1]
+    );
+    assert.deepEqual(
+        result.teamData.epics.map((e) => [e.name, e.epicId, e.issueKey, e.stories.length]),
+        [
+            ['Card issuing', '0xE0000003', 'PAY-1', 2],
+            [NO_EPIC, '0xE0000004', undefined, 1],
+        ]
+    );
+    assert.deepEqual(result.teamData.epics[0].stories[1], {
+        title: 'Cards in Spain',
+        storyId: '0x50000005',
+        issueKey: 'PAY-7',
+        startDate: '01/02/26',
+        endDate: '15/03/26',
+        priority: 'High',
+        countryFlags: ['Spain', 'UK'],
+    });
+    assert.deepEqual(result.teamData.epics[1].stories[0], {
+        title: 'Loose end',
+        storyId: '0x50000006',
+        issueKey: 'PAY-9',
+        priority: 'Low',
+    });
+    assert.deepEqual(result.warnings, [{ key: 'PAY-9', message: 'Due date "soon" is not a date' }]);
+});
+
+test('importing again updates stories by key instead of adding copies', () => {
+    const first = importIssues({ roadmapYear: 2026, epics: [] }, parseIssueExport(CSV)).teamData;
+    // Edits made in the builder since the first import
+    first.epics[0].stories[0].bullets = ['Kept'];
+    first.epics[0].name = 'Renamed locally';
+
+    const again = [
+        'Summary,Issue key,Issue Type,Due date,Epic Link,Labels',
+        'Card issuing v2,PAY-1,Epic,,,',
+        'Cards in Spain and Italy,PAY-7,Story,Apr,PAY-1,italy',
+        'Loose end,PAY-9,Task,,PAY-1,priority-low',
+        'Loose end,PAY-9,Task,,PAY-1,priority-low',
+        'New thing,PAY-10,Story,,OPS-4,',
+    ].join('\n');
+    const result = importIssues(first, parseIssueExport(again));
+
+    assert.deepEqual([result.added, result.updated, result.unchanged], [1, 2, 1]);
+    const epics = result.teamData.epics;
+    assert.deepEqual(
+        epics.map((e) => [e.name, e.stories.map((s) => s.issueKey)]),
+        [
+            ['Card issuing v2', ['PAY-7', 'PAY-9']],
+            [NO_EPIC, []],
+            ['OPS-4', ['PAY-10']],
+        ]
+    );
+    assert.deepEqual(epics[0].stories[0], {
+        title: 'Cards in Spain and Italy',
+        storyId: '0x50000001',
+        issueKey: 'PAY-7',
+        startDate: '01/02/26',
+        endDate: '30/04/26',
+        priority: 'High',
+        countryFlags: ['Italy'],
+        bullets: ['Kept'],
+    });
+    assert.equal(epics[2].issueKey, 'OPS-4');
+});
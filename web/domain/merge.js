@@ -0,0 +1,319 @@
+// Three-way merge of roadmap teamData. Given the version both sides started
+// from (base) and two edited copies (ours / theirs), combine every change
+// that doesn't overlap and report the ones that do, field by field.
+//
+// Identity comes from the hex ids the builder assigns (epicId, storyId), so
+// reordering, renaming and moving stories between positions all line up.
+// KTLO months are keyed by month name. Timeline-change entries and the
+// array form of infoInfo are merged as sets: additions from either side are
+// kept, removals from either side are applied. Everything else is merged
+// recursively per object key; a scalar (or unkeyed array) edited differently
+// on both sides is a conflict.
+//
+// The merged document always holds *our* value at a conflicting field (and
+// keeps an item that one side deleted and the other edited), so it is usable
+// as-is. resolveConflicts() applies the user's per-field choices on top.
+
+/**
+ * A path segment is an object key, or an item in a keyed array.
+ *
+ * @typedef {string | { key: string, id: string }} PathSegment
+ */
+
+/**
+ * @typedef {object} MergeConflict
+ * @property {PathSegment[]} path - Location of the field in the merged document
+ * @property {string} label - Human-readable location, e.g. 'Epic "Payments" › Story "Checkout" › endDate'
+ * @property {*} base - Value both sides started from (undefined when absent)
+ * @property {*} ours - Our value (undefined when we deleted it)
+ * @property {*} theirs - Their value (undefined when they deleted it)
+ */
+
+/**
+ * @typedef {object} MergeResult
+ * @property {object} merged - Merged teamData; conflicting fields hold our value
+ * @property {MergeConflict[]} conflicts
+ */
+
+// Arrays whose items carry a stable identity, by field name.
+const KEYED_ARRAYS = Object.freeze({
+    epics: 'epicId',
+    stories: 'storyId',
+    monthlyData: 'month',
+});
+
+// Arrays merged as unordered sets of entries.
+const SET_ARRAYS = new Set(['changes', 'infoInfo']);
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Structural equality for JSON values. Object key order is ignored;
+ * a missing key equals an undefined one.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function deepEqual(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) || Array.isArray(b)) {
+        if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+        return a.every((item, i) => deepEqual(item, b[i]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        for (const key of keys) {
+            if (!deepEqual(a[key], b[key])) return false;
+        }
+        return true;
+    }
+    return false;
+}
+
+function stableKey(value) {
+    if (Array.isArray(value)) return `[${value.map(stableKey).join(',')}]`;
+    if (isPlainObject(value)) {
+        return `{${Object.keys(value)
+            .sort()
+            .filter((k) => value[k] !== undefined)
+            .map((k) => `${JSON.stringify(k)}:${stableKey(value[k])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function itemLabel(field, item) {
+    if (field === 'epics') return `Epic "${item.name || item.epicId}"`;
+    if (field === 'stories') return `Story "${item.title || item.storyId}"`;
+    if (field === 'monthlyData') return `KTLO ${item.month}`;
+    return String(item[KEYED_ARRAYS[field]]);
+}
+
+function joinLabel(parts) {
+    return parts.join(' › ');
+}
+
+// True when every item of every present side has a unique value for `key`.
+function hasUsableKeys(arrays, key) {
+    return arrays.every((arr) => {
+        if (arr === undefined) return true;
+        if (!Array.isArray(arr)) return false;
+        const seen = new Set();
+        for (const item of arr) {
+            if (!isPlainObject(item)) return false;
+            const id = item[key];
+            if (id === undefined || id === null || id === '' || seen.has(id)) return false;
+            seen.add(id);
+        }
+        return true;
+    });
+}
+
+function conflict(ctx, path, labelParts, base, ours, theirs) {
+    ctx.conflicts.push({
+        path: [...path],
+        label: joinLabel(labelParts),
+        base: clone(base),
+        ours: clone(ours),
+        theirs: clone(theirs),
+    });
+}
+
+function mergeValue(ctx, base, ours, theirs, path, labelParts, field) {
+    if (deepEqual(ours, theirs)) return clone(ours);
+    if (deepEqual(base, ours)) return clone(theirs);
+    if (deepEqual(base, theirs)) return clone(ours);
+
+    const key = KEYED_ARRAYS[field];
+    if (key && hasUsableKeys([base, ours, theirs], key)) {
+        return mergeKeyedArray(
+            ctx,
+            base || [],
+            ours || [],
+            theirs || [],
+            key,
+            path,
+            labelParts,
+            field
+        );
+    }
+    if (
+        SET_ARRAYS.has(field) &&
+        [base, ours, theirs].every((v) => v === undefined || Array.isArray(v))
+    ) {
+        return mergeSetArray(base || [], ours || [], theirs || []);
+    }
+    if (
+        isPlainObject(ours) &&
+        isPlainObject(theirs) &&
+        (base === undefined || isPlainObject(base))
+    ) {
+        return mergeObject(ctx, base || {}, ours, theirs, path, labelParts);
+    }
+
+    conflict(ctx, path, labelParts, base, ours, theirs);
+    return clone(ours);
+}
+
+function mergeObject(ctx, base, ours, theirs, path, labelParts) {
+    const result = {};
+    // Our key order first, then keys only they have.
+    const keys = [...new Set([...Object.keys(ours), ...Object.keys(theirs)])];
+    for (const k of keys) {
+        const value = mergeValue(
+            ctx,
+            base[k],
+            ours[k],
+            theirs[k],
+            [...path, k],
+            [...labelParts, k],
+            k
+        );
+        if (value !== undefined) result[k] = value;
+    }
+    return result;
+}
+
+function mergeKeyedArray(ctx, base, ours, theirs, key, path, labelParts, field) {
+    const byId = (arr) => new Map(arr.map((item) => [item[key], item]));
+    const baseMap = byId(base);
+    const oursMap = byId(ours);
+    const theirsMap = byId(theirs);
+
+    // Our order, then their additions slotted in after the item that
+    // precedes them in their copy.
+    const order = ours.map((item) => item[key]);
+    let anchor = -1;
+    for (const item of theirs) {
+        const id = item[key];
+        const at = order.indexOf(id);
+        if (at !== -1) {
+            anchor = at;
+        } else if (!baseMap.has(id)) {
+            order.splice(anchor + 1, 0, id);
+            anchor += 1;
+        }
+    }
+    // Items we deleted that they kept stay in play until decided below;
+    // put them back roughly where they were.
+    for (const item of theirs) {
+        const id = item[key];
+        if (!order.includes(id) && baseMap.has(id)) order.push(id);
+    }
+
+    const result = [];
+    for (const id of order) {
+        const b = baseMap.get(id);
+        const o = oursMap.get(id);
+        const t = theirsMap.get(id);
+        const segment = { key, id };
+        const itemPath = [...path, segment];
+        // The item label replaces the array's field name ('stories').
+        const itemLabelParts = [...labelParts.slice(0, -1), itemLabel(field, o || t || b)];
+
+        if (o && t) {
+            result.push(mergeObject(ctx, b || {}, o, t, itemPath, itemLabelParts));
+        } else if (o) {
+            // They deleted it (or never had it). A deletion wins unless we
+            // edited the item since base.
+            if (!b) result.push(clone(o));
+            else if (!deepEqual(b, o)) {
+                conflict(ctx, itemPath, itemLabelParts, b, o, undefined);
+                result.push(clone(o));
+            }
+        } else if (t) {
+            if (!b) result.push(clone(t));
+            else if (!deepEqual(b, t)) {
+                conflict(ctx, itemPath, itemLabelParts, b, undefined, t);
+                result.push(clone(t));
+            }
+        }
+    }
+    return result;
+}
+
+function mergeSetArray(base, ours, theirs) {
+    const baseKeys = new Set(base.map(stableKey));
+    const oursKeys = new Set(ours.map(stableKey));
+    const theirsKeys = new Set(theirs.map(stableKey));
+    const result = [];
+    const seen = new Set();
+    for (const item of ours) {
+        const k = stableKey(item);
+        if (seen.has(k)) continue;
+        // Drop entries they removed.
+        if (baseKeys.has(k) && !theirsKeys.has(k)) continue;
+        seen.add(k);
+        result.push(clone(item));
+    }
+    for (const item of theirs) {
+        const k = stableKey(item);
+        if (seen.has(k) || baseKeys.has(k) || oursKeys.has(k)) continue;
+        seen.add(k);
+        result.push(clone(item));
+    }
+    return result;
+}
+
+/**
+ * Three-way merge of two edited copies of a roadmap.
+ *
+ * @param {object|null} base - teamData both copies were edited from. Pass
+ *        null when unknown; every differing field then becomes a conflict.
+ * @param {object} ours
+ * @param {object} theirs
+ * @returns {MergeResult}
+ */
+export function mergeTeamData(base, ours, theirs) {
+    const ctx = { conflicts: [] };
+    const merged = mergeValue(ctx, base ?? undefined, ours, theirs, [], [], '') ?? {};
+    return { merged, conflicts: ctx.conflicts };
+}
+
+function findChild(container, segment) {
+    if (typeof segment === 'string') return container[segment];
+    return Array.isArray(container)
+        ? container.find((item) => item && item[segment.key] === segment.id)
+        : undefined;
+}
+
+/**
+ * Apply per-conflict choices to a merged document.
+ *
+ * @param {object} merged - MergeResult.merged (not modified)
+ * @param {MergeConflict[]} conflicts
+ * @param {Array<'ours' | 'theirs'>} choices - One per conflict, same order.
+ *        Missing entries keep our side.
+ * @returns {object} New teamData
+ */
+export function resolveConflicts(merged, conflicts, choices) {
+    const result = clone(merged);
+    conflicts.forEach((c, i) => {
+        if (!c.path.length) return;
+        const value = choices[i] === 'theirs' ? c.theirs : c.ours;
+        let parent = result;
+        for (const segment of c.path.slice(0, -1)) {
+            parent = parent == null ? undefined : findChild(parent, segment);
+        }
+        if (parent == null) return;
+        const last = c.path[c.path.length - 1];
+        if (typeof last === 'string') {
+            if (value === undefined) delete parent[last];
+            else parent[last] = clone(value);
+            return;
+        }
+        // Keyed item: undefined means that side deleted it.
+        const idx = parent.findIndex((item) => item && item[last.key] === last.id);
+        if (idx === -1) return;
+        if (value === undefined) parent.splice(idx, 1);
+        else parent[idx] = clone(value);
+    });
+    return result;
+}
@@ -0,0 +1,225 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { deepEqual, mergeTeamData, resolveConflicts } from './merge.js';
+import { CURRENT_FORMAT_VERSION, readRoadmapFile } from './migrations.js';
+
+function story(storyId, extra = {}) {
+    return {
+        title: `Story ${storyId}`,
+        storyId,
+        startMonth: 'JAN',
+        endMonth: 'MAR',
+        bullets: [],
+        ...extra,
+    };
+}
+
+function roadmap(stories, extra = {}) {
+    return {
+        teamName: 'Payments',
+        roadmapYear: 2025,
+        epics: [{ name: 'Checkout', epicId: '0xE1', stories }],
+        ...extra,
+    };
+}
+
+test('deepEqual ignores key order and treats missing as undefined', () => {
+    assert.equal(deepEqual({ a: 1, b: [1, 2] }, { b: [1, 2], a: 1 }), true);
+    assert.equal(deepEqual({ a: 1, b: undefined }, { a: 1 }), true);
+    assert.equal(deepEqual([1, 2], [2, 1]), false);
+});
+
+test('edits to different stories merge cleanly', () => {
+    const base = roadmap([story('0x51'), story('0x52')]);
+    const ours = roadmap([story('0x51', { endMonth: 'APR' }), story('0x52')]);
+    const theirs = roadmap([story('0x51'), story('0x52', { title: 'Renamed' })]);
+
+    const { merged, conflicts } = mergeTeamData(base, ours, theirs);
+    assert.deepEqual(conflicts, []);
+    assert.equal(merged.epics[0].stories[0].endMonth, 'APR');
+    assert.equal(merged.epics[0].stories[1].title, 'Renamed');
+});
+
+test('different fields of the same story merge cleanly', () => {
+    const base = roadmap([story('0x51')]);
+    const ours = roadmap([
+        story('0x51', {
+            isDone: true,
+            roadmapChanges: { doneInfo: { date: '01/03/25', notes: 'shipped' } },
+        }),
+    ]);
+    const theirs = roadmap([story('0x51', { priority: 'P1' })]);
+
+    const { merged, conflicts } = mergeTeamData(base, ours, theirs);
+    assert.deepEqual(conflicts, []);
+    const s = merged.epics[0].stories[0];
+    assert.equal(s.isDone, true);
+    assert.equal(s.priority, 'P1');
+    assert.equal(s.roadmapChanges.doneInfo.notes, 'shipped');
+});
+
+test('stories are matched by storyId, not position', () => {
+    const base = roadmap([story('0x51'), story('0x52')]);
+    const ours = roadmap([story('0x52'), story('0x51')]);
+    const theirs = roadmap([story('0x51', { endMonth: 'JUN' }), story('0x52')]);
+
+    const { merged, conflicts } = mergeTeamData(base, ours, theirs);
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(
+        merged.epics[0].stories.map((s) => s.storyId),
+        ['0x52', '0x51']
+    );
+    assert.equal(merged.epics[0].stories[1].endMonth, 'JUN');
+});
+
+test('stories added on both sides are all kept', () => {
+    const base = roadmap([story('0x51')]);
+    const ours = roadmap([story('0x51'), story('0x52')]);
+    const theirs = roadmap([story('0x53'), story('0x51')]);
+
+    const { merged, conflicts } = mergeTeamData(base, ours, theirs);
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(
+        merged.epics[0].stories.map((s) => s.storyId),
+        ['0x53', '0x51', '0x52']
+    );
+});
+
+test('an untouched story deleted on one side is removed', () => {
+    const base = roadmap([story('0x51'), story('0x52')]);
+    const ours = roadmap([story('0x51'), story('0x52', { priority: 'P2' })]);
+    const theirs = roadmap([story('0x52')]);
+
+    const { merged, conflicts } = mergeTeamData(base, ours, theirs);
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(
+        merged.epics[0].stories.map((s) => s.storyId),
+        ['0x52']
+    );
+    assert.equal(merged.epics[0].stories[0].priority, 'P2');
+});
+
+test('timeline changes from both sides are combined', () => {
+    const slip = (date, newEndDate) => ({
+        date,
+        prevEndDate: '31/03/25',
+        newEndDate,
+        description: 'slip',
+    });
+    const base = roadmap([
+        story('0x51', { roadmapChanges: { changes: [slip('01/02/25', '15/04/25')] } }),
+    ]);
+    const ours = roadmap([
+        story('0x51', {
+            roadmapChanges: {
+                changes: [slip('01/02/25', '15/04/25'), slip('01/03/25', '30/04/25')],
+            },
+        }),
+    ]);
+    const theirs = roadmap([
+        story('0x51', {
+            roadmapChanges: {
+                changes: [slip('01/02/25', '15/04/25'), slip('05/03/25', '31/05/25')],
+            },
+        }),
+    ]);
+
+    const { merged, conflicts } = mergeTeamData(base, ours, theirs);
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(
+        merged.epics[0].stories[0].roadmapChanges.changes.map((c) => c.date),
+        ['01/02/25', '01/03/25', '05/03/25']
+    );
+});
+
+test('the same field edited differently is a conflict holding our value', () => {
+    const base = roadmap([story('0x51')]);
+    const ours = roadmap([story('0x51', { endMonth: 'APR' })]);
+    const theirs = roadmap([story('0x51', { endMonth: 'MAY' })]);
+
+    const { merged, conflicts } = mergeTeamData(base, ours, theirs);
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].label, 'Epic "Checkout" › Story "Story 0x51" › endMonth');
+    assert.equal(conflicts[0].base, 'MAR');
+    assert.equal(conflicts[0].ours, 'APR');
+    assert.equal(conflicts[0].theirs, 'MAY');
+    assert.equal(merged.epics[0].stories[0].endMonth, 'APR');
+});
+
+test('delete vs edit is a conflict and the item is kept until resolved', () => {
+    const base = roadmap([story('0x51'), story('0x52')]);
+    const ours = roadmap([story('0x52')]);
+    const theirs = roadmap([story('0x51', { title: 'Edited' }), story('0x52')]);
+
+    const { merged, conflicts } = mergeTeamData(base, ours, theirs);
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].ours, undefined);
+    assert.equal(conflicts[0].theirs.title, 'Edited');
+    assert.equal(merged.epics[0].stories.length, 2);
+
+    const keepDeleted = resolveConflicts(merged, conflicts, ['ours']);
+    assert.deepEqual(
+        keepDeleted.epics[0].stories.map((s) => s.storyId),
+        ['0x52']
+    );
+    const keepEdited = resolveConflicts(merged, conflicts, ['theirs']);
+    assert.equal(keepEdited.epics[0].stories.find((s) => s.storyId === '0x51').title, 'Edited');
+});
+
+test('resolveConflicts applies per-field choices without touching the input', () => {
+    const base = roadmap([story('0x51')], { teamName: 'A' });
+    const ours = roadmap([story('0x51', { endMonth: 'APR' })], { teamName: 'B' });
+    const theirs = roadmap([story('0x51', { endMonth: 'MAY' })], { teamName: 'C' });
+
+    const { merged, conflicts } = mergeTeamData(base, ours, theirs);
+    assert.equal(conflicts.length, 2);
+    const choices = conflicts.map((c) => (c.label === 'teamName' ? 'ours' : 'theirs'));
+    const resolved = resolveConflicts(merged, conflicts, choices);
+    assert.equal(resolved.teamName, 'B');
+    assert.equal(resolved.epics[0].stories[0].endMonth, 'MAY');
+    assert.equal(merged.epics[0].stories[0].endMonth, 'APR');
+});
+
+test('stories without ids fall back to whole-list comparison', () => {
+    const base = roadmap([{ title: 'a' }]);
+    const ours = roadmap([{ title: 'b' }]);
+    const theirs = roadmap([{ title: 'c' }]);
+
+    const { conflicts } = mergeTeamData(base, ours, theirs);
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].label, 'Epic "Checkout" › stories');
+});
+
+test('a saved and reloaded roadmap merges with the copy on disk by its saved IDs', () => {
+    const saved = {
+        teamName: 'Payments',
+        roadmapYear: 2025,
+        epics: [
+            {
+                name: 'Checkout',
+                epicId: '0xE0000001',
+                stories: [story('0x50000001'), story('0x50000002')],
+            },
+            { name: 'Issuing', epicId: '0xE0000002', stories: [story('0x50000003')] },
+        ],
+    };
+    const file = JSON.stringify({ version: CURRENT_FORMAT_VERSION, created: '', teamData: saved });
+    // The editor reloads the file and edits one epic; someone else edits the other
+    const base = readRoadmapFile(file).doc.teamData;
+    const ours = readRoadmapFile(file).doc.teamData;
+    ours.epics[0].stories[1].endMonth = 'JUN';
+    const theirs = readRoadmapFile(file).doc.teamData;
+    theirs.epics[1].stories.push(story('0x50000004'));
+
+    const { merged, conflicts } = mergeTeamData(base, ours, theirs);
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(
+        merged.epics.map((e) => [e.epicId, e.stories.map((s) => s.storyId)]),
+        [
+            ['0xE0000001', ['0x50000001', '0x50000002']],
+            ['0xE0000002', ['0x50000003', '0x50000004']],
+        ]
+    );
+    assert.equal(merged.epics[0].stories[1].endMonth, 'JUN');
+});
@@ -0,0 +1,243 @@
+// Roadmap file format versions and the steps between them. Every reader
+// (builder load paths, the IMO folder scan) runs a parsed file through
+// migrateRoadmapFile() so the rest of the app only ever sees the current
+// format; saves stamp CURRENT_FORMAT_VERSION.
+//
+// Each migration upgrades exactly one version to the next and is applied in
+// order, so a file from any older version is walked forward step by step.
+// To change the format: bump CURRENT_FORMAT_VERSION, append a migration
+// from the previous version, and never edit a migration that has shipped.
+//
+// The steps a file went through are appended to its envelope's
+// `migrations` list, which saves carry forward, so an upgraded file keeps a
+// record of when and how it changed format.
+//
+// History:
+//   (none) - teamData at the root of the file, no envelope.
+//   1.0    - { version, created, teamData } envelope. Dates may still be
+//            yearless ("15/03" meaning the roadmap year).
+//   1.1    - Every date carries its year.
+
+import { assertValidRoadmapFile } from './schema.js';
+
+/** Format version written by this build. */
+export const CURRENT_FORMAT_VERSION = '1.1';
+
+// Files written before the version field existed.
+const UNVERSIONED = '0';
+
+/**
+ * @typedef {object} Migration
+ * @property {string} from - Version this step reads
+ * @property {string} to - Version it produces
+ * @property {string} description - Shown in logs / the migration record
+ * @property {(doc: any, options: MigrationOptions) => void} up - Upgrades `doc` in place
+ */
+
+/**
+ * @typedef {object} MigrationOptions
+ * @property {number} [fallbackYear] - Year for yearless dates when the file
+ *           has no roadmapYear (defaults to the current year)
+ * @property {Date} [now] - When the migrations ran, for the record (default: now)
+ */
+
+/**
+ * @typedef {object} AppliedMigration
+ * @property {string} from
+ * @property {string} to
+ * @property {string} description
+ */
+
+/**
+ * @typedef {object} MigrationRecord - An entry of the envelope's `migrations`
+ * @property {string} from
+ * @property {string} to
+ * @property {string} description
+ * @property {string} migratedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {object} MigrationResult
+ * @property {any} doc - The file in the current format (a copy; the input is not
+ *           modified), with the steps that ran added to its `migrations`
+ * @property {string} fromVersion - Version the file was in before migrating
+ * @property {AppliedMigration[]} applied - Steps that ran, oldest first
+ */
+
+const INFO_FIELDS = [
+    'doneInfo',
+    'cancelInfo',
+    'atRiskInfo',
+    'newStoryInfo',
+    'transferredOutInfo',
+    'transferredInInfo',
+    'proposedInfo',
+];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// "15/03" or "15-03" -> "15/03/2026". Anything else is left alone.
+function addYear(value, year) {
+    if (typeof value !== 'string' || !/^\d{1,2}[/-]\d{1,2}$/.test(value)) return value;
+    return `${value.replace(/-/g, '/')}/${year}`;
+}
+
+function addYearToDates(teamData, year) {
+    const fixInfo = (info) => {
+        if (isPlainObject(info) && info.date) info.date = addYear(info.date, year);
+    };
+    for (const epic of Array.isArray(teamData.epics) ? teamData.epics : []) {
+        if (!isPlainObject(epic) || !Array.isArray(epic.stories)) continue;
+        for (const story of epic.stories) {
+            if (!isPlainObject(story)) continue;
+            if (story.startDate) story.startDate = addYear(story.startDate, year);
+            if (story.endDate) story.endDate = addYear(story.endDate, year);
+
+            const changes = story.roadmapChanges;
+            if (!isPlainObject(changes)) continue;
+            for (const change of Array.isArray(changes.changes) ? changes.changes : []) {
+                if (!isPlainObject(change)) continue;
+                for (const field of ['date', 'prevEndDate', 'newEndDate']) {
+                    if (change[field]) change[field] = addYear(change[field], year);
+                }
+            }
+            INFO_FIELDS.forEach((field) => fixInfo(changes[field]));
+            // infoInfo is a list of entries, or a single one in older files.
+            if (Array.isArray(changes.infoInfo)) changes.infoInfo.forEach(fixInfo);
+            else fixInfo(changes.infoInfo);
+        }
+    }
+}
+
+/** @type {ReadonlyArray<Migration>} */
+export const MIGRATIONS = Object.freeze([
+    {
+        from: UNVERSIONED,
+        to: '1.0',
+        description: 'Wrap team data in the { version, created, teamData } envelope',
+        up(doc) {
+            if (doc.teamData !== undefined) return;
+            const teamData = { ...doc };
+            for (const key of Object.keys(doc)) delete doc[key];
+            doc.teamData = teamData;
+        },
+    },
+    {
+        from: '1.0',
+        to: '1.1',
+        description: 'Add the roadmap year to yearless dates',
+        up(doc, { fallbackYear = new Date().getFullYear() }) {
+            if (!isPlainObject(doc.teamData)) return;
+            addYearToDates(doc.teamData, doc.teamData.roadmapYear || fallbackYear);
+        },
+    },
+]);
+
+/**
+ * Split "1.10" into [1, 10]. Returns null for anything that isn't a
+ * dotted list of integers.
+ *
+ * @param {string} version
+ * @returns {number[] | null}
+ */
+function parseVersion(version) {
+    if (typeof version !== 'string' || !/^\d+(\.\d+)*$/.test(version)) return null;
+    return version.split('.').map(Number);
+}
+
+/**
+ * Compare two format versions numerically ("1.10" is after "1.9").
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+export function compareVersions(a, b) {
+    const pa = parseVersion(a) || [];
+    const pb = parseVersion(b) || [];
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Bring a parsed roadmap file up to CURRENT_FORMAT_VERSION.
+ *
+ * Values that aren't roadmap objects, or carry a malformed version, are
+ * returned unchanged with nothing applied; the schema validator reports
+ * them properly.
+ *
+ * @param {*} doc - Parsed file contents
+ * @param {MigrationOptions} [options]
+ * @returns {MigrationResult}
+ * @throws {Error & { name: 'UnsupportedVersionError', version: string }}
+ *         when the file was written by a newer build
+ */
+export function migrateRoadmapFile(doc, options = {}) {
+    if (!isPlainObject(doc)) return { doc, fromVersion: UNVERSIONED, applied: [] };
+    const fromVersion = doc.version === undefined ? UNVERSIONED : doc.version;
+    if (!parseVersion(fromVersion)) return { doc, fromVersion, applied: [] };
+
+    if (compareVersions(fromVersion, CURRENT_FORMAT_VERSION) > 0) {
+        throw Object.assign(
+            new Error(
+                `This roadmap was saved in format ${fromVersion}, which is newer than this ` +
+                    `builder supports (${CURRENT_FORMAT_VERSION}). Reload the page to get the latest version.`
+            ),
+            { name: 'UnsupportedVersionError', version: fromVersion }
+        );
+    }
+
+    const migrated = JSON.parse(JSON.stringify(doc));
+    const applied = [];
+    for (const step of MIGRATIONS) {
+        // Steps below the file's version are already reflected in it.
+        if (compareVersions(step.from, fromVersion) < 0) continue;
+        step.up(migrated, options);
+        applied.push({ from: step.from, to: step.to, description: step.description });
+    }
+    if (applied.length) {
+        const migratedAt = (options.now || new Date()).toISOString();
+        const history = Array.isArray(migrated.migrations) ? migrated.migrations : [];
+        migrated.migrations = [...history, ...applied.map((m) => ({ ...m, migratedAt }))];
+    }
+    // Version first, as the builder writes it.
+    const { version: _previous, ...rest } = migrated;
+    return { doc: { version: CURRENT_FORMAT_VERSION, ...rest }, fromVersion, applied };
+}
+
+/**
+ * Parse, migrate and validate a roadmap file in one go - what every load
+ * path wants. Callers get the file in the current format and the list of
+ * migrations it needed.
+ *
+ * @param {string | object} raw - File text, or already-parsed JSON
+ * @param {MigrationOptions} [options]
+ * @returns {MigrationResult}
+ * @throws {SyntaxError} for text that isn't JSON
+ * @throws {Error} RoadmapValidationError / UnsupportedVersionError
+ */
+export function readRoadmapFile(raw, options) {
+    const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    const result = migrateRoadmapFile(parsed, options);
+    assertValidRoadmapFile(result.doc);
+    return result;
+}
+
+/**
+ * One-line summary of the migrations a file went through, for logs.
+ *
+ * @param {AppliedMigration[]} applied
+ * @returns {string}
+ */
+export function describeMigrations(applied) {
+    if (!applied.length) return '';
+    return (
+        `upgraded from format ${applied[0].from === UNVERSIONED ? '(unversioned)' : applied[0].from} ` +
+        `to ${applied[applied.length - 1].to}: ${applied.map((m) => m.description).join('; ')}`
+    );
+}
@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    CURRENT_FORMAT_VERSION,
+    MIGRATIONS,
+    compareVersions,
+    migrateRoadmapFile,
+} from './migrations.js';
+import { validateRoadmapFile } from './schema.js';
+
+/** @returns {any} */
+function legacyTeamData() {
+    return {
+        roadmapYear: 2024,
+        teamName: 'Payments',
+        epics: [
+            {
+                name: 'Checkout',
+                stories: [
+                    {
+                        title: 'Story',
+                        startDate: '01/02',
+                        endDate: '15-03',
+                        roadmapChanges: {
+                            changes: [{ date: '01/03', prevEndDate: '28/02', newEndDate: 'MAR' }],
+                            doneInfo: { date: '20/03', notes: '' },
+                            infoInfo: [
+                                { date: '05/03', notes: 'a' },
+                                { date: '06/03/24', notes: 'b' },
+                            ],
+                        },
+                    },
+                ],
+            },
+        ],
+    };
+}
+
+test('the migration chain ends at the current version', () => {
+    for (let i = 1; i < MIGRATIONS.length; i++) {
+        assert.equal(MIGRATIONS[i].from, MIGRATIONS[i - 1].to);
+    }
+    assert.equal(MIGRATIONS[MIGRATIONS.length - 1].to, CURRENT_FORMAT_VERSION);
+});
+
+test('compareVersions compares numerically', () => {
+    assert.ok(compareVersions('1.10', '1.9') > 0);
+    assert.ok(compareVersions('1.0', '1.1') < 0);
+    assert.equal(compareVersions('1', '1.0'), 0);
+});
+
+test('an unversioned legacy file is wrapped and upgraded step by step', () => {
+    const { doc, fromVersion, applied } = migrateRoadmapFile(legacyTeamData());
+    assert.equal(fromVersion, '0');
+    assert.deepEqual(
+        applied.map((m) => `${m.from}->${m.to}`),
+        ['0->1.0', '1.0->1.1']
+    );
+    assert.equal(doc.version, CURRENT_FORMAT_VERSION);
+    assert.equal(Object.keys(doc)[0], 'version');
+    assert.equal(doc.teamData.teamName, 'Payments');
+    assert.equal(doc.roadmapYear, undefined);
+    assert.deepEqual(validateRoadmapFile(doc).errors, []);
+});
+
+test('1.0 files get the roadmap year on yearless dates', () => {
+    const { doc, applied } = migrateRoadmapFile({
+        version: '1.0',
+        created: 'x',
+        teamData: legacyTeamData(),
+    });
+    assert.deepEqual(
+        applied.map((m) => m.from),
+        ['1.0']
+    );
+    assert.equal(doc.created, 'x');
+    const story = doc.teamData.epics[0].stories[0];
+    assert.equal(story.startDate, '01/02/2024');
+    assert.equal(story.endDate, '15/03/2024');
+    assert.deepEqual(story.roadmapChanges.changes[0], {
+        date: '01/03/2024',
+        prevEndDate: '28/02/2024',
+        newEndDate: 'MAR',
+    });
+    assert.equal(story.roadmapChanges.doneInfo.date, '20/03/2024');
+    assert.deepEqual(
+        story.roadmapChanges.infoInfo.map((e) => e.date),
+        ['05/03/2024', '06/03/24']
+    );
+});
+
+test('the steps that ran are recorded in the file, after its earlier upgrades', () => {
+    const now = new Date('2026-10-19T09:00:00Z');
+    const { doc } = migrateRoadmapFile(legacyTeamData(), { now });
+    assert.deepEqual(
+        doc.migrations.map((m) => [m.from, m.to, m.migratedAt]),
+        [
+            ['0', '1.0', '2026-10-19T09:00:00.000Z'],
+            ['1.0', '1.1', '2026-10-19T09:00:00.000Z'],
+        ]
+    );
+    assert.equal(doc.migrations[1].description, 'Add the roadmap year to yearless dates');
+    assert.deepEqual(validateRoadmapFile(doc).errors, []);
+
+    const earlier = {
+        from: '0',
+        to: '1.0',
+        description: 'Wrap',
+        migratedAt: '2025-01-01T00:00:00.000Z',
+    };
+    const upgraded = migrateRoadmapFile(
+        { version: '1.0', migrations: [earlier], teamData: legacyTeamData() },
+        { now }
+    );
+    assert.deepEqual(
+        upgraded.doc.migrations.map((m) => m.to),
+        ['1.0', '1.1']
+    );
+    assert.deepEqual(upgraded.doc.migrations[0], earlier);
+    // Nothing ran, nothing recorded
+    assert.equal(
+        migrateRoadmapFile({ version: CURRENT_FORMAT_VERSION, teamData: {} }).doc.migrations,
+        undefined
+    );
+});
+
+test('files without a roadmapYear use the fallback year', () => {
+    const teamData = legacyTeamData();
+    delete teamData.roadmapYear;
+    const { doc } = migrateRoadmapFile({ version: '1.0', teamData }, { fallbackYear: 2030 });
+    assert.equal(doc.teamData.epics[0].stories[0].startDate, '01/02/2030');
+});
+
+test('current files pass through untouched and the input is never modified', () => {
+    const input = { version: CURRENT_FORMAT_VERSION, teamData: legacyTeamData() };
+    const before = JSON.stringify(input);
+    const { doc, applied } = migrateRoadmapFile(input);
+    assert.deepEqual(applied, []);
+    assert.deepEqual(doc, input);
+    assert.notEqual(doc, input);
+
+    migrateRoadmapFile(JSON.parse(before).teamData);
+    assert.equal(JSON.stringify(input), before);
+});
+
+test('files from a newer build are refused', () => {
+    assert.throws(
+        () => migrateRoadmapFile({ version: '9.0', teamData: legacyTeamData() }),
+        (err) => err.name === 'UnsupportedVersionError' && err.version === '9.0'
+    );
+});
+
+test('non-roadmaps and malformed versions are left for the validator', () => {
+    assert.deepEqual(migrateRoadmapFile([]).applied, []);
+    const odd = { version: 1, teamData: {} };
+    assert.equal(migrateRoadmapFile(odd).doc, odd);
+});
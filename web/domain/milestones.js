@@ -0,0 +1,63 @@
+// A story's milestones: the timeline changes and status entries recorded in
+// its roadmapChanges, as the roadmap shows them along the bar. The
+// renderers (RoadmapGenerator.collectStoryMilestones, and through it the
+// SVG) add glyphs and colours; the calendar feed (ics.js) turns the dated
+// ones into events.
+
+// roadmapChanges entries with one milestone each (infoInfo may hold a
+// list), in the order the bar has always listed them
+const STATUS_ENTRIES = Object.freeze([
+    { field: 'doneInfo', type: 'done', name: 'Done' },
+    { field: 'cancelInfo', type: 'cancel', name: 'Cancelled' },
+    { field: 'atRiskInfo', type: 'atrisk', name: 'At risk' },
+    { field: 'newStoryInfo', type: 'newstory', name: 'New' },
+    { field: 'infoInfo', type: 'info', name: 'Info' },
+    { field: 'transferredInInfo', type: 'transferred-in', name: 'Transferred in' },
+    { field: 'transferredOutInfo', type: 'transferred-out', name: 'Transferred out' },
+    { field: 'proposedInfo', type: 'proposed', name: 'Proposed' },
+]);
+
+/**
+ * @typedef {object} StoryMilestone
+ * @property {string} type - 'change', 'done', 'cancel', 'atrisk', 'newstory',
+ *           'info', 'transferred-in', 'transferred-out' or 'proposed'
+ * @property {string} name - For people, e.g. 'Timeline change' or 'At risk'
+ * @property {string} [date] - As written in the roadmap; may be empty when
+ *           the entry only has notes
+ * @property {string} [notes]
+ * @property {string} [prevEndDate] - Timeline changes: the end before
+ * @property {string} [newEndDate] - Timeline changes: the end after
+ */
+
+/**
+ * Every timeline change, and every status entry with a date or notes.
+ *
+ * @param {object} story
+ * @returns {StoryMilestone[]} Changes first, then statuses; not sorted by date
+ */
+export function storyMilestones(story) {
+    const rc = story && story.roadmapChanges;
+    if (!rc) return [];
+
+    const milestones = [];
+    for (const change of Array.isArray(rc.changes) ? rc.changes : []) {
+        if (!change) continue;
+        milestones.push({
+            type: 'change',
+            name: 'Timeline change',
+            date: change.date,
+            notes: change.description,
+            prevEndDate: change.prevEndDate,
+            newEndDate: change.newEndDate,
+        });
+    }
+    for (const { field, type, name } of STATUS_ENTRIES) {
+        const entries = Array.isArray(rc[field]) ? rc[field] : [rc[field]];
+        for (const entry of entries) {
+            if (entry && (entry.date || entry.notes)) {
+                milestones.push({ type, name, date: entry.date, notes: entry.notes });
+            }
+        }
+    }
+    return milestones;
+}
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { storyMilestones } from './milestones.js';
+
+test('timeline changes come first, then statuses with a date or notes', () => {
+    const milestones = storyMilestones({
+        roadmapChanges: {
+            proposedInfo: { date: '01/01/26', notes: '' },
+            doneInfo: { date: '', notes: 'Shipped quietly' },
+            cancelInfo: { date: '', notes: '' },
+            infoInfo: [{ date: '05/01/26', notes: 'Kick-off' }, null],
+            changes: [
+                {
+                    date: '10/03/26',
+                    prevEndDate: 'MAR',
+                    newEndDate: '30/04/26',
+                    description: 'Vendor late',
+                },
+            ],
+        },
+    });
+    assert.deepEqual(milestones, [
+        {
+            type: 'change',
+            name: 'Timeline change',
+            date: '10/03/26',
+            notes: 'Vendor late',
+            prevEndDate: 'MAR',
+            newEndDate: '30/04/26',
+        },
+        { type: 'done', name: 'Done', date: '', notes: 'Shipped quietly' },
+        { type: 'info', name: 'Info', date: '05/01/26', notes: 'Kick-off' },
+        { type: 'proposed', name: 'Proposed', date: '01/01/26', notes: '' },
+    ]);
+    assert.deepEqual(storyMilestones({ title: 'No changes' }), []);
+});
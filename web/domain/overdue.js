@@ -0,0 +1,41 @@
+// "Today" on a roadmap, and the stories that are past it. Today is the real
+// date unless the roadmap pins an "as of" date (teamData.asOfDate, DD/MM/YY
+// like the other date fields), so a screenshot of an old plan shows the
+// marker and the overdue bars as they stood then.
+//
+// A story is overdue when its effective end - the newest timeline change
+// wins over the planned end - is before the as-of day and it is neither Done
+// nor Cancelled. An end month runs to the month's last day.
+
+import { effectiveEnd, storyDateToIso } from './dates.js';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * The as-of day: the pinned date when it parses, else today.
+ *
+ * @param {string | null | undefined} value - asOfDate as saved
+ * @param {Date} [now]
+ * @returns {string} ISO day
+ */
+export function resolveAsOf(value, now = new Date()) {
+    // A bare month name isn't a day
+    const pinned = /\d/.test(String(value || ''))
+        ? storyDateToIso(value, now.getFullYear(), 'start')
+        : null;
+    if (pinned) return pinned;
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * @param {object} story
+ * @param {string} asOf - ISO day
+ * @param {number} year - Roadmap year, for month names and year-less dates
+ * @param {string} [end] - Effective end as written, when the caller has it
+ * @returns {boolean}
+ */
+export function isOverdue(story, asOf, year, end = effectiveEnd(story)) {
+    if (!story || story.isDone || story.isCancelled) return false;
+    const endIso = storyDateToIso(end, year, 'end');
+    return !!endIso && endIso < asOf;
+}
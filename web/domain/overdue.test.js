@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveAsOf, isOverdue } from './overdue.js';
+
+const NOW = new Date(2026, 9, 19);
+
+test('resolveAsOf pins a written date and otherwise uses today', () => {
+    assert.equal(resolveAsOf('15/03/26', NOW), '2026-03-15');
+    assert.equal(resolveAsOf('2025-12-01', NOW), '2025-12-01');
+    assert.equal(resolveAsOf('', NOW), '2026-10-19');
+    assert.equal(resolveAsOf('MAR', NOW), '2026-10-19');
+    assert.equal(resolveAsOf('someday', NOW), '2026-10-19');
+});
+
+test('open stories ending before the as-of day are overdue', () => {
+    const asOf = '2026-06-15';
+    assert.equal(isOverdue({ endDate: '10/06/26' }, asOf, 2026), true);
+    assert.equal(isOverdue({ endDate: '15/06/26' }, asOf, 2026), false);
+    assert.equal(isOverdue({ endDate: '10/06/26', isDone: true }, asOf, 2026), false);
+    assert.equal(isOverdue({ endDate: '10/06/26', isCancelled: true }, asOf, 2026), false);
+    // End months run to their last day
+    assert.equal(isOverdue({ endMonth: 'MAY' }, asOf, 2026), true);
+    assert.equal(isOverdue({ endMonth: 'JUN' }, asOf, 2026), false);
+    assert.equal(isOverdue({ title: 'No dates' }, asOf, 2026), false);
+});
+
+test('a recorded slip moves the end past the as-of day', () => {
+    const slipped = {
+        endDate: '31/05/26',
+        roadmapChanges: {
+            changes: [{ date: '20/05/26', prevEndDate: '31/05/26', newEndDate: '31/07/26' }],
+        },
+    };
+    assert.equal(isOverdue(slipped, '2026-06-15', 2026), false);
+    assert.equal(isOverdue(slipped, '2026-08-01', 2026), true);
+    // Callers with their own effective end pass it in
+    assert.equal(isOverdue(slipped, '2026-06-15', 2026, '31/05/26'), true);
+});
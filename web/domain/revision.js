@@ -0,0 +1,71 @@
+// Content revisions for optimistic-concurrency checks on save. A revision is
+// a cheap fingerprint of a roadmap file's bytes taken when it was loaded (or
+// last written); save compares it with the file's current bytes to tell
+// whether someone else has written to it in the meantime.
+//
+// lastModified alone isn't reliable (copies, sync tools and the server all
+// touch it), so the content hash is the source of truth and lastModified is
+// kept for display in the conflict dialog.
+
+/**
+ * @typedef {object} Revision
+ * @property {string} hash - Hex content hash (see hashText)
+ * @property {number} size - Length of the text in UTF-16 code units
+ * @property {number|null} lastModified - Epoch ms, when known
+ */
+
+/**
+ * 53-bit string hash (cyrb53). Synchronous and dependency-free so it runs
+ * the same in the browser (including non-secure contexts where
+ * crypto.subtle is missing) and in Node tests. Not cryptographic - it only
+ * has to tell two versions of the same file apart.
+ *
+ * @param {string} text
+ * @returns {string} 14-character hex digest
+ */
+export function hashText(text) {
+    const str = String(text ?? '');
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    const value = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+    return value.toString(16).padStart(14, '0');
+}
+
+/**
+ * Fingerprint a file's text.
+ *
+ * @param {string} text
+ * @param {number|null} [lastModified]
+ * @returns {Revision}
+ */
+export function createRevision(text, lastModified = null) {
+    const str = String(text ?? '');
+    return {
+        hash: hashText(str),
+        size: str.length,
+        lastModified:
+            typeof lastModified === 'number' && Number.isFinite(lastModified) ? lastModified : null,
+    };
+}
+
+/**
+ * True when `current` is a different version of the file than `baseline`.
+ * A missing baseline means we never loaded the file, so there's nothing to
+ * protect; a missing current means the file no longer exists.
+ *
+ * @param {Revision|null} baseline
+ * @param {Revision|null} current
+ * @returns {boolean}
+ */
+export function hasChanged(baseline, current) {
+    if (!baseline) return false;
+    if (!current) return true;
+    return baseline.hash !== current.hash;
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { hashText, createRevision, hasChanged } from './revision.js';
+
+test('hashText is deterministic and fixed-width', () => {
+    assert.equal(hashText('{"a":1}'), hashText('{"a":1}'));
+    assert.equal(hashText('').length, 14);
+    assert.match(hashText('roadmap'), /^[0-9a-f]{14}$/);
+});
+
+test('hashText distinguishes small edits', () => {
+    assert.notEqual(hashText('{"a":1}'), hashText('{"a":2}'));
+    assert.notEqual(hashText('ab'), hashText('ba'));
+});
+
+test('createRevision records hash, size and lastModified', () => {
+    const rev = createRevision('abc', 1700000000000);
+    assert.equal(rev.hash, hashText('abc'));
+    assert.equal(rev.size, 3);
+    assert.equal(rev.lastModified, 1700000000000);
+});
+
+test('createRevision tolerates missing or invalid lastModified', () => {
+    assert.equal(createRevision('abc').lastModified, null);
+    assert.equal(createRevision('abc', NaN).lastModified, null);
+});
+
+test('hasChanged compares content, not timestamps', () => {
+    const base = createRevision('same', 1);
+    assert.equal(hasChanged(base, createRevision('same', 2)), false);
+    assert.equal(hasChanged(base, createRevision('other', 1)), true);
+});
+
+test('hasChanged: no baseline never conflicts, deleted file always does', () => {
+    assert.equal(hasChanged(null, createRevision('x')), false);
+    assert.equal(hasChanged(createRevision('x'), null), true);
+});
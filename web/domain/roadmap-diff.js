@@ -0,0 +1,270 @@
+// Story-level diff between two versions of a roadmap's teamData - the
+// "what changed since last month" view. Each story that differs gets one
+// entry listing every kind of change that applies to it:
+//
+//   added    - only in the newer version
+//   removed  - only in the older version
+//   moved    - now in a different EPIC, or reordered within its EPIC
+//   redated  - start or (effective) end moved
+//   status   - a status flag (Done, At risk, ...) was set or cleared
+//
+// Stories are matched by storyId; stories without one (Below the Line, very
+// old files) fall back to EPIC + title. EPICs are matched by epicId when
+// both versions have it and by name otherwise - builds that didn't keep
+// epicIds on load gave every EPIC a new one, so snapshots taken then only
+// line up by name. The end date is the effective one -
+// the newest timeline change wins over the planned end - so a recorded slip
+// reads as a re-date. Reorders are reported for the smallest set of stories
+// whose moving explains the new order, not for everything that shifted.
+
+import { comparableDate, effectiveEnd } from './dates.js';
+
+/** @typedef {'added' | 'removed' | 'moved' | 'redated' | 'status'} ChangeKind */
+
+/**
+ * @typedef {object} StorySummary
+ * @property {string} epic - EPIC name ('Below the Line' for BTL stories)
+ * @property {string} start - Start date or month as written
+ * @property {string} end - Effective end date or month as written
+ * @property {string[]} statuses - Labels of the status flags that are set
+ */
+
+/**
+ * @typedef {object} StoryChange
+ * @property {string} key - Match key (storyId, or EPIC + title)
+ * @property {string} storyId - '' when the story has none
+ * @property {string} title - Newest title
+ * @property {string} epic - Newest EPIC name
+ * @property {ChangeKind[]} kinds
+ * @property {string[]} details - Human-readable lines, e.g. 'End 31/03/26 → 30/04/26'
+ * @property {StorySummary | null} before
+ * @property {StorySummary | null} after
+ */
+
+/**
+ * @typedef {object} RoadmapDiff
+ * @property {StoryChange[]} changes - Newer document order; removed stories last
+ * @property {Record<ChangeKind, number>} counts
+ */
+
+export const CHANGE_KINDS = Object.freeze(['added', 'removed', 'moved', 'redated', 'status']);
+
+const STATUS_LABELS = Object.freeze({
+    isDone: 'Done',
+    isCancelled: 'Cancelled',
+    isAtRisk: 'At risk',
+    isNewStory: 'New',
+    isInfo: 'Info',
+    isTransferredOut: 'Transferred out',
+    isTransferredIn: 'Transferred in',
+    isProposed: 'Proposed',
+});
+
+const BTL_EPIC = 'Below the Line';
+
+const epicIds = (teamData) =>
+    new Set(
+        (teamData && Array.isArray(teamData.epics) ? teamData.epics : [])
+            .map((epic) => epic && epic.epicId)
+            .filter(Boolean)
+    );
+
+// sharedEpicIds: the epicIds both versions have
+function collectStories(teamData, sharedEpicIds) {
+    const stories = [];
+    const seen = new Set();
+    const add = (story, epic, epicKey) => {
+        if (!story || typeof story !== 'object') return;
+        const base = story.storyId
+            ? `id:${story.storyId}`
+            : `title:${epicKey}:${story.title || ''}`;
+        // Duplicate titles without ids: keep them apart by occurrence.
+        let key = base;
+        for (let n = 2; seen.has(key); n++) key = `${base}#${n}`;
+        seen.add(key);
+        stories.push({
+            key,
+            story,
+            epicKey,
+            summary: {
+                epic,
+                start: story.startDate || story.startMonth || '',
+                end: effectiveEnd(story),
+                statuses: Object.keys(STATUS_LABELS)
+                    .filter((flag) => story[flag])
+                    .map((flag) => STATUS_LABELS[flag]),
+            },
+        });
+    };
+    for (const epic of teamData && Array.isArray(teamData.epics) ? teamData.epics : []) {
+        const epicKey = sharedEpicIds.has(epic.epicId)
+            ? `id:${epic.epicId}`
+            : `name:${epic.name || ''}`;
+        for (const story of Array.isArray(epic.stories) ? epic.stories : [])
+            add(story, epic.name || '', epicKey);
+    }
+    const btl = teamData && teamData.btlSwimlane && teamData.btlSwimlane.stories;
+    for (const story of Array.isArray(btl) ? btl : []) add(story, BTL_EPIC, 'btl');
+    return stories;
+}
+
+// Indices (into `values`) of one longest strictly increasing subsequence.
+function longestIncreasing(values) {
+    const tails = [];
+    const prev = new Array(values.length).fill(-1);
+    values.forEach((v, i) => {
+        let lo = 0;
+        let hi = tails.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (values[tails[mid]] < v) lo = mid + 1;
+            else hi = mid;
+        }
+        if (lo > 0) prev[i] = tails[lo - 1];
+        tails[lo] = i;
+    });
+    const keep = new Set();
+    for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = prev[i]) keep.add(i);
+    return keep;
+}
+
+// Keys of stories that changed position within an EPIC they stayed in.
+function reorderedKeys(beforeStories, afterStories) {
+    const beforeIndex = new Map();
+    const beforeEpic = new Map();
+    beforeStories.forEach((s, i) => {
+        beforeIndex.set(s.key, i);
+        beforeEpic.set(s.key, s.epicKey);
+    });
+    const byEpic = new Map();
+    for (const s of afterStories) {
+        if (beforeEpic.get(s.key) !== s.epicKey) continue;
+        if (!byEpic.has(s.epicKey)) byEpic.set(s.epicKey, []);
+        byEpic.get(s.epicKey).push(s.key);
+    }
+    const moved = new Set();
+    for (const keys of byEpic.values()) {
+        const keep = longestIncreasing(keys.map((k) => beforeIndex.get(k)));
+        keys.forEach((k, i) => {
+            if (!keep.has(i)) moved.add(k);
+        });
+    }
+    return moved;
+}
+
+function describeDate(value) {
+    return value || '(none)';
+}
+
+/**
+ * Compare two versions of a roadmap.
+ *
+ * @param {object} before - Older teamData
+ * @param {object} after - Newer teamData
+ * @returns {RoadmapDiff}
+ */
+export function diffRoadmaps(before, after) {
+    const afterEpicIds = epicIds(after);
+    const sharedEpicIds = new Set([...epicIds(before)].filter((id) => afterEpicIds.has(id)));
+    const beforeStories = collectStories(before, sharedEpicIds);
+    const afterStories = collectStories(after, sharedEpicIds);
+    const beforeByKey = new Map(beforeStories.map((s) => [s.key, s]));
+    const afterKeys = new Set(afterStories.map((s) => s.key));
+    const reordered = reorderedKeys(beforeStories, afterStories);
+
+    const changes = [];
+    for (const a of afterStories) {
+        const b = beforeByKey.get(a.key);
+        const change = {
+            key: a.key,
+            storyId: a.story.storyId || '',
+            title: a.story.title || '',
+            epic: a.summary.epic,
+            kinds: [],
+            details: [],
+            before: b ? b.summary : null,
+            after: a.summary,
+        };
+        if (!b) {
+            change.kinds.push('added');
+            change.details.push(`Added to "${a.summary.epic}"`);
+            changes.push(change);
+            continue;
+        }
+
+        if (b.epicKey !== a.epicKey) {
+            change.kinds.push('moved');
+            change.details.push(`Moved from "${b.summary.epic}" to "${a.summary.epic}"`);
+        } else if (reordered.has(a.key)) {
+            change.kinds.push('moved');
+            change.details.push(`Reordered within "${a.summary.epic}"`);
+        }
+
+        const startChanged = comparableDate(b.summary.start) !== comparableDate(a.summary.start);
+        const endChanged = comparableDate(b.summary.end) !== comparableDate(a.summary.end);
+        if (startChanged || endChanged) {
+            change.kinds.push('redated');
+            if (startChanged)
+                change.details.push(
+                    `Start ${describeDate(b.summary.start)} → ${describeDate(a.summary.start)}`
+                );
+            if (endChanged)
+                change.details.push(
+                    `End ${describeDate(b.summary.end)} → ${describeDate(a.summary.end)}`
+                );
+        }
+
+        const gained = a.summary.statuses.filter((s) => !b.summary.statuses.includes(s));
+        const lost = b.summary.statuses.filter((s) => !a.summary.statuses.includes(s));
+        if (gained.length || lost.length) {
+            change.kinds.push('status');
+            if (gained.length) change.details.push(`Now ${gained.join(', ')}`);
+            if (lost.length) change.details.push(`No longer ${lost.join(', ')}`);
+        }
+
+        if (change.kinds.length) changes.push(change);
+    }
+
+    for (const b of beforeStories) {
+        if (afterKeys.has(b.key)) continue;
+        changes.push({
+            key: b.key,
+            storyId: b.story.storyId || '',
+            title: b.story.title || '',
+            epic: b.summary.epic,
+            kinds: ['removed'],
+            details: [`Removed from "${b.summary.epic}"`],
+            before: b.summary,
+            after: null,
+        });
+    }
+
+    const counts = Object.fromEntries(CHANGE_KINDS.map((k) => [k, 0]));
+    for (const c of changes)
+        c.kinds.forEach((k) => {
+            counts[k] += 1;
+        });
+    return { changes, counts: /** @type {Record<ChangeKind, number>} */ (counts) };
+}
+
+// Which kind colours a bar when several apply.
+/** @type {ChangeKind[]} */
+const HIGHLIGHT_PRIORITY = ['added', 'status', 'redated', 'moved'];
+
+/**
+ * Per-story highlight info for stories present in the newer version, keyed
+ * by storyId - the shape RoadmapGenerator.setChangeHighlights() takes.
+ *
+ * @param {RoadmapDiff} diff
+ * @returns {Record<string, { kind: ChangeKind, details: string[] }>}
+ */
+export function changeHighlights(diff) {
+    /** @type {Record<string, { kind: ChangeKind, details: string[] }>} */
+    const highlights = {};
+    for (const c of diff.changes) {
+        if (!c.after || !c.storyId) continue;
+        const kind = HIGHLIGHT_PRIORITY.find((k) => c.kinds.includes(k));
+        highlights[c.storyId] = { kind, details: c.details };
+    }
+    return highlights;
+}
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffRoadmaps, changeHighlights } from './roadmap-diff.js';
+
+function story(storyId, extra = {}) {
+    return {
+        title: `Story ${storyId}`,
+        storyId,
+        startDate: '01/01/26',
+        endDate: '31/03/26',
+        ...extra,
+    };
+}
+
+/** @returns {any} */
+function roadmap(epics, extra = {}) {
+    return { teamName: 'Payments', roadmapYear: 2026, epics, ...extra };
+}
+
+function epic(epicId, stories, name = `Epic ${epicId}`) {
+    return { name, epicId, stories };
+}
+
+const summarize = (diff) => diff.changes.map((c) => `${c.storyId || c.title}:${c.kinds.join('+')}`);
+
+test('identical roadmaps have no changes', () => {
+    const doc = roadmap([epic('E1', [story('S1'), story('S2')])]);
+    const diff = diffRoadmaps(doc, structuredClone(doc));
+    assert.deepEqual(diff.changes, []);
+    assert.deepEqual(diff.counts, { added: 0, removed: 0, moved: 0, redated: 0, status: 0 });
+});
+
+test('added and removed stories', () => {
+    const before = roadmap([epic('E1', [story('S1'), story('S2')])]);
+    const after = roadmap([epic('E1', [story('S1'), story('S3')])]);
+    const diff = diffRoadmaps(before, after);
+    assert.deepEqual(summarize(diff), ['S3:added', 'S2:removed']);
+    assert.equal(diff.changes[1].after, null);
+    assert.equal(diff.counts.added, 1);
+    assert.equal(diff.counts.removed, 1);
+});
+
+test('a story moved to another EPIC is one move, even after a rename', () => {
+    const before = roadmap([epic('E1', [story('S1'), story('S2')]), epic('E2', [])]);
+    const after = roadmap([epic('E1', [story('S1')], 'Renamed'), epic('E2', [story('S2')])]);
+    const diff = diffRoadmaps(before, after);
+    assert.deepEqual(summarize(diff), ['S2:moved']);
+    assert.deepEqual(diff.changes[0].details, ['Moved from "Epic E1" to "Epic E2"']);
+});
+
+test('EPICs whose ids changed on reload are matched by name', () => {
+    const before = roadmap([
+        epic('E1', [story('S1')], 'Checkout'),
+        epic('E2', [story('S2')], 'Issuing'),
+    ]);
+    const after = roadmap([
+        epic('E7', [story('S1')], 'Checkout'),
+        epic('E8', [story('S2'), story('S3')], 'Issuing'),
+    ]);
+    assert.deepEqual(summarize(diffRoadmaps(before, after)), ['S3:added']);
+    // A real move still shows
+    const moved = roadmap([
+        epic('E7', [], 'Checkout'),
+        epic('E8', [story('S2'), story('S1')], 'Issuing'),
+    ]);
+    assert.deepEqual(summarize(diffRoadmaps(before, moved)), ['S1:moved']);
+});
+
+test('a reorder reports only the story that moved', () => {
+    const before = roadmap([
+        epic(
+            'E1',
+            ['A', 'B', 'C', 'D'].map((id) => story(id))
+        ),
+    ]);
+    const after = roadmap([
+        epic(
+            'E1',
+            ['B', 'C', 'D', 'A'].map((id) => story(id))
+        ),
+    ]);
+    assert.deepEqual(summarize(diffRoadmaps(before, after)), ['A:moved']);
+
+    // Inserting a story above doesn't make the rest "moved".
+    const inserted = roadmap([
+        epic(
+            'E1',
+            ['X', 'A', 'B', 'C', 'D'].map((id) => story(id))
+        ),
+    ]);
+    assert.deepEqual(summarize(diffRoadmaps(before, inserted)), ['X:added']);
+});
+
+test('re-dates compare days, not spellings, and follow timeline changes', () => {
+    const before = roadmap([
+        epic('E1', [story('S1'), story('S2'), story('S3', { endDate: '', endMonth: 'MAR' })]),
+    ]);
+    const after = roadmap([
+        epic('E1', [
+            story('S1', { startDate: '1/1/2026', endDate: '31-03-2026' }),
+            story('S2', {
+                roadmapChanges: {
+                    changes: [
+                        { date: '01/02/26', prevEndDate: '31/03/26', newEndDate: '15/04/26' },
+                        { date: '01/03/26', prevEndDate: '15/04/26', newEndDate: '30/04/26' },
+                    ],
+                },
+            }),
+            story('S3', { endDate: '', endMonth: 'mar' }),
+        ]),
+    ]);
+    const diff = diffRoadmaps(before, after);
+    assert.deepEqual(summarize(diff), ['S2:redated']);
+    assert.deepEqual(diff.changes[0].details, ['End 31/03/26 → 30/04/26']);
+});
+
+test('status flags set and cleared', () => {
+    const before = roadmap([epic('E1', [story('S1', { isAtRisk: true })])]);
+    const after = roadmap([epic('E1', [story('S1', { isDone: true, isAtRisk: false })])]);
+    const diff = diffRoadmaps(before, after);
+    assert.deepEqual(summarize(diff), ['S1:status']);
+    assert.deepEqual(diff.changes[0].details, ['Now Done', 'No longer At risk']);
+});
+
+test('one story can change in several ways', () => {
+    const before = roadmap([epic('E1', [story('S1')]), epic('E2', [])]);
+    const after = roadmap([
+        epic('E1', []),
+        epic('E2', [story('S1', { endDate: '30/06/26', isDone: true })]),
+    ]);
+    const [change] = diffRoadmaps(before, after).changes;
+    assert.deepEqual(change.kinds, ['moved', 'redated', 'status']);
+    assert.equal(change.details.length, 3);
+});
+
+test('BTL stories without ids are matched by title', () => {
+    const btl = (...titles) => ({
+        stories: titles.map((title) => ({ title, startMonth: 'JAN', endMonth: 'FEB' })),
+    });
+    const before = roadmap([], { btlSwimlane: btl('Kept', 'Dropped') });
+    const after = roadmap([], { btlSwimlane: btl('Kept', 'Fresh') });
+    assert.deepEqual(summarize(diffRoadmaps(before, after)), ['Fresh:added', 'Dropped:removed']);
+});
+
+test('changeHighlights keys present stories by id with the most telling kind', () => {
+    const before = roadmap([epic('E1', [story('S1'), story('S2'), story('S4')]), epic('E2', [])]);
+    const after = roadmap([
+        epic('E1', [story('S1', { isDone: true, endDate: '30/04/26' }), story('S3')]),
+        epic('E2', [story('S4')]),
+    ]);
+    const highlights = changeHighlights(diffRoadmaps(before, after));
+    assert.deepEqual(Object.keys(highlights).sort(), ['S1', 'S3', 'S4']);
+    assert.equal(highlights.S1.kind, 'status');
+    assert.equal(highlights.S3.kind, 'added');
+    assert.equal(highlights.S4.kind, 'moved');
+});
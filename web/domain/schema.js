@@ -0,0 +1,475 @@
+// Roadmap file format: a JSON Schema for the saved document plus a small
+// validator that interprets it. The builder validates files before loading
+// them and server.mjs validates uploads, so both reject the same things with
+// the same path-level messages ("epics[2].stories[4].endDate: invalid date
+// 31/02/26").
+//
+// The schema is the format as collectFormData writes it today, loosened
+// where older files differ (null ids, yearless dates, month names instead
+// of dates, info entries as object or array). Unknown properties are
+// allowed so newer fields don't break older readers. web/roadmap.schema.json
+// is the same schema for external tools; a test keeps the two in sync.
+//
+// The validator supports the subset of JSON Schema used below: type, enum,
+// properties, required, items, anyOf, $ref to #/$defs, minimum/maximum,
+// maxLength, and the custom `format: "roadmap-date"` (DD/MM/YY, DD/MM/YYYY,
+// DD/MM or YYYY-MM-DD naming a real calendar day).
+
+const MONTH_NAMES = [
+    'JAN',
+    'FEB',
+    'MAR',
+    'APR',
+    'MAY',
+    'JUN',
+    'JUL',
+    'AUG',
+    'SEP',
+    'OCT',
+    'NOV',
+    'DEC',
+    'JANUARY',
+    'FEBRUARY',
+    'MARCH',
+    'APRIL',
+    'JUNE',
+    'JULY',
+    'AUGUST',
+    'SEPTEMBER',
+    'OCTOBER',
+    'NOVEMBER',
+    'DECEMBER',
+];
+
+const STATUS_FLAGS = [
+    'isDone',
+    'isCancelled',
+    'isAtRisk',
+    'isNewStory',
+    'isInfo',
+    'isTransferredOut',
+    'isTransferredIn',
+    'isProposed',
+];
+
+const INFO_FIELDS = [
+    'doneInfo',
+    'cancelInfo',
+    'atRiskInfo',
+    'newStoryInfo',
+    'transferredOutInfo',
+    'transferredInInfo',
+    'proposedInfo',
+];
+
+const string = { type: 'string' };
+const stringList = { type: 'array', items: string };
+const ref = (name) => ({ $ref: `#/$defs/${name}` });
+
+/** JSON Schema (draft 2020-12) for a saved roadmap file. */
+export const ROADMAP_SCHEMA = Object.freeze({
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'https://github.com/saltpay/roadmap-builder/roadmap.schema.json',
+    title: 'Roadmap file',
+    description: 'A team roadmap as saved by the Roadmap Builder: { version, created, teamData }.',
+    type: 'object',
+    required: ['teamData'],
+    properties: {
+        version: {
+            type: 'string',
+            description: 'File format version, e.g. "1.1". Older versions are upgraded on load.',
+        },
+        created: { type: 'string', description: 'ISO timestamp of the save.' },
+        migrations: {
+            type: 'array',
+            description: 'Format upgrades the file went through, oldest first.',
+            items: ref('migration'),
+        },
+        teamData: ref('teamData'),
+    },
+    $defs: {
+        date: {
+            type: 'string',
+            format: 'roadmap-date',
+            description: 'DD/MM/YY, DD/MM/YYYY, DD/MM (legacy, year implied) or YYYY-MM-DD.',
+        },
+        month: { type: 'string', enum: MONTH_NAMES },
+        optionalDate: { anyOf: [{ type: 'string', maxLength: 0 }, ref('date')] },
+        dateOrMonth: { anyOf: [{ type: 'string', maxLength: 0 }, ref('date'), ref('month')] },
+        id: { type: ['string', 'null'] },
+        info: {
+            type: 'object',
+            properties: { date: ref('optionalDate'), notes: string },
+        },
+        optionalInfo: { anyOf: [{ type: 'null' }, ref('info')] },
+        migration: {
+            type: 'object',
+            required: ['from', 'to'],
+            properties: { from: string, to: string, description: string, migratedAt: string },
+        },
+        change: {
+            type: 'object',
+            properties: {
+                date: ref('optionalDate'),
+                prevEndDate: ref('dateOrMonth'),
+                newEndDate: ref('dateOrMonth'),
+                description: string,
+            },
+        },
+        dependency: {
+            type: 'object',
+            required: ['storyId'],
+            properties: { storyId: string, team: string },
+        },
+        roadmapChanges: {
+            type: 'object',
+            properties: {
+                changes: { type: 'array', items: ref('change') },
+                ...Object.fromEntries(INFO_FIELDS.map((f) => [f, ref('optionalInfo')])),
+                infoInfo: {
+                    anyOf: [{ type: 'null' }, ref('info'), { type: 'array', items: ref('info') }],
+                },
+            },
+        },
+        story: {
+            type: 'object',
+            required: ['title'],
+            properties: {
+                title: string,
+                storyId: ref('id'),
+                startDate: ref('date'),
+                endDate: ref('date'),
+                startMonth: ref('month'),
+                endMonth: ref('month'),
+                bullets: stringList,
+                imo: string,
+                priority: string,
+                comments: string,
+                directorVPId: string,
+                imoClassification: string,
+                countryFlags: stringList,
+                includeInProductRoadmap: { type: 'boolean' },
+                hideFromSearch: { type: 'boolean' },
+                hasRoadmapChanges: { type: 'boolean' },
+                ...Object.fromEntries(STATUS_FLAGS.map((f) => [f, { type: 'boolean' }])),
+                roadmapChanges: { anyOf: [{ type: 'null' }, ref('roadmapChanges')] },
+                dependsOn: { type: 'array', items: ref('dependency') },
+                issueKey: string,
+            },
+        },
+        epic: {
+            type: 'object',
+            required: ['name', 'stories'],
+            properties: {
+                name: string,
+                epicId: ref('id'),
+                issueKey: string,
+                stories: { type: 'array', items: ref('story') },
+            },
+        },
+        ktloMonth: {
+            type: 'object',
+            required: ['month'],
+            properties: {
+                month: ref('month'),
+                number: { type: 'number', minimum: 0 },
+                percentage: { type: 'number', minimum: 0, maximum: 100 },
+                description: string,
+            },
+        },
+        ktloSwimlane: {
+            type: 'object',
+            properties: {
+                position: { type: 'string', enum: ['top', 'bottom', 'hidden'] },
+                story: {
+                    type: 'object',
+                    properties: { title: string, bullets: stringList },
+                },
+                monthlyData: { type: 'array', items: ref('ktloMonth') },
+            },
+        },
+        btlStory: {
+            type: 'object',
+            required: ['title'],
+            properties: {
+                title: string,
+                startDate: ref('date'),
+                endDate: ref('date'),
+                startMonth: ref('month'),
+                endMonth: ref('month'),
+                bullets: stringList,
+                dateAdded: ref('optionalDate'),
+                dateAddedDescription: string,
+            },
+        },
+        teamData: {
+            type: 'object',
+            required: ['roadmapYear', 'teamName', 'epics'],
+            properties: {
+                roadmapYear: { type: 'integer', minimum: 2000, maximum: 2100 },
+                teamName: string,
+                directorVP: string,
+                em: string,
+                pm: string,
+                description: { anyOf: [string, stringList] },
+                epics: { type: 'array', items: ref('epic') },
+                asOfDate: string,
+                fiscalYearStart: { type: 'integer', minimum: 1, maximum: 12 },
+                timeline: {
+                    type: 'object',
+                    required: ['start'],
+                    properties: {
+                        start: string,
+                        months: { type: 'integer', minimum: 1, maximum: 36 },
+                    },
+                },
+                ktloSwimlane: ref('ktloSwimlane'),
+                btlSwimlane: {
+                    type: 'object',
+                    properties: { stories: { type: 'array', items: ref('btlStory') } },
+                },
+            },
+        },
+    },
+});
+
+/**
+ * @typedef {object} ValidationError
+ * @property {string} path - Dotted path with [index] for arrays, e.g. 'epics[2].stories[4].endDate'.
+ *                           Empty for the document root.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} ValidationResult
+ * @property {boolean} valid
+ * @property {ValidationError[]} errors
+ */
+
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * True when `value` is a roadmap date naming a real calendar day.
+ * Yearless DD/MM dates are checked against a leap year so 29/02 passes.
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isRoadmapDate(value) {
+    if (typeof value !== 'string') return false;
+    let day;
+    let month;
+    let year = null;
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const european = /^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2}|\d{4}))?$/.exec(value);
+    if (iso) {
+        [year, month, day] = [Number(iso[1]), Number(iso[2]), Number(iso[3])];
+    } else if (european) {
+        day = Number(european[1]);
+        month = Number(european[2]);
+        if (european[3])
+            year = european[3].length === 2 ? 2000 + Number(european[3]) : Number(european[3]);
+    } else {
+        return false;
+    }
+    if (month < 1 || month > 12 || day < 1) return false;
+    const maxDay =
+        month === 2 && year !== null && !isLeapYear(year) ? 28 : DAYS_IN_MONTH[month - 1];
+    return day <= maxDay;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function describe(value) {
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'object') return 'an object';
+    return String(value);
+}
+
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+function resolveRef(root, schema) {
+    let current = schema;
+    // Refs can chain ($ref to a $def that is itself a $ref).
+    while (current && current.$ref) {
+        const name = current.$ref.replace('#/$defs/', '');
+        current = root.$defs[name];
+        if (!current) throw new Error(`Unknown schema reference ${schema.$ref}`);
+    }
+    return current;
+}
+
+function validateNode(root, schemaOrRef, value, path, errors) {
+    const schema = resolveRef(root, schemaOrRef);
+
+    if (schema.anyOf) {
+        const attempts = schema.anyOf.map((option) => {
+            const optionErrors = [];
+            validateNode(root, option, value, path, optionErrors);
+            return { option: resolveRef(root, option), errors: optionErrors };
+        });
+        if (attempts.some((a) => a.errors.length === 0)) return;
+        // Report against the option whose type matches, so a bad date inside
+        // an info object says "invalid date" rather than "expected null".
+        const typed = attempts.filter(
+            (a) => !a.option.type || [].concat(a.option.type).some((t) => matchesType(value, t))
+        );
+        if (typed.length === 1) {
+            errors.push(...typed[0].errors);
+        } else if (
+            typeof value === 'string' &&
+            typed.some((a) => a.option.format === 'roadmap-date')
+        ) {
+            const orMonth = typed.some((a) => a.option.enum) ? ' or month' : '';
+            errors.push({ path, message: `invalid date${orMonth} ${value}` });
+        } else {
+            errors.push({ path, message: `unexpected value ${describe(value)}` });
+        }
+        return;
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some((t) => matchesType(value, t))) {
+            errors.push({
+                path,
+                message: `expected ${types.join(' or ')}, got ${describe(value)}`,
+            });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `unexpected value ${describe(value)}` });
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.format === 'roadmap-date' && !isRoadmapDate(value)) {
+            errors.push({ path, message: `invalid date ${value}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            errors.push({ path, message: `must be at least ${schema.minimum}, got ${value}` });
+        }
+        if (typeof schema.maximum === 'number' && value > schema.maximum) {
+            errors.push({ path, message: `must be at most ${schema.maximum}, got ${value}` });
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) =>
+            validateNode(root, schema.items, item, joinPath(path, i), errors)
+        );
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined)
+                errors.push({ path: joinPath(path, key), message: 'is required' });
+        }
+        for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined)
+                validateNode(root, propSchema, value[key], joinPath(path, key), errors);
+        }
+    }
+}
+
+/**
+ * Validate a teamData object. Paths are relative to teamData.
+ *
+ * @param {*} teamData
+ * @returns {ValidationResult}
+ */
+export function validateTeamData(teamData) {
+    const errors = [];
+    validateNode(ROADMAP_SCHEMA, ROADMAP_SCHEMA.$defs.teamData, teamData, '', errors);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a roadmap file as parsed from JSON. Accepts the current
+ * { version, created, teamData } wrapper and legacy files that hold
+ * teamData at the root. teamData paths are reported without a prefix.
+ *
+ * @param {*} doc
+ * @returns {ValidationResult}
+ */
+export function validateRoadmapFile(doc) {
+    if (typeOf(doc) !== 'object') {
+        return {
+            valid: false,
+            errors: [{ path: '', message: `expected a roadmap object, got ${describe(doc)}` }],
+        };
+    }
+    if (doc.teamData === undefined) return validateTeamData(doc);
+
+    const errors = [];
+    const { version, created, migrations } = ROADMAP_SCHEMA.properties;
+    validateNode(
+        ROADMAP_SCHEMA,
+        { type: 'object', properties: { version, created, migrations } },
+        doc,
+        '',
+        errors
+    );
+    errors.push(...validateTeamData(doc.teamData).errors);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * One line per error, capped so an alert stays readable.
+ *
+ * @param {ValidationError[]} errors
+ * @param {number} [max]
+ * @returns {string}
+ */
+export function formatValidationErrors(errors, max = 15) {
+    const lines = errors.slice(0, max).map((e) => (e.path ? `${e.path}: ${e.message}` : e.message));
+    if (errors.length > max) lines.push(`...and ${errors.length - max} more`);
+    return lines.join('\n');
+}
+
+/**
+ * Throw if `doc` isn't a valid roadmap file. The error's message lists the
+ * problems (see formatValidationErrors) and `errors` carries them as data.
+ *
+ * @param {*} doc
+ * @throws {Error & { name: 'RoadmapValidationError', errors: ValidationError[] }}
+ */
+export function assertValidRoadmapFile(doc) {
+    const { valid, errors } = validateRoadmapFile(doc);
+    if (valid) return;
+    throw Object.assign(
+        new Error(`The file is not a valid roadmap:\n${formatValidationErrors(errors)}`),
+        {
+            name: 'RoadmapValidationError',
+            errors,
+        }
+    );
+}
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    ROADMAP_SCHEMA,
+    isRoadmapDate,
+    validateTeamData,
+    validateRoadmapFile,
+    formatValidationErrors,
+    assertValidRoadmapFile,
+} from './schema.js';
+
+const readJson = (relative) => JSON.parse(readFileSync(new URL(relative, import.meta.url), 'utf8'));
+
+/** @returns {any} */
+function minimalTeamData(extra = {}) {
+    return {
+        roadmapYear: 2026,
+        teamName: 'Payments',
+        epics: [
+            {
+                name: 'Checkout',
+                epicId: '0xE1',
+                stories: [
+                    { title: 'Story', storyId: '0x51', startDate: '01/01/26', endDate: '31/03/26' },
+                ],
+            },
+        ],
+        ...extra,
+    };
+}
+
+test('published roadmap.schema.json matches ROADMAP_SCHEMA', () => {
+    assert.deepEqual(
+        readJson('../roadmap.schema.json'),
+        JSON.parse(JSON.stringify(ROADMAP_SCHEMA))
+    );
+});
+
+test('the default template is a valid roadmap', () => {
+    const result = validateRoadmapFile(readJson('../Roadmap-Default-Template.json'));
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.valid, true);
+});
+
+test('isRoadmapDate accepts the formats the builder writes', () => {
+    assert.equal(isRoadmapDate('31/03/26'), true);
+    assert.equal(isRoadmapDate('1/3/2026'), true);
+    assert.equal(isRoadmapDate('15-04-26'), true);
+    assert.equal(isRoadmapDate('2026-03-31'), true);
+    assert.equal(isRoadmapDate('29/02'), true); // yearless legacy
+});
+
+test('isRoadmapDate rejects impossible calendar days', () => {
+    assert.equal(isRoadmapDate('31/02/26'), false);
+    assert.equal(isRoadmapDate('29/02/26'), false);
+    assert.equal(isRoadmapDate('29/02/28'), true);
+    assert.equal(isRoadmapDate('00/01/26'), false);
+    assert.equal(isRoadmapDate('12/13/26'), false);
+    assert.equal(isRoadmapDate('2026-04-31'), false);
+    assert.equal(isRoadmapDate('MAR'), false);
+});
+
+test('errors carry the path of the offending field', () => {
+    const story = (extra = {}) => ({
+        title: 'S',
+        startDate: '01/01/26',
+        endDate: '31/01/26',
+        ...extra,
+    });
+    const teamData = minimalTeamData();
+    teamData.epics.push({ name: 'Second', stories: [] });
+    teamData.epics.push({
+        name: 'Third',
+        stories: [story(), story(), story(), story(), story({ endDate: '31/02/26' })],
+    });
+
+    const { valid, errors } = validateTeamData(teamData);
+    assert.equal(valid, false);
+    assert.deepEqual(errors, [
+        { path: 'epics[2].stories[4].endDate', message: 'invalid date 31/02/26' },
+    ]);
+});
+
+test('missing required fields and wrong types are reported', () => {
+    const { errors } = validateTeamData({ teamName: 7, epics: [{ stories: 'none' }] });
+    assert.deepEqual(errors, [
+        { path: 'roadmapYear', message: 'is required' },
+        { path: 'teamName', message: 'expected string, got 7' },
+        { path: 'epics[0].name', message: 'is required' },
+        { path: 'epics[0].stories', message: 'expected array, got "none"' },
+    ]);
+});
+
+test('status infos, timeline changes and KTLO months are checked', () => {
+    const teamData = minimalTeamData({
+        ktloSwimlane: {
+            position: 'top',
+            monthlyData: [{ month: 'JAN', number: 3, percentage: 120 }],
+        },
+    });
+    teamData.epics[0].stories[0].roadmapChanges = {
+        changes: [{ date: '01/02/26', prevEndDate: 'MAR', newEndDate: 'Sometime' }],
+        doneInfo: { date: '32/01/26', notes: '' },
+        infoInfo: [{ date: '', notes: 'ok' }],
+    };
+
+    const { errors } = validateTeamData(teamData);
+    assert.deepEqual(
+        errors.map((e) => `${e.path}: ${e.message}`),
+        [
+            'epics[0].stories[0].roadmapChanges.changes[0].newEndDate: invalid date or month Sometime',
+            'epics[0].stories[0].roadmapChanges.doneInfo.date: invalid date 32/01/26',
+            'ktloSwimlane.monthlyData[0].percentage: must be at most 100, got 120',
+        ]
+    );
+});
+
+test('legacy files with teamData at the root are validated too', () => {
+    assert.equal(validateRoadmapFile(minimalTeamData()).valid, true);
+    assert.equal(
+        validateRoadmapFile({ version: 1, teamData: minimalTeamData() }).errors[0].path,
+        'version'
+    );
+    assert.equal(validateRoadmapFile([]).valid, false);
+});
+
+test('formatValidationErrors caps the list', () => {
+    const errors = Array.from({ length: 4 }, (_, i) => ({
+        path: `epics[${i}].name`,
+        message: 'is required',
+    }));
+    assert.equal(
+        formatValidationErrors(errors, 2),
+        'epics[0].name: is required\nepics[1].name: is required\n...and 2 more'
+    );
+});
+
+test('assertValidRoadmapFile throws a RoadmapValidationError with the details', () => {
+    assert.doesNotThrow(() =>
+        assertValidRoadmapFile({ version: '1.0', teamData: minimalTeamData() })
+    );
+    assert.throws(
+        () => assertValidRoadmapFile({ teamData: { teamName: 'x', epics: [] } }),
+        (err) =>
+            err.name === 'RoadmapValidationError' &&
+            err.errors[0].path === 'roadmapYear' &&
+            err.message.includes('roadmapYear: is required')
+    );
+});
@@ -0,0 +1,115 @@
+// Cross-team search results as a table, for the CSV and XLSX downloads in
+// the search view. One row per story, in the order given; the view hands in
+// the result set after applyAdditionalFilters.
+//
+// Dates are ISO days so the columns sort in a spreadsheet; month names
+// become the month's first (start) or last (end) day of the roadmap year,
+// and anything unreadable is kept as written. The effective end is the
+// newest timeline change's end, as on the roadmap (roadmap-diff.js).
+
+import { effectiveEnd, storyDateToIso } from './dates.js';
+
+const STATUS_LABELS = [
+    ['isDone', 'Done'],
+    ['isCancelled', 'Cancelled'],
+    ['isAtRisk', 'At Risk'],
+    ['isNewStory', 'New'],
+    ['isProposed', 'Proposed'],
+    ['isInfo', 'Info'],
+    ['isTransferredIn', 'Transferred In'],
+    ['isTransferredOut', 'Transferred Out'],
+];
+
+/**
+ * @typedef {object} ExportColumn
+ * @property {string} header
+ * @property {number} width - Characters, for the XLSX column
+ * @property {(story: object) => string | number} value
+ */
+
+/** @type {readonly ExportColumn[]} */
+export const EXPORT_COLUMNS = Object.freeze([
+    { header: 'Team', width: 20, value: (story) => story.teamName || '' },
+    { header: 'Epic', width: 24, value: (story) => story.epicName || '' },
+    { header: 'Story', width: 40, value: (story) => story.title || '' },
+    { header: 'Story ID', width: 12, value: (story) => story.storyId || '' },
+    { header: 'IMO', width: 12, value: (story) => story.imo || '' },
+    { header: 'Priority', width: 10, value: (story) => story.priority || '' },
+    { header: 'Countries', width: 18, value: (story) => (story.countryFlags || []).join(', ') },
+    {
+        header: 'Start',
+        width: 12,
+        value: (story) => exportDate(story.startDate || story.startMonth, story, 'start'),
+    },
+    { header: 'End', width: 12, value: (story) => exportDate(effectiveEnd(story), story, 'end') },
+    { header: 'Status', width: 20, value: statusText },
+    { header: 'Timeline Changes', width: 10, value: (story) => timelineChanges(story).length },
+    { header: 'Latest Slip Reason', width: 40, value: latestSlipReason },
+]);
+
+function exportDate(value, story, edge) {
+    const text = String(value || '').trim();
+    return text ? storyDateToIso(text, roadmapYear(story), edge) || text : '';
+}
+
+function roadmapYear(story) {
+    return story.roadmapYear || new Date().getFullYear();
+}
+
+function statusText(story) {
+    return STATUS_LABELS.filter(([flag]) => story[flag])
+        .map(([, label]) => label)
+        .join(', ');
+}
+
+function timelineChanges(story) {
+    const changes = story.roadmapChanges?.changes;
+    return Array.isArray(changes) ? changes.filter(Boolean) : [];
+}
+
+// The newest change's description; changes recorded on the same day go by
+// list order, like effectiveEnd
+function latestSlipReason(story) {
+    let latest = null;
+    let latestDay = '';
+    for (const change of timelineChanges(story)) {
+        if (!String(change.description || '').trim()) continue;
+        const day = storyDateToIso(change.date, roadmapYear(story), 'start') || '';
+        if (!latest || day >= latestDay) {
+            latest = change;
+            latestDay = day;
+        }
+    }
+    return latest ? latest.description.trim() : '';
+}
+
+/**
+ * The export table: a header row, then one row per story.
+ *
+ * @param {object[]} stories
+ * @returns {(string | number)[][]}
+ */
+export function searchResultRows(stories) {
+    return [
+        EXPORT_COLUMNS.map((column) => column.header),
+        ...stories.map((story) => EXPORT_COLUMNS.map((column) => column.value(story))),
+    ];
+}
+
+/**
+ * RFC 4180 CSV with CRLF line ends. Cells a spreadsheet would run as a
+ * formula (=, +, -, @ first) get a leading apostrophe.
+ *
+ * @param {(string | number)[][]} rows
+ * @returns {string}
+ */
+export function rowsToCsv(rows) {
+    return rows.map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+    if (typeof value === 'number') return String(value);
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
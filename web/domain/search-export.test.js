@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EXPORT_COLUMNS, searchResultRows, rowsToCsv } from './search-export.js';
+
+const STORY = {
+    teamName: 'Payments',
+    epicName: 'Issuing',
+    title: 'Card issuing in Spain',
+    storyId: 'PAY-7',
+    imo: 'IMO1234',
+    priority: 'High',
+    countryFlags: ['Spain', 'UK'],
+    startDate: '01/02/26',
+    endDate: '15/03/26',
+    roadmapYear: 2026,
+    isAtRisk: true,
+    isNewStory: true,
+    roadmapChanges: {
+        changes: [
+            {
+                date: '10/03/26',
+                prevEndDate: '15/03/26',
+                newEndDate: '30/04/26',
+                description: 'Vendor late',
+            },
+            {
+                date: '02/03/26',
+                prevEndDate: '28/02/26',
+                newEndDate: '15/03/26',
+                description: 'Scope grew',
+            },
+            { date: '10/03/26', newEndDate: '', description: '' },
+        ],
+    },
+};
+
+test('one row per story under the column headers', () => {
+    const rows = searchResultRows([
+        STORY,
+        { title: 'Bare', startMonth: 'Feb', endMonth: 'Feb', roadmapYear: 2028 },
+    ]);
+    assert.deepEqual(
+        rows[0],
+        EXPORT_COLUMNS.map((column) => column.header)
+    );
+    assert.deepEqual(rows[1], [
+        'Payments',
+        'Issuing',
+        'Card issuing in Spain',
+        'PAY-7',
+        'IMO1234',
+        'High',
+        'Spain, UK',
+        '2026-02-01',
+        '2026-04-30',
+        'At Risk, New',
+        3,
+        'Vendor late',
+    ]);
+    // Months span the whole month of the roadmap year
+    assert.deepEqual(rows[2].slice(7), ['2028-02-01', '2028-02-29', '', 0, '']);
+});
+
+test('the effective end and slip reason follow the newest change', () => {
+    const changes = [
+        { date: '01/06/26', newEndDate: 'Jul', description: 'Waiting on legal' },
+        { date: '2026-05-01', newEndDate: '31/05/26', description: 'Late start' },
+    ];
+    const [, row] = searchResultRows([{ ...STORY, roadmapChanges: { changes } }]);
+    assert.deepEqual(row.slice(8), ['2026-07-31', 'At Risk, New', 2, 'Waiting on legal']);
+    // Unreadable dates are kept as written
+    const [, odd] = searchResultRows([{ ...STORY, startDate: 'soon', roadmapChanges: null }]);
+    assert.deepEqual([odd[7], odd[8], odd[10]], ['soon', '2026-03-15', 0]);
+});
+
+test('CSV quotes what it has to and defuses formulas', () => {
+    assert.equal(
+        rowsToCsv([
+            ['Team', 'Story', 'Changes'],
+            ['A, B', 'Say "hi"\nnow', 2],
+            ['=SUM(A1)', '-1', '@x'],
+        ]),
+        'Team,Story,Changes\r\n"A, B","Say ""hi""\nnow",2\r\n\'=SUM(A1),\'-1,\'@x\r\n'
+    );
+});
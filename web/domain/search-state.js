@@ -0,0 +1,211 @@
+// The cross-team search form as plain data, and its round trip through a
+// URL query string so a search can be bookmarked, shared or saved by name.
+// Only filled fields are written, under short keys:
+//
+//   ?imo=IMO12&title=card&from=2026-01-01&to=2026-03-31&mode=range
+//    &countries=Spain,UK&status=!Done,AtRisk&product=1&filter=Q1+%26%26+High
+//
+// Statuses are listed by name; a leading ! excludes instead of includes.
+// Other query parameters (year, ...) belong to the page and are left alone.
+
+export const SEARCH_MODES = ['exact', 'exact-7days', 'range', 'current-year'];
+
+// The tri-state status buttons, by the name after their filter* element id
+export const STATUS_FILTERS = [
+    'New',
+    'Done',
+    'Cancelled',
+    'AtRisk',
+    'Timeline',
+    'Proposed',
+    'Info',
+    'TransferredIn',
+    'TransferredOut',
+];
+
+const TEXT_KEYS = {
+    imo: 'imo',
+    priority: 'priority',
+    title: 'title',
+    vpId: 'vpid',
+    filter: 'filter',
+};
+
+const SEARCH_KEYS = [
+    ...Object.values(TEXT_KEYS),
+    'from',
+    'to',
+    'mode',
+    'countries',
+    'status',
+    'product',
+];
+
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {object} SearchState
+ * @property {string} imo
+ * @property {string} priority - '' for any
+ * @property {string} title
+ * @property {string} vpId
+ * @property {string[]} countries - Flag names as on the checkboxes (Global, Spain, UK, ...)
+ * @property {string} from - YYYY-MM-DD or ''
+ * @property {string} to - YYYY-MM-DD or ''
+ * @property {string} mode - One of SEARCH_MODES
+ * @property {Record<string, 'include' | 'exclude'>} statuses - Set buttons only
+ * @property {boolean} productRoadmapOnly
+ * @property {string} filter - Advanced filter expression
+ */
+
+/** @returns {SearchState} The cleared form */
+export function emptySearchState() {
+    return {
+        imo: '',
+        priority: '',
+        title: '',
+        vpId: '',
+        countries: [],
+        from: '',
+        to: '',
+        mode: 'exact',
+        statuses: {},
+        productRoadmapOnly: false,
+        filter: '',
+    };
+}
+
+/**
+ * True when nothing would narrow the search (the search button stays off).
+ *
+ * @param {SearchState} state
+ * @returns {boolean}
+ */
+export function isEmptySearchState(state) {
+    return (
+        !Object.keys(TEXT_KEYS).some((field) => state[field].trim()) &&
+        !state.countries.length &&
+        !state.from &&
+        !state.to &&
+        !Object.keys(state.statuses).length &&
+        !state.productRoadmapOnly
+    );
+}
+
+/**
+ * Write a search into query parameters, replacing any earlier one.
+ *
+ * @param {SearchState} state
+ * @param {URLSearchParams} [params] - Existing parameters to keep, e.g. year
+ * @returns {URLSearchParams} A new object; params is not changed
+ */
+export function searchStateToParams(state, params = new URLSearchParams()) {
+    const result = new URLSearchParams(params);
+    SEARCH_KEYS.forEach((key) => result.delete(key));
+
+    for (const [field, key] of Object.entries(TEXT_KEYS)) {
+        const value = state[field].trim();
+        if (value) result.set(key, value);
+    }
+    if (state.countries.length) result.set('countries', state.countries.join(','));
+    if (state.from) result.set('from', state.from);
+    if (state.to) result.set('to', state.to);
+    if (state.mode !== 'exact') result.set('mode', state.mode);
+    const statuses = STATUS_FILTERS.filter((name) => state.statuses[name]).map((name) =>
+        state.statuses[name] === 'exclude' ? `!${name}` : name
+    );
+    if (statuses.length) result.set('status', statuses.join(','));
+    if (state.productRoadmapOnly) result.set('product', '1');
+    return result;
+}
+
+/**
+ * Read a search back from query parameters. Values the form couldn't show
+ * (an unknown mode or status, a malformed date) are dropped.
+ *
+ * @param {URLSearchParams} params
+ * @returns {SearchState}
+ */
+export function searchStateFromParams(params) {
+    const state = emptySearchState();
+    for (const [field, key] of Object.entries(TEXT_KEYS)) {
+        state[field] = (params.get(key) || '').trim();
+    }
+    state.countries = list(params.get('countries'));
+    for (const key of /** @type {const} */ (['from', 'to'])) {
+        const day = params.get(key) || '';
+        if (ISO_DAY.test(day)) state[key] = day;
+    }
+    const mode = params.get('mode');
+    if (SEARCH_MODES.includes(mode)) state.mode = mode;
+    for (const entry of list(params.get('status'))) {
+        const name = entry.replace(/^!/, '');
+        const match = STATUS_FILTERS.find((known) => known.toLowerCase() === name.toLowerCase());
+        if (match) state.statuses[match] = entry.startsWith('!') ? 'exclude' : 'include';
+    }
+    state.productRoadmapOnly = ['1', 'true'].includes(params.get('product'));
+    return state;
+}
+
+function list(value) {
+    return (value || '')
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+/**
+ * @typedef {object} SavedSearch
+ * @property {string} name
+ * @property {string} query - searchStateToParams(...).toString()
+ */
+
+/**
+ * Add a named search, replacing one with the same name (ignoring case).
+ * The newest goes first.
+ *
+ * @param {SavedSearch[]} saved
+ * @param {string} name
+ * @param {SearchState} state
+ * @returns {SavedSearch[]} A new list
+ */
+export function addSavedSearch(saved, name, state) {
+    const trimmed = name.trim();
+    const others = saved.filter((entry) => entry.name.toLowerCase() !== trimmed.toLowerCase());
+    return [{ name: trimmed, query: searchStateToParams(state).toString() }, ...others];
+}
+
+/**
+ * @param {SavedSearch[]} saved
+ * @param {string} name
+ * @returns {SavedSearch[]} A new list without that search
+ */
+export function removeSavedSearch(saved, name) {
+    return saved.filter((entry) => entry.name !== name);
+}
+
+/**
+ * Saved searches from their stored JSON. Anything unreadable is skipped
+ * rather than losing the whole list.
+ *
+ * @param {string | null} json
+ * @returns {SavedSearch[]}
+ */
+export function parseSavedSearches(json) {
+    let value;
+    try {
+        value = JSON.parse(json || '[]');
+    } catch {
+        return [];
+    }
+    if (!Array.isArray(value)) return [];
+    return value
+        .filter(
+            (entry) =>
+                entry &&
+                typeof entry.name === 'string' &&
+                entry.name.trim() &&
+                typeof entry.query === 'string'
+        )
+        .map(({ name, query }) => ({ name, query }));
+}
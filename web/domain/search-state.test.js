@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    emptySearchState,
+    isEmptySearchState,
+    searchStateToParams,
+    searchStateFromParams,
+    addSavedSearch,
+    removeSavedSearch,
+    parseSavedSearches,
+} from './search-state.js';
+
+/** @type {import('./search-state.js').SearchState} */
+const SEARCH = {
+    ...emptySearchState(),
+    imo: 'IMO12',
+    title: ' card ',
+    countries: ['Spain', 'UK'],
+    from: '2026-01-01',
+    to: '2026-03-31',
+    mode: 'range',
+    statuses: { Done: 'exclude', AtRisk: 'include' },
+    productRoadmapOnly: true,
+    filter: 'Q1 && TEAM="Pay & Go"',
+};
+
+test('a search round-trips through the query string', () => {
+    const params = searchStateToParams(SEARCH, new URLSearchParams('year=2026&imo=old'));
+    assert.equal(
+        params.toString(),
+        'year=2026&imo=IMO12&title=card&filter=Q1+%26%26+TEAM%3D%22Pay+%26+Go%22' +
+            '&countries=Spain%2CUK&from=2026-01-01&to=2026-03-31&mode=range&status=%21Done%2CAtRisk&product=1'
+    );
+    assert.deepEqual(searchStateFromParams(params), { ...SEARCH, title: 'card' });
+    // An empty form writes nothing but keeps the page's own parameters
+    assert.equal(searchStateToParams(emptySearchState(), params).toString(), 'year=2026');
+});
+
+test('values the form cannot show are dropped', () => {
+    const state = searchStateFromParams(
+        new URLSearchParams(
+            'from=01/02/26&to=2026-02-30&mode=soon&status=done,!someday,,!INFO&product=yes'
+        )
+    );
+    assert.deepEqual(
+        [state.from, state.to, state.mode, state.productRoadmapOnly],
+        ['', '2026-02-30', 'exact', false]
+    );
+    assert.deepEqual(state.statuses, { Done: 'include', Info: 'exclude' });
+});
+
+test('only filled fields count as a search', () => {
+    assert.equal(isEmptySearchState(emptySearchState()), true);
+    assert.equal(isEmptySearchState({ ...emptySearchState(), title: '  ', mode: 'range' }), true);
+    assert.equal(
+        isEmptySearchState({ ...emptySearchState(), statuses: { New: 'exclude' } }),
+        false
+    );
+    assert.equal(isEmptySearchState(searchStateFromParams(new URLSearchParams('year=2026'))), true);
+});
+
+test('saved searches are kept newest first, one per name', () => {
+    let saved = addSavedSearch([], 'At risk', SEARCH);
+    saved = addSavedSearch(saved, 'UK', { ...emptySearchState(), countries: ['UK'] });
+    saved = addSavedSearch(saved, ' at RISK ', {
+        ...emptySearchState(),
+        statuses: { AtRisk: 'include' },
+    });
+    assert.deepEqual(saved, [
+        { name: 'at RISK', query: 'status=AtRisk' },
+        { name: 'UK', query: 'countries=UK' },
+    ]);
+    assert.deepEqual(removeSavedSearch(saved, 'UK'), [saved[0]]);
+
+    assert.deepEqual(parseSavedSearches(JSON.stringify(saved)), saved);
+    assert.deepEqual(
+        parseSavedSearches('[{"name":"x"},null,{"name":"ok","query":"imo=1","extra":1}]'),
+        [{ name: 'ok', query: 'imo=1' }]
+    );
+    assert.deepEqual(parseSavedSearches('{oops'), []);
+    assert.deepEqual(parseSavedSearches(null), []);
+});
@@ -0,0 +1,263 @@
+// Bootstrapping a roadmap from a spreadsheet: CSV parsing, guessing which
+// column holds what from the header row, and turning the rows into teamData
+// the builder loads like a saved file. XLSX is read by SheetJS in the view
+// (views/builder/spreadsheet-import.js), which hands the rows in here as
+// strings.
+//
+// Each row is a story, grouped into epics by the epic column in the order
+// they first appear. Dates may be DD/MM/YY(YY), ISO days or month names
+// (start of month for Start, end of month for End, in the roadmap year) and
+// are saved as DD/MM/YY. Cells that can't be read are left out of the story
+// and reported as warnings with their spreadsheet row number.
+
+import { COUNTRIES, GLOBAL_COUNTRY_CODE, findCountry } from '../utilities/countries.js';
+import { storyDateToIso, isoToEuropean } from './dates.js';
+
+export const DEFAULT_EPIC = 'Imported';
+
+/**
+ * @typedef {object} ImportField
+ * @property {string} key
+ * @property {string} label
+ * @property {string[]} aliases - Lower-case header names that map here
+ */
+
+/** @type {readonly ImportField[]} */
+export const IMPORT_FIELDS = Object.freeze([
+    { key: 'epic', label: 'Epic', aliases: ['epic', 'epic name', 'theme', 'initiative'] },
+    {
+        key: 'title',
+        label: 'Story title',
+        aliases: ['title', 'story', 'story title', 'story name', 'name', 'summary'],
+    },
+    {
+        key: 'start',
+        label: 'Start',
+        aliases: ['start', 'start date', 'start month', 'begin', 'from'],
+    },
+    {
+        key: 'end',
+        label: 'End',
+        aliases: ['end', 'end date', 'end month', 'due', 'due date', 'finish', 'target date', 'to'],
+    },
+    {
+        key: 'bullets',
+        label: 'Bullets',
+        aliases: ['bullets', 'bullet points', 'description', 'details', 'notes'],
+    },
+    { key: 'imo', label: 'IMO', aliases: ['imo', 'imo id', 'imo number', 'project id'] },
+    { key: 'priority', label: 'Priority', aliases: ['priority', 'prio'] },
+    {
+        key: 'country',
+        label: 'Country',
+        aliases: ['country', 'countries', 'country flags', 'market', 'markets'],
+    },
+]);
+
+const PRIORITIES = ['High', 'Medium', 'Low'];
+
+/**
+ * Rows of a CSV file. The delimiter is whichever of , ; or tab is most
+ * common in the first line (spreadsheets in many European locales save
+ * with ;). Quoted cells may hold delimiters, "" and line breaks.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quoted) {
+            if (ch === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"(?:[^"]|"")*"/g, '');
+    const count = (d) => firstLine.split(d).length - 1;
+    return [',', ';', '\t'].reduce((best, d) => (count(d) > count(best) ? d : best));
+}
+
+const normalizeHeader = (header) =>
+    String(header || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+
+/**
+ * Guess the column for each field from the header row: exact names first,
+ * then headers that start with a known name ("Start date (DD/MM/YY)").
+ * A column is used for one field at most.
+ *
+ * @param {string[]} headers
+ * @returns {Record<string, number>} Column index per field key, -1 for none
+ */
+export function guessColumnMapping(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const mapping = Object.fromEntries(IMPORT_FIELDS.map((field) => [field.key, -1]));
+    const used = new Set();
+    const matchers = [
+        (header, alias) => header === alias,
+        (header, alias) => header.startsWith(`${alias} `),
+    ];
+    for (const matches of matchers) {
+        for (const field of IMPORT_FIELDS) {
+            if (mapping[field.key] !== -1) continue;
+            const column = normalized.findIndex(
+                (header, i) => !used.has(i) && field.aliases.some((alias) => matches(header, alias))
+            );
+            if (column !== -1) {
+                mapping[field.key] = column;
+                used.add(column);
+            }
+        }
+    }
+    return mapping;
+}
+
+/**
+ * @typedef {object} ImportWarning
+ * @property {number} row - 1-based, as the spreadsheet numbers it
+ * @property {string} message
+ */
+
+/**
+ * Build teamData from spreadsheet rows.
+ *
+ * @param {string[][]} rows
+ * @param {Record<string, number>} mapping - Column per field key, -1 for none
+ * @param {object} options
+ * @param {string} options.teamName
+ * @param {number} options.roadmapYear
+ * @param {boolean} [options.hasHeader] - Skip the first row (default true)
+ * @returns {{ teamData: object, warnings: ImportWarning[] }}
+ */
+export function rowsToTeamData(rows, mapping, { teamName, roadmapYear, hasHeader = true }) {
+    const warnings = [];
+    const epics = new Map();
+    let storyCount = 0;
+
+    rows.forEach((cells, index) => {
+        if (hasHeader && index === 0) return;
+        if (cells.every((cell) => !String(cell ?? '').trim())) return;
+        const rowNumber = index + 1;
+        const warn = (message) => warnings.push({ row: rowNumber, message });
+        const read = (key) => (mapping[key] >= 0 ? String(cells[mapping[key]] ?? '').trim() : '');
+
+        const title = read('title');
+        if (!title) {
+            warn('No story title - row skipped');
+            return;
+        }
+        storyCount++;
+        const story = { title, storyId: hexId('0x5', storyCount) };
+
+        const start = readDate(read('start'), roadmapYear, 'start', 'Start', warn);
+        const end = readDate(read('end'), roadmapYear, 'end', 'End', warn);
+        if (start) story.startDate = isoToEuropean(start);
+        if (end) story.endDate = isoToEuropean(end);
+        if (start && end && end < start)
+            warn(`End ${story.endDate} is before start ${story.startDate}`);
+
+        const bullets = read('bullets')
+            .split(/\r?\n|•/)
+            .map((line) => line.replace(/^\s*[-*]\s+/, '').trim())
+            .filter(Boolean);
+        if (bullets.length) story.bullets = bullets;
+
+        const imo = read('imo');
+        if (imo) story.imo = imo;
+
+        const priorityText = read('priority');
+        if (priorityText) {
+            const priority = PRIORITIES.find((p) => p.toLowerCase() === priorityText.toLowerCase());
+            if (priority) story.priority = priority;
+            else warn(`Priority "${priorityText}" is not High, Medium or Low`);
+        }
+
+        const countries = readCountries(read('country'), warn);
+        if (countries.length) story.countryFlags = countries;
+
+        const epicName = read('epic') || DEFAULT_EPIC;
+        if (!epics.has(epicName)) {
+            epics.set(epicName, {
+                name: epicName,
+                epicId: hexId('0xE', epics.size + 1),
+                stories: [],
+            });
+        }
+        epics.get(epicName).stories.push(story);
+    });
+
+    return {
+        teamData: {
+            roadmapYear,
+            teamName,
+            directorVP: '',
+            em: '',
+            pm: '',
+            description: '',
+            epics: [...epics.values()],
+        },
+        warnings,
+    };
+}
+
+// Same shape as the builder's ids: 0xE0000001 for epics, 0x50000001 for stories
+function hexId(prefix, n) {
+    return `${prefix}${n.toString(16).padStart(7, '0').toUpperCase()}`;
+}
+
+function readDate(text, year, edge, label, warn) {
+    if (!text) return null;
+    const iso = storyDateToIso(text, year, edge);
+    if (!iso) warn(`${label} "${text}" is not a date or month`);
+    return iso;
+}
+
+function readCountries(text, warn) {
+    const names = [];
+    for (const part of text
+        .split(/[,;/]/)
+        .map((p) => p.trim())
+        .filter(Boolean)) {
+        const country = findCountry(part);
+        if (!country) warn(`Country "${part}" is not one the builder knows`);
+        else if (!names.includes(country.name)) names.push(country.name);
+    }
+    // Global and individual countries don't mix; the countries win, as in the form
+    const global = COUNTRIES.find((c) => c.code === GLOBAL_COUNTRY_CODE).name;
+    return names.length > 1 ? names.filter((name) => name !== global) : names;
+}
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    parseCsv,
+    guessColumnMapping,
+    rowsToTeamData,
+    DEFAULT_EPIC,
+} from './spreadsheet-import.js';
+
+test('CSV cells may be quoted across delimiters and lines', () => {
+    assert.deepEqual(
+        parseCsv('\uFEFFTitle,Notes\r\n"Cards, Spain","Say ""hi""\nthen ship"\r\nPlain,\n'),
+        [
+            ['Title', 'Notes'],
+            ['Cards, Spain', 'Say "hi"\nthen ship'],
+            ['Plain', ''],
+        ]
+    );
+    // Semicolons when the header has more of them than commas
+    assert.deepEqual(parseCsv('Epic;Title\nCore;"a;b"'), [
+        ['Epic', 'Title'],
+        ['Core', 'a;b'],
+    ]);
+    assert.deepEqual(parseCsv('Title\tEnd\nX\tMar'), [
+        ['Title', 'End'],
+        ['X', 'Mar'],
+    ]);
+});
+
+test('columns are guessed from the headers', () => {
+    assert.deepEqual(
+        guessColumnMapping([
+            'Story Name',
+            'Epic',
+            'Start date (DD/MM/YY)',
+            'Due',
+            'IMO #',
+            'Markets',
+            'Notes',
+            'Owner',
+        ]),
+        { epic: 1, title: 0, start: 2, end: 3, bullets: 6, imo: 4, priority: -1, country: 5 }
+    );
+    // "Epic name" is the epic, not the title
+    assert.deepEqual(guessColumnMapping(['Epic name', 'Name']).title, 1);
+});
+
+test('rows become stories grouped into epics', () => {
+    const rows = [
+        ['Epic', 'Title', 'Start', 'End', 'Bullets', 'IMO', 'Priority', 'Country'],
+        [
+            'Issuing',
+            'Cards in Spain',
+            '2026-02-01',
+            '15/03/2026',
+            '- One\n- Two',
+            '0043',
+            'high',
+            'es, UK',
+        ],
+        ['', 'Loose story', 'Apr', 'jun', '', '', '', 'Global; Spain'],
+        ['Issuing', 'Virtual cards', 'Q3', '01/07/26', 'Only • Two', '', 'Urgent', 'Mars'],
+        ['', '', '', '', '', '', '', ''],
+        ['Issuing', '', '01/01/26'],
+    ];
+    const mapping = guessColumnMapping(rows[0]);
+    const { teamData, warnings } = rowsToTeamData(rows, mapping, {
+        teamName: 'Payments',
+        roadmapYear: 2026,
+    });
+
+    assert.equal(teamData.teamName, 'Payments');
+    assert.equal(teamData.roadmapYear, 2026);
+    assert.deepEqual(
+        teamData.epics.map((e) => [e.name, e.epicId, e.stories.length]),
+        [
+            ['Issuing', '0xE0000001', 2],
+            [DEFAULT_EPIC, '0xE0000002', 1],
+        ]
+    );
+    assert.deepEqual(teamData.epics[0].stories[0], {
+        title: 'Cards in Spain',
+        storyId: '0x50000001',
+        startDate: '01/02/26',
+        endDate: '15/03/26',
+        bullets: ['One', 'Two'],
+        imo: '0043',
+        priority: 'High',
+        countryFlags: ['Spain', 'UK'],
+    });
+    assert.deepEqual(teamData.epics[1].stories[0], {
+        title: 'Loose story',
+        storyId: '0x50000002',
+        startDate: '01/04/26',
+        endDate: '30/06/26',
+        countryFlags: ['Spain'],
+    });
+    assert.deepEqual(teamData.epics[0].stories[1], {
+        title: 'Virtual cards',
+        storyId: '0x50000003',
+        endDate: '01/07/26',
+        bullets: ['Only', 'Two'],
+    });
+    assert.deepEqual(warnings, [
+        { row: 4, message: 'Start "Q3" is not a date or month' },
+        { row: 4, message: 'Priority "Urgent" is not High, Medium or Low' },
+        { row: 4, message: 'Country "Mars" is not one the builder knows' },
+        { row: 6, message: 'No story title - row skipped' },
+    ]);
+});
+
+test('without a header row every row is a story', () => {
+    const { teamData, warnings } = rowsToTeamData(
+        [['Launch', 'Jan', 'Feb']],
+        { epic: -1, title: 0, start: 1, end: 2, bullets: -1, imo: -1, priority: -1, country: -1 },
+        { teamName: 'T', roadmapYear: 2027, hasHeader: false }
+    );
+    assert.deepEqual(teamData.epics[0].stories[0], {
+        title: 'Launch',
+        storyId: '0x50000001',
+        startDate: '01/01/27',
+        endDate: '28/02/27',
+    });
+    assert.deepEqual(
+        rowsToTeamData(
+            [['X', 'Dec', 'Jan']],
+            { title: 0, start: 1, end: 2 },
+            { teamName: 'T', roadmapYear: 2027, hasHeader: false }
+        ).warnings,
+        [{ row: 1, message: 'End 31/01/27 is before start 01/12/27' }]
+    );
+    assert.deepEqual(warnings, []);
+});
@@ -0,0 +1,197 @@
+// The monthly status update, generated from teamData instead of written by
+// hand. collectStatusReport picks out what happened between a "since" day
+// and the roadmap's as-of day (today unless pinned): stories marked done,
+// new or cancelled in that window and timeline changes (slips) recorded in
+// it, grouped by epic, plus every story that is at risk now and the KTLO
+// share of each month in the window. formatStatusReport renders that as
+// Markdown or plain text.
+//
+// Without a since day everything recorded counts, including milestones
+// that have no date.
+
+import { resolveAsOf } from './overdue.js';
+import { MONTH_SHORT, storyDateToIso } from './dates.js';
+
+/**
+ * @typedef {object} ReportItem
+ * @property {string} title
+ * @property {string} [date] - As written in the roadmap
+ * @property {string} [notes]
+ * @property {string} [from] - Slips: the previous end
+ * @property {string} [to] - Slips: the new end
+ */
+
+/**
+ * @typedef {object} ReportEpic
+ * @property {string} name
+ * @property {ReportItem[]} done
+ * @property {ReportItem[]} atRisk
+ * @property {ReportItem[]} slipped
+ * @property {ReportItem[]} added
+ * @property {ReportItem[]} cancelled
+ */
+
+/**
+ * @typedef {object} StatusReport
+ * @property {string} teamName
+ * @property {string | null} since - ISO day
+ * @property {string} until - ISO day
+ * @property {ReportEpic[]} epics - Only the epics with something to report
+ * @property {Array<{ month: string, percentage: number }>} ktlo - e.g. { month: 'Sep 2026', percentage: 20 }
+ */
+
+const SECTIONS = Object.freeze([
+    { key: 'done', label: 'Done' },
+    { key: 'atRisk', label: 'At risk' },
+    { key: 'slipped', label: 'Slipped' },
+    { key: 'added', label: 'New' },
+    { key: 'cancelled', label: 'Cancelled' },
+]);
+
+const capitalize = (month) => month[0] + month.slice(1).toLowerCase();
+
+/**
+ * @param {object} teamData
+ * @param {object} [options]
+ * @param {string} [options.since] - ISO day the report starts on; all of the
+ *        roadmap's history when empty
+ * @param {Date} [options.now] - For the as-of day when none is pinned
+ * @returns {StatusReport}
+ */
+export function collectStatusReport(teamData, { since = '', now = new Date() } = {}) {
+    const year = Number(teamData.roadmapYear) || now.getFullYear();
+    const until = resolveAsOf(teamData.asOfDate, now);
+    const inWindow = (date) => {
+        const iso = date ? storyDateToIso(date, year, 'start') : null;
+        if (!iso) return !since;
+        return (!since || iso >= since) && iso <= until;
+    };
+    const info = (story, field) => (story.roadmapChanges && story.roadmapChanges[field]) || {};
+    const item = (story, { date, notes }) => ({
+        title: story.title || 'Untitled story',
+        ...(date ? { date } : {}),
+        ...(notes ? { notes } : {}),
+    });
+
+    const epics = [];
+    for (const epic of teamData.epics || []) {
+        const entry = {
+            name: epic.name || 'Untitled epic',
+            done: [],
+            atRisk: [],
+            slipped: [],
+            added: [],
+            cancelled: [],
+        };
+        for (const story of epic.stories || []) {
+            const done = info(story, 'doneInfo');
+            const cancelled = info(story, 'cancelInfo');
+            const added = info(story, 'newStoryInfo');
+            if (story.isDone && inWindow(done.date)) entry.done.push(item(story, done));
+            if (story.isCancelled && inWindow(cancelled.date))
+                entry.cancelled.push(item(story, cancelled));
+            if (story.isNewStory && inWindow(added.date)) entry.added.push(item(story, added));
+            // At risk is a state, not an event: listed while it lasts
+            if (story.isAtRisk && !story.isDone && !story.isCancelled) {
+                entry.atRisk.push(item(story, info(story, 'atRiskInfo')));
+            }
+            const changes = (story.roadmapChanges && story.roadmapChanges.changes) || [];
+            for (const change of changes) {
+                if (!change || !inWindow(change.date)) continue;
+                entry.slipped.push({
+                    ...item(story, { date: change.date, notes: change.description }),
+                    from: change.prevEndDate || '',
+                    to: change.newEndDate || '',
+                });
+            }
+        }
+        if (SECTIONS.some(({ key }) => entry[key].length)) epics.push(entry);
+    }
+
+    const firstMonth = since ? since.slice(0, 7) : '';
+    // The builder saves a month nobody filled in as 0% with no number or
+    // description; only a 0 that comes with either is a real figure
+    const isFilledIn = (m) => m.percentage || m.number || m.description;
+    const ktlo = ((teamData.ktloSwimlane && teamData.ktloSwimlane.monthlyData) || [])
+        .filter((m) => typeof m.percentage === 'number' && isFilledIn(m))
+        .map((m) => ({ iso: storyDateToIso(m.month, year, 'start'), percentage: m.percentage }))
+        .filter((m) => m.iso)
+        .filter((m) => m.iso.slice(0, 7) >= firstMonth && m.iso <= until)
+        .sort((a, b) => a.iso.localeCompare(b.iso))
+        .map((m) => ({
+            month: `${capitalize(MONTH_SHORT[Number(m.iso.slice(5, 7)) - 1])} ${m.iso.slice(0, 4)}`,
+            percentage: m.percentage,
+        }));
+
+    return { teamName: teamData.teamName || 'Team', since: since || null, until, epics, ktlo };
+}
+
+function itemText(sectionKey, entry, escape) {
+    const title = escape(entry.title);
+    const notes = entry.notes ? ` - ${escape(entry.notes)}` : '';
+    if (sectionKey === 'slipped') {
+        return `${title}: ${escape(entry.from || '?')} → ${escape(entry.to || '?')}${entry.date ? ` (on ${entry.date})` : ''}${notes}`;
+    }
+    if (sectionKey === 'atRisk') {
+        return `${title}${notes}${entry.date ? ` (since ${entry.date})` : ''}`;
+    }
+    return `${title}${entry.date ? ` (${entry.date})` : ''}${notes}`;
+}
+
+const isoToDisplay = (iso) => `${iso.slice(8, 10)}/${iso.slice(5, 7)}/${iso.slice(2, 4)}`;
+
+// Backslash-escape what Markdown would otherwise read as formatting
+const escapeMarkdown = (text) => String(text).replace(/[\\`*_[\]<>|#]/g, (ch) => `\\${ch}`);
+
+/**
+ * @param {StatusReport} report
+ * @param {'markdown' | 'text'} [format]
+ * @returns {string}
+ */
+export function formatStatusReport(report, format = 'markdown') {
+    const markdown = format === 'markdown';
+    const escape = markdown ? escapeMarkdown : (text) => String(text);
+    const heading = (level, text) =>
+        markdown
+            ? `${'#'.repeat(level)} ${escape(text)}`
+            : `${text}\n${(level === 1 ? '=' : '-').repeat(text.length)}`;
+    const period = report.since
+        ? `${isoToDisplay(report.since)} to ${isoToDisplay(report.until)}`
+        : `Everything recorded up to ${isoToDisplay(report.until)}`;
+
+    const counts = SECTIONS.map(({ key, label }) => [
+        label,
+        report.epics.reduce((n, epic) => n + epic[key].length, 0),
+    ])
+        .map(([label, n]) => `${label}: ${n}`)
+        .join(' · ');
+
+    const lines = [
+        heading(1, `${report.teamName} status report`),
+        '',
+        markdown ? `_${period}_` : period,
+        '',
+        counts,
+    ];
+
+    if (!report.epics.length) lines.push('', 'Nothing to report in this period.');
+    for (const epic of report.epics) {
+        lines.push('', heading(2, epic.name));
+        for (const { key, label } of SECTIONS) {
+            if (!epic[key].length) continue;
+            lines.push('', markdown ? `**${label}**` : `${label}:`);
+            epic[key].forEach((entry) => lines.push(`- ${itemText(key, entry, escape)}`));
+        }
+    }
+
+    if (report.ktlo.length) {
+        lines.push('', heading(2, 'KTLO'), '');
+        if (markdown) {
+            lines.push('| Month | KTLO |', '| --- | ---: |');
+            report.ktlo.forEach((m) => lines.push(`| ${m.month} | ${m.percentage}% |`));
+        } else {
+            report.ktlo.forEach((m) => lines.push(`${m.month}: ${m.percentage}%`));
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,186 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { collectStatusReport, formatStatusReport } from './status-report.js';
+
+const TEAM = {
+    teamName: 'Payments',
+    roadmapYear: 2026,
+    asOfDate: '19/10/26',
+    epics: [
+        {
+            name: 'Issuing',
+            stories: [
+                {
+                    title: 'Cards in Spain',
+                    isDone: true,
+                    roadmapChanges: { doneInfo: { date: '02/10/26', notes: 'Live for all' } },
+                },
+                {
+                    title: 'Old win',
+                    isDone: true,
+                    roadmapChanges: { doneInfo: { date: '15/06/26' } },
+                },
+                {
+                    title: 'Virtual *cards*',
+                    isAtRisk: true,
+                    roadmapChanges: {
+                        atRiskInfo: { date: '01/08/26', notes: 'Licence pending' },
+                        changes: [
+                            {
+                                date: '10/09/26',
+                                prevEndDate: '30/09/26',
+                                newEndDate: 'NOV',
+                                description: 'Vendor late',
+                            },
+                            { date: '01/03/26', prevEndDate: 'MAR', newEndDate: '30/09/26' },
+                        ],
+                    },
+                },
+            ],
+        },
+        {
+            name: 'Acquiring',
+            stories: [
+                {
+                    title: 'Tap to pay',
+                    isNewStory: true,
+                    roadmapChanges: { newStoryInfo: { date: '20/09/26' } },
+                },
+                {
+                    title: 'Kiosks',
+                    isCancelled: true,
+                    roadmapChanges: { cancelInfo: { date: '25/09/26', notes: 'No demand' } },
+                },
+                { title: 'Undated', isDone: true },
+            ],
+        },
+        { name: 'Quiet', stories: [{ title: 'Nothing yet' }] },
+    ],
+    ktloSwimlane: {
+        monthlyData: [
+            { month: 'OCT', percentage: 25 },
+            { month: 'AUG', percentage: 10 },
+            { month: 'SEP', percentage: 20 },
+            { month: 'NOV', percentage: 30 },
+            { month: 'DEC' },
+            { month: 'JUL', number: 0, percentage: 0, description: '' },
+            { month: 'JUN', number: 0, percentage: 0, description: 'Release freeze' },
+        ],
+    },
+};
+
+test('the since window picks out what happened in it', () => {
+    const report = collectStatusReport(TEAM, { since: '2026-09-01' });
+    assert.equal(report.until, '2026-10-19');
+    assert.deepEqual(
+        report.epics.map((e) => e.name),
+        ['Issuing', 'Acquiring']
+    );
+    const [issuing, acquiring] = report.epics;
+    assert.deepEqual(issuing.done, [
+        { title: 'Cards in Spain', date: '02/10/26', notes: 'Live for all' },
+    ]);
+    assert.deepEqual(issuing.atRisk, [
+        { title: 'Virtual *cards*', date: '01/08/26', notes: 'Licence pending' },
+    ]);
+    assert.deepEqual(issuing.slipped, [
+        {
+            title: 'Virtual *cards*',
+            date: '10/09/26',
+            notes: 'Vendor late',
+            from: '30/09/26',
+            to: 'NOV',
+        },
+    ]);
+    assert.deepEqual(
+        acquiring.added.map((s) => s.title),
+        ['Tap to pay']
+    );
+    assert.deepEqual(
+        acquiring.cancelled.map((s) => s.title),
+        ['Kiosks']
+    );
+    assert.deepEqual(acquiring.done, [], 'undated milestones fall outside a window');
+    assert.deepEqual(report.ktlo, [
+        { month: 'Sep 2026', percentage: 20 },
+        { month: 'Oct 2026', percentage: 25 },
+    ]);
+});
+
+test('without a since day the whole history counts', () => {
+    const report = collectStatusReport(TEAM);
+    assert.equal(report.since, null);
+    assert.deepEqual(
+        report.epics[0].done.map((s) => s.title),
+        ['Cards in Spain', 'Old win']
+    );
+    assert.equal(report.epics[0].slipped.length, 2);
+    assert.deepEqual(
+        report.epics[1].done.map((s) => s.title),
+        ['Undated']
+    );
+    // July was never filled in; June's 0% comes with a description
+    assert.deepEqual(
+        report.ktlo.map((m) => m.month),
+        ['Jun 2026', 'Aug 2026', 'Sep 2026', 'Oct 2026']
+    );
+});
+
+test('Markdown report', () => {
+    const markdown = formatStatusReport(collectStatusReport(TEAM, { since: '2026-09-01' }));
+    assert.equal(
+        markdown,
+        [
+            '# Payments status report',
+            '',
+            '_01/09/26 to 19/10/26_',
+            '',
+            'Done: 1 · At risk: 1 · Slipped: 1 · New: 1 · Cancelled: 1',
+            '',
+            '## Issuing',
+            '',
+            '**Done**',
+            '- Cards in Spain (02/10/26) - Live for all',
+            '',
+            '**At risk**',
+            '- Virtual \\*cards\\* - Licence pending (since 01/08/26)',
+            '',
+            '**Slipped**',
+            '- Virtual \\*cards\\*: 30/09/26 → NOV (on 10/09/26) - Vendor late',
+            '',
+            '## Acquiring',
+            '',
+            '**New**',
+            '- Tap to pay (20/09/26)',
+            '',
+            '**Cancelled**',
+            '- Kiosks (25/09/26) - No demand',
+            '',
+            '## KTLO',
+            '',
+            '| Month | KTLO |',
+            '| --- | ---: |',
+            '| Sep 2026 | 20% |',
+            '| Oct 2026 | 25% |',
+            '',
+        ].join('\n')
+    );
+});
+
+test('plain-text report', () => {
+    const text = formatStatusReport(collectStatusReport(TEAM, { since: '2026-10-10' }), 'text');
+    assert.ok(
+        text.startsWith('Payments status report\n======================\n\n10/10/26 to 19/10/26\n')
+    );
+    assert.match(
+        text,
+        /\nIssuing\n-------\n\nAt risk:\n- Virtual \*cards\* - Licence pending \(since 01\/08\/26\)\n/
+    );
+    assert.match(text, /\nKTLO\n----\n\nOct 2026: 25%\n$/);
+    const quiet = formatStatusReport(
+        collectStatusReport({ ...TEAM, epics: [] }, { since: '2026-10-10' }),
+        'text'
+    );
+    assert.match(quiet, /Nothing to report in this period\./);
+});
@@ -0,0 +1,65 @@
+// Text helpers for the SVG renderer (roadmap-svg.js). SVG has no text flow,
+// and in Node nothing can measure text, so the renderer works from estimates:
+// widths come from an average glyph advance and text is cut to fit.
+
+// Average glyph advance as a share of the font size, a little wide for
+// Figtree/Arial so estimated text rarely runs past its box.
+const CHAR_WIDTH = 0.56;
+
+/**
+ * @param {unknown} text
+ * @returns {string} Safe for SVG text content and attribute values
+ */
+export function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Plain text of a rich-text field: tags dropped, the few entities the
+ * editor writes decoded, whitespace collapsed.
+ *
+ * @param {unknown} html
+ * @returns {string}
+ */
+export function plainText(html) {
+    return String(html ?? '')
+        .replace(/<br\s*\/?>/gi, ' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * @param {string} text
+ * @param {number} fontSize - px
+ * @returns {number} Estimated width in px
+ */
+export function textWidth(text, fontSize) {
+    return text.length * fontSize * CHAR_WIDTH;
+}
+
+/**
+ * Cut text to fit an estimated width, ending in an ellipsis when cut.
+ *
+ * @param {string} text
+ * @param {number} width - px available
+ * @param {number} fontSize - px
+ * @returns {string} '' when not even one character and the ellipsis fit
+ */
+export function fitText(text, width, fontSize) {
+    const max = Math.floor(width / (fontSize * CHAR_WIDTH));
+    if (text.length <= max) return text;
+    if (max < 2) return '';
+    return `${text.slice(0, max - 1).trimEnd()}…`;
+}
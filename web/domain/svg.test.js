@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { escapeXml, plainText, textWidth, fitText } from './svg.js';
+
+test('escapeXml and plainText make rich text safe for SVG', () => {
+    assert.equal(escapeXml('<R&D "team">'), '&lt;R&amp;D &quot;team&quot;&gt;');
+    assert.equal(escapeXml(undefined), '');
+    assert.equal(
+        plainText('<div style="color: red;">First&nbsp;bullet</div><br>&amp; more'),
+        'First bullet & more'
+    );
+});
+
+test('fitText cuts to the estimated width with an ellipsis', () => {
+    const title = 'Migrate acquiring to the new ledger';
+    assert.equal(fitText(title, textWidth(title, 12), 12), title);
+    const cut = fitText(title, 100, 12);
+    assert.ok(cut.endsWith('…'));
+    assert.ok(textWidth(cut, 12) <= 100);
+    assert.equal(fitText(title, 5, 12), '');
+});
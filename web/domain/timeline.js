@@ -0,0 +1,376 @@
+// Timeline window: which months the roadmap grid shows. The default is the
+// roadmap's calendar year - January, 12 months - which is the layout every
+// roadmap had before windows existed. A window can start at any month of any
+// year and run up to MAX_TIMELINE_MONTHS ("Jul 2026 - Dec 2027"); a rolling
+// window starts at the current month, so the roadmap always shows what's
+// ahead.
+//
+// Saved in teamData.timeline as { start: 'YYYY-MM' | 'rolling', months }.
+//
+// Every month keeps COLUMNS_PER_MONTH columns, so a date's column in the
+// window is its column within its own year (grid.js) shifted by
+// yearColumnOffset - the columns between the window start and that year's
+// January.
+//
+// Quarters follow the roadmap's fiscal year, saved in teamData.fiscalYearStart
+// as the month it starts (1-12; January when missing). A fiscal year is
+// named after the calendar year it ends in: with an April start, April 2026 -
+// March 2027 is FY27 and April 2026 is in Q1 FY27.
+//
+// Zoom modes change how the window is drawn, not which months it covers:
+// 'quarter' is an overview with quarter headers only, 'month' the classic
+// view, 'week' adds ISO week numbers and places bars by the day.
+
+import { COLUMNS_PER_MONTH, MONTHS_IN_YEAR, columnToDate, dateToColumn } from './grid.js';
+
+/**
+ * @typedef {object} TimelineWindow
+ * @property {number} startYear
+ * @property {number} startMonth - 0-indexed (Jan = 0)
+ * @property {number} months
+ */
+
+/**
+ * @typedef {object} TimelineSetting
+ * @property {string} start - 'YYYY-MM', or ROLLING for the current month
+ * @property {number} [months]
+ */
+
+export const ROLLING = 'rolling';
+export const MAX_TIMELINE_MONTHS = 36;
+
+/** @typedef {'quarter' | 'month' | 'week'} ZoomMode */
+
+export const ZOOM_MODES = Object.freeze(['quarter', 'month', 'week']);
+export const DEFAULT_ZOOM = 'month';
+
+const MONTH_LABELS = [
+    'JAN',
+    'FEB',
+    'MAR',
+    'APR',
+    'MAY',
+    'JUN',
+    'JUL',
+    'AUG',
+    'SEP',
+    'OCT',
+    'NOV',
+    'DEC',
+];
+const SHORT_MONTHS = [
+    'Jan',
+    'Feb',
+    'Mar',
+    'Apr',
+    'May',
+    'Jun',
+    'Jul',
+    'Aug',
+    'Sep',
+    'Oct',
+    'Nov',
+    'Dec',
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * The calendar-year window for a roadmap year.
+ *
+ * @param {number} year
+ * @returns {TimelineWindow}
+ */
+export function calendarYearTimeline(year) {
+    return { startYear: year, startMonth: 0, months: MONTHS_IN_YEAR };
+}
+
+/**
+ * Resolve a saved setting into a window. Missing or malformed settings fall
+ * back to the roadmap's calendar year.
+ *
+ * @param {TimelineSetting | null | undefined} setting
+ * @param {number} roadmapYear
+ * @param {Date} [today] - For rolling windows
+ * @returns {TimelineWindow}
+ */
+export function resolveTimeline(setting, roadmapYear, today = new Date()) {
+    const fallback = calendarYearTimeline(roadmapYear);
+    if (!setting || typeof setting !== 'object') return fallback;
+
+    const months = Math.round(Number(setting.months) || MONTHS_IN_YEAR);
+    const clampedMonths = Math.min(Math.max(months, 1), MAX_TIMELINE_MONTHS);
+    if (setting.start === ROLLING) {
+        return {
+            startYear: today.getFullYear(),
+            startMonth: today.getMonth(),
+            months: clampedMonths,
+        };
+    }
+    const match = /^(\d{4})-(\d{2})$/.exec(String(setting.start || ''));
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return fallback;
+    return { startYear: Number(match[1]), startMonth: Number(match[2]) - 1, months: clampedMonths };
+}
+
+/**
+ * @param {TimelineWindow} timeline
+ * @returns {boolean} True for January-December of a single year
+ */
+export function isCalendarYear(timeline) {
+    return timeline.startMonth === 0 && timeline.months === MONTHS_IN_YEAR;
+}
+
+/**
+ * @param {TimelineWindow} timeline
+ * @returns {number} Grid columns the window spans
+ */
+export function timelineColumns(timeline) {
+    return timeline.months * COLUMNS_PER_MONTH;
+}
+
+/**
+ * Columns to add to a column within `year` (1 = 1 January) to get its column
+ * in the window. Negative when that January is before the window start.
+ *
+ * @param {TimelineWindow} timeline
+ * @param {number} year
+ * @returns {number}
+ */
+export function yearColumnOffset(timeline, year) {
+    return ((year - timeline.startYear) * MONTHS_IN_YEAR - timeline.startMonth) * COLUMNS_PER_MONTH;
+}
+
+/**
+ * Every month in the window, in order.
+ *
+ * @param {TimelineWindow} timeline
+ * @returns {{ year: number, month: number, label: string }[]} month 0-indexed;
+ *          label the upper-case short name ('JAN')
+ */
+export function timelineMonths(timeline) {
+    const months = [];
+    for (let i = 0; i < timeline.months; i++) {
+        const absolute = timeline.startMonth + i;
+        const month = absolute % MONTHS_IN_YEAR;
+        months.push({
+            year: timeline.startYear + Math.floor(absolute / MONTHS_IN_YEAR),
+            month,
+            label: MONTH_LABELS[month],
+        });
+    }
+    return months;
+}
+
+/**
+ * The saved fiscal year start as a 0-indexed month. Missing or malformed
+ * values mean January.
+ *
+ * @param {unknown} value - teamData.fiscalYearStart, 1-12
+ * @returns {number}
+ */
+export function resolveFiscalStart(value) {
+    const month = Number(value);
+    return Number.isInteger(month) && month >= 1 && month <= MONTHS_IN_YEAR ? month - 1 : 0;
+}
+
+/**
+ * @param {number} month - 0-indexed
+ * @param {number} [fiscalStart] - 0-indexed month the fiscal year starts
+ * @returns {number} Fiscal quarter, 1-4
+ */
+export function fiscalQuarter(month, fiscalStart = 0) {
+    return Math.floor(((month - fiscalStart + MONTHS_IN_YEAR) % MONTHS_IN_YEAR) / 3) + 1;
+}
+
+/**
+ * @param {number} year
+ * @param {number} month - 0-indexed
+ * @param {number} [fiscalStart] - 0-indexed month the fiscal year starts
+ * @returns {number} The calendar year the month's fiscal year ends in
+ */
+export function fiscalYear(year, month, fiscalStart = 0) {
+    return fiscalStart > 0 && month >= fiscalStart ? year + 1 : year;
+}
+
+/**
+ * True when the month is the last of a fiscal quarter.
+ *
+ * @param {number} month - 0-indexed
+ * @param {number} [fiscalStart]
+ * @returns {boolean}
+ */
+export function endsFiscalQuarter(month, fiscalStart = 0) {
+    return ((month - fiscalStart + MONTHS_IN_YEAR) % MONTHS_IN_YEAR) % 3 === 2;
+}
+
+/**
+ * @param {number} quarter - 1-4
+ * @param {number} year - Fiscal year
+ * @param {number} [fiscalStart]
+ * @returns {string} "Q3'26", or "Q1 FY27" for a fiscal year not starting in January
+ */
+export function quarterLabel(quarter, year, fiscalStart = 0) {
+    const shortYear = String(year).slice(-2);
+    return fiscalStart ? `Q${quarter} FY${shortYear}` : `Q${quarter}'${shortYear}`;
+}
+
+/**
+ * Quarter headers for the window. Quarters cut by the window's ends span
+ * fewer than three months.
+ *
+ * @param {TimelineWindow} timeline
+ * @param {number} [fiscalStart] - 0-indexed month the fiscal year starts
+ * @returns {{ label: string, year: number, quarter: number, span: number }[]}
+ *          label from quarterLabel; year is the fiscal year; quarter 1-4
+ */
+export function timelineQuarters(timeline, fiscalStart = 0) {
+    const quarters = [];
+    for (const { year: calendarYear, month } of timelineMonths(timeline)) {
+        const quarter = fiscalQuarter(month, fiscalStart);
+        const year = fiscalYear(calendarYear, month, fiscalStart);
+        const last = quarters[quarters.length - 1];
+        if (last && last.year === year && last.quarter === quarter) {
+            last.span++;
+        } else {
+            quarters.push({
+                label: quarterLabel(quarter, year, fiscalStart),
+                year,
+                quarter,
+                span: 1,
+            });
+        }
+    }
+    return quarters;
+}
+
+/**
+ * First and last day of the window.
+ *
+ * @param {TimelineWindow} timeline
+ * @returns {{ start: string, end: string }} ISO dates
+ */
+export function timelineRange(timeline) {
+    const months = timelineMonths(timeline);
+    const first = months[0];
+    const last = months[months.length - 1];
+    const lastDay = new Date(Date.UTC(last.year, last.month + 1, 0)).getUTCDate();
+    return {
+        start: `${first.year}-${pad(first.month + 1)}-01`,
+        end: `${last.year}-${pad(last.month + 1)}-${pad(lastDay)}`,
+    };
+}
+
+/**
+ * @param {TimelineWindow} timeline
+ * @returns {string} e.g. 'Jul 2026 – Dec 2027'
+ */
+export function formatTimeline(timeline) {
+    const months = timelineMonths(timeline);
+    const first = months[0];
+    const last = months[months.length - 1];
+    return `${SHORT_MONTHS[first.month]} ${first.year} – ${SHORT_MONTHS[last.month]} ${last.year}`;
+}
+
+/**
+ * columnToDate (grid.js) across the window: the day at a fractional window
+ * column, in whichever year the column falls.
+ *
+ * @param {number} column - 1-indexed, fractional; clamped to the window
+ * @param {TimelineWindow} timeline
+ * @param {'start' | 'end'} [edge]
+ * @returns {string} ISO date
+ */
+export function timelineColumnToDate(column, timeline, edge = 'start') {
+    const columns = timelineColumns(timeline);
+    const clamped = Math.min(Math.max(column, 1), columns + 1);
+    // Same boundary rule as columnToDate: a month edge ends the month before.
+    const monthFloat = (clamped - 1) / COLUMNS_PER_MONTH;
+    const index = Math.min(
+        Math.max(edge === 'end' ? Math.ceil(monthFloat) - 1 : Math.floor(monthFloat), 0),
+        timeline.months - 1
+    );
+    const year = timeline.startYear + Math.floor((timeline.startMonth + index) / MONTHS_IN_YEAR);
+    return columnToDate(clamped - yearColumnOffset(timeline, year), year, edge);
+}
+
+/**
+ * dateToColumn (grid.js) across the window. Days outside the window clamp
+ * to its edges.
+ *
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {TimelineWindow} timeline
+ * @param {'start' | 'end'} [edge]
+ * @returns {number}
+ */
+export function timelineDateToColumn(isoDate, timeline, edge = 'start') {
+    const year = Number(isoDate.slice(0, 4));
+    const column = dateToColumn(isoDate, year, edge) + yearColumnOffset(timeline, year);
+    return Math.min(Math.max(column, 1), timelineColumns(timeline) + 1);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {ZoomMode} value when it's a known mode, else DEFAULT_ZOOM
+ */
+export function resolveZoom(value) {
+    return /** @type {ZoomMode} */ (
+        ZOOM_MODES.includes(/** @type {string} */ (value)) ? value : DEFAULT_ZOOM
+    );
+}
+
+/**
+ * ISO 8601 week of a day: weeks start on Monday and week 1 holds the year's
+ * first Thursday, so late December can be week 1 of the next year and early
+ * January week 52 or 53 of the last.
+ *
+ * @param {string} isoDate - YYYY-MM-DD
+ * @returns {{ year: number, week: number }}
+ */
+export function isoWeek(isoDate) {
+    const [y, m, d] = isoDate.split('-').map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    const weekday = (date.getUTCDay() + 6) % 7; // Monday = 0
+    // The Thursday of this week decides the week-numbering year.
+    date.setUTCDate(date.getUTCDate() - weekday + 3);
+    const year = date.getUTCFullYear();
+    const firstThursday = new Date(Date.UTC(year, 0, 4));
+    firstThursday.setUTCDate(
+        firstThursday.getUTCDate() - ((firstThursday.getUTCDay() + 6) % 7) + 3
+    );
+    return {
+        year,
+        week: 1 + Math.round((date.getTime() - firstThursday.getTime()) / (7 * 86400000)),
+    };
+}
+
+/**
+ * The ISO weeks in the window, cut at its ends, with their fractional
+ * column span.
+ *
+ * @param {TimelineWindow} timeline
+ * @returns {{ year: number, week: number, start: number, end: number }[]}
+ *          ISO week-numbering year and week; start/end columns as
+ *          timelineDateToColumn
+ */
+export function timelineWeeks(timeline) {
+    const { start, end } = timelineRange(timeline);
+    const weeks = [];
+    const day = new Date(`${start}T00:00:00Z`);
+    const last = new Date(`${end}T00:00:00Z`);
+    while (day <= last) {
+        const first = day.toISOString().slice(0, 10);
+        // Up to the Sunday, or the window's last day
+        const weekday = (day.getUTCDay() + 6) % 7;
+        day.setUTCDate(day.getUTCDate() + 6 - weekday);
+        const sunday = day > last ? end : day.toISOString().slice(0, 10);
+        const { year, week } = isoWeek(first);
+        weeks.push({
+            year,
+            week,
+            start: timelineDateToColumn(first, timeline),
+            end: timelineDateToColumn(sunday, timeline, 'end'),
+        });
+        day.setUTCDate(day.getUTCDate() + 1);
+    }
+    return weeks;
+}
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    ROLLING,
+    MAX_TIMELINE_MONTHS,
+    calendarYearTimeline,
+    resolveTimeline,
+    isCalendarYear,
+    timelineColumns,
+    yearColumnOffset,
+    timelineMonths,
+    timelineQuarters,
+    resolveFiscalStart,
+    fiscalQuarter,
+    fiscalYear,
+    endsFiscalQuarter,
+    resolveZoom,
+    isoWeek,
+    timelineWeeks,
+    timelineRange,
+    formatTimeline,
+    timelineColumnToDate,
+    timelineDateToColumn,
+} from './timeline.js';
+import { columnToDate, dateToColumn } from './grid.js';
+
+const JUL_26_18 = { startYear: 2026, startMonth: 6, months: 18 };
+
+test('resolveTimeline falls back to the roadmap calendar year', () => {
+    const year = calendarYearTimeline(2026);
+    assert.deepEqual(resolveTimeline(undefined, 2026), year);
+    assert.deepEqual(resolveTimeline({ start: 'soon' }, 2026), year);
+    assert.deepEqual(resolveTimeline({ start: '2026-13', months: 6 }, 2026), year);
+    assert.equal(isCalendarYear(year), true);
+    assert.equal(timelineColumns(year), 120);
+});
+
+test('resolveTimeline reads fixed and rolling windows', () => {
+    assert.deepEqual(resolveTimeline({ start: '2026-07', months: 18 }, 2026), JUL_26_18);
+    assert.deepEqual(
+        resolveTimeline({ start: '2026-07', months: 99 }, 2026).months,
+        MAX_TIMELINE_MONTHS
+    );
+    assert.deepEqual(resolveTimeline({ start: ROLLING, months: 12 }, 2026, new Date(2026, 9, 19)), {
+        startYear: 2026,
+        startMonth: 9,
+        months: 12,
+    });
+    assert.equal(isCalendarYear(JUL_26_18), false);
+});
+
+test('months, quarters and range across a year boundary', () => {
+    const months = timelineMonths(JUL_26_18);
+    assert.equal(months.length, 18);
+    assert.deepEqual(months[0], { year: 2026, month: 6, label: 'JUL' });
+    assert.deepEqual(months[6], { year: 2027, month: 0, label: 'JAN' });
+    assert.deepEqual(
+        timelineQuarters({ startYear: 2026, startMonth: 7, months: 8 }).map((q) => [
+            q.label,
+            q.span,
+        ]),
+        [
+            ["Q3'26", 2],
+            ["Q4'26", 3],
+            ["Q1'27", 3],
+        ]
+    );
+    assert.deepEqual(timelineRange(JUL_26_18), { start: '2026-07-01', end: '2027-12-31' });
+    assert.equal(formatTimeline(JUL_26_18), 'Jul 2026 – Dec 2027');
+});
+
+test('window columns are in-year columns shifted by the year offset', () => {
+    assert.equal(yearColumnOffset(JUL_26_18, 2026), -60);
+    assert.equal(yearColumnOffset(JUL_26_18, 2027), 60);
+    assert.equal(timelineDateToColumn('2026-07-01', JUL_26_18), 1);
+    assert.equal(timelineDateToColumn('2027-01-01', JUL_26_18), 61);
+    assert.equal(timelineDateToColumn('2027-12-31', JUL_26_18, 'end'), 181);
+    assert.equal(timelineDateToColumn('2025-05-01', JUL_26_18), 1);
+    assert.equal(timelineColumnToDate(61, JUL_26_18), '2027-01-01');
+    assert.equal(timelineColumnToDate(61, JUL_26_18, 'end'), '2026-12-31');
+    for (const iso of ['2026-09-15', '2027-02-28', '2027-06-30']) {
+        assert.equal(timelineColumnToDate(timelineDateToColumn(iso, JUL_26_18), JUL_26_18), iso);
+        assert.equal(
+            timelineColumnToDate(timelineDateToColumn(iso, JUL_26_18, 'end'), JUL_26_18, 'end'),
+            iso
+        );
+    }
+});
+
+test('the calendar-year window matches the single-year grid', () => {
+    const year = calendarYearTimeline(2026);
+    for (const column of [1, 17.5, 61, 120.9, 121]) {
+        assert.equal(timelineColumnToDate(column, year), columnToDate(column, 2026));
+        assert.equal(timelineColumnToDate(column, year, 'end'), columnToDate(column, 2026, 'end'));
+    }
+    assert.equal(timelineDateToColumn('2026-03-15', year), dateToColumn('2026-03-15', 2026));
+});
+
+test('fiscal quarters shift with the fiscal year start', () => {
+    assert.equal(resolveFiscalStart(4), 3);
+    assert.equal(resolveFiscalStart(undefined), 0);
+    assert.equal(resolveFiscalStart(13), 0);
+    assert.equal(fiscalQuarter(3, 3), 1);
+    assert.equal(fiscalQuarter(2, 3), 4);
+    assert.equal(fiscalQuarter(11, 0), 4);
+    assert.equal(fiscalYear(2026, 3, 3), 2027);
+    assert.equal(fiscalYear(2026, 2, 3), 2026);
+    assert.equal(endsFiscalQuarter(5, 3), true);
+    assert.equal(endsFiscalQuarter(2, 0), true);
+    assert.deepEqual(
+        timelineQuarters(calendarYearTimeline(2026), 3).map((q) => [q.label, q.span]),
+        [
+            ['Q4 FY26', 3],
+            ['Q1 FY27', 3],
+            ['Q2 FY27', 3],
+            ['Q3 FY27', 3],
+        ]
+    );
+    assert.deepEqual(
+        timelineQuarters(calendarYearTimeline(2026), 1).map((q) => [q.label, q.span]),
+        [
+            ['Q4 FY26', 1],
+            ['Q1 FY27', 3],
+            ['Q2 FY27', 3],
+            ['Q3 FY27', 3],
+            ['Q4 FY27', 2],
+        ]
+    );
+});
+
+test('ISO weeks and the week header', () => {
+    assert.deepEqual(isoWeek('2026-01-01'), { year: 2026, week: 1 });
+    assert.deepEqual(isoWeek('2027-01-01'), { year: 2026, week: 53 });
+    assert.deepEqual(isoWeek('2024-12-30'), { year: 2025, week: 1 });
+    assert.deepEqual(isoWeek('2026-10-19'), { year: 2026, week: 43 });
+
+    const weeks = timelineWeeks(calendarYearTimeline(2026));
+    assert.equal(weeks.length, 53);
+    assert.deepEqual(weeks.map((w) => [w.year, w.week]).slice(0, 2), [
+        [2026, 1],
+        [2026, 2],
+    ]);
+    assert.equal(weeks[0].start, 1);
+    assert.equal(weeks[weeks.length - 1].end, 121);
+    // Consecutive weeks share their boundary
+    for (let i = 1; i < weeks.length; i++) assert.equal(weeks[i].start, weeks[i - 1].end);
+
+    assert.equal(resolveZoom('week'), 'week');
+    assert.equal(resolveZoom('decade'), 'month');
+});
@@ -1,6 +1,27 @@
 import { DateUtility } from './utilities/date-utility.js';
 import { UIUtility } from './utilities/ui-utility.js';
 import { ConfigUtility } from './utilities/config-utility.js';
+import { findDependencies, describeDependency } from './domain/dependencies.js';
+import { effectiveEnd, storyDateToIso } from './domain/dates.js';
+import { resolveAsOf, isOverdue } from './domain/overdue.js';
+import { renderRoadmapSvg } from './roadmap-svg.js';
+import { MAX_COLUMNS } from './domain/grid.js';
+import { storyMilestones } from './domain/milestones.js';
+import {
+    calendarYearTimeline,
+    resolveTimeline,
+    isCalendarYear,
+    timelineColumns,
+    yearColumnOffset,
+    timelineMonths,
+    timelineQuarters,
+    timelineRange,
+    resolveFiscalStart,
+    endsFiscalQuarter,
+    resolveZoom,
+    timelineWeeks,
+    timelineDateToColumn,
+} from './domain/timeline.js';
 
 // Wrappers preserved so existing call sites (`getDateUtility().method(...)`)
 // inside this file keep working with minimal churn. Phase 3 will inline these.
@@ -8,77 +29,192 @@ const getDateUtility = () => DateUtility;
 const getUIUtility = () => UIUtility;
 const getConfigUtility = () => ConfigUtility;
 
+// Status milestones on the bar: glyph, colour and a label prefix
+const MILESTONE_STYLES = Object.freeze({
+    done: { glyph: '✓', color: '#28a745' },
+    cancel: { glyph: '✕', color: '#dc3545' },
+    atrisk: { glyph: '!', color: '#dc3545' },
+    newstory: { glyph: '🌟', color: '#666' },
+    info: { glyph: 'i', color: '#007cba' },
+    'transferred-in': { glyph: '↘', color: '#007cba', prefix: 'In: ' },
+    'transferred-out': { glyph: '↗', color: '#dc3545', prefix: 'Out: ' },
+    proposed: { glyph: '💡', color: '#005a8b' },
+});
+
+const escapeAttribute = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;');
+
 export class RoadmapGenerator {
     constructor(roadmapYear = null) {
         this.months = getConfigUtility().getAllMonthNames();
         const year = roadmapYear || new Date().getFullYear();
-        const shortYear = year.toString().slice(-2);
-        this.quarters = [`Q1'${shortYear}`, `Q2'${shortYear}`, `Q3'${shortYear}`, `Q4'${shortYear}`];
         this.roadmapYear = year;
+        this.timeline = calendarYearTimeline(year);
+        // Quarter headers follow the fiscal year (0-indexed start month)
+        this.fiscalStart = 0;
+        // 'quarter' | 'month' | 'week' (domain/timeline.js); a viewing choice, not saved
+        this.zoom = resolveZoom(null);
+        // ISO day of the "today" marker and the overdue check
+        this.asOf = resolveAsOf(null);
+        this.asOfPinned = false;
         this.enableStackedIcons = false;
+        this.changeHighlights = null;
+        this.externalRoadmaps = [];
+        this.dependencies = {};
+    }
+
+    // Outline stories that changed since a snapshot. Takes the map built by
+    // changeHighlights() in domain/roadmap-diff.js: { [storyId]: { kind, details } }.
+    // Pass null to switch highlighting off.
+    setChangeHighlights(highlights) {
+        this.changeHighlights = highlights || null;
+    }
+
+    getChangeHighlightAttributes(story) {
+        const change = this.changeHighlights && story.storyId ? this.changeHighlights[story.storyId] : null;
+        if (!change) return { className: '', attributes: '' };
+        const tooltip = escapeAttribute((change.details || []).join('\n'));
+        return {
+            className: ` story-changed story-changed-${change.kind}`,
+            attributes: ` data-change-kind="${change.kind}" title="${tooltip}"`,
+        };
     }
 
-    // Helper method to check if a story should be displayed based on roadmap year
+    // Other teams' teamData, so cross-team dependencies ({ team, storyId })
+    // can be date-checked. Without them those links render as unresolved.
+    setExternalRoadmaps(roadmaps) {
+        this.externalRoadmaps = Array.isArray(roadmaps) ? roadmaps : [];
+    }
+
+    // Timeline window (domain/timeline.js), resolved from teamData.timeline by
+    // generateRoadmapBody. Positions are still computed within the date's own
+    // year, as they always were, and then shifted into the window by
+    // toTimelineGrid; the calendar-year window shifts nothing.
+    setTimeline(setting) {
+        this.timeline = resolveTimeline(setting, this.roadmapYear);
+    }
+
+    // teamData.fiscalYearStart: the month (1-12) the team's fiscal year starts
+    setFiscalYearStart(value) {
+        this.fiscalStart = resolveFiscalStart(value);
+    }
+
+    setZoom(mode) {
+        this.zoom = resolveZoom(mode);
+    }
+
+    // teamData.asOfDate pins "today" (domain/overdue.js) so an old plan can
+    // be shown as it stood; unset, the real date is used.
+    setAsOf(value) {
+        this.asOf = resolveAsOf(value);
+        this.asOfPinned = this.asOf !== resolveAsOf(null);
+    }
+
+    // Vertical marker at the as-of day across the header and swimlanes;
+    // nothing when the day is outside the window.
+    generateTodayLine() {
+        const range = timelineRange(this.timeline);
+        if (this.asOf < range.start || this.asOf > range.end) return '';
+        const left = ((timelineDateToColumn(this.asOf, this.timeline) - 1) / this.timelineColumns()) * 100;
+        const [year, month, day] = this.asOf.split('-');
+        const date = `${day}/${month}/${year.slice(-2)}`;
+        const label = this.asOfPinned ? `As of ${date}` : 'Today';
+        return `<div class="today-line${this.asOfPinned ? ' today-line-pinned' : ''}" style="left: ${left.toFixed(3)}%;" title="${this.asOfPinned ? label : `Today, ${date}`}"><span class="today-label">${label}</span></div>`;
+    }
+
+    timelineColumns() {
+        return timelineColumns(this.timeline);
+    }
+
+    // In the week view bars follow the day (to the nearest column) rather
+    // than the quarter-month positions; other zooms keep the grid as computed.
+    weekGrid(grid, value, edge) {
+        if (this.zoom !== 'week' || !value) return grid;
+        const iso = this.storyIso(value, edge);
+        return iso ? Math.round(timelineDateToColumn(iso, this.timeline, edge)) : grid;
+    }
+
+    // The stylesheet's grids default to a 12-month year; other windows
+    // override the column and month counts on the container.
+    timelineStyleAttribute() {
+        if (isCalendarYear(this.timeline)) return '';
+        return ` style="--timeline-columns: ${this.timelineColumns()}; --timeline-months: ${this.timeline.months};"`;
+    }
+
+    // Shift an in-year grid position for isoDate (a month name in the roadmap
+    // year when null) into the window. Month rounding can put a late-December
+    // start on January, or an early-January end on December, of the same
+    // year; those wrap to the neighbouring year first.
+    toTimelineGrid(grid, isoDate = null) {
+        let year = this.roadmapYear;
+        if (isoDate) {
+            const [y, m] = isoDate.split('-').map(Number);
+            year = y;
+            if (m === 12 && grid <= 10) grid += MAX_COLUMNS;
+            else if (m === 1 && grid > MAX_COLUMNS - 10) grid -= MAX_COLUMNS;
+        }
+        return grid + yearColumnOffset(this.timeline, year);
+    }
+
+    // ISO day of a story date as written (DD/MM/YY, ISO or month name).
+    storyIso(value, edge = 'start') {
+        return storyDateToIso(value, this.roadmapYear, edge === 'end' ? 'end' : 'start');
+    }
+
+    // Dependency markup for a story bar: data-depends-on lists the same-roadmap
+    // predecessors that drawDependencyArrows() connects; links it can't draw
+    // (other teams, missing stories) and scheduling conflicts get a badge.
+    getDependencyAttributes(story) {
+        const links = story.storyId ? this.dependencies[story.storyId] : null;
+        if (!links || !links.length) return { className: '', attributes: '', badgeHTML: '' };
+        const drawn = links.filter(link => !link.external && link.status !== 'missing');
+        const conflicts = links.filter(link => link.status === 'conflict');
+        const flagged = links.filter(link => link.status === 'conflict' || link.external || link.status === 'missing');
+        let attributes = '';
+        if (drawn.length) {
+            attributes += ` data-depends-on="${escapeAttribute(drawn.map(link => link.ref.storyId).join(' '))}"`;
+        }
+        const localConflicts = conflicts.filter(link => !link.external);
+        if (localConflicts.length) {
+            attributes += ` data-dependency-conflicts="${escapeAttribute(localConflicts.map(link => link.ref.storyId).join(' '))}"`;
+        }
+        const tooltip = escapeAttribute(links.map(describeDependency).join('\n'));
+        return {
+            className: conflicts.length ? ' dependency-conflict' : '',
+            attributes,
+            badgeHTML: flagged.length
+                ? `<span class="dependency-badge" title="${tooltip}">${conflicts.length ? '⚠' : '⛓'}</span>`
+                : '',
+        };
+    }
+
+    // Helper method to check if a story should be displayed: it must be
+    // active during the timeline window (the roadmap year by default)
     shouldDisplayStory(story) {
         if (!this.roadmapYear) return true; // If no roadmap year set, display all
-        
-        let startYear = null;
-        let endYear = null;
-        
-        // Parse start date/year
-        if (story.startDate) {
-            try {
-                let isoStartDate = story.startDate;
-                if (story.startDate.match(/^\d{1,2}[\/\-]\d{1,2}([\/\-]\d{2,4})?$/)) {
-                    isoStartDate = this.convertEuropeanToISO(story.startDate);
-                }
-                const startDate = new Date(isoStartDate);
-                if (!isNaN(startDate.getTime())) {
-                    startYear = startDate.getFullYear();
-                }
-            } catch (e) {
-                // If date parsing fails, continue
-            }
-        } else if (story.startMonth) {
-            // For month-only start dates, assume they're in roadmap year
-            startYear = this.roadmapYear;
-        }
-        
-        // Parse end date/year
-        if (story.endDate) {
-            try {
-                let isoEndDate = story.endDate;
-                if (story.endDate.match(/^\d{1,2}[\/\-]\d{1,2}([\/\-]\d{2,4})?$/)) {
-                    isoEndDate = this.convertEuropeanToISO(story.endDate);
-                }
-                const endDate = new Date(isoEndDate);
-                if (!isNaN(endDate.getTime())) {
-                    endYear = endDate.getFullYear();
-                }
-            } catch (e) {
-                // If date parsing fails, continue
-            }
-        } else if (story.endMonth) {
-            // For month-only end dates, assume they're in roadmap year
-            endYear = this.roadmapYear;
-        }
-        
-        // Show story if it's active during the roadmap year
-        // (starts before or during roadmap year AND ends during or after roadmap year)
-        if (startYear !== null && endYear !== null) {
-            return startYear <= this.roadmapYear && endYear >= this.roadmapYear;
+
+        const range = timelineRange(this.timeline);
+        // Month-only dates are in the roadmap year
+        const storyStart = this.storyIso(story.startDate || story.startMonth, 'start');
+        const storyEnd = this.storyIso(story.endDate || story.endMonth, 'end');
+
+        // Starts before or during the window AND ends during or after it
+        if (storyStart !== null && storyEnd !== null) {
+            return storyStart <= range.end && storyEnd >= range.start;
         }
-        
-        // If only start year is known, show if it starts in or before roadmap year
-        if (startYear !== null) {
-            return startYear <= this.roadmapYear;
+
+        // If only the start is known, show if it starts before the window ends
+        if (storyStart !== null) {
+            return storyStart <= range.end;
         }
-        
-        // If only end year is known, show if it ends in or after roadmap year
-        if (endYear !== null) {
-            return endYear >= this.roadmapYear;
+
+        // If only the end is known, show if it ends after the window starts
+        if (storyEnd !== null) {
+            return storyEnd >= range.start;
         }
-        
+
         return true; // Display by default if no date info
     }
     
@@ -98,7 +234,7 @@ export class RoadmapGenerator {
         }
     }
 
-    // Helper to check if a story continues past the roadmap year or search range
+    // Helper to check if a story continues past the timeline window or search range
     storyContinuesNextYear(story) {
         if (!story.endDate) return false;
         
@@ -106,11 +242,8 @@ export class RoadmapGenerator {
         const storyEndDateStr = this.convertStoryDateToISO(story.endDate, this.roadmapYear);
         if (!storyEndDateStr) return false;
         
-        // Extract year from the ISO date string (YYYY-MM-DD)
-        const storyEndYear = parseInt(storyEndDateStr.split('-')[0]);
-        
-        // For normal roadmaps, check if story ends after the roadmap year
-        if (this.roadmapYear && storyEndYear > this.roadmapYear) {
+        // For normal roadmaps, check if story ends after the timeline window
+        if (this.roadmapYear && storyEndDateStr > timelineRange(this.timeline).end) {
             return true;
         }
         
@@ -431,6 +564,8 @@ export class RoadmapGenerator {
         // Add cache-busting parameter to force CSS reload
         const timestamp = Date.now();
         let css = `<link rel="stylesheet" href="roadmap-styles.css?v=${timestamp}">`;
+        // 100px per month (200px in the week view); a calendar year keeps the original 1200px
+        const width = Math.max(1200, this.timeline.months * (this.zoom === 'week' ? 200 : 100));
         
         // Add fixed width styles for read-only roadmap view
         if (fixedWidth) {
@@ -438,19 +573,19 @@ export class RoadmapGenerator {
             <style>
                 body {
                     overflow-x: auto;
-                    min-width: 1200px;
+                    min-width: ${width}px;
                 }
                 .roadmap-container {
-                    min-width: 1200px;
-                    width: 1200px;
+                    min-width: ${width}px;
+                    width: ${width}px;
                 }
                 .timeline-header {
-                    min-width: 1200px;
-                    width: 1200px;
+                    min-width: ${width}px;
+                    width: ${width}px;
                 }
                 .swimlanes-container {
-                    min-width: 1200px;
-                    width: 1200px;
+                    min-width: ${width}px;
+                    width: ${width}px;
                 }
             </style>`;
         }
@@ -460,58 +595,54 @@ export class RoadmapGenerator {
 
     // Generate timeline header
     generateTimelineHeader() {
-        const quartersHTML = this.quarters.map(quarter => 
-            `<div class="quarter-header" style="grid-column: span 3;">${quarter}</div>`
+        // Quarters cut by the window's ends span fewer months
+        const quartersHTML = timelineQuarters(this.timeline, this.fiscalStart).map(quarter => 
+            `<div class="quarter-header" style="grid-column: span ${quarter.span};">${quarter.label}</div>`
         ).join('');
         
-        const monthsHTML = this.months.map(month => 
-            `<div class="month-header">${month}</div>`
+        const monthsHTML = timelineMonths(this.timeline).map(({ label }) => 
+            `<div class="month-header">${label}</div>`
         ).join('');
 
+        // The quarter overview drops the months; the week view adds ISO weeks
+        // under them, placed by their share of the window
+        let weeksHTML = '';
+        if (this.zoom === 'week') {
+            const columns = this.timelineColumns();
+            weeksHTML = timelineWeeks(this.timeline).map(week => {
+                const left = ((week.start - 1) / columns) * 100;
+                const width = ((week.end - week.start) / columns) * 100;
+                return `<div class="week-header" style="left: ${left.toFixed(3)}%; width: ${width.toFixed(3)}%;" title="ISO week ${week.week}, ${week.year}">${week.week}</div>`;
+            }).join('');
+        }
+
         return `
         <div class="timeline-header sticky-header">
             <div class="quarters-row">${quartersHTML}</div>
-            <div class="months-row">${monthsHTML}</div>
+            ${this.zoom === 'quarter' ? '' : `<div class="months-row">${monthsHTML}</div>`}
+            ${weeksHTML ? `<div class="weeks-row">${weeksHTML}</div>` : ''}
         </div>
         <div class="timeline-separator"></div>`;
     }
 
     // Generate grid cells for timeline
     generateTimelineGrid() {
+        // Quarter lines follow the fiscal calendar, wherever the window starts
+        const cells = timelineMonths(this.timeline).flatMap(({ month }) => {
+            const monthCells = Array(getConfigUtility().GRID.COLUMNS_PER_MONTH - 1).fill('<div class="grid-cell"></div>');
+            monthCells.push(endsFiscalQuarter(month, this.fiscalStart) ? '<div class="grid-cell quarter-end"></div>' : '<div class="grid-cell"></div>');
+            return monthCells;
+        });
         return `
         <div class="timeline-grid">
-            ${Array(120).fill().map(() => '<div class="grid-cell"></div>').join('')}
+            ${cells.join('')}
         </div>`;
     }
 
-    // Helper function to get the effective end date (considering timeline changes)
+    // The effective end (see effectiveEnd), month names upper-cased for the grid lookups
     getEffectiveEndDate(story) {
-        // If no timeline changes, use original end date
-        if (!story.roadmapChanges?.changes || story.roadmapChanges.changes.length === 0) {
-            return story.endDate || story.endMonth;
-        }
-        
-        // Sort timeline changes by change date (most recent first)
-        const sortedChanges = [...story.roadmapChanges.changes].sort((a, b) => {
-            return getDateUtility().compareDates(b.date, a.date); // Reverse order for most recent first
-        });
-        
-        // Get the newEndDate from the most recent change
-        const mostRecentChange = sortedChanges[0];
-        if (mostRecentChange && mostRecentChange.newEndDate) {
-            // Determine if this is a date or month format
-            const newEndDate = mostRecentChange.newEndDate;
-            if (newEndDate.includes('-') || newEndDate.match(/^\d{1,2}[\/\-]\d{1,2}([\/\-]\d{2,4})?$/)) {
-                // It's a date format
-                return newEndDate;
-            } else {
-                // It's a month format
-                return newEndDate.toUpperCase();
-            }
-        }
-        
-        // Fallback to original end date
-        return story.endDate || story.endMonth;
+        const end = effectiveEnd(story);
+        return /^[a-z]+$/i.test(end) ? end.toUpperCase() : end;
     }
 
     // Helper function to determine if effective end date is a date or month
@@ -539,8 +670,11 @@ export class RoadmapGenerator {
         // Use effective end date that considers timeline changes
         const effectiveEndValue = this.getEffectiveEndDate(story);
         const effectiveEndIsDate = this.isEffectiveEndDateADate(story);
+        // Below the Line stories are aspirations, never late
+        const overdue = epicName !== 'Below the Line' && isOverdue(story, this.asOf, this.roadmapYear, effectiveEndValue);
         
         let startGrid;
+        let startClamped = false;
         // Use clean 4-position system for start dates (same as end dates)
         if (story.startDate) {
             try {
@@ -552,24 +686,18 @@ export class RoadmapGenerator {
                 
                 const startDate = new Date(isoStartDate);
                 if (!isNaN(startDate.getTime())) {
-                    // Check if story starts before the roadmap year
-                    if (startDate.getFullYear() < this.roadmapYear) {
-                        // Story starts before roadmap year - treat exactly as if it starts on 01/01/2025
-                        // Override the story's start date to be 01/01 of roadmap year for positioning
+                    // Check if story starts before the timeline window
+                    const windowStart = timelineRange(this.timeline).start;
+                    if (this.storyIso(story.startDate) < windowStart) {
+                        // Story starts before the window - treat exactly as if it starts on its first day
+                        // Override the story's start date for positioning
                         story._originalStartDate = story.startDate; // Save original for reference
-                        story.startDate = `01/01/${this.roadmapYear}`; // Set to January 1st of roadmap year
-                        const jan1IsoDate = `${this.roadmapYear}-01-01`;
-                        
-                        // Use the same logic as normal January 1st dates
-                        const isStartOfMonth = getDateUtility().isStartOfMonth(jan1IsoDate);
-                        if (isStartOfMonth) {
-                            startGrid = this.monthToGrid('JAN');
-                        } else {
-                            startGrid = getDateUtility().dateToGrid(jan1IsoDate, this.monthToGrid.bind(this));
-                        }
-                        // Note: January 1st is never the 15th, so no special backup needed here
+                        const [windowYear, windowMonth] = windowStart.split('-');
+                        story.startDate = `01/${windowMonth}/${windowYear}`;
+                        startGrid = 1; // First column of the window
+                        startClamped = true;
                         
-                        // Add visual indicator that story started in previous year
+                        // Add visual indicator that story started before the window
                         story._startsInPreviousYear = true;
                         story._actualStartYear = startDate.getFullYear();
                     } else {
@@ -618,6 +746,10 @@ export class RoadmapGenerator {
             // Month name path - use monthToGrid directly for consistency
             startGrid = this.monthToGrid(startValue);
         }
+        if (!startClamped) {
+            startGrid = Math.max(1, this.toTimelineGrid(startGrid, story.startDate ? this.storyIso(story.startDate) : null));
+            startGrid = this.weekGrid(startGrid, startValue, 'start');
+        }
         
         let endGrid;
         if (effectiveEndValue) {
@@ -668,22 +800,26 @@ export class RoadmapGenerator {
                     endGrid = this.getGridPosition(effectiveEndValue);
                 }
             }
+            endGrid = this.toTimelineGrid(endGrid, effectiveEndIsDate ? this.storyIso(effectiveEndValue, 'end') : null);
+            endGrid = this.weekGrid(endGrid, effectiveEndValue, 'end');
         } else {
             endGrid = startGrid + 10; // Default to one month width
         }
+        endGrid = Math.min(endGrid, this.timelineColumns() + 1);
+        if (this.zoom === 'week') endGrid = Math.max(endGrid, startGrid + 1);
         
-        // Check if story continues past roadmap year or search range - if so, extend to December
+        // Check if story continues past the timeline window or search range - if so, extend to its end
         const continuesNextYear = this.storyContinuesNextYear(story);
         const startsBeforeRange = this.storyStartsBeforeRange(story);
         const isContinuingStory = continuesNextYear || startsBeforeRange;
         
         if (continuesNextYear) {
-            endGrid = this.getGridPosition('DEC') + 10; // Extend to end of December
+            endGrid = this.timelineColumns() + 1; // Extend to the end of the window
         }
         
-        // For stories that start before search range, ensure they start from January
+        // For stories that start before search range, ensure they start from the window start
         if (startsBeforeRange) {
-            startGrid = this.getGridPosition('JAN'); // Start from January
+            startGrid = 1;
         }
         
         const bulletsHTML = getUIUtility().generateBulletsHTML(story.bullets, (text) => this.formatText(text));
@@ -787,6 +923,7 @@ export class RoadmapGenerator {
         }
         
         const cancelledClass = story.isCancelled ? ' story-cancelled' : '';
+        const overdueClass = overdue ? ' story-overdue' : '';
         const transferredClass = '';
         const proposedClass = story.isProposed ? ' story-proposed' : '';
         const continuesClass = isContinuingStory ? ' story-continues story-with-continuation' : '';
@@ -794,7 +931,8 @@ export class RoadmapGenerator {
         
         // Graduated zooming logic: all stories can zoom, just at different levels based on width
         // Pass startGrid and endGrid to apply special rules (e.g., January/December stories > 3 months cap at 1.10x)
-        const zoomLevel = getConfigUtility().getZoomLevel(storyWidth, startGrid, endGrid);
+        // The December rule is about the right edge, wherever the window ends
+        const zoomLevel = getConfigUtility().getZoomLevel(storyWidth, startGrid, endGrid - (this.timelineColumns() - MAX_COLUMNS));
         const zoomClass = ` story-zoom-${zoomLevel}`;
         
         // Add edit icon only in embedded mode (builder view)
@@ -803,7 +941,7 @@ export class RoadmapGenerator {
         // The side status text box is always rendered by generateEpic. The
         // beta toggle adds the milestone track below the bar; each pin carries
         // its own popover that appears next to that specific icon on hover.
-        const showHoverExtras = !this.isStatusStyleSide();
+        const showHoverExtras = !this.isStatusStyleSide() && this.zoom !== 'quarter';
         const milestonesTrackHTML = showHoverExtras ? this.generateStoryMilestonesTrack(story, startGrid, endGrid) : '';
         
         // Add continuation year indicator for stories that continue past roadmap year or start before search range
@@ -832,17 +970,11 @@ export class RoadmapGenerator {
         }
         
         // Determine visual month alignment from computed startGrid so dates shifted
-        // to next month (e.g., 28th–31st) get identical alignment as true month starts
-        let startsInJanuary = false;
-        let startsInOctober = false;
-        // Only apply alignment tweaks when exactly at the start of a month grid
-        for (const monthName of this.months) {
-            if (startGrid === this.monthToGrid(monthName)) {
-                if (monthName === 'JAN') startsInJanuary = true;
-                if (monthName === 'OCT') startsInOctober = true;
-                break;
-            }
-        }
+        // to next month (e.g., 28th–31st) get identical alignment as true month starts.
+        // Only apply alignment tweaks when exactly at the start of the window's
+        // first month (January) or its third-to-last (October in a calendar year)
+        const startsInJanuary = startGrid === 1;
+        const startsInOctober = startGrid === this.timelineColumns() - 29;
         
         let positionClass = '';
         if (startsInJanuary) {
@@ -851,15 +983,18 @@ export class RoadmapGenerator {
             positionClass = ' story-positioned-october';
         }
         
+        const changeHighlight = this.getChangeHighlightAttributes(story);
+        const dependency = this.getDependencyAttributes(story);
+
         return `
-            <div class="story-item${cancelledClass}${transferredClass}${proposedClass}${continuesClass}${zoomClass}${positionClass}"
+            <div class="story-item${cancelledClass}${overdueClass}${transferredClass}${proposedClass}${continuesClass}${zoomClass}${positionClass}${changeHighlight.className}${dependency.className}"
              style="--start: ${startGrid}; --end: ${endGrid};"
              data-epic-name="${(epicName || '').replace(/"/g, '&quot;')}"
              data-epic-id="${(epicId || '').replace(/"/g, '&quot;')}"
              data-story-title="${(story.title || '').replace(/"/g, '&quot;')}"
              data-story-index="${storyIndex}"
              data-story-id="${storyId}"
-             data-json-story-id="${this.formatText(story.storyId || '')}">
+             data-json-story-id="${this.formatText(story.storyId || '')}"${changeHighlight.attributes}${dependency.attributes}>
             ${iconHTML}
             ${countryFlagsHTML}
                             ${doneIconHTML}
@@ -871,6 +1006,7 @@ export class RoadmapGenerator {
                 ${transferredInIconHTML}
                 ${proposedIconHTML}
             ${editIconHTML}
+            ${dependency.badgeHTML}
             ${continuationYearHTML}
             ${story.imo ? `<div class="story-tags">
                 ${story.priority ? `<div class="priority-tag priority-${story.priority.toLowerCase()}">${story.priority}</div>` : ''}
@@ -908,7 +1044,7 @@ export class RoadmapGenerator {
             const day = date.getDate();
             // Each month spans 10 grid units. Map day 1->0, day 31->10.
             const offset = ((day - 1) / 30) * 10;
-            return monthStartCol + offset;
+            return monthStartCol + offset + yearColumnOffset(this.timeline, date.getFullYear());
         } catch (e) {
             return null;
         }
@@ -916,104 +1052,30 @@ export class RoadmapGenerator {
 
     // Collect all milestone events from a story's roadmapChanges into a flat array
     // sorted chronologically. Each event has: { type, date, glyph, color, label, subtitle?, notes? }.
+    // Which entries count is domain/milestones.js's call; this adds the looks.
     collectStoryMilestones(story) {
-        if (!story.roadmapChanges) return [];
-
-        const rc = story.roadmapChanges;
-        const events = [];
-
-        if (rc.changes && rc.changes.length > 0) {
-            rc.changes.forEach(change => {
-                const isEarly = this.isEarlyDelivery(change.prevEndDate, change.newEndDate);
+        const events = storyMilestones(story).map(milestone => {
+            if (milestone.type === 'change') {
+                const isEarly = this.isEarlyDelivery(milestone.prevEndDate, milestone.newEndDate);
                 const arrow = isEarly ? '&lt;-' : '-&gt;';
-                events.push({
+                return {
                     type: 'change',
-                    date: change.date,
+                    date: milestone.date,
                     glyph: '🕐',
                     color: isEarly ? '#28a745' : '#dc3545',
-                    label: this.formatDateEuropean(change.date),
-                    subtitle: `${this.formatDateEuropean(change.prevEndDate)} ${arrow} ${this.formatDateEuropean(change.newEndDate)}`,
-                    notes: change.description,
-                });
-            });
-        }
-
-        if (rc.doneInfo && (rc.doneInfo.date || rc.doneInfo.notes)) {
-            events.push({
-                type: 'done', date: rc.doneInfo.date,
-                glyph: '✓', color: '#28a745',
-                label: this.formatDateEuropean(rc.doneInfo.date),
-                notes: rc.doneInfo.notes,
-            });
-        }
-
-        if (rc.cancelInfo && (rc.cancelInfo.date || rc.cancelInfo.notes)) {
-            events.push({
-                type: 'cancel', date: rc.cancelInfo.date,
-                glyph: '✕', color: '#dc3545',
-                label: this.formatDateEuropean(rc.cancelInfo.date),
-                notes: rc.cancelInfo.notes,
-            });
-        }
-
-        if (rc.atRiskInfo && (rc.atRiskInfo.date || rc.atRiskInfo.notes)) {
-            events.push({
-                type: 'atrisk', date: rc.atRiskInfo.date,
-                glyph: '!', color: '#dc3545',
-                label: this.formatDateEuropean(rc.atRiskInfo.date),
-                notes: rc.atRiskInfo.notes,
-            });
-        }
-
-        if (rc.newStoryInfo && (rc.newStoryInfo.date || rc.newStoryInfo.notes)) {
-            events.push({
-                type: 'newstory', date: rc.newStoryInfo.date,
-                glyph: '🌟', color: '#666',
-                label: this.formatDateEuropean(rc.newStoryInfo.date),
-                notes: rc.newStoryInfo.notes,
-            });
-        }
-
-        if (rc.infoInfo) {
-            const arr = Array.isArray(rc.infoInfo) ? rc.infoInfo : [rc.infoInfo];
-            arr.forEach(entry => {
-                if (entry && (entry.date || entry.notes)) {
-                    events.push({
-                        type: 'info', date: entry.date,
-                        glyph: 'i', color: '#007cba',
-                        label: this.formatDateEuropean(entry.date),
-                        notes: entry.notes,
-                    });
-                }
-            });
-        }
-
-        if (rc.transferredInInfo && (rc.transferredInInfo.date || rc.transferredInInfo.notes)) {
-            events.push({
-                type: 'transferred-in', date: rc.transferredInInfo.date,
-                glyph: '↘', color: '#007cba',
-                label: `In: ${this.formatDateEuropean(rc.transferredInInfo.date)}`,
-                notes: rc.transferredInInfo.notes,
-            });
-        }
-
-        if (rc.transferredOutInfo && (rc.transferredOutInfo.date || rc.transferredOutInfo.notes)) {
-            events.push({
-                type: 'transferred-out', date: rc.transferredOutInfo.date,
-                glyph: '↗', color: '#dc3545',
-                label: `Out: ${this.formatDateEuropean(rc.transferredOutInfo.date)}`,
-                notes: rc.transferredOutInfo.notes,
-            });
-        }
-
-        if (rc.proposedInfo && (rc.proposedInfo.date || rc.proposedInfo.notes)) {
-            events.push({
-                type: 'proposed', date: rc.proposedInfo.date,
-                glyph: '💡', color: '#005a8b',
-                label: this.formatDateEuropean(rc.proposedInfo.date),
-                notes: rc.proposedInfo.notes,
-            });
-        }
+                    label: this.formatDateEuropean(milestone.date),
+                    subtitle: `${this.formatDateEuropean(milestone.prevEndDate)} ${arrow} ${this.formatDateEuropean(milestone.newEndDate)}`,
+                    notes: milestone.notes,
+                };
+            }
+            const { glyph, color, prefix = '' } = MILESTONE_STYLES[milestone.type];
+            return {
+                type: milestone.type, date: milestone.date,
+                glyph, color,
+                label: `${prefix}${this.formatDateEuropean(milestone.date)}`,
+                notes: milestone.notes,
+            };
+        });
 
         events.sort((a, b) => getDateUtility().compareDates(a.date, b.date));
         return events;
@@ -1072,7 +1134,7 @@ export class RoadmapGenerator {
             trackEnd = Math.max(trackEnd, ...validGrids);
         }
         trackStart = Math.max(1, Math.floor(trackStart));
-        trackEnd = Math.min(121, Math.ceil(trackEnd));
+        trackEnd = Math.min(this.timelineColumns() + 1, Math.ceil(trackEnd));
         if (trackEnd <= trackStart) trackEnd = trackStart + 1;
 
         const trackWidth = trackEnd - trackStart;
@@ -1128,6 +1190,8 @@ export class RoadmapGenerator {
             return '';
         }
         if (!this.shouldDisplayStory(story)) return '';
+        // The quarter overview shows the bars alone
+        if (this.zoom === 'quarter') return '';
 
         const storyId = getUIUtility().generateStoryId(epicName, storyIndex);
 
@@ -1144,6 +1208,7 @@ export class RoadmapGenerator {
         const textBoxWidth = getConfigUtility().calculateTextBoxWidth(totalItems);
 
         let storyStartGrid;
+        let startClamped = false;
         if (story.startDate) {
             try {
                 let isoStartDate = story.startDate;
@@ -1152,14 +1217,13 @@ export class RoadmapGenerator {
                 }
                 const startDate = this.parseDateSafe(isoStartDate);
                 if (startDate && !isNaN(startDate.getTime())) {
-                    if (startDate.getFullYear() < this.roadmapYear) {
+                    const windowStart = timelineRange(this.timeline).start;
+                    if (this.storyIso(story.startDate) < windowStart) {
                         story._originalStartDate = story.startDate;
-                        story.startDate = `01/01/${this.roadmapYear}`;
-                        const jan1IsoDate = `${this.roadmapYear}-01-01`;
-                        const isStartOfMonth = getDateUtility().isStartOfMonth(jan1IsoDate);
-                        storyStartGrid = isStartOfMonth
-                            ? this.monthToGrid('JAN')
-                            : getDateUtility().dateToGrid(jan1IsoDate, this.monthToGrid.bind(this));
+                        const [windowYear, windowMonth] = windowStart.split('-');
+                        story.startDate = `01/${windowMonth}/${windowYear}`;
+                        storyStartGrid = 1;
+                        startClamped = true;
                         story._startsInPreviousYear = true;
                         story._actualStartYear = startDate.getFullYear();
                     } else {
@@ -1196,6 +1260,10 @@ export class RoadmapGenerator {
         } else {
             storyStartGrid = this.monthToGrid(story.startMonth);
         }
+        if (!startClamped) {
+            storyStartGrid = Math.max(1, this.toTimelineGrid(storyStartGrid, story.startDate ? this.storyIso(story.startDate) : null));
+            storyStartGrid = this.weekGrid(storyStartGrid, story.startDate || story.startMonth, 'start');
+        }
 
         let storyEndGrid;
         let actualEndGrid;
@@ -1224,18 +1292,22 @@ export class RoadmapGenerator {
             storyEndGrid = this.getGridPosition(effectiveEndValue) + 10;
             actualEndGrid = storyEndGrid;
         }
+        const endIso = effectiveEndIsDate ? this.storyIso(effectiveEndValue, 'end') : null;
+        storyEndGrid = this.weekGrid(this.toTimelineGrid(storyEndGrid, endIso), effectiveEndValue, 'end');
+        actualEndGrid = this.weekGrid(this.toTimelineGrid(actualEndGrid, endIso), effectiveEndValue, 'end');
+        const maxGrid = this.timelineColumns();
 
+        // Ends on or after the 4th of the window's third-to-last month
+        // (4 October to 31 December in a calendar year)
         let endsBetweenOct4AndDec31 = false;
-        if (effectiveEndIsDate) {
-            const parsed = this.parseDateSafe(effectiveEndValue);
-            if (parsed && !isNaN(parsed.getTime()) && parsed.getFullYear() === this.roadmapYear) {
-                const m = parsed.getMonth();
-                const d = parsed.getDate();
-                if (m > 9 || (m === 9 && d >= 4)) endsBetweenOct4AndDec31 = true;
-            }
+        if (endIso) {
+            const windowMonths = timelineMonths(this.timeline);
+            const { year, month } = windowMonths[Math.max(windowMonths.length - 3, 0)];
+            const threshold = `${year}-${String(month + 1).padStart(2, '0')}-04`;
+            if (endIso >= threshold && endIso <= timelineRange(this.timeline).end) endsBetweenOct4AndDec31 = true;
         }
         const continuesNextYear = this.storyContinuesNextYear(story);
-        const visualStoryEndGrid = continuesNextYear ? (this.getGridPosition('DEC') + 10) : storyEndGrid;
+        const visualStoryEndGrid = continuesNextYear ? maxGrid + 1 : storyEndGrid;
 
         let shouldPositionBelowFinal = false;
         if (continuesNextYear || endsBetweenOct4AndDec31) {
@@ -1243,7 +1315,7 @@ export class RoadmapGenerator {
         } else {
             const buffer = 2;
             const combinedWidth = visualStoryEndGrid + buffer + textBoxWidth;
-            if (getConfigUtility().exceedsMaxGrid(combinedWidth)) {
+            if (combinedWidth > maxGrid) {
                 shouldPositionBelowFinal = true;
             }
         }
@@ -1255,8 +1327,8 @@ export class RoadmapGenerator {
         if (shouldPositionBelowFinal) {
             changeStartGrid = forceBelowGlobal ? storyStartGrid : (storyStartGrid + 1);
             changeEndGrid = changeStartGrid + textBoxWidth;
-            if (getConfigUtility().exceedsMaxGrid(changeEndGrid)) {
-                const overflow = changeEndGrid - getConfigUtility().getMaxGrid();
+            if (changeEndGrid > maxGrid) {
+                const overflow = changeEndGrid - maxGrid;
                 changeStartGrid = Math.max(1, changeStartGrid - overflow);
                 changeEndGrid = changeStartGrid + textBoxWidth;
             }
@@ -1403,7 +1475,7 @@ export class RoadmapGenerator {
         const effectiveEndIsDate = this.isEffectiveEndDateADate(story);
         
         let startGrid;
-        // Handle multi-year stories - if story starts before roadmap year, position at January
+        // Handle multi-year stories - if story starts before the timeline window, position at its start
         if (story.startDate) {
             try {
                 let isoStartDate = story.startDate;
@@ -1411,20 +1483,21 @@ export class RoadmapGenerator {
                     isoStartDate = this.convertEuropeanToISO(story.startDate);
                 }
                 const startDate = new Date(isoStartDate);
-                if (!isNaN(startDate.getTime()) && startDate.getFullYear() < this.roadmapYear) {
-                    // Story starts before roadmap year - position at January
-                    startGrid = this.getGridPosition('JAN');
+                if (!isNaN(startDate.getTime()) && this.storyIso(story.startDate) < timelineRange(this.timeline).start) {
+                    // Story starts before the window - position at its first column
+                    startGrid = 1;
                     // Add flag for BTL stories that start in previous year
                     story._startsInPreviousYear = true;
                     story._actualStartYear = startDate.getFullYear();
                 } else {
-                    startGrid = this.getGridPosition(startValue);
+                    startGrid = Math.max(1, this.toTimelineGrid(this.getGridPosition(startValue), this.storyIso(story.startDate)));
+                    startGrid = this.weekGrid(startGrid, startValue, 'start');
                 }
             } catch (e) {
-                startGrid = this.getGridPosition(startValue);
+                startGrid = this.toTimelineGrid(this.getGridPosition(startValue));
             }
         } else {
-            startGrid = this.getGridPosition(startValue);
+            startGrid = this.toTimelineGrid(this.getGridPosition(startValue));
         }
         let endGrid;
         
@@ -1448,6 +1521,8 @@ export class RoadmapGenerator {
             } else {
                 endGrid = this.getGridPosition(effectiveEndValue);
             }
+            endGrid = this.toTimelineGrid(endGrid, effectiveEndIsDate ? this.storyIso(effectiveEndValue, 'end') : null);
+            endGrid = this.weekGrid(endGrid, effectiveEndValue, 'end');
         } else {
             endGrid = startGrid + 10; // Default to one month width
         }
@@ -1457,16 +1532,17 @@ export class RoadmapGenerator {
         let textStartGrid = endGrid + 2; // Small buffer after story
         let textEndGrid = textStartGrid + textBoxWidth;
         let positionBelow = false;
+        const maxGrid = this.timelineColumns();
         
-        // If text box would extend past December, position it below the story instead of to the left
-        if (getConfigUtility().exceedsMaxGrid(textEndGrid)) {
+        // If text box would extend past the window end, position it below the story instead of to the left
+        if (textEndGrid > maxGrid) {
             positionBelow = true;
             textStartGrid = startGrid + 1; // Slight indent from story start
             textEndGrid = textStartGrid + textBoxWidth;
             
             // If still too wide when below, adjust to fit
-            if (getConfigUtility().exceedsMaxGrid(textEndGrid)) {
-                const overflow = textEndGrid - getConfigUtility().getMaxGrid();
+            if (textEndGrid > maxGrid) {
+                const overflow = textEndGrid - maxGrid;
                 textStartGrid = Math.max(1, textStartGrid - overflow);
                 textEndGrid = textStartGrid + textBoxWidth;
             }
@@ -1524,7 +1600,7 @@ export class RoadmapGenerator {
                 
                 // Generate text box for BTL stories with dateAdded field
                 let dateAddedHTML = '';
-                if (story.dateAdded) {
+                if (story.dateAdded && this.zoom !== 'quarter') {
                     dateAddedHTML = this.generateBTLDateAddedBox(story, storyIndex, totalEpics, ktloPosition);
                 }
                 
@@ -1562,8 +1638,8 @@ export class RoadmapGenerator {
     generateKTLOSwimlane(ktloData, totalEpics = 0, embedded = false, ktloPosition = 'top') {
         const bulletsHTML = getUIUtility().generateBulletsHTML(ktloData.story.bullets, (text) => this.formatText(text));
         
-        // KTLO spans the entire year (120 grid units), so it gets the 'tiny' zoom level
-        const ktloWidth = 120; // Full year
+        // KTLO spans the entire timeline (120 grid units for a year), so it gets the 'tiny' zoom level
+        const ktloWidth = this.timelineColumns();
         const zoomLevel = getConfigUtility().getZoomLevel(ktloWidth);
         const zoomClass = ` story-zoom-${zoomLevel}`;
         
@@ -1589,10 +1665,15 @@ export class RoadmapGenerator {
         const visualPosition = ktloPosition === 'top' ? 0 : totalEpics;
         const ktloBackgroundColor = getUIUtility().getAlternatingBackgroundColor(visualPosition); // Even = lime, odd = brown
         
-        const monthlyBoxesHTML = ktloData.monthlyData.map((monthData, index) => {
+        // Monthly KTLO figures are for the roadmap year; months outside the window are left out
+        const yearOffset = yearColumnOffset(this.timeline, this.roadmapYear);
+        const monthlyData = this.zoom === 'quarter' ? [] : ktloData.monthlyData;
+        const monthlyBoxesHTML = monthlyData.map((monthData, index) => {
+            const monthColumn = (index * getConfigUtility().GRID.COLUMNS_PER_MONTH) + yearOffset;
+            if (monthColumn < 0 || monthColumn >= this.timelineColumns()) return '';
             // Get transform configuration from ConfigUtility
             const transform = getConfigUtility().getMonthlyBoxTransform(index);
-            const startColumn = (index * getConfigUtility().GRID.COLUMNS_PER_MONTH) + transform.startColumn;
+            const startColumn = monthColumn + transform.startColumn;
             const endColumn = startColumn + 9; // Use 9 columns (20% bigger than 8)
             const extraStyle = getConfigUtility().generateTransform(transform.x);
             const extraClass = transform.extraClass;
@@ -1638,26 +1719,7 @@ export class RoadmapGenerator {
         
         let tracksHTML = '';
         
-        // Optionally sort stories by start date first, then by end date as secondary sort
-        const storiesToProcess = getConfigUtility().shouldSortStories() ? 
-            [...epic.stories].sort((a, b) => {
-                // Get start values (date or month)
-                const aStart = a.startDate || a.startMonth || 'JAN';
-                const bStart = b.startDate || b.startMonth || 'JAN';
-                
-                // Get end values (use effective end date that considers timeline changes)
-                const aEnd = this.getEffectiveEndDate(a) || a.endDate || a.endMonth || 'MAR';
-                const bEnd = this.getEffectiveEndDate(b) || b.endDate || b.endMonth || 'MAR';
-                
-                // Primary sort: by start date (handles both dates and months)
-                const startComparison = getDateUtility().compareDateOrMonth(aStart, bStart, this.roadmapYear);
-                if (startComparison !== 0) {
-                    return startComparison;
-                }
-                
-                // Secondary sort: by end date (if start dates are the same)
-                return getDateUtility().compareDateOrMonth(aEnd, bEnd, this.roadmapYear);
-            }) : epic.stories;
+        const storiesToProcess = this.orderStories(epic.stories);
         
         storiesToProcess.forEach((story, storyIndex) => {
             const storyHTML = this.generateStory(story, epic.name, storyIndex, embedded, backgroundColor, epic.epicId || '');
@@ -1677,12 +1739,53 @@ export class RoadmapGenerator {
         </div>`;
     }
 
+    // Stories in display order: optionally sorted by start date first, then
+    // by end date as secondary sort.
+    orderStories(stories) {
+        if (!getConfigUtility().shouldSortStories()) return stories;
+        return [...stories].sort((a, b) => {
+            // Get start values (date or month)
+            const aStart = a.startDate || a.startMonth || 'JAN';
+            const bStart = b.startDate || b.startMonth || 'JAN';
+            
+            // Get end values (use effective end date that considers timeline changes)
+            const aEnd = this.getEffectiveEndDate(a) || a.endDate || a.endMonth || 'MAR';
+            const bEnd = this.getEffectiveEndDate(b) || b.endDate || b.endMonth || 'MAR';
+            
+            // Primary sort: by start date (handles both dates and months)
+            const startComparison = getDateUtility().compareDateOrMonth(aStart, bStart, this.roadmapYear);
+            if (startComparison !== 0) {
+                return startComparison;
+            }
+            
+            // Secondary sort: by end date (if start dates are the same)
+            return getDateUtility().compareDateOrMonth(aEnd, bEnd, this.roadmapYear);
+        });
+    }
+
+    // Per-roadmap settings every renderer needs before laying anything out
+    applyRoadmapSettings(teamData) {
+        // Store search range for date range searches (used by continuation logic)
+        this.searchRange = teamData.searchRange || null;
+        this.setTimeline(teamData.timeline);
+        this.setFiscalYearStart(teamData.fiscalYearStart);
+        this.setAsOf(teamData.asOfDate);
+    }
+
+    // Standalone SVG document of the roadmap (roadmap-svg.js). It needs no
+    // DOM or stylesheet, so it renders the same in Node as in the browser.
+    generateSVG(teamData) {
+        this.applyRoadmapSettings(teamData);
+        return renderRoadmapSvg(this, teamData);
+    }
+
     // Generate just the roadmap body markup (header + container).
     // No CSS link, no <html>/<body> wrapper, no inline edit script.
     // Use this for v2 in-page rendering into a `.roadmap-root` mount.
     generateRoadmapBody(teamData, embedded = true) {
-        // Store search range for date range searches (used by continuation logic)
-        this.searchRange = teamData.searchRange || null;
+        this.applyRoadmapSettings(teamData);
+        // Before the epics render: generateStory rewrites out-of-year dates.
+        this.dependencies = findDependencies(teamData, this.externalRoadmaps);
 
         const ktloPosition = teamData.ktloSwimlane?.position || 'bottom';
 
@@ -1717,13 +1820,14 @@ export class RoadmapGenerator {
                     `<div class="team-description">${this.generateTeamDescription(teamData.description)}</div>` : ''}
             </div>
 
-            <div class="roadmap-container">
+            <div class="roadmap-container${this.zoom === 'month' ? '' : ` zoom-${this.zoom}`}"${this.timelineStyleAttribute()}>
                 ${this.generateTimelineHeader()}
                 <div class="swimlanes-container">
                     ${ktloHTML}
                     ${epicsHTML}
                     ${bottomHTML}
                 </div>
+                ${this.generateTodayLine()}
             </div>
 
             `;
@@ -1860,8 +1964,64 @@ export class RoadmapGenerator {
                         });
                     });
                 }
+
+                // Mirrors RoadmapGenerator.drawDependencyArrows.
+                function drawDependencyArrows() {
+                    const SVG_NS = 'http://www.w3.org/2000/svg';
+                    document.querySelectorAll('.roadmap-container').forEach(function (container) {
+                        let svg = container.querySelector(':scope > svg.dependency-arrows');
+                        const dependents = container.querySelectorAll('.story-item[data-depends-on]');
+                        if (dependents.length === 0) {
+                            if (svg) svg.remove();
+                            return;
+                        }
+                        if (!svg) {
+                            svg = document.createElementNS(SVG_NS, 'svg');
+                            svg.setAttribute('class', 'dependency-arrows');
+                            svg.setAttribute('aria-hidden', 'true');
+                            container.appendChild(svg);
+                        }
+                        svg.replaceChildren();
+                        const bars = new Map();
+                        container.querySelectorAll('.story-item[data-json-story-id]').forEach(function (bar) {
+                            if (!bars.has(bar.dataset.jsonStoryId)) bars.set(bar.dataset.jsonStoryId, bar);
+                        });
+                        const box = container.getBoundingClientRect();
+                        const scale = container.offsetWidth ? box.width / container.offsetWidth : 1;
+                        const round = function (value) { return Math.round(value * 10) / 10; };
+                        const x = function (value) { return round((value - box.left) / scale - container.clientLeft); };
+                        const y = function (value) { return round((value - box.top) / scale - container.clientTop); };
+                        const addPath = function (d, className) {
+                            const path = document.createElementNS(SVG_NS, 'path');
+                            path.setAttribute('d', d);
+                            path.setAttribute('class', className);
+                            svg.appendChild(path);
+                        };
+                        dependents.forEach(function (dependent) {
+                            const to = dependent.getBoundingClientRect();
+                            if (!to.width) return;
+                            const conflicts = (dependent.dataset.dependencyConflicts || '').split(' ');
+                            dependent.dataset.dependsOn.split(' ').forEach(function (id) {
+                                const predecessor = bars.get(id);
+                                const from = predecessor && predecessor.getBoundingClientRect();
+                                if (!from || !from.width) return;
+                                const x1 = x(from.right);
+                                const y1 = y(from.top + from.height / 2);
+                                const x2 = x(to.left);
+                                const y2 = y(to.top + to.height / 2);
+                                const bend = Math.max(24, Math.abs(x2 - x1) / 2);
+                                const className = conflicts.indexOf(id) !== -1 ? 'dependency-arrow conflict' : 'dependency-arrow';
+                                addPath('M ' + x1 + ' ' + y1 + ' C ' + (x1 + bend) + ' ' + y1 + ', ' + (x2 - bend) + ' ' + y2 + ', ' + x2 + ' ' + y2, className);
+                                addPath('M ' + x2 + ' ' + y2 + ' l -7 -4 v 8 z', className + ' dependency-arrowhead');
+                            });
+                        });
+                    });
+                }
                 document.addEventListener('DOMContentLoaded', function () {
-                    requestAnimationFrame(layoutMilestoneLabels);
+                    requestAnimationFrame(function () {
+                        layoutMilestoneLabels();
+                        drawDependencyArrows();
+                    });
                 });
                 let __milestoneResizeScheduled = false;
                 window.addEventListener('resize', function () {
@@ -1870,6 +2030,7 @@ export class RoadmapGenerator {
                     requestAnimationFrame(function () {
                         __milestoneResizeScheduled = false;
                         layoutMilestoneLabels();
+                        drawDependencyArrows();
                     });
                 });
 
@@ -1941,6 +2102,66 @@ export class RoadmapGenerator {
             });
         });
     }
+
+    // Dependency arrows: a curve from the right end of each predecessor bar
+    // to the left end of the story it blocks (data-depends-on), red when the
+    // link is a scheduling conflict (data-dependency-conflicts). Drawn into
+    // one .dependency-arrows SVG per .roadmap-container, in the container's
+    // unscaled coordinates so a CSS-scaled preview still lines up. Idempotent.
+    static drawDependencyArrows(root) {
+        if (!root || typeof root.querySelectorAll !== 'function') return;
+        const SVG_NS = 'http://www.w3.org/2000/svg';
+        root.querySelectorAll('.roadmap-container').forEach(container => {
+            let svg = container.querySelector(':scope > svg.dependency-arrows');
+            const dependents = container.querySelectorAll('.story-item[data-depends-on]');
+            if (dependents.length === 0) {
+                if (svg) svg.remove();
+                return;
+            }
+            if (!svg) {
+                svg = container.ownerDocument.createElementNS(SVG_NS, 'svg');
+                svg.setAttribute('class', 'dependency-arrows');
+                svg.setAttribute('aria-hidden', 'true');
+                container.appendChild(svg);
+            }
+            svg.replaceChildren();
+
+            const bars = new Map();
+            container.querySelectorAll('.story-item[data-json-story-id]').forEach(bar => {
+                if (!bars.has(bar.dataset.jsonStoryId)) bars.set(bar.dataset.jsonStoryId, bar);
+            });
+            const box = container.getBoundingClientRect();
+            const scale = container.offsetWidth ? box.width / container.offsetWidth : 1;
+            const round = value => Math.round(value * 10) / 10;
+            const x = value => round((value - box.left) / scale - container.clientLeft);
+            const y = value => round((value - box.top) / scale - container.clientTop);
+            const addPath = (d, className) => {
+                const path = container.ownerDocument.createElementNS(SVG_NS, 'path');
+                path.setAttribute('d', d);
+                path.setAttribute('class', className);
+                svg.appendChild(path);
+            };
+
+            dependents.forEach(dependent => {
+                const to = dependent.getBoundingClientRect();
+                if (!to.width) return;
+                const conflicts = (dependent.dataset.dependencyConflicts || '').split(' ');
+                dependent.dataset.dependsOn.split(' ').forEach(id => {
+                    const predecessor = bars.get(id);
+                    const from = predecessor && predecessor.getBoundingClientRect();
+                    if (!from || !from.width) return;
+                    const x1 = x(from.right);
+                    const y1 = y(from.top + from.height / 2);
+                    const x2 = x(to.left);
+                    const y2 = y(to.top + to.height / 2);
+                    const bend = Math.max(24, Math.abs(x2 - x1) / 2);
+                    const className = conflicts.includes(id) ? 'dependency-arrow conflict' : 'dependency-arrow';
+                    addPath(`M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`, className);
+                    addPath(`M ${x2} ${y2} l -7 -4 v 8 z`, `${className} dependency-arrowhead`);
+                });
+            });
+        });
+    }
 }
 
 // Phase 2 will remove this. Inline scripts in views still resolve `RoadmapGenerator`
@@ -1949,7 +2170,7 @@ if (typeof window !== 'undefined') {
     window.RoadmapGenerator = RoadmapGenerator;
 }
 
-// Auto-run the milestone layout pass whenever roadmap content appears or the
+// Auto-run the milestone and dependency-arrow layout passes whenever roadmap content appears or the
 // viewport resizes. Operates on the document so it works for the main app
 // and inside roadmap iframes (each iframe loads its own copy of this file).
 if (typeof document !== 'undefined' && typeof MutationObserver !== 'undefined') {
@@ -1960,11 +2181,12 @@ if (typeof document !== 'undefined' && typeof MutationObserver !== 'undefined')
         requestAnimationFrame(() => {
             scheduled = false;
             RoadmapGenerator.layoutMilestoneLabels(document);
+            RoadmapGenerator.drawDependencyArrows(document);
         });
     };
     const containsTrack = (node) => node.nodeType === 1 && (
-        node.matches?.('.story-milestones-track') ||
-        node.querySelector?.('.story-milestones-track')
+        node.matches?.('.story-milestones-track, .roadmap-container') ||
+        node.querySelector?.('.story-milestones-track, .roadmap-container')
     );
     const observer = new MutationObserver(mutations => {
         for (const m of mutations) {
@@ -0,0 +1,455 @@
+// Standalone SVG rendering of a roadmap: timeline header, swimlanes, story
+// bars with their status badges, milestone pins and the today line, as one
+// self-contained <svg> document. It is vector, so it stays sharp when
+// zoomed, and needs no DOM or CDN script, so it renders offline and in Node.
+//
+// Dates, the window, fiscal quarters, zoom and the as-of day all come from
+// the RoadmapGenerator passed in (see RoadmapGenerator.generateSVG), so both
+// renderers agree on them. Bars follow the day, like the HTML week view,
+// rather than the quarter-month positions. Each story keeps its own row in
+// the HTML's order; a title too long for its bar is written beside it.
+
+import { isOverdue } from './domain/overdue.js';
+import { escapeXml, plainText, textWidth, fitText } from './domain/svg.js';
+import {
+    timelineMonths,
+    timelineQuarters,
+    timelineWeeks,
+    timelineRange,
+    timelineDateToColumn,
+    endsFiscalQuarter,
+    yearColumnOffset,
+} from './domain/timeline.js';
+
+const PAD = 16;
+const LABEL_WIDTH = 44;
+const MONTH_WIDTH = { quarter: 60, month: 100, week: 200 };
+const QUARTER_ROW = 28;
+const MONTH_ROW = 22;
+const WEEK_ROW = 18;
+const ROW_HEIGHT = 32;
+const BAR_HEIGHT = 24;
+const MILESTONE_HEIGHT = 14;
+const CHIP_HEIGHT = 16;
+const LANE_PADDING = 8;
+const LANE_MIN_HEIGHT = 48;
+const LABEL_MAX_HEIGHT = 160;
+const SEPARATOR = 4;
+const TODAY_LABEL = 20;
+const BAR_FONT = 12;
+
+// Swimlane bands, alternating like UIUtility.getAlternatingBackgroundColor
+const LANE_COLORS = ['#f4ffdd', '#f5e6d3'];
+const BTL_EPIC = 'Below the Line';
+
+const STYLE = `
+    text { font-family: Figtree, Arial, sans-serif; fill: #333; }
+    .team-name { font-size: 24px; font-weight: bold; }
+    .team-members { font-size: 13px; fill: #555; }
+    .heading rect { fill: #f5f5f5; }
+    .heading text { font-weight: bold; text-anchor: middle; }
+    .quarter text { font-size: 15px; }
+    .month text { font-size: 12px; }
+    .week text { font-size: 10px; font-weight: normal; fill: #555; }
+    .separator { fill: #666; }
+    .grid { stroke: #ccc; stroke-width: 1; }
+    .grid-major { stroke: #666; stroke-width: 2; }
+    .frame { fill: none; stroke: #333; stroke-width: 3; }
+    .epic-label { font-size: 14px; font-weight: 900; text-anchor: middle; }
+    .bar { fill: #fff; stroke: #333; stroke-width: 2; }
+    .bar-cancelled { fill: #f5f5f5; stroke: #ccc; }
+    .bar-proposed, .bar-btl { stroke-dasharray: 5 3; }
+    .bar-overdue { stroke: #dc3545; }
+    .overdue-accent { fill: #dc3545; }
+    .bar-title { font-size: ${BAR_FONT}px; font-weight: bold; }
+    .bar-title-cancelled { fill: #888; text-decoration: line-through; }
+    .badge text { font-size: 10px; font-weight: bold; fill: #fff; text-anchor: middle; }
+    .milestone-line { stroke: #999; stroke-width: 1; }
+    .ktlo-chip { font-size: 10px; fill: #555; text-anchor: middle; }
+    .today-line { stroke: #dc3545; stroke-width: 2; }
+    .today-line-pinned { stroke-dasharray: 6 4; }
+    .today-label rect { fill: #dc3545; }
+    .today-label text { font-size: 11px; font-weight: 600; fill: #fff; text-anchor: middle; }
+`;
+
+const attr = (value) => escapeXml(value);
+const num = (value) => String(Math.round(value * 10) / 10);
+
+// Corner badges, with the HTML bar's precedence within each corner
+function storyBadges(story) {
+    const badges = [];
+    const status = story.isCancelled
+        ? ['✕', '#6c757d', 'Cancelled']
+        : story.isDone
+          ? ['✓', '#28a745', 'Done']
+          : story.isAtRisk
+            ? ['!', '#dc3545', 'At risk']
+            : story.isTransferredOut
+              ? ['→', '#6c757d', 'Transferred out']
+              : null;
+    if (status)
+        badges.push({ corner: 'end', glyph: status[0], color: status[1], label: status[2] });
+    const top = story.isProposed
+        ? ['?', '#f0ad4e', 'Proposed']
+        : story.isNewStory
+          ? ['★', '#e0a800', 'New']
+          : null;
+    if (top) badges.push({ corner: 'start', glyph: top[0], color: top[1], label: top[2] });
+    const bottom = story.isInfo
+        ? ['i', '#007cba', 'Info']
+        : story.isTransferredIn
+          ? ['→', '#6c757d', 'Transferred in']
+          : null;
+    if (bottom)
+        badges.push({
+            corner: 'start-bottom',
+            glyph: bottom[0],
+            color: bottom[1],
+            label: bottom[2],
+        });
+    return badges;
+}
+
+function laneList(teamData) {
+    const ktlo = teamData.ktloSwimlane;
+    const ktloPosition = ktlo?.position || 'bottom';
+    const ktloLane =
+        ktlo && ktloPosition !== 'hidden' ? [{ kind: 'ktlo', name: 'KTLO', ktlo }] : [];
+    const epics = (teamData.epics || []).map((epic) => ({
+        kind: 'epic',
+        name: epic.name || '',
+        stories: epic.stories || [],
+    }));
+    const btlStories = teamData.btlSwimlane?.stories || [];
+    const btl = btlStories.length ? [{ kind: 'btl', name: BTL_EPIC, stories: btlStories }] : [];
+    return ktloPosition === 'top'
+        ? [...ktloLane, ...epics, ...btl]
+        : [...epics, ...ktloLane, ...btl];
+}
+
+/**
+ * @param {any} generator - A RoadmapGenerator already set up for teamData
+ *                          (timeline, fiscal year, as-of day); see generateSVG
+ * @param {any} teamData
+ * @returns {string} SVG document
+ */
+export function renderRoadmapSvg(generator, teamData) {
+    const timeline = generator.timeline;
+    const zoom = generator.zoom;
+    const columns = generator.timelineColumns();
+    const range = timelineRange(timeline);
+    const monthWidth = MONTH_WIDTH[zoom];
+    const chartX = PAD + LABEL_WIDTH;
+    const chartWidth = timeline.months * monthWidth;
+    const chartRight = chartX + chartWidth;
+    const colX = (column) => chartX + ((column - 1) / columns) * chartWidth;
+    const width = chartRight + PAD;
+
+    const out = [];
+    let y = PAD;
+
+    // Team name and leads
+    out.push(
+        `<text class="team-name" x="${PAD}" y="${y + 24}">${escapeXml(plainText(teamData.teamName))}</text>`
+    );
+    y += 32;
+    const leads = [teamData.em && `${teamData.em} (EM)`, teamData.pm && `${teamData.pm} (PM)`]
+        .filter(Boolean)
+        .join(' / ');
+    if (leads) {
+        out.push(
+            `<text class="team-members" x="${PAD}" y="${y + 14}">${escapeXml(plainText(leads))}</text>`
+        );
+        y += 20;
+    }
+    y += 8;
+    const chartTop = y;
+
+    // Timeline header
+    const headingRow = (cells, rowHeight, className) => {
+        for (const cell of cells) {
+            const x = cell.x + 1;
+            const w = Math.max(cell.width - 2, 0);
+            const label = fitText(cell.label, w - 4, className === 'quarter' ? 15 : 12);
+            const title = cell.title ? `<title>${escapeXml(cell.title)}</title>` : '';
+            out.push(
+                `<g class="heading ${className}">${title}<rect x="${num(x)}" y="${y}" width="${num(w)}" height="${rowHeight - 2}"/>` +
+                    `<text x="${num(x + w / 2)}" y="${y + rowHeight / 2 + 3}">${escapeXml(label)}</text></g>`
+            );
+        }
+        y += rowHeight;
+    };
+    let x = chartX;
+    headingRow(
+        timelineQuarters(timeline, generator.fiscalStart).map((quarter) => {
+            const cell = { x, width: quarter.span * monthWidth, label: quarter.label };
+            x += cell.width;
+            return cell;
+        }),
+        QUARTER_ROW,
+        'quarter'
+    );
+    if (zoom !== 'quarter') {
+        headingRow(
+            timelineMonths(timeline).map(({ label }, i) => ({
+                x: chartX + i * monthWidth,
+                width: monthWidth,
+                label,
+            })),
+            MONTH_ROW,
+            'month'
+        );
+    }
+    if (zoom === 'week') {
+        headingRow(
+            timelineWeeks(timeline).map((week) => ({
+                x: colX(week.start),
+                width: colX(week.end) - colX(week.start),
+                label: String(week.week),
+                title: `ISO week ${week.week}, ${week.year}`,
+            })),
+            WEEK_ROW,
+            'week'
+        );
+    }
+    out.push(`<rect class="separator" x="${chartX}" y="${y}" width="${chartWidth}" height="3"/>`);
+    y += 3;
+    const lanesTop = y;
+
+    // Swimlanes: bands and labels first, then the grid, then the bars on top
+    const bands = [];
+    const bars = [];
+    laneList(teamData).forEach((lane, laneIndex) => {
+        if (laneIndex > 0) y += SEPARATOR;
+        const top = y;
+        y += LANE_PADDING;
+        if (lane.kind === 'ktlo') {
+            y = renderKtlo(generator, lane.ktlo, {
+                y,
+                colX,
+                columns,
+                chartX,
+                chartWidth,
+                zoom,
+                bars,
+            });
+        } else {
+            for (const story of generator.orderStories(lane.stories)) {
+                y = renderStory(generator, story, lane, {
+                    y,
+                    colX,
+                    columns,
+                    range,
+                    chartX,
+                    chartRight,
+                    zoom,
+                    bars,
+                });
+            }
+        }
+        // Short lanes grow to fit their rotated label, up to a point
+        const name = plainText(lane.name);
+        const labelHeight = Math.min(Math.ceil(textWidth(name, 14)) + 16, LABEL_MAX_HEIGHT);
+        y = Math.max(y + LANE_PADDING, top + LANE_MIN_HEIGHT, top + labelHeight);
+        const height = y - top;
+        bands.push(
+            `<rect x="${chartX}" y="${top}" width="${chartWidth}" height="${height}" fill="${LANE_COLORS[laneIndex % 2]}"/>`
+        );
+        const label = fitText(name, height - 8, 14);
+        const cx = PAD + LABEL_WIDTH / 2;
+        const cy = top + height / 2;
+        bands.push(
+            `<text class="epic-label" transform="translate(${num(cx)} ${num(cy)}) rotate(-90)" y="5">${escapeXml(label)}</text>`
+        );
+    });
+    const lanesBottom = y;
+    out.push(...bands);
+
+    for (const [i, { month }] of timelineMonths(timeline).entries()) {
+        if (i === timeline.months - 1) break;
+        const major = endsFiscalQuarter(month, generator.fiscalStart);
+        if (zoom === 'quarter' && !major) continue;
+        const gx = chartX + (i + 1) * monthWidth;
+        out.push(
+            `<line class="${major ? 'grid-major' : 'grid'}" x1="${gx}" y1="${lanesTop}" x2="${gx}" y2="${lanesBottom}"/>`
+        );
+    }
+    out.push(
+        `<rect class="frame" x="${chartX}" y="${chartTop}" width="${chartWidth}" height="${lanesBottom - chartTop}" rx="6"/>`
+    );
+    out.push(...bars);
+
+    // Today line, labelled under the chart
+    let height = lanesBottom + PAD;
+    if (generator.asOf >= range.start && generator.asOf <= range.end) {
+        const tx = colX(timelineDateToColumn(generator.asOf, timeline));
+        const [year, month, day] = generator.asOf.split('-');
+        const label = generator.asOfPinned ? `As of ${day}/${month}/${year.slice(-2)}` : 'Today';
+        const labelWidth = textWidth(label, 11) + 12;
+        const lx = Math.min(Math.max(tx - labelWidth / 2, chartX), chartRight - labelWidth);
+        out.push(
+            `<line class="today-line${generator.asOfPinned ? ' today-line-pinned' : ''}" x1="${num(tx)}" y1="${chartTop}" x2="${num(tx)}" y2="${lanesBottom + 4}"/>`
+        );
+        out.push(
+            `<g class="today-label"><rect x="${num(lx)}" y="${lanesBottom + 4}" width="${num(labelWidth)}" height="${TODAY_LABEL - 4}" rx="3"/>` +
+                `<text x="${num(lx + labelWidth / 2)}" y="${lanesBottom + 16}">${label}</text></g>`
+        );
+        height += TODAY_LABEL;
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<style>${STYLE}</style>
+<rect width="100%" height="100%" fill="#fff"/>
+${out.join('\n')}
+</svg>
+`;
+}
+
+// One story row: the bar, its title, corner badges and (below it) the
+// milestone pins. Returns the y after the row.
+function renderStory(
+    generator,
+    story,
+    lane,
+    { y, colX, columns, range, chartX, chartRight, zoom, bars }
+) {
+    if (!story || !generator.shouldDisplayStory(story)) return y;
+    const start = story._originalStartDate || story.startDate || story.startMonth;
+    const end = generator.getEffectiveEndDate(story);
+    const startIso = generator.storyIso(start, 'start');
+    const endIso = generator.storyIso(end, 'end');
+    if (!startIso || !endIso || endIso < range.start || startIso > range.end) return y;
+
+    const timeline = generator.timeline;
+    const x1 = colX(timelineDateToColumn(startIso, timeline, 'start'));
+    const x2 = Math.max(colX(timelineDateToColumn(endIso, timeline, 'end')), x1 + 6);
+    const barY = y + (ROW_HEIGHT - BAR_HEIGHT) / 2;
+    const btl = lane.kind === 'btl';
+    const overdue = !btl && isOverdue(story, generator.asOf, generator.roadmapYear, end);
+
+    const classes = ['bar'];
+    if (story.isCancelled) classes.push('bar-cancelled');
+    if (story.isProposed) classes.push('bar-proposed');
+    if (btl) classes.push('bar-btl');
+    if (overdue) classes.push('bar-overdue');
+
+    const title = plainText(story.title);
+    const tooltip = [title, `${start || '?'} – ${end || '?'}`, overdue ? 'Overdue' : '']
+        .concat(storyBadges(story).map((badge) => badge.label))
+        .filter(Boolean)
+        .join('\n');
+    const parts = [
+        `<title>${escapeXml(tooltip)}</title>`,
+        `<rect class="${classes.join(' ')}" x="${num(x1)}" y="${num(barY)}" width="${num(x2 - x1)}" height="${BAR_HEIGHT}" rx="3"/>`,
+    ];
+    if (overdue)
+        parts.push(
+            `<rect class="overdue-accent" x="${num(x1)}" y="${num(barY)}" width="4" height="${BAR_HEIGHT}"/>`
+        );
+
+    // Title inside the bar when it fits, else beside it where there's room
+    const inside = x2 - x1 - 12;
+    const full = textWidth(title, BAR_FONT);
+    let label = title;
+    let tx = x1 + 6;
+    let anchor = 'start';
+    if (full > inside) {
+        const right = chartRight - x2 - 8;
+        const left = x1 - chartX - 8;
+        if (right >= Math.min(full, 120) || right >= left) {
+            tx = x2 + 6;
+            label = fitText(title, right, BAR_FONT);
+        } else {
+            tx = x1 - 6;
+            anchor = 'end';
+            label = fitText(title, left, BAR_FONT);
+        }
+    }
+    const titleClass = story.isCancelled ? 'bar-title bar-title-cancelled' : 'bar-title';
+    parts.push(
+        `<text class="${titleClass}" x="${num(tx)}" y="${num(barY + BAR_HEIGHT / 2 + 4)}" text-anchor="${anchor}">${escapeXml(label)}</text>`
+    );
+
+    for (const badge of storyBadges(story)) {
+        const bx = badge.corner === 'end' ? x2 : x1;
+        const by = badge.corner === 'start-bottom' ? barY + BAR_HEIGHT : barY;
+        parts.push(
+            `<g class="badge"><circle cx="${num(bx)}" cy="${num(by)}" r="7" fill="${badge.color}"/>` +
+                `<text x="${num(bx)}" y="${num(by + 3.5)}">${badge.glyph}</text></g>`
+        );
+    }
+
+    y += ROW_HEIGHT;
+
+    // Milestones on a line under the bar, each pin a diamond at its date
+    const milestones =
+        zoom === 'quarter'
+            ? []
+            : generator
+                  .collectStoryMilestones(story)
+                  .map((event) => ({ event, grid: generator.milestoneDateToGrid(event.date) }))
+                  .filter(({ grid }) => grid !== null && grid >= 1 && grid <= columns + 1);
+    if (milestones.length) {
+        const my = y + MILESTONE_HEIGHT / 2 - 2;
+        const grids = milestones.map(({ grid }) => colX(grid));
+        const lx1 = Math.min(x1, ...grids);
+        const lx2 = Math.max(x2, ...grids);
+        parts.push(
+            `<line class="milestone-line" x1="${num(lx1)}" y1="${num(my)}" x2="${num(lx2)}" y2="${num(my)}"/>`
+        );
+        for (const { event, grid } of milestones) {
+            const mx = colX(grid);
+            const tip = [event.label, event.subtitle, plainText(event.notes)]
+                .filter(Boolean)
+                .join('\n');
+            parts.push(
+                `<g class="milestone milestone-${attr(event.type)}"><title>${escapeXml(plainText(tip))}</title>` +
+                    `<rect x="${num(mx - 4)}" y="${num(my - 4)}" width="8" height="8" fill="${attr(event.color)}" transform="rotate(45 ${num(mx)} ${num(my)})"/></g>`
+            );
+        }
+        y += MILESTONE_HEIGHT;
+    }
+
+    bars.push(
+        `<g class="story" data-story-id="${attr(story.storyId || '')}">${parts.join('')}</g>`
+    );
+    return y;
+}
+
+// KTLO: one bar across the window with its monthly share under each month
+function renderKtlo(generator, ktlo, { y, colX, columns, chartX, chartWidth, zoom, bars }) {
+    const barY = y + (ROW_HEIGHT - BAR_HEIGHT) / 2;
+    const title = plainText(ktlo.story?.title || 'KTLO');
+    const parts = [
+        `<title>${escapeXml(title)}</title>`,
+        `<rect class="bar" x="${chartX + 4}" y="${num(barY)}" width="${chartWidth - 8}" height="${BAR_HEIGHT}" rx="3"/>`,
+        `<text class="bar-title" x="${chartX + 10}" y="${num(barY + BAR_HEIGHT / 2 + 4)}">${escapeXml(fitText(title, chartWidth - 20, BAR_FONT))}</text>`,
+    ];
+    y += ROW_HEIGHT;
+
+    const offset = yearColumnOffset(generator.timeline, generator.roadmapYear);
+    const chips =
+        zoom === 'quarter'
+            ? []
+            : (ktlo.monthlyData || []).filter(
+                  (entry) => entry && entry.percentage != null && entry.month
+              );
+    let shown = false;
+    for (const entry of chips) {
+        const column = generator.monthToGrid(entry.month) + offset;
+        if (!(column >= 1 && column <= columns)) continue;
+        const cx = (colX(column) + colX(column + 10)) / 2;
+        const tip = entry.description
+            ? `<title>${escapeXml(plainText(entry.description))}</title>`
+            : '';
+        parts.push(
+            `<text class="ktlo-chip" x="${num(cx)}" y="${y + 11}">${tip}${escapeXml(entry.percentage)}%</text>`
+        );
+        shown = true;
+    }
+    if (shown) y += CHIP_HEIGHT;
+
+    bars.push(`<g class="ktlo">${parts.join('')}</g>`);
+    return y;
+}
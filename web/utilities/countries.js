@@ -34,6 +34,31 @@ export const COUNTRIES = Object.freeze([
 
 export const GLOBAL_COUNTRY_CODE = 'global';
 
+// Spellings that are neither the saved name nor the code
+const COUNTRY_ALIASES = Object.freeze({
+    gb: 'UK',
+    'united kingdom': 'UK',
+    'great britain': 'UK',
+    'czech republic': 'Czechia',
+});
+
+/**
+ * Look a country up by name, code or a common alternative spelling,
+ * ignoring case (e.g. "spain", "ES", "United Kingdom").
+ *
+ * @param {string} text
+ * @returns {Country | undefined}
+ */
+export function findCountry(text) {
+    const lower = String(text || '')
+        .trim()
+        .toLowerCase();
+    return (
+        COUNTRIES.find((c) => c.name.toLowerCase() === lower || c.code === lower) ||
+        COUNTRIES.find((c) => c.name === COUNTRY_ALIASES[lower])
+    );
+}
+
 function escapeHTML(s) {
     return String(s).replace(
         /[&<>"']/g,
@@ -0,0 +1,15 @@
+// HTML escaping for views that build markup from user text: team, story
+// and file names, cell values, filter input.
+
+/**
+ * @param {unknown} text
+ * @returns {string} Safe for element content and quoted attribute values
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -1,3 +1,6 @@
+import { migrateRoadmapFile } from '../domain/migrations.js';
+import { resolveFiscalStart, fiscalQuarter } from '../domain/timeline.js';
+
 /**
  * IMO Utility - Cross-Team IMO and Timeline Search Functionality
  * Handles directory scanning, story extraction, and filtering across multiple roadmap files
@@ -34,10 +37,20 @@ export class IMOUtility {
             try {
                 const file = await handle.getFile();
                 const content = await file.text();
-                const roadmapData = JSON.parse(content);
-                const teamData = roadmapData.teamData || roadmapData;
+                // Same upgrade path as the builder, so every file reads as the
+                // current format (wrapped, dates with years).
+                const { doc, fromVersion, applied } = migrateRoadmapFile(JSON.parse(content));
+                const teamData = doc.teamData;
                 if (teamData && teamData.teamName) {
-                    return { fileName: name, fileContent: content, teamData, fileHandle: handle };
+                    return {
+                        fileName: name,
+                        fileContent: content,
+                        teamData,
+                        fileHandle: handle,
+                        created: doc.created || '',
+                        formatVersion: fromVersion,
+                        migrations: applied,
+                    };
                 }
                 return null;
             } catch (error) {
@@ -159,7 +172,8 @@ export class IMOUtility {
     }
     
     /**
-     * Filter stories by timeline (quarter, month, or date)
+     * Filter stories by timeline (quarter, month, or date). Quarters are each
+     * story's team's fiscal quarters (story.fiscalYearStart).
      * @param {Array} stories - Array of story objects
      * @param {string} timeline - Timeline to search for (e.g., "Q3", "April", "Mar 2025")
      * @returns {Array} - Filtered array of stories ending in specified timeline
@@ -176,7 +190,7 @@ export class IMOUtility {
                 
                 // Quarter matching (Q1, Q2, Q3, Q4)
                 if (searchTerm.startsWith('q') && searchTerm.length === 2) {
-                    const quarter = this.getQuarterFromDate(endValue);
+                    const quarter = this.getQuarterFromDate(endValue, story.fiscalYearStart, story.roadmapYear);
                     if (quarter === searchTerm) return true;
                 }
                 
@@ -194,38 +208,24 @@ export class IMOUtility {
     /**
      * Determine which quarter a date/month falls into
      * @param {string} dateStr - Date or month string
-     * @returns {string} - Quarter (q1, q2, q3, q4) or empty string if unknown
+     * @param {number} [fiscalYearStart] - Month (1-12) the fiscal year starts; January by default
+     * @param {number} [defaultYear] - Year for dates written without one
+     * @returns {string} - Fiscal quarter (q1, q2, q3, q4) or empty string if unknown
      */
-    static getQuarterFromDate(dateStr) {
+    static getQuarterFromDate(dateStr, fiscalYearStart = 1, defaultYear = undefined) {
         if (!dateStr) return '';
         
-        const str = dateStr.toLowerCase();
-        
-        // Q1: Jan, Feb, Mar
-        if (str.includes('jan') || str.includes('feb') || str.includes('mar') || 
-            str.includes('january') || str.includes('february') || str.includes('march')) {
-            return 'q1';
-        }
-        
-        // Q2: Apr, May, Jun
-        if (str.includes('apr') || str.includes('may') || str.includes('jun') || 
-            str.includes('april') || str.includes('june')) {
-            return 'q2';
-        }
-        
-        // Q3: Jul, Aug, Sep
-        if (str.includes('jul') || str.includes('aug') || str.includes('sep') || str.includes('sept') ||
-            str.includes('july') || str.includes('august') || str.includes('september')) {
-            return 'q3';
+        const isoDate = this.convertStoryDateToISO(String(dateStr), defaultYear);
+        let month = isoDate ? parseInt(isoDate.split('-')[1], 10) - 1 : -1;
+        if (month === -1) {
+            // Month names the date parser can't place ("Aug 2025")
+            const str = String(dateStr).toLowerCase();
+            month = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+                .findIndex(name => str.includes(name));
         }
+        if (month === -1) return '';
         
-        // Q4: Oct, Nov, Dec
-        if (str.includes('oct') || str.includes('nov') || str.includes('dec') || 
-            str.includes('october') || str.includes('november') || str.includes('december')) {
-            return 'q4';
-        }
-        
-        return '';
+        return `q${fiscalQuarter(month, resolveFiscalStart(fiscalYearStart))}`;
     }
     
     /**
@@ -236,6 +236,7 @@ export class IMOUtility {
     static aggregateStoriesAcrossTeams(roadmapFiles) {
         const allStories = [];
         const storyMap = new Map(); // Track stories by title+team to handle duplicates
+        const sourceMap = new Map(); // storyKey -> roadmapFile the kept story came from
         
         roadmapFiles.forEach(roadmapFile => {
             // Use URL param from builder if available, otherwise current year
@@ -248,6 +249,7 @@ export class IMOUtility {
                 story.sourceFile = roadmapFile.fileName;
                 story.fileHandle = roadmapFile.fileHandle;
                 story.roadmapYear = roadmapYear; // Add roadmap year to each story
+                story.fiscalYearStart = roadmapFile.teamData.fiscalYearStart || 1; // Quarters searches use the team's fiscal year
                 // Add leadership info for advanced filtering
                 story._directorVP = roadmapFile.teamData.directorVP || '';
                 story._em = roadmapFile.teamData.em || '';
@@ -266,22 +268,22 @@ export class IMOUtility {
                     if (currentHasEndDate && !existingHasEndDate) {
                         // Current story has specific date, existing doesn't - use current
                         storyMap.set(storyKey, story);
+                        sourceMap.set(storyKey, roadmapFile);
                     } else if (!currentHasEndDate && existingHasEndDate) {
                         // Existing story has specific date, current doesn't - keep existing
                         // No action needed, keep existing
                     } else {
-                        // Both have same type of date info - prefer newer file (with year in filename)
-                        const currentHasYear = roadmapFile.fileName.includes('.2025.');
-                        const existingHasYear = existingStory.sourceFile.includes('.2025.');
-                        
-                        if (currentHasYear && !existingHasYear) {
+                        // Both have same type of date info - prefer the newer roadmap
+                        if (this.isNewerRoadmap(roadmapFile, sourceMap.get(storyKey))) {
                             storyMap.set(storyKey, story);
+                            sourceMap.set(storyKey, roadmapFile);
                         }
                         // Otherwise keep existing
                     }
                 } else {
                     // New story, add it
                     storyMap.set(storyKey, story);
+                    sourceMap.set(storyKey, roadmapFile);
                 }
             });
         });
@@ -292,6 +294,22 @@ export class IMOUtility {
         return allStories;
     }
 
+    /**
+     * Whether roadmap file `a` supersedes `b`: a later roadmap year wins,
+     * then a later save time. Files from before the save time was recorded
+     * lose to any file that has one.
+     * @param {Object} a - Entry from scanRoadmapDirectory()
+     * @param {Object} [b]
+     * @returns {boolean}
+     */
+    static isNewerRoadmap(a, b) {
+        if (!b) return true;
+        const yearA = Number(a.teamData.roadmapYear) || 0;
+        const yearB = Number(b.teamData.roadmapYear) || 0;
+        if (yearA !== yearB) return yearA > yearB;
+        return (a.created || '') > (b.created || '');
+    }
+
     /**
      * Filter roadmap files by Director/VP, EM, or PM name (team-level metadata)
      * @param {Array} roadmapFiles - Array from scanRoadmapDirectory()
@@ -1,3 +1,5 @@
+import { RoadmapGenerator } from '../roadmap-generator.js';
+
 /**
  * IMO View Generator - Results Display for Cross-Team IMO/Timeline Search
  * Handles rendering search results using existing utilities for consistency
@@ -241,7 +243,7 @@ export class IMOViewGenerator {
                     <h4>Try searching for:</h4>
                     <ul>
                         <li><strong>IMO numbers:</strong> "IMO 0043" or "0043"</li>
-                        <li><strong>Quarters:</strong> "Q1", "Q2", "Q3", "Q4"</li>
+                        <li><strong>Quarters:</strong> "Q1", "Q2", "Q3", "Q4" (each team's fiscal quarters)</li>
                         <li><strong>Months:</strong> "April", "Mar", "September"</li>
                         <li><strong>Years:</strong> "2025", "2024"</li>
                     </ul>
@@ -0,0 +1,336 @@
+// Drag story bars in the preview to change their dates: grab an edge to move
+// the start or end, grab the middle to shift the whole bar. The snap select
+// under the sorting toggles picks day, week or month precision and is
+// remembered in localStorage.
+//
+// The form stays the source of truth: a drop writes the new dates into the
+// story's start/end inputs and regenerates the preview, like typing them
+// would. Bars are matched to their form story through the JSON storyId, so
+// only EPIC stories (which always have one) can be dragged.
+//
+// Moving the end of a committed (not Proposed) story offers to record the
+// move as a timeline change. Stories that already track timeline changes
+// take their end from the newest change, so for them the move is always
+// recorded - otherwise the next preview would put the old end back.
+
+import { dragStoryDates, SNAP_UNITS } from '../../domain/bar-drag.js';
+import { storyDateToIso, isoToEuropean } from '../../domain/dates.js';
+import { timelineColumns, timelineDateToColumn } from '../../domain/timeline.js';
+import { labelNextChange, isEditingLocked, setEditingLock } from './state.js';
+import { showToast } from './notifications.js';
+
+const SNAP_STORAGE_KEY = 'roadmap-bar-drag-snap';
+const SNAP_SELECT_ID = 'bar-drag-snap';
+const EDGE_GRAB_PX = 8;
+const DRAG_THRESHOLD_PX = 4;
+// A click right after a drop is the end of the drag, not a request to edit.
+const CLICK_SUPPRESS_MS = 300;
+const OFFER_TOAST_MS = 8000;
+
+/** @returns {import('../../domain/bar-drag.js').SnapUnit} */
+function getSnapUnit() {
+    const select = /** @type {HTMLSelectElement | null} */ (
+        document.getElementById(SNAP_SELECT_ID)
+    );
+    const value = select ? select.value : 'day';
+    return SNAP_UNITS.includes(value) ? /** @type {any} */ (value) : 'day';
+}
+
+function formStoryIdFor(storyEl) {
+    const jsonId = storyEl.dataset.jsonStoryId;
+    if (!jsonId) return null;
+    for (const input of document.querySelectorAll('input[id^="story-id-"]')) {
+        if (/** @type {HTMLInputElement} */ (input).value === jsonId)
+            return input.id.slice('story-id-'.length);
+    }
+    return null;
+}
+
+/** @returns {import('../../domain/bar-drag.js').DragMode} */
+function edgeAt(storyEl, clientX) {
+    const rect = storyEl.getBoundingClientRect();
+    if (clientX - rect.left <= EDGE_GRAB_PX) return 'start';
+    if (rect.right - clientX <= EDGE_GRAB_PX) return 'end';
+    return 'move';
+}
+
+// Fractional grid column under the pointer; story tracks span the whole
+// timeline window.
+function columnAt(track, clientX, timeline) {
+    const rect = track.getBoundingClientRect();
+    return 1 + ((clientX - rect.left) / rect.width) * timelineColumns(timeline);
+}
+
+function timelineChangeRows(formId) {
+    return document.querySelectorAll(
+        `#changes-container-${formId} > div[id^="change-${formId}-change-"]`
+    );
+}
+
+/**
+ * @param {object} deps
+ * @param {() => void} deps.generatePreview
+ * @param {() => void} deps.markDirty
+ * @param {() => number} deps.getRoadmapYear
+ * @param {() => import('../../domain/timeline.js').TimelineWindow} deps.getTimeline
+ *        The window the preview is rendered with.
+ * @param {(formId: string) => void} deps.toggleChanges
+ *        Shows the story's timeline-change section (seeding one entry).
+ * @param {(formId: string) => void} deps.addChange  Appends a timeline-change entry.
+ * @param {(message: string) => void} deps.notifyUndoable  Toast with an Undo button.
+ */
+export function createBarDragHandlers({
+    generatePreview,
+    markDirty,
+    getRoadmapYear,
+    getTimeline,
+    toggleChanges,
+    addChange,
+    notifyUndoable,
+}) {
+    let drag = null;
+    let suppressClickUntil = 0;
+
+    function isCommitted(formId) {
+        const proposed = /** @type {HTMLInputElement | null} */ (
+            document.getElementById(`story-proposed-${formId}`)
+        );
+        return !(proposed && proposed.checked);
+    }
+
+    function tracksTimelineChanges(formId) {
+        const checkbox = /** @type {HTMLInputElement | null} */ (
+            document.getElementById(`story-changes-${formId}`)
+        );
+        return !!(checkbox && checkbox.checked && timelineChangeRows(formId).length);
+    }
+
+    // Appends a timeline-change entry prevEnd -> newEnd. False when the
+    // story already has the maximum number of entries.
+    function recordTimelineChange(formId, prevEnd, newEnd) {
+        const checkbox = /** @type {HTMLInputElement | null} */ (
+            document.getElementById(`story-changes-${formId}`)
+        );
+        if (!checkbox) return false;
+        const before = timelineChangeRows(formId).length;
+        if (checkbox.checked) {
+            addChange(formId);
+        } else {
+            checkbox.checked = true;
+            toggleChanges(formId);
+        }
+        const rows = timelineChangeRows(formId);
+        if (rows.length === before) return false;
+        const changeId = rows[rows.length - 1].id.slice('change-'.length);
+        const prevEl = /** @type {HTMLInputElement} */ (
+            document.getElementById(`change-prev-${changeId}`)
+        );
+        const newEl = /** @type {HTMLInputElement} */ (
+            document.getElementById(`change-new-${changeId}`)
+        );
+        if (prevEl) prevEl.value = prevEnd;
+        if (newEl) newEl.value = newEnd;
+        return true;
+    }
+
+    function offerTimelineChange(formId, prevEnd, newEnd) {
+        showToast(`End date moved to ${newEnd}`, {
+            color: '#495057',
+            duration: OFFER_TOAST_MS,
+            action: {
+                label: 'Record as timeline change',
+                onClick: () => {
+                    labelNextChange('Record timeline change');
+                    if (!recordTimelineChange(formId, prevEnd, newEnd)) {
+                        showToast('This story already has the maximum number of timeline changes', {
+                            color: '#dc3545',
+                        });
+                        return;
+                    }
+                    markDirty();
+                    generatePreview();
+                },
+            },
+        });
+    }
+
+    function showDraggedDates(next) {
+        const { storyEl, timeline } = drag;
+        const startCol = Math.round(timelineDateToColumn(next.start, timeline));
+        const endCol = Math.max(
+            Math.round(timelineDateToColumn(next.end, timeline, 'end')),
+            startCol + 1
+        );
+        storyEl.style.setProperty('--start', String(startCol));
+        storyEl.style.setProperty('--end', String(endCol));
+        drag.label.textContent = `${isoToEuropean(next.start)} → ${isoToEuropean(next.end)}`;
+    }
+
+    function beginDrag() {
+        drag.active = true;
+        setEditingLock(true);
+        window.getSelection()?.removeAllRanges();
+        document.body.classList.add('is-dragging-bar');
+        drag.storyEl.classList.add('bar-dragging');
+        drag.label = document.createElement('div');
+        drag.label.className = 'bar-drag-label';
+        drag.storyEl.appendChild(drag.label);
+    }
+
+    function onPointerMove(event) {
+        if (!drag) return;
+        if (!drag.active) {
+            if (Math.abs(event.clientX - drag.startX) < DRAG_THRESHOLD_PX) return;
+            beginDrag();
+        }
+        drag.next = dragStoryDates({
+            mode: drag.mode,
+            start: drag.start,
+            end: drag.end,
+            fromColumn: drag.fromColumn,
+            toColumn: columnAt(drag.track, event.clientX, drag.timeline),
+            year: drag.year,
+            timeline: drag.timeline,
+            snap: getSnapUnit(),
+        });
+        showDraggedDates(drag.next);
+    }
+
+    function applyDrop({ formId, mode, start, end, next }) {
+        const startEl = /** @type {HTMLInputElement} */ (
+            document.getElementById(`story-start-${formId}`)
+        );
+        const endEl = /** @type {HTMLInputElement} */ (
+            document.getElementById(`story-end-${formId}`)
+        );
+        const startChanged = next.start !== start;
+        const endChanged = next.end !== end;
+        if (!startChanged && !endChanged) return false;
+
+        const prevEnd = isoToEuropean(end);
+        const newEnd = isoToEuropean(next.end);
+        labelNextChange(mode === 'move' ? 'Move story dates' : 'Change story dates');
+        if (startChanged) startEl.value = isoToEuropean(next.start);
+        if (endChanged) endEl.value = newEnd;
+        markDirty();
+
+        if (endChanged && tracksTimelineChanges(formId)) {
+            const recorded = recordTimelineChange(formId, prevEnd, newEnd);
+            generatePreview();
+            if (recorded) notifyUndoable('End date change recorded in the timeline');
+            else
+                showToast('This story already has the maximum number of timeline changes', {
+                    color: '#dc3545',
+                });
+            return true;
+        }
+        generatePreview();
+        if (endChanged && isCommitted(formId)) offerTimelineChange(formId, prevEnd, newEnd);
+        return true;
+    }
+
+    function onPointerUp() {
+        window.removeEventListener('pointermove', onPointerMove);
+        window.removeEventListener('pointerup', onPointerUp);
+        window.removeEventListener('pointercancel', onPointerUp);
+        const finished = drag;
+        drag = null;
+        if (!finished || !finished.active) return;
+
+        setEditingLock(false);
+        document.body.classList.remove('is-dragging-bar');
+        suppressClickUntil = Date.now() + CLICK_SUPPRESS_MS;
+        if (finished.next && applyDrop(finished)) return;
+        // Nothing changed: put the bar back as it was rendered.
+        finished.storyEl.classList.remove('bar-dragging');
+        finished.storyEl.style.setProperty('--start', finished.renderedStart);
+        finished.storyEl.style.setProperty('--end', finished.renderedEnd);
+        finished.label.remove();
+    }
+
+    function onPointerDown(event) {
+        if (event.button !== 0 || drag || isEditingLocked()) return;
+        const target = /** @type {HTMLElement} */ (event.target);
+        if (target.closest('[contenteditable="true"]')) return;
+        const storyEl = /** @type {HTMLElement | null} */ (target.closest('.story-item'));
+        const track = storyEl && storyEl.closest('.story-track');
+        if (!storyEl || !track) return;
+        const formId = formStoryIdFor(storyEl);
+        if (!formId) return;
+
+        const year = getRoadmapYear();
+        const timeline = getTimeline();
+        const startEl = /** @type {HTMLInputElement | null} */ (
+            document.getElementById(`story-start-${formId}`)
+        );
+        const endEl = /** @type {HTMLInputElement | null} */ (
+            document.getElementById(`story-end-${formId}`)
+        );
+        const start = startEl && storyDateToIso(startEl.value, year, 'start');
+        const end = endEl && storyDateToIso(endEl.value, year, 'end');
+        if (!start || !end) return;
+
+        drag = {
+            storyEl,
+            track,
+            formId,
+            year,
+            timeline,
+            start,
+            end,
+            mode: edgeAt(storyEl, event.clientX),
+            startX: event.clientX,
+            fromColumn: columnAt(track, event.clientX, timeline),
+            active: false,
+            next: null,
+            label: null,
+            renderedStart: storyEl.style.getPropertyValue('--start'),
+            renderedEnd: storyEl.style.getPropertyValue('--end'),
+        };
+        window.addEventListener('pointermove', onPointerMove);
+        window.addEventListener('pointerup', onPointerUp);
+        window.addEventListener('pointercancel', onPointerUp);
+    }
+
+    // Resize cursor over bar edges, so the edge grab is discoverable.
+    function onHover(event) {
+        if (drag) return;
+        const storyEl = /** @type {HTMLElement | null} */ (
+            /** @type {HTMLElement} */ (event.target).closest('.story-item')
+        );
+        if (!storyEl) return;
+        storyEl.dataset.dragEdge = edgeAt(storyEl, event.clientX);
+    }
+
+    function onClickCapture(event) {
+        if (Date.now() > suppressClickUntil) return;
+        event.stopPropagation();
+        event.preventDefault();
+    }
+
+    /**
+     * Wire the drag handlers onto the preview mount and restore the saved
+     * snap unit. Calling it again for the same mount is a no-op.
+     *
+     * @param {HTMLElement} mount
+     */
+    function attachBarDrag(mount) {
+        if (!mount || mount.dataset.barDragAttached) return;
+        mount.dataset.barDragAttached = 'true';
+        const select = /** @type {HTMLSelectElement | null} */ (
+            document.getElementById(SNAP_SELECT_ID)
+        );
+        if (select) {
+            const saved = localStorage.getItem(SNAP_STORAGE_KEY);
+            if (saved && SNAP_UNITS.includes(saved)) select.value = saved;
+            select.addEventListener('change', () =>
+                localStorage.setItem(SNAP_STORAGE_KEY, select.value)
+            );
+        }
+        mount.addEventListener('pointerdown', onPointerDown);
+        mount.addEventListener('pointermove', onHover);
+        mount.addEventListener('click', onClickCapture, true);
+    }
+
+    return { attachBarDrag };
+}
@@ -23,7 +23,7 @@
 
 import * as share from './share.js';
 import * as saveDropdown from './save-dropdown.js';
-import { exportJPG, exportPDF, createExportHTML } from './export.js';
+import { exportJPG, exportPDF, createExportHTML, createExportSVG, createExportICS } from './export.js';
 import { toggleCollapse, collapseAllSections, createBuilderCollapse } from './collapse.js';
 import {
     hideKTLOSection,
@@ -54,8 +54,53 @@ import {
 } from './ktlo-validation.js';
 import * as roadmapState from './state.js';
 import * as save from './save.js';
+import { showConflictDialog } from './conflict-dialog.js';
+import { showMergeDialog } from './merge-dialog.js';
+import { mergeTeamData, resolveConflicts } from '../../domain/merge.js';
+import { readRoadmapFile, describeMigrations } from '../../domain/migrations.js';
+import { escapeHtml } from '../../utilities/html.js';
 import { enableTitleEditing } from './inline-edit.js';
 import { confettiBurst } from './confetti.js';
+import { createUndoHandlers } from './undo.js';
+import { createSnapshotHandlers } from './snapshots.js';
+import { createSpreadsheetImport } from './spreadsheet-import.js';
+import { createIssueImport } from './issue-import.js';
+import { createStatusReport } from './status-report.js';
+import { createBarDragHandlers } from './bar-drag.js';
+import { createDependencyResolver } from './dependencies.js';
+import { parseDependencyList, formatDependencyList } from '../../domain/dependencies.js';
+import {
+    readTimelineSetting,
+    fillTimelineInputs,
+    attachTimelineInputs,
+    readFiscalYearStart,
+    fillFiscalYearStart,
+    readAsOfDate,
+    fillAsOfDate,
+} from './timeline-window.js';
+import { resolveTimeline } from '../../domain/timeline.js';
+import { getPreviewZoom, attachPreviewZoom } from './zoom.js';
+
+/**
+ * Parse a roadmap file, upgrade it to the current format and validate it.
+ * The file's upgrade record goes to the save module to be written back, and
+ * an upgrade that just ran is logged and announced, as saving the file
+ * changes its format.
+ *
+ * @param {string} text - Raw file contents
+ * @param {string} [name] - File name, for the log line
+ * @returns {{ teamData: any, applied: import('../../domain/migrations.js').AppliedMigration[] }}
+ */
+function readRoadmap(text, name) {
+    const { doc, applied } = readRoadmapFile(text);
+    save.setMigrationHistory(doc.migrations);
+    if (applied.length) {
+        const summary = `${name || 'Roadmap'}: ${describeMigrations(applied)}`;
+        console.info(summary);
+        showToast(`${escapeHtml(summary)}. Saving writes the new format.`, { color: '#007cba', duration: 6000 });
+    }
+    return { teamData: doc.teamData, applied };
+}
 
 /**
  * Mount this view. Called by the SPA router on every navigation here.
@@ -97,6 +142,79 @@ export function init(_root) {
     } = __datePickers;
     Object.assign(window, __datePickers);
 
+    // Undo / redo over the roadmap state. loadTeamData and
+    // prepareRoadmapForSave are defined later in the legacy body and exposed
+    // on window; the lambdas read them lazily.
+    const { notifyUndoable, handleUndoShortcut } = createUndoHandlers({
+        loadTeamData: (teamData, options) => window.loadTeamData(teamData, options),
+        flushPendingEdits: () => {
+            if (typeof window.prepareRoadmapForSave === 'function') window.prepareRoadmapForSave();
+        },
+    });
+    // The document outlives this mount, so the shortcut is attached once and
+    // flagged on the SPA root, like the dirty tracker below.
+    const appRoot = document.getElementById('app') || document.body;
+    if (!appRoot.dataset.undoShortcutAttached) {
+        appRoot.dataset.undoShortcutAttached = 'true';
+        document.addEventListener('keydown', (e) => handleUndoShortcut(e));
+    }
+
+    // Snapshots + change highlighting. renderRoadmapToMount reads the
+    // highlight map on every render; loadTeamData clears it when another
+    // roadmap comes in.
+    const snapshots = createSnapshotHandlers({
+        getCurrentRoadmap: () => ({
+            key: window.prepareRoadmapForSave(),
+            teamData: structuredClone(roadmapState.getState()),
+        }),
+        rerender: () => {
+            if (typeof window.generatePreview === 'function') window.generatePreview();
+        },
+    });
+    const { openSnapshotsModal, closeSnapshotsModal, clearChangeHighlightsAndRender } = snapshots;
+    Object.assign(window, { openSnapshotsModal, closeSnapshotsModal, clearChangeHighlightsAndRender });
+
+    // Spreadsheet import. The result is a new roadmap with no file behind
+    // it: saving writes it to the folder under its own name, or prompts.
+    const { openImportModal, closeImportModal } = createSpreadsheetImport({
+        getDefaults: () => ({
+            teamName: document.getElementById('teamName').value.trim(),
+            roadmapYear: parseInt(document.getElementById('roadmapYear').value, 10) || new Date().getFullYear(),
+        }),
+        loadImported: (teamData) => {
+            if (save.isDirty() && !confirm('You have unsaved changes. Replace them with the imported roadmap?')) {
+                return false;
+            }
+            save.setFileHandle(null);
+            save.setMigrationHistory([]);
+            window.loadTeamData(teamData, { unsaved: true });
+            if (typeof window.updateFilenameDisplay === 'function') {
+                window.updateFilenameDisplay(`${teamData.teamName}.Teya-Roadmap.${teamData.roadmapYear}.json`);
+            }
+            return true;
+        },
+    });
+    Object.assign(window, { openImportModal, closeImportModal });
+
+    // Issue tracker import. Folds the issues into the open roadmap as one
+    // undoable step and leaves it for the user to save.
+    const { openIssueImport } = createIssueImport({
+        getTeamData: () => roadmapState.getState(),
+        applyImport: (teamData) => {
+            window.loadTeamData(teamData, { undoLabel: 'Import issues', unsaved: true });
+            roadmapState.setState(teamData);
+        },
+    });
+    Object.assign(window, { openIssueImport });
+
+    // Other teams' roadmaps for cross-team dependencies, scanned from the
+    // selected folder on demand; the preview re-renders when they arrive.
+    const dependencyResolver = createDependencyResolver({
+        rerender: () => {
+            if (typeof window.generatePreview === 'function') window.generatePreview();
+        },
+    });
+
     // v2 wiring: state-driven mount-render, click-to-edit-titles, manual save.
     // Title-clicks and bar-background-clicks are both delegated on the mount.
     // The bar-click handler bails when the click target is inside a .task-title
@@ -107,15 +225,15 @@ export function init(_root) {
     // module so subsequent saves write directly to that file.
     window.onRoadmapFilePicked = ({ content, name, fileHandle }) => {
         try {
-            const data = JSON.parse(content);
-            const teamData = data.teamData || data;
-            if (!teamData || typeof teamData !== 'object') throw new Error('not a roadmap document');
-            if (typeof window.fixDatesOnLoad === 'function') window.fixDatesOnLoad(teamData);
+            const { teamData } = readRoadmap(content, name);
             window.loadTeamData(teamData);
             if (typeof window.updateFilenameDisplay === 'function') window.updateFilenameDisplay(name);
             // fileHandle is null on Safari/Firefox (read-only fallback); save
             // stays disabled in that case.
-            save.setFileHandle(fileHandle && typeof fileHandle.createWritable === 'function' ? fileHandle : null);
+            save.setFileHandle(
+                fileHandle && typeof fileHandle.createWritable === 'function' ? fileHandle : null,
+                { text: content }
+            );
             setTimeout(() => {
                 if (typeof window.refreshAllDatePickers === 'function') window.refreshAllDatePickers();
                 if (typeof window.generatePreview === 'function') window.generatePreview();
@@ -137,15 +255,67 @@ export function init(_root) {
             onAutoSavePrepare: () => (typeof window.prepareRoadmapForSave === 'function'
                 ? window.prepareRoadmapForSave()
                 : null),
+            // The file changed on disk since it was loaded. Reload swaps in
+            // their copy through the same path as a nav-level file pick, so
+            // the save baseline moves to it as well. Merge folds their copy
+            // into ours and saves the result on top of theirs.
+            onConflict: async ({ name, handle, text, revision, baseText }) => {
+                const choice = await showConflictDialog({ name, lastModified: revision.lastModified });
+                if (choice === 'reload') {
+                    window.onRoadmapFilePicked({ content: text, name, fileHandle: handle });
+                }
+                if (choice === 'merge') {
+                    return (await mergeIntoCurrent({ handle, text, revision, baseText })) ? 'merge' : null;
+                }
+                return choice;
+            },
         });
 
+        // Three-way merge of the editor state (ours) with the copy on disk
+        // (theirs), using the text we loaded as the common base. Returns
+        // false when the user backs out of conflict resolution.
+        async function mergeIntoCurrent({ handle, text, revision, baseText }) {
+            // Same migrations the editor applied when it loaded ours.
+            const parseTeamData = (raw) => (raw ? readRoadmapFile(raw).doc.teamData : null);
+            let result;
+            try {
+                result = mergeTeamData(parseTeamData(baseText), roadmapState.getState(), parseTeamData(text));
+            } catch (err) {
+                alert(`Could not merge: ${err.message}`);
+                return false;
+            }
+            let merged = result.merged;
+            if (result.conflicts.length) {
+                const choices = await showMergeDialog(result.conflicts);
+                if (!choices) return false;
+                merged = resolveConflicts(result.merged, result.conflicts, choices);
+            }
+
+            // Their copy becomes the new baseline so the follow-up save
+            // doesn't trip the conflict check again.
+            save.setFileHandle(handle, { text, lastModified: revision.lastModified });
+            window.loadTeamData(merged, { undoLabel: 'Merge' });
+            roadmapState.setState(merged);
+            if (typeof window.refreshAllDatePickers === 'function') window.refreshAllDatePickers();
+            if (typeof window.generatePreview === 'function') window.generatePreview();
+            save.markDirty();
+            // save() is still unwinding the conflicted attempt; write once
+            // it has released its in-flight guard.
+            setTimeout(async () => {
+                await save.save({ suggestedName: handle.name });
+                showToast(result.conflicts.length
+                    ? `Merged - ${result.conflicts.length} conflict${result.conflicts.length === 1 ? '' : 's'} resolved`
+                    : 'Merged with the latest changes');
+            }, 0);
+            return true;
+        }
+
         // Dirty tracking: any user input/change inside the SPA mount marks
         // the form as having unsaved changes. We rely on Event.isTrusted to
         // distinguish real user gestures from programmatic events fired
         // during loadTeamData (those would otherwise mark dirty during a
         // fresh load). Inline title edits dispatch synthetic events, so
         // those mark dirty explicitly via onCommit below.
-        const appRoot = document.getElementById('app') || document.body;
         if (!appRoot.dataset.dirtyTrackerAttached) {
             appRoot.dataset.dirtyTrackerAttached = 'true';
             const onUserEdit = (e) => {
@@ -208,6 +378,7 @@ export function init(_root) {
                     // collectFormData; those skip the dirty tracker because
                     // isTrusted is false, so we mark dirty here directly.
                     save.markDirty();
+                    roadmapState.labelNextChange('Rename story');
                     // Propagate the change into the form input so the next
                     // collectFormData() picks it up. KTLO has its own input;
                     // BTL and EPIC stories use the per-story dynamic input
@@ -278,6 +449,10 @@ export function init(_root) {
         const Generator = window.RoadmapGenerator;
         if (!Generator) return;
         const generator = new Generator(teamData.roadmapYear);
+        generator.setZoom(getPreviewZoom());
+        // Diff before rendering: generateStory rewrites some start dates.
+        generator.setChangeHighlights(snapshots.getChangeHighlights(teamData));
+        generator.setExternalRoadmaps(dependencyResolver.getExternalRoadmaps(teamData));
         mount.innerHTML = generator.generateRoadmapBody(teamData, true);
     }
 
@@ -327,6 +502,27 @@ export function init(_root) {
             const id = `0x5${storyIdCounter.toString(16).padStart(7, '0').toUpperCase()}`;
             return id;
         }
+
+        // A loaded file keeps its saved EPIC and Story IDs: merges, snapshot
+        // diffs and dependencies match epics and stories by them.
+        // updateIdCountersAfterImport then moves the counters past them.
+        function restoreEpicId(formEpicId, savedId) {
+            if (!savedId) return;
+            const inputEl = /** @type {HTMLInputElement | null} */ (document.getElementById(`epic-id-${formEpicId}`));
+            if (inputEl) inputEl.value = savedId;
+            const sectionEl = document.getElementById(`epic-${formEpicId}`);
+            if (sectionEl) sectionEl.dataset.epicId = savedId;
+        }
+
+        function restoreStoryId(formStoryId, savedId) {
+            if (!savedId) return;
+            const inputEl = /** @type {HTMLInputElement | null} */ (document.getElementById(`story-id-${formStoryId}`));
+            if (inputEl) inputEl.value = savedId;
+            const labelEl = document.getElementById(`story-id-label-${formStoryId}`);
+            if (labelEl) labelEl.textContent = savedId;
+            const sectionEl = document.getElementById(`story-${formStoryId}`);
+            if (sectionEl) sectionEl.dataset.storyId = savedId;
+        }
         
         async function loadDefaultTemplate() {
             // Double-check: Never load default template if external data is being processed
@@ -481,7 +677,10 @@ export function init(_root) {
 
             // Close stats modal on Escape
             document.addEventListener('keydown', function(e){
-                if (e.key === 'Escape') closeStatsModal();
+                if (e.key === 'Escape') {
+                    closeStatsModal();
+                    closeSnapshotsModal();
+                }
             });
             
             // Global focus event listener to prevent focus on hidden date inputs
@@ -625,6 +824,8 @@ export function init(_root) {
                     
                     <!-- Hidden ID field for data collection -->
                     <input type="hidden" id="epic-id-${epicCounter}" value="${epicId}">
+                    <!-- Key of the tracker's epic issue, set by the issue import -->
+                    <input type="hidden" id="epic-issue-key-${epicCounter}" value="">
                     
                     <div id="epic-content-${epicCounter}">
                         <h4>Stories</h4>
@@ -657,7 +858,9 @@ export function init(_root) {
             delete storyCounters[epicId];
             
             // Refresh the roadmap preview
+            roadmapState.labelNextChange('Delete EPIC');
             generatePreview();
+            notifyUndoable('EPIC deleted');
         }
         
         function toggleEpicCollapse(epicId) {
@@ -842,6 +1045,24 @@ export function init(_root) {
         } = __timeline;
         Object.assign(window, __timeline);
 
+        // Drag story bars in the preview to change dates. Drops go through
+        // the form inputs and generatePreview; end moves can be recorded via
+        // the timeline handlers above.
+        const { attachBarDrag } = createBarDragHandlers({
+            generatePreview,
+            markDirty: () => save.markDirty(),
+            getRoadmapYear: () => parseInt(document.getElementById('roadmapYear').value, 10) || new Date().getFullYear(),
+            getTimeline: () => {
+                const year = parseInt(document.getElementById('roadmapYear').value, 10) || new Date().getFullYear();
+                return resolveTimeline(readTimelineSetting(year), year);
+            },
+            toggleChanges,
+            addChange,
+            notifyUndoable,
+        });
+        attachBarDrag(document.getElementById('roadmap-mount'));
+        attachPreviewZoom(generatePreview);
+
         // Edit Story modal timeline change handlers. The Edit modal stays
         // mounted across story openings, so date-picker tracking can go stale;
         // reinitializeDatePicker (from ./date-pickers.js) clears the dataset
@@ -863,10 +1084,14 @@ export function init(_root) {
         const { openStatsModal, closeStatsModal } = __stats;
         Object.assign(window, __stats);
 
-        // HTML export. Needs the live form data so it's factoried here, where
-        // collectFormData is hoisted into scope. Exposed on window for the
-        // inline onclick="exportHTML()" in the share dropdown.
+        // HTML and SVG export. Need the live form data so they're factoried
+        // here, where collectFormData is hoisted into scope. Exposed on window
+        // for the inline onclick="exportHTML()" / "exportSVG()" in the share dropdown.
         window.exportHTML = createExportHTML({ collectFormData });
+        window.exportSVG = createExportSVG({ collectFormData, getZoom: getPreviewZoom });
+        window.exportICS = createExportICS({ collectFormData });
+        const { openStatusReportModal, closeStatusReportModal } = createStatusReport({ collectFormData });
+        Object.assign(window, { openStatusReportModal, closeStatusReportModal });
 
         // KTLO section handlers. toggleKTLOCollapse needs initializeDatePickersForSection
         // (still in builder.js); toggleKTLOPosition needs generatePreview. Both
@@ -890,6 +1115,7 @@ export function init(_root) {
             loadTeamData, updateFilenameDisplay,
             refreshAllDatePickers, generatePreview, handleFileLoad,
             setFileHandle: save.setFileHandle,
+            readRoadmap,
         });
         const {
             toggleFileBrowser, loadDirectoryFiles, openRoadmapFile,
@@ -1007,6 +1233,8 @@ export function init(_root) {
                 }
             });
             
+            attachTimelineInputs(debouncedGeneratePreview);
+            
             // KTLO fields
             const ktloFields = ['ktlo-title', 'ktlo-bullets'];
             ktloFields.forEach(id => {
@@ -1234,6 +1462,17 @@ export function init(_root) {
                         <label for="story-comments-${storyId}">Comments <span style="font-style: italic; color: #888;">(optional, not shown on roadmap)</span>:</label>
                         <textarea id="story-comments-${storyId}" rows="3" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px; resize: vertical;" placeholder="Add any notes or comments..."></textarea>
                     </div>
+
+                    <div class="form-group">
+                        <label for="story-depends-${storyId}">Blocked by <span style="font-style: italic; color: #888;">(optional, Story IDs)</span>:</label>
+                        <input type="text" id="story-depends-${storyId}" placeholder="0x50000003, Payments: 0x50000012">
+                        <div style="font-size: 12px; color: #888; margin-top: 4px;">This story's ID: <code id="story-id-label-${storyId}">${storyUniqueId}</code></div>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="story-issue-key-${storyId}">Issue key <span style="font-style: italic; color: #888;">(optional, the ticket in your issue tracker)</span>:</label>
+                        <input type="text" id="story-issue-key-${storyId}" placeholder="PAY-123">
+                    </div>
                     </div><!-- End Story Details Box -->
                     
                     <!-- Story Status Box -->
@@ -1421,6 +1660,8 @@ export function init(_root) {
                 `story-director-vp-id-${storyId}`,
                 `story-imo-${storyId}`,
                 `story-priority-${storyId}`,
+                `story-depends-${storyId}`,
+                `story-issue-key-${storyId}`,
                 `done-date-${storyId}`,
                 `done-notes-${storyId}`,
                 `cancel-date-${storyId}`,
@@ -1533,7 +1774,9 @@ export function init(_root) {
             }
             
             // Refresh the roadmap preview
+            roadmapState.labelNextChange('Delete story');
             generatePreview();
+            notifyUndoable('Story deleted');
         }
         
         let btlStoryCounter = 0;
@@ -1682,7 +1925,9 @@ export function init(_root) {
             if (elementToRemove) {
                 elementToRemove.remove();
                 updateBTLAddButton();
+                roadmapState.labelNextChange('Delete story');
                 generatePreview();
+                notifyUndoable('Story deleted');
             }
         };
 
@@ -2095,6 +2340,20 @@ export function init(_root) {
             if (description && description.trim()) {
                 teamData.description = description.trim();
             }
+
+            // Timeline window - only saved when it isn't the calendar year
+            const timeline = readTimelineSetting(teamData.roadmapYear);
+            if (timeline) {
+                teamData.timeline = timeline;
+            }
+            const fiscalYearStart = readFiscalYearStart();
+            if (fiscalYearStart) {
+                teamData.fiscalYearStart = fiscalYearStart;
+            }
+            const asOfDate = readAsOfDate();
+            if (asOfDate) {
+                teamData.asOfDate = asOfDate;
+            }
             
             // Collect EPICs
             const epicElements = document.querySelectorAll('.epic-section');
@@ -2123,6 +2382,10 @@ export function init(_root) {
                     epicId: epicUniqueIdEl ? epicUniqueIdEl.value : null, // Add unique EPIC ID
                     stories: []
                 };
+                const epicIssueKeyEl = document.getElementById(`epic-issue-key-${epicId}`);
+                if (epicIssueKeyEl && epicIssueKeyEl.value) {
+                    epic.issueKey = epicIssueKeyEl.value;
+                }
                 
                 // Collect stories for this EPIC
                 const storyElements = epicEl.querySelectorAll('.story-section');
@@ -2299,6 +2562,20 @@ export function init(_root) {
             if (comments) {
                 story.comments = comments;
             }
+
+            // Handle dependencies ("Blocked by")
+            const dependsEl = document.getElementById(`story-depends-${storyId}`);
+            const dependsOn = parseDependencyList(dependsEl ? dependsEl.value : '');
+            if (dependsOn.length) {
+                story.dependsOn = dependsOn;
+            }
+
+            // Handle the issue tracker key (matches re-imported issues)
+            const issueKeyEl = document.getElementById(`story-issue-key-${storyId}`);
+            const issueKey = issueKeyEl ? issueKeyEl.value.trim() : '';
+            if (issueKey) {
+                story.issueKey = issueKey;
+            }
             
             // Handle Country Flags (default to Global if no flags selected)
             const countryFlags = [];
@@ -2767,6 +3044,7 @@ export function init(_root) {
             //   - AppDir's folder/file selection (so path 2 doesn't fire
             //     and the Save button auto-disables via canSave())
             save.setFileHandle(null);
+            save.setMigrationHistory([]);
             if (window.AppDir && typeof window.AppDir.clear === 'function') {
                 window.AppDir.clear();
             }
@@ -2807,6 +3085,9 @@ export function init(_root) {
             document.getElementById('em').value = '';
             document.getElementById('pm').value = '';
             document.getElementById('teamDescription').value = '';
+            fillTimelineInputs(null);
+            fillFiscalYearStart(null);
+            fillAsOfDate(null);
             
             // Set default filename for new roadmap
             const defaultFilename = `MyTeam.Teya-Roadmap.${selectedYear}.json`;
@@ -2984,84 +3265,6 @@ export function init(_root) {
             event.target.value = '';
         }
         
-        /**
-         * Fix dates without years when loading roadmap
-         */
-        function fixDatesOnLoad(teamData) {
-            const roadmapYear = teamData.roadmapYear || new Date().getFullYear();
-            
-            // Helper function to fix a date string and normalize separator
-            const fixDate = (dateStr) => {
-                if (!dateStr || typeof dateStr !== 'string') return dateStr;
-                // Match dd/mm or dd-mm format (without year)
-                if (/^\d{1,2}[\/\-]\d{1,2}$/.test(dateStr)) {
-                    // Replace all "-" with "/" for consistency, then add year
-                    const normalizedDate = dateStr.replace(/-/g, '/');
-                    return normalizedDate + '/' + roadmapYear;
-                }
-                return dateStr;
-            };
-            
-            // Fix dates in all epics and stories
-            if (teamData.epics) {
-                teamData.epics.forEach(epic => {
-                    if (epic.stories) {
-                        epic.stories.forEach(story => {
-                            // Fix story start/end dates
-                            if (story.startDate) story.startDate = fixDate(story.startDate);
-                            if (story.endDate) story.endDate = fixDate(story.endDate);
-                            
-                            // Fix timeline change dates
-                            if (story.roadmapChanges && story.roadmapChanges.changes) {
-                                story.roadmapChanges.changes.forEach(change => {
-                                    if (change.date) change.date = fixDate(change.date);
-                                    if (change.prevEndDate) change.prevEndDate = fixDate(change.prevEndDate);
-                                    if (change.newEndDate) change.newEndDate = fixDate(change.newEndDate);
-                                });
-                            }
-                            
-                            // Fix status info dates
-                            if (story.roadmapChanges) {
-                                if (story.roadmapChanges.doneInfo && story.roadmapChanges.doneInfo.date) {
-                                    story.roadmapChanges.doneInfo.date = fixDate(story.roadmapChanges.doneInfo.date);
-                                }
-                                if (story.roadmapChanges.cancelInfo && story.roadmapChanges.cancelInfo.date) {
-                                    story.roadmapChanges.cancelInfo.date = fixDate(story.roadmapChanges.cancelInfo.date);
-                                }
-                                if (story.roadmapChanges.atRiskInfo && story.roadmapChanges.atRiskInfo.date) {
-                                    story.roadmapChanges.atRiskInfo.date = fixDate(story.roadmapChanges.atRiskInfo.date);
-                                }
-                                if (story.roadmapChanges.newStoryInfo && story.roadmapChanges.newStoryInfo.date) {
-                                    story.roadmapChanges.newStoryInfo.date = fixDate(story.roadmapChanges.newStoryInfo.date);
-                                }
-                                if (story.roadmapChanges.infoInfo) {
-                                    if (Array.isArray(story.roadmapChanges.infoInfo)) {
-                                        // Multiple info entries
-                                        story.roadmapChanges.infoInfo.forEach(entry => {
-                                            if (entry && entry.date) {
-                                                entry.date = fixDate(entry.date);
-                                            }
-                                        });
-                                    } else if (story.roadmapChanges.infoInfo.date) {
-                                        // Single info entry (backward compatibility)
-                                    story.roadmapChanges.infoInfo.date = fixDate(story.roadmapChanges.infoInfo.date);
-                                    }
-                                }
-                                if (story.roadmapChanges.transferredOutInfo && story.roadmapChanges.transferredOutInfo.date) {
-                                    story.roadmapChanges.transferredOutInfo.date = fixDate(story.roadmapChanges.transferredOutInfo.date);
-                                }
-                                if (story.roadmapChanges.transferredInInfo && story.roadmapChanges.transferredInInfo.date) {
-                                    story.roadmapChanges.transferredInInfo.date = fixDate(story.roadmapChanges.transferredInInfo.date);
-                                }
-                                if (story.roadmapChanges.proposedInfo && story.roadmapChanges.proposedInfo.date) {
-                                    story.roadmapChanges.proposedInfo.date = fixDate(story.roadmapChanges.proposedInfo.date);
-                                }
-                            }
-                        });
-                    }
-                });
-            }
-        }
         function handleFileLoad(event) {
             const file = event.target.files[0];
             if (!file) return;
@@ -3075,18 +3278,11 @@ export function init(_root) {
             const reader = new FileReader();
             reader.onload = function(e) {
                 try {
-                    const data = JSON.parse(e.target.result);
-
-                    // Handle both new format (with metadata) and legacy format (direct teamData)
-                    const teamData = data.teamData || data;
-
-                    // Validate basic structure
-                    if (!teamData || typeof teamData !== 'object') {
-                        throw new Error('Invalid roadmap data structure');
-                    }
-
-                    // Fix dates without years by adding current roadmap year
-                    fixDatesOnLoad(teamData);
+                    // Upgrades older formats (legacy root-level teamData,
+                    // yearless dates) and rejects malformed files up front,
+                    // with a list of the offending fields, rather than
+                    // failing halfway through loadTeamData.
+                    const { teamData } = readRoadmap(e.target.result, file.name);
 
                     loadTeamData(teamData);
 
@@ -3107,8 +3303,9 @@ export function init(_root) {
                     
                     if (error.name === 'SyntaxError') {
                         errorMessage += ' The file is not valid JSON format.';
-                    } else if (error.message.includes('Invalid roadmap data')) {
-                        errorMessage += ' The file does not contain valid roadmap data.';
+                    } else if (error.name === 'RoadmapValidationError' || error.name === 'UnsupportedVersionError') {
+                        alert(`${errorMessage}\n\n${error.message}`);
+                        return;
                     } else {
                         errorMessage += ' Please check the file format and try again.';
                     }
@@ -3179,7 +3376,29 @@ export function init(_root) {
         
         // applyPendingTimelineChanges moved to ./timeline-changes.js
         // (returned from createTimelineChangeHandlers; bound as a local at top of init).
-                function loadTeamData(teamData) {
+
+        // options.restoring: teamData is an undo/redo snapshot - keep the
+        //   undo history and the expanded sections, and leave the roadmap dirty.
+        // options.undoLabel: record the load as one undoable step (e.g. a merge).
+        // Otherwise this is a new document and the undo history starts over.
+        // options.unsaved: the result matches no file yet (an import), so leave
+        //   the roadmap dirty.
+                function loadTeamData(teamData, { restoring = false, undoLabel = null, unsaved = false } = {}) {
+            // The form goes through many intermediate states while it is
+            // rebuilt below; none of them are edits.
+            roadmapState.pauseHistory();
+            const finishLoad = () => {
+                roadmapState.resumeHistory({ reset: !restoring && !undoLabel, label: undoLabel });
+                // Programmatic loads dispatch input events on many fields;
+                // reset the dirty tracker now that the form matches the
+                // loaded source. A restored snapshot or an import matches no file.
+                if (restoring || unsaved) save.markDirty();
+                else save.markClean();
+            };
+            // Highlights compare against a snapshot of the roadmap that was
+            // open; undo steps and merges are still that roadmap.
+            if (!restoring && !undoLabel) snapshots.clearChangeHighlights();
+
             // Clear existing EPICs first
             document.getElementById('epics-container').innerHTML = '';
             epicCounter = 0;
@@ -3210,6 +3429,10 @@ export function init(_root) {
             // Load roadmap year
             document.getElementById('roadmapYear').value = teamData.roadmapYear || 2025;
             
+            fillTimelineInputs(teamData.timeline);
+            fillFiscalYearStart(teamData.fiscalYearStart);
+            fillAsOfDate(teamData.asOfDate);
+            
             // Load team information
             document.getElementById('teamName').value = teamData.teamName || 'My Team';
             document.getElementById('directorVP').value = teamData.directorVP || '';
@@ -3249,6 +3472,8 @@ export function init(_root) {
                     
                     // Set EPIC name
                     document.getElementById(`epic-name-${currentEpicId}`).value = epic.name || `EPIC ${currentEpicId}`;
+                    document.getElementById(`epic-issue-key-${currentEpicId}`).value = epic.issueKey || '';
+                    restoreEpicId(currentEpicId, epic.epicId);
                     
                     // Remove the default story that gets added
                     const defaultStoryId = `${currentEpicId}-1`;
@@ -3263,6 +3488,7 @@ export function init(_root) {
                         epic.stories.forEach((story, storyIndex) => {
                             addStory(currentEpicId);
                             const currentStoryId = `${currentEpicId}-${storyCounters[currentEpicId]}`;
+                            restoreStoryId(currentStoryId, story.storyId);
                             
                             // Add a small delay to ensure DOM elements are fully created before populating
                             setTimeout(() => {
@@ -3281,22 +3507,21 @@ export function init(_root) {
                                             storeOriginalStoryOrder(epicId);
                                         });
 
-                                        collapseAllSections();
+                                        if (!restoring) collapseAllSections();
                                         // Refresh date pickers to sync with loaded data
                                         refreshAllDatePickers();
                                         generatePreview();
                                         // Update document title with loaded team name
                                         updateDocumentTitle();
-                                        // Programmatic loads dispatch input events on
-                                        // many fields; reset the dirty tracker now
-                                        // that the form matches the loaded source.
-                                        save.markClean();
+                                        finishLoad();
                                     }, 100);
                                 }
                             }, 10 + (storyIndex * 5)); // Stagger each story by 5ms
                         });
                     }
                 });
+                // New EPICs and stories count on from the loaded IDs
+                updateIdCountersAfterImport();
             }
             
             // Ensure KTLO forms are initialized before loading data
@@ -3325,13 +3550,13 @@ export function init(_root) {
             // Handle case where there are no stories to load
             if (totalStoryLoadOperations === 0) {
                 setTimeout(() => {
-                    collapseAllSections();
+                    if (!restoring) collapseAllSections();
                     // Refresh date pickers to sync with loaded data
                     refreshAllDatePickers();
                     generatePreview();
                     // Update document title with loaded team name
                     updateDocumentTitle();
-                    save.markClean();
+                    finishLoad();
                 }, 100);
             }
         }
@@ -3569,6 +3794,18 @@ export function init(_root) {
                 if (commentsEl) {
                     commentsEl.value = story.comments || '';
                 }
+
+                // Load dependencies
+                const dependsEl = document.getElementById(`story-depends-${storyId}`);
+                if (dependsEl) {
+                    dependsEl.value = formatDependencyList(story.dependsOn);
+                }
+
+                // Load the issue tracker key
+                const issueKeyEl = document.getElementById(`story-issue-key-${storyId}`);
+                if (issueKeyEl) {
+                    issueKeyEl.value = story.issueKey || '';
+                }
                 
                 // Load Country Flags (Global is checked by default if no flags are saved)
                 const flags = story.countryFlags || [];
@@ -5366,7 +5603,9 @@ export function init(_root) {
                     closeEditModal();
                     
                     // Refresh the roadmap preview
+                    roadmapState.labelNextChange('Delete story');
                     generatePreview();
+                    notifyUndoable('Story deleted');
                 } else {
                     alert('Could not find BTL story to delete');
                 }
@@ -5398,7 +5637,9 @@ export function init(_root) {
                     closeEditModal();
                     
                     // Refresh the roadmap preview
+                    roadmapState.labelNextChange('Delete story');
                     generatePreview();
+                    notifyUndoable('Story deleted');
                 } else {
                     alert('Could not find EPIC story to delete');
                 }
@@ -5545,10 +5786,6 @@ export function init(_root) {
         
         // Load and display files from selected directory
         
-        // Open roadmap file - handle both JSON and Excel files
-        
-        // Process Excel workbook directly without localStorage
-        
         // Check for loaded data from URL parameters
         function checkForLoadedData() {
             const urlParams = new URLSearchParams(window.location.search);
@@ -5562,22 +5799,17 @@ export function init(_root) {
                     if (dataStr) {
                         const loadedData = JSON.parse(dataStr);
                         
-                        if (loadedData._fileType === 'excel') {
-                            // Excel handling removed
-                        } else {
-                            // Handle JSON data
-                            const teamData = loadedData.teamData || loadedData;
-                            loadTeamData(teamData);
-                            
-                            // Ensure KTLO month data is displayed after JSON loading
-                            setTimeout(() => {
-                                const selector = document.getElementById('ktlo-month-selector');
-                                if (selector) {
-                                    const currentMonth = selector.value || 'jan';
-                                    loadKTLOMonth(currentMonth);
-                                }
-                            }, 100);
-                        }
+                        const teamData = loadedData.teamData || loadedData;
+                        loadTeamData(teamData);
+                        
+                        // Ensure KTLO month data is displayed after JSON loading
+                        setTimeout(() => {
+                            const selector = document.getElementById('ktlo-month-selector');
+                            if (selector) {
+                                const currentMonth = selector.value || 'jan';
+                                loadKTLOMonth(currentMonth);
+                            }
+                        }, 100);
                         
                         // Collapse the builder if requested
                         if (loadedData._collapseBuilder) {
@@ -5693,7 +5925,6 @@ if (typeof prepareRoadmapForSave === 'function') window.prepareRoadmapForSave =
 if (typeof downloadRoadmap === 'function') window.downloadRoadmap = downloadRoadmap;
 if (typeof loadRoadmap === 'function') window.loadRoadmap = loadRoadmap;
 if (typeof handleRoadmapLoad === 'function') window.handleRoadmapLoad = handleRoadmapLoad;
-if (typeof fixDatesOnLoad === 'function') window.fixDatesOnLoad = fixDatesOnLoad;
 if (typeof handleFileLoad === 'function') window.handleFileLoad = handleFileLoad;
 // Stats functions are exposed via Object.assign at the top of init().
 if (typeof updateIdCountersAfterImport === 'function') window.updateIdCountersAfterImport = updateIdCountersAfterImport;
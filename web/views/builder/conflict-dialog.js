@@ -0,0 +1,70 @@
+// Save-conflict dialog: shown by save.js (via the builder's onConflict hook)
+// when the file on disk no longer matches what was loaded. Resolves with the
+// user's choice so the caller decides what to do with it; the dialog itself
+// never touches state or the file.
+
+const MODAL_ID = 'saveConflictModal';
+
+/** @typedef {'overwrite' | 'reload' | 'merge' | null} ConflictChoice */
+
+function formatModified(lastModified) {
+    if (typeof lastModified !== 'number') return '';
+    return new Date(lastModified).toLocaleString('en-GB', {
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+}
+
+/**
+ * Ask how to resolve a save conflict.
+ *
+ * @param {object} opts
+ * @param {string} opts.name - File name shown in the message.
+ * @param {number|null} [opts.lastModified] - When the other copy was written.
+ * @returns {Promise<ConflictChoice>} null when cancelled (or the modal
+ *          markup isn't mounted).
+ */
+export function showConflictDialog({ name, lastModified = null }) {
+    const modal = document.getElementById(MODAL_ID);
+    if (!modal) return Promise.resolve(null);
+
+    const message = modal.querySelector('#saveConflictMessage');
+    if (message) {
+        const when = formatModified(lastModified);
+        message.textContent =
+            `Someone else saved ${name}${when ? ` at ${when}` : ''} after you opened it. ` +
+            'Saving now would overwrite their changes.';
+    }
+
+    return new Promise((resolveChoice) => {
+        const finish = (choice) => {
+            modal.style.display = 'none';
+            modal.removeEventListener('click', onClick);
+            document.removeEventListener('keydown', onKey, true);
+            resolveChoice(choice);
+        };
+        const onClick = (e) => {
+            const btn = e.target.closest('[data-conflict-choice]');
+            if (btn) {
+                const choice = btn.dataset.conflictChoice;
+                finish(choice === 'cancel' ? null : /** @type {ConflictChoice} */ (choice));
+            } else if (e.target === modal) {
+                finish(null);
+            }
+        };
+        const onKey = (e) => {
+            if (e.key !== 'Escape') return;
+            e.stopPropagation();
+            finish(null);
+        };
+        modal.addEventListener('click', onClick);
+        document.addEventListener('keydown', onKey, true);
+        modal.style.display = 'flex';
+        const first = /** @type {HTMLElement | null} */ (
+            modal.querySelector('[data-conflict-choice="reload"]')
+        );
+        if (first) first.focus();
+    });
+}
@@ -0,0 +1,83 @@
+// Cross-team dependencies: a story can be blocked by another team's story
+// ({ team, storyId } in dependsOn). Checking those dates needs the other
+// team's roadmap, so when the open roadmap has such links and a folder is
+// selected in the top bar, the folder is scanned (IMOUtility's cached scan)
+// for every other team's roadmap - the one for the same year when there is
+// one, else the newest. The first render goes out without them; the preview
+// re-renders once the scan lands.
+
+import { hasExternalDependencies } from '../../domain/dependencies.js';
+
+function currentFolder() {
+    const snap = window.AppDir?.get?.();
+    if (!snap || !snap.handle || snap.type !== 'folder' || snap.permission !== 'granted')
+        return null;
+    return snap.handle;
+}
+
+/**
+ * @param {object} deps
+ * @param {() => void} deps.rerender  Regenerates the preview.
+ */
+export function createDependencyResolver({ rerender }) {
+    let scannedHandle = null;
+    let scannedYear = null;
+    let roadmaps = [];
+    let pending = null;
+
+    async function scan(handle, year) {
+        let found = [];
+        try {
+            const files = await window.IMOUtility.scanRoadmapDirectory(handle);
+            const byTeam = new Map();
+            const sameYear = (file) => Number(file.teamData.roadmapYear) === year;
+            for (const file of files) {
+                const key = String(file.teamData.teamName || '')
+                    .trim()
+                    .toLowerCase();
+                const current = byTeam.get(key);
+                if (
+                    !current ||
+                    (sameYear(file) && !sameYear(current)) ||
+                    (sameYear(file) === sameYear(current) &&
+                        window.IMOUtility.isNewerRoadmap(file, current))
+                ) {
+                    byTeam.set(key, file);
+                }
+            }
+            found = [...byTeam.values()].map((file) => file.teamData);
+        } catch (error) {
+            console.warn('Could not scan the folder for cross-team dependencies:', error);
+        }
+        // The folder changed while scanning; the newer scan wins.
+        if (pending !== handle) return;
+        pending = null;
+        scannedHandle = handle;
+        scannedYear = year;
+        roadmaps = found;
+        rerender();
+    }
+
+    /**
+     * Other teams' roadmaps for cross-team dependency checks: what is cached
+     * now, starting a scan (and a re-render after it) when the folder or
+     * roadmap year changed since the last one.
+     *
+     * @param {object} teamData
+     * @returns {object[]}
+     */
+    function getExternalRoadmaps(teamData) {
+        if (!hasExternalDependencies(teamData) || !window.IMOUtility) return [];
+        const handle = currentFolder();
+        if (!handle) return [];
+        const year = Number(teamData.roadmapYear) || null;
+        if (handle === scannedHandle && year === scannedYear) return roadmaps;
+        if (pending !== handle) {
+            pending = handle;
+            scan(handle, year);
+        }
+        return [];
+    }
+
+    return { getExternalRoadmaps };
+}
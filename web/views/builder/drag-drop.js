@@ -8,6 +8,8 @@
 // generatePreview), which is why this module is a factory rather than a set
 // of plain exports.
 
+import { labelNextChange } from './state.js';
+
 /**
  * @param {object} deps
  * @param {(epic: Element) => void} deps.updateStoryNumbers
@@ -85,6 +87,7 @@ export function createStoryDragHandlers({ updateStoryNumbers, generatePreview })
             const draggedEpic = draggedStoryElement.closest('.epic-section');
             if (draggedEpic) {
                 updateStoryNumbers(draggedEpic);
+                labelNextChange('Reorder stories');
                 setTimeout(generatePreview, 100);
             }
         }
@@ -3,12 +3,19 @@
 //     + jsPDF (both loaded from CDN as window globals in index.html).
 //   - exportHTML runs the RoadmapGenerator against the current form data to
 //     produce a self-contained .html file.
-// All three fall back to an automatic browser download when the File System
+//   - exportSVG renders the form data as a vector .svg (roadmap-svg.js) with
+//     no capture step, so it works offline and stays sharp when zoomed.
+//   - exportICS writes the stories' milestones as an iCalendar file
+//     (domain/ics.js).
+// All five fall back to an automatic browser download when the File System
 // Access API isn't available.
 //
-// exportHTML needs the live form data, so it's factoried via createExportHTML.
+// exportHTML, exportSVG and exportICS need the live form data, so they're
+// factoried via createExportHTML / createExportSVG / createExportICS.
 // JPG/PDF are pure DOM/iframe captures and remain plain exports.
 
+import { roadmapToIcs } from '../../domain/ics.js';
+
 const HIDE_EDIT_ICONS_CSS = `
     .edit-icon,
     .monthly-edit-icon {
@@ -159,6 +166,62 @@ export function createExportHTML({ collectFormData }) {
     };
 }
 
+/**
+ * Factory for the SVG exporter; renders at the preview's zoom.
+ *
+ * @param {{ collectFormData: () => any, getZoom: () => string }} deps
+ */
+export function createExportSVG({ collectFormData, getZoom }) {
+    return async function exportSVG() {
+        const teamData = collectFormData();
+        const generator = new window.RoadmapGenerator(teamData.roadmapYear);
+        generator.setZoom(getZoom());
+        const blob = new Blob([generator.generateSVG(teamData)], { type: 'image/svg+xml' });
+        const filename = `${teamData.teamName || 'MyTeam'}.Teya-Roadmap.${teamData.roadmapYear || 2025}.svg`;
+
+        const saved = await trySaveWithPicker(filename, { 'image/svg+xml': ['.svg'] }, async (writable) => {
+            await writable.write(blob);
+        });
+        if (saved) return;
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    };
+}
+
+/**
+ * Factory for the calendar exporter.
+ *
+ * @param {{ collectFormData: () => any }} deps
+ */
+export function createExportICS({ collectFormData }) {
+    return async function exportICS() {
+        const teamData = collectFormData();
+        const blob = new Blob([roadmapToIcs(teamData)], { type: 'text/calendar;charset=utf-8' });
+        const filename = `${teamData.teamName || 'MyTeam'}.Teya-Roadmap.${teamData.roadmapYear || 2025}.ics`;
+
+        const saved = await trySaveWithPicker(filename, { 'text/calendar': ['.ics'] }, async (writable) => {
+            await writable.write(blob);
+        });
+        if (saved) return;
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    };
+}
+
 export async function exportPDF() {
     const snap = await snapshotPreview();
     if (!snap) return;
@@ -16,9 +16,11 @@
  * @param {(name: string) => void} deps.updateFilenameDisplay
  * @param {() => void} deps.refreshAllDatePickers
  * @param {() => void} deps.generatePreview
+ * @param {(text: string, name: string) => { teamData: any }} deps.readRoadmap
+ *        The builder's reader: parses, upgrades and validates a file.
  * @param {(syntheticEvent: any) => void} deps.handleFileLoad
  *        Called from the drag-drop path with a synthesized change event.
- * @param {(handle: FileSystemFileHandle | null) => void} [deps.setFileHandle]
+ * @param {(handle: FileSystemFileHandle | null, loaded?: { text: string, lastModified?: number }) => void} [deps.setFileHandle]
  *        Optional. Called with the FileSystemFileHandle when a file is
  *        opened from the directory list, so the v2 Save button can write
  *        back to it without re-prompting.
@@ -30,6 +32,7 @@ export function createFileBrowser({
     generatePreview,
     handleFileLoad,
     setFileHandle,
+    readRoadmap,
 }) {
     let selectedDirectoryHandle = null;
 
@@ -134,10 +137,10 @@ export function createFileBrowser({
 
             if (fileType !== 'json') return;
 
-            const roadmapData = JSON.parse(await file.text());
-            // Files saved post-format-bump have a .teamData wrapper; older ones
-            // have the team data at the root.
-            const teamData = roadmapData.teamData || roadmapData;
+            const text = await file.text();
+            // Older formats (no .teamData wrapper, yearless dates) are
+            // upgraded to the current one before anything reads them.
+            const { teamData } = readRoadmap(text, file.name);
 
             loadTeamData(teamData);
             updateFilenameDisplay(file.name);
@@ -149,7 +152,9 @@ export function createFileBrowser({
             // ones so Save's first click prompts via showSaveFilePicker
             // instead of failing.
             const isWritable = isHandle && typeof fileHandle.createWritable === 'function';
-            if (setFileHandle) setFileHandle(isWritable ? fileHandle : null);
+            if (setFileHandle) {
+                setFileHandle(isWritable ? fileHandle : null, { text, lastModified: file.lastModified });
+            }
 
             // The form load is largely synchronous but date pickers and preview
             // depend on DOM that just got swapped, so wait a tick before refreshing.
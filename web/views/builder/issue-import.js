@@ -0,0 +1,63 @@
+// Issue tracker import: pick a Jira CSV or JSON export and fold its issues
+// into the open roadmap (domain/issue-import.js). The user confirms a
+// summary of what will be added and updated before anything changes, and
+// the import is one undoable step.
+
+import { importIssues, parseIssueExport } from '../../domain/issue-import.js';
+import { showToast } from './notifications.js';
+
+const WARNINGS_MAX = 10;
+
+const stories = (n) => `${n} ${n === 1 ? 'story' : 'stories'}`;
+
+function summarize({ added, updated, unchanged, skipped, warnings }, fileName) {
+    const lines = [`Import issues from ${fileName}?`, ''];
+    lines.push(`New: ${stories(added)}`, `Updated: ${stories(updated)}`);
+    if (unchanged) lines.push(`Already up to date: ${stories(unchanged)}`);
+    if (skipped) lines.push(`Sub-tasks left out: ${skipped}`);
+    if (warnings.length) {
+        lines.push('', 'Problems:');
+        warnings.slice(0, WARNINGS_MAX).forEach((w) => lines.push(`- ${w.key}: ${w.message}`));
+        if (warnings.length > WARNINGS_MAX)
+            lines.push(`... and ${warnings.length - WARNINGS_MAX} more`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * @param {object} deps
+ * @param {() => object} deps.getTeamData - The roadmap as it is now
+ * @param {(teamData: object) => void} deps.applyImport - Load the result
+ */
+export function createIssueImport({ getTeamData, applyImport }) {
+    async function importIssueFile(file) {
+        let result;
+        try {
+            const issues = parseIssueExport(await file.text());
+            if (!issues.length) throw new Error('it has no issues');
+            result = importIssues(getTeamData(), issues);
+        } catch (err) {
+            alert(`Could not import ${file.name}: ${err.message}`);
+            return;
+        }
+        if (!result.added && !result.updated) {
+            showToast(`Nothing to import - ${stories(result.unchanged)} already up to date`);
+            return;
+        }
+        if (!confirm(summarize(result, file.name))) return;
+        applyImport(result.teamData);
+        showToast(`Imported issues: ${result.added} added, ${result.updated} updated`);
+    }
+
+    function openIssueImport() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,.json,text/csv,application/json';
+        input.addEventListener('change', () => {
+            if (input.files && input.files[0]) importIssueFile(input.files[0]);
+        });
+        input.click();
+    }
+
+    return { openIssueImport };
+}
@@ -0,0 +1,101 @@
+// Merge-conflict resolution modal. Lists every field the three-way merge
+// (domain/merge.js) couldn't combine on its own and lets the user pick
+// their side or ours per field. Resolves with the choices; applying them
+// is the caller's job (resolveConflicts).
+
+import { escapeHtml } from '../../utilities/html.js';
+
+const MODAL_ID = 'mergeConflictModal';
+const VALUE_PREVIEW_MAX = 160;
+
+function formatValue(value) {
+    if (value === undefined) return '<em>(deleted)</em>';
+    if (value === null || value === '') return '<em>(empty)</em>';
+    // Whole stories/epics: show the title rather than a wall of JSON.
+    if (typeof value === 'object' && !Array.isArray(value) && (value.title || value.name)) {
+        return escapeHtml(`"${value.title || value.name}" (edited)`);
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    const clipped = text.length > VALUE_PREVIEW_MAX ? `${text.slice(0, VALUE_PREVIEW_MAX)}…` : text;
+    return escapeHtml(clipped);
+}
+
+function renderConflict(c, i) {
+    const option = (side, label, value, checked) => `
+        <label style="display: flex; gap: 8px; align-items: flex-start; padding: 6px 8px; border: 1px solid var(--border-subtle); border-radius: 6px; cursor: pointer; flex: 1; min-width: 0;">
+            <input type="radio" name="merge-conflict-${i}" value="${side}" ${checked ? 'checked' : ''}>
+            <span style="min-width: 0; overflow-wrap: anywhere;"><strong>${label}:</strong> ${formatValue(value)}</span>
+        </label>`;
+    return `
+        <div class="border-card" data-conflict-index="${i}">
+            <div style="font-weight: 600; margin-bottom: 6px;">${escapeHtml(c.label || '(whole roadmap)')}</div>
+            <div style="font-size: 12px; color: var(--text-muted); margin-bottom: 6px;">Originally: ${formatValue(c.base)}</div>
+            <div style="display: flex; gap: 8px;">
+                ${option('ours', 'Mine', c.ours, true)}
+                ${option('theirs', 'Theirs', c.theirs, false)}
+            </div>
+        </div>`;
+}
+
+/**
+ * Ask the user to resolve each merge conflict.
+ *
+ * @param {import('../../domain/merge.js').MergeConflict[]} conflicts
+ * @returns {Promise<Array<'ours' | 'theirs'> | null>} One choice per
+ *          conflict, or null when cancelled (or the modal isn't mounted).
+ */
+export function showMergeDialog(conflicts) {
+    const modal = document.getElementById(MODAL_ID);
+    if (!modal) return Promise.resolve(null);
+
+    const list = modal.querySelector('#mergeConflictList');
+    const summary = modal.querySelector('#mergeConflictSummary');
+    if (summary) {
+        summary.textContent =
+            `Everything else was merged automatically. ${conflicts.length} ` +
+            `${conflicts.length === 1 ? 'field was' : 'fields were'} changed on both sides - choose which version to keep.`;
+    }
+    if (list) list.innerHTML = conflicts.map(renderConflict).join('');
+
+    const readChoices = () =>
+        conflicts.map((_, i) => {
+            const checked = /** @type {HTMLInputElement | null} */ (
+                modal.querySelector(`input[name="merge-conflict-${i}"]:checked`)
+            );
+            return checked && checked.value === 'theirs' ? 'theirs' : 'ours';
+        });
+    const setAll = (side) => {
+        modal.querySelectorAll(`input[type="radio"][value="${side}"]`).forEach((input) => {
+            /** @type {HTMLInputElement} */ (input).checked = true;
+        });
+    };
+
+    return new Promise((resolveChoices) => {
+        const finish = (choices) => {
+            modal.style.display = 'none';
+            modal.removeEventListener('click', onClick);
+            document.removeEventListener('keydown', onKey, true);
+            resolveChoices(choices);
+        };
+        const onClick = (e) => {
+            const btn = e.target.closest('[data-merge-action]');
+            if (!btn) {
+                if (e.target === modal) finish(null);
+                return;
+            }
+            const action = btn.dataset.mergeAction;
+            if (action === 'all-ours') setAll('ours');
+            else if (action === 'all-theirs') setAll('theirs');
+            else if (action === 'apply') finish(readChoices());
+            else finish(null);
+        };
+        const onKey = (e) => {
+            if (e.key !== 'Escape') return;
+            e.stopPropagation();
+            finish(null);
+        };
+        modal.addEventListener('click', onClick);
+        document.addEventListener('keydown', onKey, true);
+        modal.style.display = 'flex';
+    });
+}
@@ -1,6 +1,7 @@
 // Transient toast notifications. Used for ephemeral confirmations after
 // toggles like KTLO position swap or story-sort enable. The toast lives 2s
-// and fades in/out via a @keyframes rule injected on first call.
+// (longer when it carries an action button, e.g. Undo) and fades in/out via
+// a @keyframes rule injected on first call.
 
 const STYLE_ID = 'builder-toast-style';
 const TOAST_DURATION_MS = 2000;
@@ -21,16 +22,19 @@ function ensureKeyframesInjected() {
 }
 
 /**
- * Show a 2s toast pinned to the top-right of the viewport.
+ * Show a toast pinned to the top-right of the viewport.
  *
  * @param {string} message - Plain text or HTML.
  * @param {object} [opts]
  * @param {string} [opts.color] - Background color. Defaults to #28a745 (green).
  * @param {number} [opts.topOffset] - Top offset in px. Defaults to 20.
+ * @param {number} [opts.duration] - Lifetime in ms. Defaults to 2000.
+ * @param {{ label: string, onClick: () => void }} [opts.action] - Button
+ *        shown after the message; clicking it runs onClick and dismisses the toast.
  */
 export function showToast(message, opts = {}) {
     ensureKeyframesInjected();
-    const { color = '#28a745', topOffset = 20 } = opts;
+    const { color = '#28a745', topOffset = 20, duration = TOAST_DURATION_MS, action = null } = opts;
 
     const toast = document.createElement('div');
     toast.innerHTML = message;
@@ -44,9 +48,29 @@ export function showToast(message, opts = {}) {
         border-radius: 5px;
         font-weight: bold;
         z-index: 10000;
-        animation: fadeInOut ${TOAST_DURATION_MS}ms ease-in-out;
+        animation: fadeInOut ${duration}ms ease-in-out;
     `;
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = action.label;
+        button.style.cssText = `
+            margin-left: 12px;
+            padding: 2px 10px;
+            background: transparent;
+            color: inherit;
+            border: 1px solid currentColor;
+            border-radius: 4px;
+            font: inherit;
+            cursor: pointer;
+        `;
+        button.addEventListener('click', () => {
+            toast.remove();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
     document.body.appendChild(toast);
 
-    setTimeout(() => toast.remove(), TOAST_DURATION_MS);
+    setTimeout(() => toast.remove(), duration);
 }
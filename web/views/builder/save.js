@@ -19,20 +19,45 @@
 //   2. AppDir directory handle: synthesise a writable file handle via
 //      dirHandle.getFileHandle(filename, {create:true}) and write. Covers
 //      the new-roadmap and drag-drop cases where we have a folder but no
-//      per-file handle.
+//      per-file handle. Works for both native folders and the shared
+//      server folder, which exposes the same handle surface.
+//
+// Conflict detection: setFileHandle records a content revision of the
+// file as loaded. Before each write we re-read the target and, if its
+// content no longer matches, refuse to write and hand the newer copy to
+// the builder's onConflict hook (overwrite / reload / merge dialog).
+// Writing a file that already exists inside the folder (path 2) without
+// having loaded it counts as a conflict too.
 
 import { getState } from './state.js';
+import { createRevision, hasChanged } from '../../domain/revision.js';
+import { CURRENT_FORMAT_VERSION } from '../../domain/migrations.js';
 
 const AUTO_SAVE_KEY = 'roadmap-autosave';
 const AUTO_SAVE_DEBOUNCE_MS = 1500;
 
 let fileHandle = null;
 let dirHandle = null;
-let dirKind = null; // 'native' | 'fallback' | null
+let dirKind = null; // 'native' | 'fallback' | 'server' | null
 let statusEl = null;
 let saving = false;
 let lastErrorMessage = '';
 
+// Revision of the file as loaded or last written by us; null when unknown
+// (new file, read-only load). See domain/revision.js. baseText is the same
+// version's raw text - the common ancestor for a three-way merge.
+let baseline = null;
+let baseText = null;
+let onConflict = null; // (conflict) => Promise<'overwrite'|'reload'|'merge'|null>, supplied by builder
+// Set when an auto-save hit a conflict the user dismissed; auto-save stays
+// paused until a manual save or a fresh load so the dialog doesn't reopen
+// after every keystroke.
+let conflictPending = false;
+
+// The loaded file's `migrations` record (domain/migrations.js), written
+// back on every save so format upgrades stay on file.
+let migrationHistory = [];
+
 // Dirty tracker: true while the in-memory form has edits not yet written to
 // disk. The router and beforeunload handler use this to prompt before
 // discarding unsaved work. Cleared on successful save or fresh file load.
@@ -59,9 +84,10 @@ export function isAutoSaveEnabled() {
     return autoSaveEnabled;
 }
 
-export function init({ statusElement, onAutoSavePrepare }) {
+export function init({ statusElement, onAutoSavePrepare, onConflict: conflictHandler }) {
     statusEl = statusElement;
     autoSavePrepare = onAutoSavePrepare || null;
+    onConflict = conflictHandler || null;
     // Always start in 'idle'. 'saved' is reserved for actual save success
     // because the status setter dispatches roadmap:saved, which the builder
     // reads to fire the confetti animation.
@@ -107,6 +133,7 @@ function initAutoSave() {
 
 function scheduleAutoSave() {
     if (!autoSaveEnabled) return;
+    if (conflictPending) return;
     if (!canSave()) return; // no destination yet - silent no-op
     if (autoSaveTimer) clearTimeout(autoSaveTimer);
     autoSaveTimer = setTimeout(performAutoSave, AUTO_SAVE_DEBOUNCE_MS);
@@ -160,22 +187,41 @@ function subscribeToAppDir() {
 //
 // We always return true while a writable file handle is held because that
 // has a backing folder (the user picked one to get the handle in the first
-// place). For other cases, require a writable native directory handle.
+// place). For other cases, require a writable directory handle.
 export function canSave() {
     if (fileHandle && typeof fileHandle.createWritable === 'function') return true;
-    if (dirHandle && dirKind === 'native' && typeof dirHandle.getFileHandle === 'function') return true;
-    return false;
+    return hasWritableDir();
+}
+
+function hasWritableDir() {
+    if (!dirHandle || typeof dirHandle.getFileHandle !== 'function') return false;
+    return dirKind === 'native' || dirKind === 'server';
 }
 
 // True when this browser can save edits back to disk at all (= has the
-// File System Access API). When false, "Save file" surfaces a popup
+// File System Access API, or the shared server folder is selected). When false, "Save file" surfaces a popup
 // instructing the user to use Chrome/Edge or to download instead.
 export function canSaveInBrowser() {
     return Boolean(window.AppDir && window.AppDir.canSaveInBrowser);
 }
 
-export function setFileHandle(handle) {
+/**
+ * @param {FileSystemFileHandle | null} handle
+ * @param {{ text: string, lastModified?: number } | null} [loaded]
+ *   The file contents the editor was just populated from. Recorded as the
+ *   conflict-detection baseline; when omitted the handle is re-read.
+ */
+export function setFileHandle(handle, loaded = null) {
     fileHandle = handle;
+    baseline = null;
+    baseText = null;
+    conflictPending = false;
+    if (handle && loaded && typeof loaded.text === 'string') {
+        baseline = createRevision(loaded.text, loaded.lastModified ?? null);
+        baseText = loaded.text;
+    } else if (handle && typeof handle.getFile === 'function') {
+        captureBaseline(handle);
+    }
     // Loading a file resets the dirty state - the form now matches the
     // bytes on disk.
     markClean();
@@ -184,14 +230,103 @@ export function setFileHandle(handle) {
     setStatus('idle');
 }
 
+/**
+ * Record the format upgrades of the roadmap being edited, as read from its
+ * file. Empty for a roadmap that didn't come from a file.
+ *
+ * @param {import('../../domain/migrations.js').MigrationRecord[]} history
+ */
+export function setMigrationHistory(history) {
+    migrationHistory = Array.isArray(history) ? history : [];
+}
+
 export function getFileHandle() {
     return fileHandle;
 }
 
+async function captureBaseline(handle) {
+    try {
+        const current = await readCurrent(handle);
+        // Another file may have been loaded while we were reading.
+        if (fileHandle === handle && current) {
+            baseline = current.revision;
+            baseText = current.text;
+        }
+    } catch (err) {
+        console.warn('could not record file revision:', err);
+    }
+}
+
+// Current contents of `handle`, or null when the file doesn't exist (or is
+// the empty placeholder getFileHandle({create:true}) leaves behind).
+async function readCurrent(handle) {
+    if (!handle || typeof handle.getFile !== 'function') return null;
+    try {
+        const file = await handle.getFile();
+        const text = await file.text();
+        if (!text) return null;
+        return { text, revision: createRevision(text, file.lastModified) };
+    } catch (err) {
+        if (err && err.name === 'NotFoundError') return null;
+        throw err;
+    }
+}
+
+// Resolve a detected conflict through the builder's dialog. Returns true
+// when the caller should go ahead and write.
+async function resolveConflict(handle, current, auto) {
+    const choice = onConflict
+        ? await onConflict({
+            name: handle.name,
+            handle,
+            text: current.text,
+            revision: current.revision,
+            // Only meaningful when we're writing the file we loaded.
+            baseText: handle === fileHandle ? baseText : null,
+            auto,
+        })
+        : null;
+    if (choice === 'overwrite') return true;
+    if (!choice && auto) conflictPending = true;
+    if (choice !== 'reload' && choice !== 'merge') {
+        lastErrorMessage = `${handle.name} was changed by someone else since you opened it`;
+        setStatus('conflict');
+    }
+    return false;
+}
+
+async function writeJson(handle, json, auto) {
+    // Re-read right before writing so we never clobber a newer copy.
+    const current = await readCurrent(handle);
+    const isConflict = handle === fileHandle
+        ? current && hasChanged(baseline, current.revision)
+        : Boolean(current); // path 2: file exists but was never loaded
+    if (isConflict && !(await resolveConflict(handle, current, auto))) return false;
+
+    const writable = await handle.createWritable();
+    await writable.write(json);
+    await writable.close();
+    baseline = createRevision(json, Date.now());
+    baseText = json;
+    conflictPending = false;
+    return true;
+}
+
 export function getLastError() {
     return lastErrorMessage;
 }
 
+// The saved file: the current format version, save time, the upgrade
+// record and the team data.
+function serialize(state) {
+    return JSON.stringify({
+        version: CURRENT_FORMAT_VERSION,
+        created: new Date().toISOString(),
+        ...(migrationHistory.length ? { migrations: migrationHistory } : {}),
+        teamData: state,
+    }, null, 2);
+}
+
 /**
  * Save the current state.
  *
@@ -219,18 +354,11 @@ export async function save({ suggestedName, auto = false }) {
     setStatus('saving');
     lastErrorMessage = '';
     try {
-        const json = JSON.stringify({
-            version: '1.0',
-            created: new Date().toISOString(),
-            teamData: state,
-        }, null, 2);
+        const json = serialize(state);
 
         // Path 1: existing writable file handle.
         if (fileHandle && typeof fileHandle.createWritable === 'function') {
-            const writable = await fileHandle.createWritable();
-            await writable.write(json);
-            await writable.close();
-            setStatus('saved', { auto });
+            if (await writeJson(fileHandle, json, auto)) setStatus('saved', { auto });
             return;
         }
         // Stale handle: drop it.
@@ -238,11 +366,9 @@ export async function save({ suggestedName, auto = false }) {
 
         // Path 2: AppDir directory handle. Synthesise a writable file handle
         // for `suggestedName` inside the picked folder.
-        if (dirHandle && dirKind === 'native' && typeof dirHandle.getFileHandle === 'function') {
+        if (hasWritableDir()) {
             const fh = await dirHandle.getFileHandle(suggestedName, { create: true });
-            const writable = await fh.createWritable();
-            await writable.write(json);
-            await writable.close();
+            if (!(await writeJson(fh, json, auto))) return;
             // Keep the handle around so subsequent saves take path 1 directly.
             fileHandle = fh;
             setStatus('saved', { auto });
@@ -256,7 +382,9 @@ export async function save({ suggestedName, auto = false }) {
             return;
         }
         console.error('save failed:', err);
-        lastErrorMessage = err && err.message ? err.message : String(err);
+        lastErrorMessage = err && err.name === 'ConflictError'
+            ? 'the file changed while saving; save again to review the changes'
+            : (err && err.message ? err.message : String(err));
         setStatus('error');
     } finally {
         saving = false;
@@ -273,11 +401,7 @@ export async function save({ suggestedName, auto = false }) {
 export function download({ suggestedName }) {
     const state = getState();
     if (!state) return;
-    const json = JSON.stringify({
-        version: '1.0',
-        created: new Date().toISOString(),
-        teamData: state,
-    }, null, 2);
+    const json = serialize(state);
     const blob = new Blob([json], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -300,11 +424,12 @@ function setStatus(kind, { auto = false } = {}) {
             idle: '',
             saving: 'Saving...',
             saved: '',
+            conflict: 'Not saved: file changed on disk',
             error: lastErrorMessage ? `Save failed: ${lastErrorMessage}` : 'Save failed',
         };
         statusEl.dataset.status = kind;
         statusEl.textContent = messages[kind] ?? '';
-        statusEl.title = kind === 'error' && lastErrorMessage ? lastErrorMessage : '';
+        statusEl.title = (kind === 'error' || kind === 'conflict') && lastErrorMessage ? lastErrorMessage : '';
     }
     if (kind === 'saved') {
         // Fire after the current call so listeners can read DOM positions
@@ -0,0 +1,375 @@
+// Named roadmap snapshots and the "what changed since" view.
+//
+// Snapshots are copies of teamData kept in IndexedDB, keyed by the roadmap's
+// file name, so they survive reloads and work with every folder backend
+// (including read-only ones). The modal takes snapshots, lists them, and
+// diffs any two versions - a snapshot or the roadmap as it is now - with
+// domain/roadmap-diff.js.
+//
+// "Highlight on roadmap" keeps a snapshot as the comparison base: the
+// preview then outlines every bar that changed since it, until cleared or a
+// different roadmap is loaded. renderRoadmapToMount asks getChangeHighlights()
+// for the map on each render.
+
+import { diffRoadmaps, changeHighlights, CHANGE_KINDS } from '../../domain/roadmap-diff.js';
+import { showToast } from './notifications.js';
+import { escapeHtml } from '../../utilities/html.js';
+
+// Own database rather than a store in directory-store's 'roadmap-builder'
+// DB, so adding it needs no version bump of a database another module opens.
+const DB_NAME = 'roadmap-builder-snapshots';
+const DB_VERSION = 1;
+const STORE = 'snapshots';
+const ROADMAP_INDEX = 'roadmapKey';
+
+const MODAL_ID = 'snapshotsModal';
+const BANNER_ID = 'changeHighlightBanner';
+const CURRENT = 'current';
+
+const KIND_LABELS = Object.freeze({
+    added: 'Added',
+    removed: 'Removed',
+    moved: 'Moved',
+    redated: 'Re-dated',
+    status: 'Status',
+});
+
+// ---- IndexedDB helpers (small, promise-wrapped) --------------------------
+
+function openDb() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const store = req.result.createObjectStore(STORE, {
+                keyPath: 'id',
+                autoIncrement: true,
+            });
+            store.createIndex(ROADMAP_INDEX, 'roadmapKey');
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function withStore(mode, fn) {
+    const db = await openDb();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            let result;
+            const req = fn(tx.objectStore(STORE));
+            req.onsuccess = () => {
+                result = req.result;
+            };
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * @typedef {object} Snapshot
+ * @property {number} id
+ * @property {string} roadmapKey - File name of the roadmap it was taken from
+ * @property {string} name
+ * @property {string} createdAt - ISO timestamp
+ * @property {object} teamData
+ */
+
+/**
+ * @param {string} roadmapKey
+ * @returns {Promise<Snapshot[]>} Newest first
+ */
+export async function listSnapshots(roadmapKey) {
+    const all = await withStore('readonly', (store) =>
+        store.index(ROADMAP_INDEX).getAll(roadmapKey)
+    );
+    return (all || []).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * @param {string} roadmapKey
+ * @param {string} name
+ * @param {object} teamData
+ * @returns {Promise<number>} The new snapshot's id
+ */
+export function addSnapshot(roadmapKey, name, teamData) {
+    const snapshot = {
+        roadmapKey,
+        name,
+        createdAt: new Date().toISOString(),
+        teamData: structuredClone(teamData),
+    };
+    return withStore('readwrite', (store) => store.add(snapshot));
+}
+
+/** @param {number} id */
+export function deleteSnapshot(id) {
+    return withStore('readwrite', (store) => store.delete(id));
+}
+
+// ---- Modal ---------------------------------------------------------------
+
+function formatTakenAt(iso) {
+    const date = new Date(iso);
+    return isNaN(date.getTime())
+        ? ''
+        : date.toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function defaultSnapshotName() {
+    return new Date().toLocaleString('en-GB', { month: 'long', year: 'numeric' });
+}
+
+function renderSnapshotList(snapshots) {
+    if (!snapshots.length) {
+        return '<p class="snapshot-empty">No snapshots of this roadmap yet.</p>';
+    }
+    return snapshots
+        .map(
+            (s) => `
+        <div class="snapshot-row">
+            <span class="snapshot-name">${escapeHtml(s.name)}</span>
+            <span class="snapshot-taken">${escapeHtml(formatTakenAt(s.createdAt))}</span>
+            <button type="button" class="secondary" data-snapshot-delete="${s.id}" title="Delete snapshot">🗑️</button>
+        </div>`
+        )
+        .join('');
+}
+
+function renderVersionOptions(snapshots, selected) {
+    const option = (value, label) =>
+        `<option value="${value}"${String(value) === String(selected) ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+    return (
+        option(CURRENT, 'Current roadmap') +
+        snapshots.map((s) => option(s.id, `${s.name} (${formatTakenAt(s.createdAt)})`)).join('')
+    );
+}
+
+function renderDiff(diff) {
+    const summary = CHANGE_KINDS.filter((kind) => diff.counts[kind])
+        .map((kind) => `${diff.counts[kind]} ${KIND_LABELS[kind].toLowerCase()}`)
+        .join(' · ');
+    if (!diff.changes.length)
+        return '<p class="snapshot-empty">No story changes between these versions.</p>';
+    const rows = diff.changes
+        .map(
+            (c) => `
+        <div class="snapshot-change">
+            <div class="snapshot-change-title">
+                ${c.kinds.map((kind) => `<span class="snapshot-badge snapshot-badge-${kind}">${KIND_LABELS[kind]}</span>`).join('')}
+                <strong>${escapeHtml(c.title || '(untitled)')}</strong>
+                <span class="snapshot-change-epic">${escapeHtml(c.epic)}</span>
+            </div>
+            ${c.details.map((line) => `<div class="snapshot-change-detail">${escapeHtml(line)}</div>`).join('')}
+        </div>`
+        )
+        .join('');
+    return `<p class="snapshot-summary">${summary}</p>${rows}`;
+}
+
+/**
+ * @param {object} deps
+ * @param {() => { key: string, teamData: object }} deps.getCurrentRoadmap
+ *        Flushes the form into the state and returns the roadmap's file name
+ *        (the snapshot key) with its live teamData.
+ * @param {() => void} deps.rerender  Re-renders the preview.
+ */
+export function createSnapshotHandlers({ getCurrentRoadmap, rerender }) {
+    let current = null; // { key, teamData } while the modal is open
+    let snapshots = [];
+    // Compared versions: a snapshot id or CURRENT.
+    /** @type {number | string | null} */
+    let from = null;
+    /** @type {number | string} */
+    let to = CURRENT;
+    let highlightBase = null; // { id, name, teamData } while highlighting
+
+    function updateBanner() {
+        const banner = document.getElementById(BANNER_ID);
+        if (!banner) return;
+        banner.style.display = highlightBase ? 'flex' : 'none';
+        const label = banner.querySelector('[data-highlight-label]');
+        if (label)
+            label.textContent = highlightBase
+                ? `Highlighting changes since "${highlightBase.name}"`
+                : '';
+    }
+
+    function setHighlightBase(base) {
+        highlightBase = base;
+        updateBanner();
+        rerender();
+    }
+
+    function versionData(value) {
+        if (value === CURRENT) return current.teamData;
+        const snapshot = snapshots.find((s) => String(s.id) === String(value));
+        return snapshot ? snapshot.teamData : null;
+    }
+
+    function renderModal() {
+        const modal = document.getElementById(MODAL_ID);
+        modal.querySelector('#snapshotList').innerHTML = renderSnapshotList(snapshots);
+        modal.querySelector('#snapshotFrom').innerHTML = renderVersionOptions(snapshots, from);
+        modal.querySelector('#snapshotTo').innerHTML = renderVersionOptions(snapshots, to);
+
+        const before = versionData(from);
+        const after = versionData(to);
+        modal.querySelector('#snapshotDiff').innerHTML =
+            before && after
+                ? renderDiff(diffRoadmaps(before, after))
+                : '<p class="snapshot-empty">Take a snapshot to compare against.</p>';
+
+        // Highlighting works on the live preview, so it needs "to" to be it.
+        const highlightBtn = /** @type {HTMLButtonElement} */ (
+            modal.querySelector('[data-snapshot-action="highlight"]')
+        );
+        highlightBtn.disabled = from === CURRENT || to !== CURRENT || !before;
+        const clearBtn = /** @type {HTMLButtonElement} */ (
+            modal.querySelector('[data-snapshot-action="clear"]')
+        );
+        clearBtn.disabled = !highlightBase;
+    }
+
+    async function refresh() {
+        try {
+            snapshots = await listSnapshots(current.key);
+        } catch (e) {
+            console.warn('Could not read snapshots:', e);
+            snapshots = [];
+        }
+        if (from !== CURRENT && !snapshots.some((s) => String(s.id) === String(from))) {
+            from = snapshots.length ? snapshots[0].id : CURRENT;
+        }
+        if (to !== CURRENT && !snapshots.some((s) => String(s.id) === String(to))) to = CURRENT;
+        renderModal();
+    }
+
+    async function takeSnapshot() {
+        const input = /** @type {HTMLInputElement} */ (document.getElementById('snapshotName'));
+        const name = input.value.trim() || defaultSnapshotName();
+        try {
+            from = await addSnapshot(current.key, name, current.teamData);
+        } catch (e) {
+            console.error('Snapshot failed:', e);
+            window.alert(`Could not save the snapshot: ${e && e.message ? e.message : e}`);
+            return;
+        }
+        to = CURRENT;
+        input.value = '';
+        showToast(`Snapshot "${escapeHtml(name)}" saved`);
+        await refresh();
+    }
+
+    async function removeSnapshot(id) {
+        const snapshot = snapshots.find((s) => String(s.id) === String(id));
+        if (!snapshot || !window.confirm(`Delete the snapshot "${snapshot.name}"?`)) return;
+        await deleteSnapshot(snapshot.id);
+        if (highlightBase && highlightBase.id === snapshot.id) setHighlightBase(null);
+        await refresh();
+    }
+
+    async function handleClick(event) {
+        const target = /** @type {HTMLElement} */ (event.target);
+        const deleteBtn = /** @type {HTMLElement | null} */ (
+            target.closest('[data-snapshot-delete]')
+        );
+        if (deleteBtn) {
+            await removeSnapshot(deleteBtn.dataset.snapshotDelete);
+            return;
+        }
+        const actionBtn = /** @type {HTMLElement | null} */ (
+            target.closest('[data-snapshot-action]')
+        );
+        switch (actionBtn && actionBtn.dataset.snapshotAction) {
+            case 'take':
+                await takeSnapshot();
+                break;
+            case 'highlight': {
+                const snapshot = snapshots.find((s) => String(s.id) === String(from));
+                if (!snapshot) return;
+                closeSnapshotsModal();
+                setHighlightBase({
+                    id: snapshot.id,
+                    name: snapshot.name,
+                    teamData: snapshot.teamData,
+                });
+                break;
+            }
+            case 'clear':
+                setHighlightBase(null);
+                renderModal();
+                break;
+            case 'close':
+                closeSnapshotsModal();
+                break;
+            default:
+                break;
+        }
+    }
+
+    function handleChange(event) {
+        const target = /** @type {HTMLSelectElement} */ (event.target);
+        if (target.id === 'snapshotFrom')
+            from = target.value === CURRENT ? CURRENT : Number(target.value);
+        else if (target.id === 'snapshotTo')
+            to = target.value === CURRENT ? CURRENT : Number(target.value);
+        else return;
+        renderModal();
+    }
+
+    async function openSnapshotsModal() {
+        const modal = document.getElementById(MODAL_ID);
+        if (!modal) return;
+        current = getCurrentRoadmap();
+        from = null;
+        to = CURRENT;
+        if (!modal.dataset.bound) {
+            modal.dataset.bound = 'true';
+            modal.addEventListener('click', handleClick);
+            modal.addEventListener('change', handleChange);
+        }
+        const input = /** @type {HTMLInputElement} */ (modal.querySelector('#snapshotName'));
+        input.value = '';
+        input.placeholder = defaultSnapshotName();
+        modal.style.display = 'flex';
+        await refresh();
+    }
+
+    function closeSnapshotsModal() {
+        const modal = document.getElementById(MODAL_ID);
+        if (modal) modal.style.display = 'none';
+    }
+
+    /**
+     * Highlight map for the preview, or null when not comparing.
+     *
+     * @param {object} teamData - The data about to be rendered
+     */
+    function getChangeHighlights(teamData) {
+        return highlightBase
+            ? changeHighlights(diffRoadmaps(highlightBase.teamData, teamData))
+            : null;
+    }
+
+    /** Stop highlighting without re-rendering (the caller is about to). */
+    function clearChangeHighlights() {
+        highlightBase = null;
+        updateBanner();
+    }
+
+    function clearChangeHighlightsAndRender() {
+        setHighlightBase(null);
+    }
+
+    return {
+        openSnapshotsModal,
+        closeSnapshotsModal,
+        getChangeHighlights,
+        clearChangeHighlights,
+        clearChangeHighlightsAndRender,
+    };
+}
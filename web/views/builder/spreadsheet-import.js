@@ -0,0 +1,265 @@
+// Spreadsheet import wizard: pick a CSV or XLSX file, map its columns to
+// story fields, check the preview, and load the result as a new roadmap.
+//
+// CSV goes through domain/spreadsheet-import.js's own parser (it copes with
+// ; as the delimiter); XLSX/XLS are read by SheetJS, loaded from CDN as
+// window.XLSX in index.html. Either way the rows reach rowsToTeamData as
+// strings, so the mapping and the preview work the same for both. Loading
+// is the caller's job (loadImported).
+
+import {
+    IMPORT_FIELDS,
+    guessColumnMapping,
+    parseCsv,
+    rowsToTeamData,
+} from '../../domain/spreadsheet-import.js';
+import { compareVersions } from '../../domain/migrations.js';
+import { escapeHtml } from '../../utilities/html.js';
+
+const MODAL_ID = 'spreadsheetImportModal';
+const PREVIEW_MAX = 100;
+// Older SheetJS builds can be exploited by crafted files (CVE-2023-30533,
+// CVE-2024-22363), and the file here is whatever the user picked
+const MIN_SHEETJS_VERSION = '0.20.2';
+const WARNINGS_MAX = 20;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// A, B, ... Z, AA, AB - as the spreadsheet labels its columns
+function columnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+}
+
+// Date cells arrive as Dates (cellDates); hand them on as ISO days
+function cellText(value) {
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value ?? '');
+}
+
+/**
+ * @param {File} file
+ * @returns {Promise<Array<{ name: string, rows: string[][] }>>} One entry per sheet
+ */
+async function readSheets(file) {
+    if (/\.(csv|txt)$/i.test(file.name) || file.type === 'text/csv') {
+        return [{ name: file.name, rows: parseCsv(await file.text()) }];
+    }
+    const XLSX = window.XLSX;
+    if (!XLSX)
+        throw new Error(
+            'The spreadsheet library did not load. Check your connection, or save the sheet as CSV.'
+        );
+    if (compareVersions(XLSX.version, MIN_SHEETJS_VERSION) < 0) {
+        throw new Error(
+            `Reading XLSX needs SheetJS ${MIN_SHEETJS_VERSION} or newer, but ${XLSX.version} is loaded. Save the sheet as CSV instead.`
+        );
+    }
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+    return workbook.SheetNames.map((name) => ({
+        name,
+        rows: XLSX.utils
+            .sheet_to_json(workbook.Sheets[name], { header: 1, raw: true, defval: '' })
+            .map((row) => row.map(cellText)),
+    }));
+}
+
+function renderMappingControls(headers, width, mapping, hasHeader) {
+    const columns = Array.from({ length: width }, (_, i) => {
+        const header = hasHeader && String(headers[i] || '').trim();
+        return `${columnLetter(i)}${header ? `: ${header}` : ''}`;
+    });
+    return `<div class="import-mapping">${IMPORT_FIELDS.map(
+        (field) => `
+        <label for="import-field-${field.key}">${escapeHtml(field.label)}</label>
+        <select id="import-field-${field.key}" data-import-field="${field.key}">
+            <option value="-1">(not in the sheet)</option>
+            ${columns.map((label, i) => `<option value="${i}"${mapping[field.key] === i ? ' selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+        </select>`
+    ).join('')}
+    </div>`;
+}
+
+function renderPreviewTable({ teamData, warnings }) {
+    const stories = teamData.epics.flatMap((epic) =>
+        epic.stories.map((story) => ({ epic: epic.name, story }))
+    );
+    if (!stories.length) {
+        return '<p class="snapshot-empty">No stories yet - map a column to Story title.</p>';
+    }
+    const summary =
+        `${stories.length} ${stories.length === 1 ? 'story' : 'stories'} in ` +
+        `${teamData.epics.length} ${teamData.epics.length === 1 ? 'epic' : 'epics'}`;
+    const warningItems =
+        warnings
+            .slice(0, WARNINGS_MAX)
+            .map((w) => `<li>Row ${w.row}: ${escapeHtml(w.message)}</li>`)
+            .join('') +
+        (warnings.length > WARNINGS_MAX
+            ? `<li>… and ${warnings.length - WARNINGS_MAX} more</li>`
+            : '');
+    const rows = stories
+        .slice(0, PREVIEW_MAX)
+        .map(
+            ({ epic, story }) => `
+        <tr>
+            <td>${escapeHtml(epic)}</td>
+            <td>${escapeHtml(story.title)}</td>
+            <td>${escapeHtml(story.startDate || '')}</td>
+            <td>${escapeHtml(story.endDate || '')}</td>
+            <td>${escapeHtml(story.imo || '')}</td>
+            <td>${escapeHtml(story.priority || '')}</td>
+            <td>${escapeHtml((story.countryFlags || []).join(', '))}</td>
+            <td>${(story.bullets || []).map((b) => escapeHtml(b)).join('<br>')}</td>
+        </tr>`
+        )
+        .join('');
+    return `
+        <p class="snapshot-summary">${summary}${stories.length > PREVIEW_MAX ? ` - showing the first ${PREVIEW_MAX}` : ''}</p>
+        ${warnings.length ? `<ul class="import-warnings">${warningItems}</ul>` : ''}
+        <div class="import-preview-scroll">
+            <table class="import-preview">
+                <thead><tr><th>Epic</th><th>Story</th><th>Start</th><th>End</th><th>IMO</th><th>Priority</th><th>Countries</th><th>Bullets</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>`;
+}
+
+/**
+ * @param {object} deps
+ * @param {() => { teamName: string, roadmapYear: number }} deps.getDefaults -
+ *        Prefills for the team name and year, from the open roadmap
+ * @param {(teamData: object) => boolean} deps.loadImported - Replace the
+ *        roadmap in the builder; false when the user backs out
+ */
+export function createSpreadsheetImport({ getDefaults, loadImported }) {
+    let sheets = [];
+    let sheetIndex = 0;
+    /** @type {Record<string, number>} */
+    let mapping = {};
+    let result = null;
+
+    const modal = () => document.getElementById(MODAL_ID);
+    const field = (id) => /** @type {HTMLInputElement} */ (modal().querySelector(`#${id}`));
+    const currentRows = () => (sheets[sheetIndex] ? sheets[sheetIndex].rows : []);
+
+    function renderPreview() {
+        const loadBtn = /** @type {HTMLButtonElement} */ (
+            modal().querySelector('[data-import-action="load"]')
+        );
+        const preview = modal().querySelector('#importPreview');
+        if (!sheets.length) {
+            result = null;
+            preview.innerHTML = '';
+            loadBtn.disabled = true;
+            return;
+        }
+        result = rowsToTeamData(currentRows(), mapping, {
+            teamName: field('importTeamName').value.trim() || 'My Team',
+            roadmapYear: parseInt(field('importYear').value, 10) || getDefaults().roadmapYear,
+            hasHeader: field('importHasHeader').checked,
+        });
+        preview.innerHTML = renderPreviewTable(result);
+        loadBtn.disabled = !result.teamData.epics.length;
+    }
+
+    // Guess the columns again: a new file, sheet or header setting
+    function resetMapping() {
+        const rows = currentRows();
+        const hasHeader = field('importHasHeader').checked;
+        const headers = rows[0] || [];
+        const width = rows.reduce((max, row) => Math.max(max, row.length), 1);
+        mapping = hasHeader
+            ? guessColumnMapping(headers)
+            : Object.fromEntries(IMPORT_FIELDS.map((f) => [f.key, f.key === 'title' ? 0 : -1]));
+        modal().querySelector('#importMapping').innerHTML = sheets.length
+            ? renderMappingControls(headers, width, mapping, hasHeader)
+            : '';
+        renderPreview();
+    }
+
+    async function loadFile(file) {
+        try {
+            sheets = file ? await readSheets(file) : [];
+        } catch (err) {
+            sheets = [];
+            alert(`Could not read ${file.name}: ${err.message}`);
+        }
+        sheetIndex = 0;
+        const sheetSelect = /** @type {HTMLSelectElement} */ (
+            modal().querySelector('#importSheet')
+        );
+        sheetSelect.innerHTML = sheets
+            .map((s, i) => `<option value="${i}">${escapeHtml(s.name)}</option>`)
+            .join('');
+        sheetSelect.style.display = sheets.length > 1 ? '' : 'none';
+        resetMapping();
+    }
+
+    function handleChange(event) {
+        // Choices in the wizard aren't edits to the open roadmap, so keep
+        // them from the builder's dirty tracking
+        event.stopPropagation();
+        const target = /** @type {HTMLInputElement} */ (event.target);
+        if (target.id === 'importFile') {
+            loadFile(target.files && target.files[0]);
+        } else if (target.id === 'importSheet') {
+            sheetIndex = Number(target.value);
+            resetMapping();
+        } else if (target.id === 'importHasHeader') {
+            resetMapping();
+        } else if (target.dataset.importField) {
+            mapping[target.dataset.importField] = Number(target.value);
+            renderPreview();
+        } else if (target.id === 'importTeamName' || target.id === 'importYear') {
+            renderPreview();
+        }
+    }
+
+    function handleClick(event) {
+        const target = /** @type {HTMLElement} */ (event.target);
+        const actionBtn = /** @type {HTMLElement | null} */ (
+            target.closest('[data-import-action]')
+        );
+        if (!actionBtn) {
+            if (target === modal()) closeImportModal();
+            return;
+        }
+        if (actionBtn.dataset.importAction === 'load') {
+            if (result && result.teamData.epics.length && loadImported(result.teamData))
+                closeImportModal();
+        } else {
+            closeImportModal();
+        }
+    }
+
+    function openImportModal() {
+        const el = modal();
+        if (!el) return;
+        if (!el.dataset.bound) {
+            el.dataset.bound = 'true';
+            el.addEventListener('click', handleClick);
+            el.addEventListener('change', handleChange);
+            el.addEventListener('input', (event) => event.stopPropagation());
+        }
+        const { teamName, roadmapYear } = getDefaults();
+        field('importFile').value = '';
+        field('importTeamName').value = teamName;
+        field('importYear').value = String(roadmapYear);
+        field('importHasHeader').checked = true;
+        loadFile(null);
+        el.style.display = 'flex';
+    }
+
+    function closeImportModal() {
+        const el = modal();
+        if (el) el.style.display = 'none';
+    }
+
+    return { openImportModal, closeImportModal };
+}
@@ -7,10 +7,29 @@
 // While an inline edit is in progress, render is suppressed via the
 // editing-lock so the active <input>/contenteditable doesn't get blown
 // away by a re-render triggered from elsewhere.
+//
+// Every state that lands here is also recorded in the undo history
+// (domain/history.js). The legacy form funnels all edits through
+// generatePreview() -> setState(collectFormData()), so recording at this
+// one point covers form edits, inline edits, reorders, moves and status
+// changes alike. Callers that know what the next change is call
+// labelNextChange() first so the undo toast can name it; loadTeamData()
+// pauses recording while it rebuilds the form.
+
+import { createHistory } from '../../domain/history.js';
+
+const HISTORY_LIMIT = 100;
+// Same-label changes closer together than this are one undo step: a
+// burst of typing, or an action that re-renders more than once.
+const HISTORY_MERGE_MS = 1000;
+const DEFAULT_CHANGE_LABEL = 'Edit';
 
 let state = null;
 let editingLock = false;
 const subscribers = new Set();
+const history = createHistory({ limit: HISTORY_LIMIT, mergeWindowMs: HISTORY_MERGE_MS });
+let historyPaused = false;
+let nextChangeLabel = null;
 
 export function getState() {
     return state;
@@ -18,6 +37,7 @@ export function getState() {
 
 export function setState(newState) {
     state = newState;
+    recordHistory();
     notify('replace');
 }
 
@@ -28,6 +48,7 @@ export function setState(newState) {
 export function mutate(fn) {
     if (state == null) return;
     fn(state);
+    recordHistory();
     notify('mutate');
 }
 
@@ -44,6 +65,67 @@ export function isEditingLocked() {
     return editingLock;
 }
 
+// --- Undo / redo ---------------------------------------------------------
+
+function recordHistory() {
+    if (historyPaused || state == null) return;
+    history.record(JSON.stringify(state), nextChangeLabel || DEFAULT_CHANGE_LABEL);
+    nextChangeLabel = null;
+}
+
+// Name the change the next state update records, e.g. 'Delete story'.
+export function labelNextChange(label) {
+    nextChangeLabel = label;
+}
+
+// Stop recording while the form is being rebuilt; intermediate states
+// during a load aren't edits.
+export function pauseHistory() {
+    historyPaused = true;
+}
+
+// Resume recording once the form has settled, taking the current state as:
+//   reset: true  - a new document; all undo/redo steps are dropped
+//   label        - an undoable step with that label (e.g. 'Merge')
+//   neither      - the restored undo/redo snapshot, without a new step
+export function resumeHistory({ reset = false, label = null } = {}) {
+    historyPaused = false;
+    nextChangeLabel = label;
+    if (reset) history.reset();
+    else if (!label) history.adoptNext();
+    recordHistory();
+}
+
+export function isHistoryPaused() {
+    return historyPaused;
+}
+
+// Step back / forward. Returns the teamData to load into the form and the
+// label of the action, or null when there is nothing to undo / redo.
+// The caller restores it with loadTeamData(); the state that load settles
+// on is adopted as-is.
+export function undo() {
+    return historyStep(history.undo());
+}
+
+export function redo() {
+    return historyStep(history.redo());
+}
+
+function historyStep(step) {
+    if (!step) return null;
+    nextChangeLabel = null;
+    return { teamData: JSON.parse(step.snapshot), label: step.label };
+}
+
+export function canUndo() {
+    return history.undoLabel() !== null;
+}
+
+export function canRedo() {
+    return history.redoLabel() !== null;
+}
+
 function notify(kind) {
     for (const fn of subscribers) {
         try {
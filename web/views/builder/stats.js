@@ -7,6 +7,12 @@
 //
 // Stats are stashed on window.__roadmapStats so the bar-chart click handlers
 // (registered via setupTooltips after the modal renders) can reach them.
+//
+// Stories are also grouped by the quarter they end in (the newest timeline
+// change wins), in the roadmap's fiscal year.
+
+import { effectiveEnd, storyDateToIso } from '../../domain/dates.js';
+import { resolveFiscalStart, fiscalQuarter, fiscalYear, quarterLabel } from '../../domain/timeline.js';
 
 /**
  * @param {object} deps
@@ -107,12 +113,15 @@ export function createStatsHandlers({ collectFormData }) {
             acceleratedStories: { done: [], notDone: [] },
             onTimeStories: { done: [], notDone: [] },
             cancelledStories: [],
+            endQuarters: [],
         };
         if (!teamData || !Array.isArray(teamData.epics)) return result;
 
         result.totalEpics = teamData.epics.length;
         const teamName = (teamData && teamData.teamName) || '';
         const roadmapYear = teamData.roadmapYear || new Date().getFullYear();
+        const fiscalStart = resolveFiscalStart(teamData.fiscalYearStart);
+        const quarters = new Map();
 
         for (const epic of teamData.epics) {
             if (!Array.isArray(epic.stories)) continue;
@@ -124,6 +133,19 @@ export function createStatsHandlers({ collectFormData }) {
                     continue;
                 }
 
+                const endISO = storyDateToIso(effectiveEnd(story), roadmapYear, 'end');
+                if (endISO) {
+                    const [year, month] = endISO.split('-').map(Number);
+                    const quarter = fiscalQuarter(month - 1, fiscalStart);
+                    const fy = fiscalYear(year, month - 1, fiscalStart);
+                    const key = fy * 10 + quarter;
+                    if (!quarters.has(key)) {
+                        quarters.set(key, { label: quarterLabel(quarter, fy, fiscalStart), total: 0, done: 0 });
+                    }
+                    quarters.get(key).total++;
+                    if (story.isDone) quarters.get(key).done++;
+                }
+
                 // Walk the story's recorded timeline changes and count actual
                 // delays (newEndDate > prevEndDate) vs. accelerations (the
                 // reverse). Pairs without a clear direction are ignored.
@@ -165,6 +187,7 @@ export function createStatsHandlers({ collectFormData }) {
                 }
             }
         }
+        result.endQuarters = [...quarters.entries()].sort((a, b) => a[0] - b[0]).map(([, quarter]) => quarter);
         return result;
     }
 
@@ -197,6 +220,19 @@ export function createStatsHandlers({ collectFormData }) {
                     barChart('Accelerated Projects', s.accelerated, s.totalStories, '#17a2b8', s, 'accelerated') +
                     barChart('Cancelled', s.cancelled, s.totalStories, '#6c757d', s, 'cancelled') +
                 '</div>' +
+                renderEndQuarters(s.endQuarters) +
+            '</div>'
+        );
+    }
+
+    function renderEndQuarters(quarters) {
+        if (!quarters || !quarters.length) return '';
+        return (
+            '<div style="max-width: 600px; margin: 20px auto 0;">' +
+                '<div style="font-size: 14px; font-weight: 500; color: #374151; margin-bottom: 8px;">Stories by End Quarter</div>' +
+                '<div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(120px, 1fr)); gap: 8px;">' +
+                    quarters.map((q) => card(`${q.label} · ${q.done} done`, q.total)).join('') +
+                '</div>' +
             '</div>'
         );
     }
@@ -406,6 +442,7 @@ export function createStatsHandlers({ collectFormData }) {
         toggleDelayBreakdown,
         computeRoadmapStats,
         renderStatsHtml,
+        renderEndQuarters,
         isDelayChange,
         getDelayBreakdown,
         compareByTeamEpicTitle,
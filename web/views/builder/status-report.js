@@ -0,0 +1,95 @@
+// Status report modal, opened from the Export dropdown: the report from
+// domain/status-report.js for the live form data, over a "since" window
+// the user picks, ready to copy as Markdown or plain text.
+
+import { collectStatusReport, formatStatusReport } from '../../domain/status-report.js';
+import { showToast } from './notifications.js';
+
+const MODAL_ID = 'statusReportModal';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// A month before today - the window of a monthly update
+function defaultSince(now = new Date()) {
+    const since = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
+    return `${since.getFullYear()}-${pad(since.getMonth() + 1)}-${pad(since.getDate())}`;
+}
+
+/**
+ * @param {{ collectFormData: () => any }} deps
+ */
+export function createStatusReport({ collectFormData }) {
+    let since = null;
+
+    const modal = () => document.getElementById(MODAL_ID);
+    const field = (id) => /** @type {HTMLInputElement} */ (modal().querySelector(`#${id}`));
+
+    // False when the form can't be read, e.g. an invalid KTLO percentage
+    function render() {
+        since = field('statusReportSince').value;
+        let teamData;
+        try {
+            teamData = collectFormData();
+        } catch (err) {
+            alert(`Could not build the status report: ${err.message}`);
+            return false;
+        }
+        const report = collectStatusReport(teamData, { since });
+        field('statusReportText').value = formatStatusReport(
+            report,
+            /** @type {'markdown' | 'text'} */ (field('statusReportFormat').value)
+        );
+        return true;
+    }
+
+    async function copyReport() {
+        const text = field('statusReportText').value;
+        try {
+            await navigator.clipboard.writeText(text);
+            showToast('Status report copied');
+        } catch {
+            // No clipboard access (e.g. plain http): select it for Ctrl+C
+            field('statusReportText').select();
+            showToast('Press Ctrl+C to copy the selected report', { color: '#007cba' });
+        }
+    }
+
+    function handleClick(event) {
+        const target = /** @type {HTMLElement} */ (event.target);
+        const actionBtn = /** @type {HTMLElement | null} */ (
+            target.closest('[data-report-action]')
+        );
+        if (!actionBtn) {
+            if (target === modal()) closeStatusReportModal();
+            return;
+        }
+        if (actionBtn.dataset.reportAction === 'copy') copyReport();
+        else closeStatusReportModal();
+    }
+
+    function openStatusReportModal() {
+        const el = modal();
+        if (!el) return;
+        if (!el.dataset.bound) {
+            el.dataset.bound = 'true';
+            el.addEventListener('click', handleClick);
+            // Picking a window or format isn't an edit to the roadmap, so
+            // keep it from the builder's dirty tracking
+            el.addEventListener('change', (event) => {
+                event.stopPropagation();
+                render();
+            });
+            el.addEventListener('input', (event) => event.stopPropagation());
+        }
+        field('statusReportSince').value = since ?? defaultSince();
+        if (!render()) return;
+        el.style.display = 'flex';
+    }
+
+    function closeStatusReportModal() {
+        const el = modal();
+        if (el) el.style.display = 'none';
+    }
+
+    return { openStatusReportModal, closeStatusReportModal };
+}
@@ -7,6 +7,8 @@
 // markup expect each handler on window, so builder.js exposes them via
 // Object.assign during init().
 
+import { labelNextChange } from './state.js';
+
 export const STATUS_CONFIG = {
     done: {
         label: 'Done',
@@ -86,6 +88,9 @@ export function createStatusHandlers({ addInfoEntry, convertSingleInfoToMultiple
         const checkbox = document.getElementById(`story-${statusType}-${storyId}`);
         const section = document.getElementById(`${statusType}-section-${storyId}`);
         if (!checkbox || !section) return;
+        // The checkbox's change event regenerates the preview, which
+        // records the undo step.
+        labelNextChange('Change status');
 
         if (!checkbox.checked) {
             section.style.display = 'none';
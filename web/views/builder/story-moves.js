@@ -4,6 +4,8 @@
 //
 // BTL stories don't carry numbers, so their move helpers are pure DOM swaps.
 
+import { labelNextChange } from './state.js';
+
 /**
  * @param {object} deps
  * @param {(epicElement: Element) => void} deps.updateStoryNumbers
@@ -25,6 +27,7 @@ export function createStoryMoves({ updateStoryNumbers, generatePreview }) {
             const upButton = storyEl.querySelector('button[onclick*="moveStoryUp"]');
             if (upButton) upButton.focus({ preventScroll: true });
         }, 10);
+        labelNextChange('Move story');
         setTimeout(generatePreview, 100);
     }
 
@@ -46,6 +49,7 @@ export function createStoryMoves({ updateStoryNumbers, generatePreview }) {
             const downButton = storyEl.querySelector('button[onclick*="moveStoryDown"]');
             if (downButton) downButton.focus({ preventScroll: true });
         }, 10);
+        labelNextChange('Move story');
         setTimeout(generatePreview, 100);
     }
 
@@ -78,6 +82,7 @@ export function createStoryMoves({ updateStoryNumbers, generatePreview }) {
         stories.forEach((node) => container.appendChild(node));
 
         updateStoryNumbers(epicEl);
+        labelNextChange('Move story');
         setTimeout(generatePreview, 100);
     }
 
@@ -106,6 +111,7 @@ export function createStoryMoves({ updateStoryNumbers, generatePreview }) {
         else container.appendChild(storyToMove);
 
         updateStoryNumbers(epicEl);
+        labelNextChange('Move story');
         setTimeout(generatePreview, 100);
     }
 
@@ -0,0 +1,113 @@
+// Timeline window inputs under the team description: the first month shown
+// (or "rolling" to start at the current month) and how many months. Left at
+// January and 12 months, the roadmap keeps its calendar-year layout and no
+// timeline is saved, so existing files don't change on save.
+//
+// The fiscal year start select sits beside them; like the window, January
+// (the default) isn't saved. So does the "as of" date that pins the today
+// marker, saved only when filled in.
+
+import { ROLLING, MAX_TIMELINE_MONTHS, resolveFiscalStart } from '../../domain/timeline.js';
+
+const DEFAULT_MONTHS = 12;
+
+function inputs() {
+    return {
+        start: /** @type {HTMLInputElement | null} */ (document.getElementById('timelineStart')),
+        months: /** @type {HTMLInputElement | null} */ (document.getElementById('timelineMonths')),
+        rolling: /** @type {HTMLInputElement | null} */ (
+            document.getElementById('timelineRolling')
+        ),
+        fiscal: /** @type {HTMLSelectElement | null} */ (
+            document.getElementById('fiscalYearStart')
+        ),
+        asOf: /** @type {HTMLInputElement | null} */ (document.getElementById('asOfDate')),
+    };
+}
+
+function syncRolling() {
+    const { start, rolling } = inputs();
+    if (start && rolling) start.disabled = rolling.checked;
+}
+
+/**
+ * The window the inputs describe, as saved in teamData.timeline.
+ *
+ * @param {number} roadmapYear
+ * @returns {import('../../domain/timeline.js').TimelineSetting | null}
+ *          null for the default calendar year
+ */
+export function readTimelineSetting(roadmapYear) {
+    const { start, months, rolling } = inputs();
+    if (!start || !months || !rolling) return null;
+    const count = Math.min(
+        Math.max(Math.round(Number(months.value) || DEFAULT_MONTHS), 1),
+        MAX_TIMELINE_MONTHS
+    );
+    if (rolling.checked) return { start: ROLLING, months: count };
+    const first = start.value || `${roadmapYear}-01`;
+    if (first === `${roadmapYear}-01` && count === DEFAULT_MONTHS) return null;
+    return { start: first, months: count };
+}
+
+/**
+ * Show a saved window in the inputs; missing means the calendar year.
+ *
+ * @param {import('../../domain/timeline.js').TimelineSetting | null | undefined} setting
+ */
+export function fillTimelineInputs(setting) {
+    const { start, months, rolling } = inputs();
+    if (!start || !months || !rolling) return;
+    const valid = setting && typeof setting === 'object';
+    rolling.checked = !!valid && setting.start === ROLLING;
+    start.value = valid && setting.start !== ROLLING ? String(setting.start || '') : '';
+    months.value = String(valid && Number(setting.months) ? setting.months : DEFAULT_MONTHS);
+    syncRolling();
+}
+
+/**
+ * @returns {number | null} Month (2-12) the fiscal year starts; null for January
+ */
+export function readFiscalYearStart() {
+    const { fiscal } = inputs();
+    const month = fiscal ? parseInt(fiscal.value, 10) : 1;
+    return month >= 2 && month <= 12 ? month : null;
+}
+
+/**
+ * @param {number | null | undefined} month - 1-12; missing means January
+ */
+export function fillFiscalYearStart(month) {
+    const { fiscal } = inputs();
+    if (fiscal) fiscal.value = String(resolveFiscalStart(month) + 1);
+}
+
+/**
+ * @returns {string | null} The pinned as-of date as typed; null for today
+ */
+export function readAsOfDate() {
+    const { asOf } = inputs();
+    const value = asOf ? asOf.value.trim() : '';
+    return value || null;
+}
+
+/**
+ * @param {string | null | undefined} value
+ */
+export function fillAsOfDate(value) {
+    const { asOf } = inputs();
+    if (asOf) asOf.value = value ? String(value) : '';
+}
+
+/**
+ * @param {() => void} onChange - Regenerates the preview
+ */
+export function attachTimelineInputs(onChange) {
+    const { start, months, rolling, fiscal, asOf } = inputs();
+    for (const input of [start, months, rolling, fiscal, asOf]) {
+        if (!input) continue;
+        input.addEventListener('input', onChange);
+        input.addEventListener('change', onChange);
+    }
+    if (rolling) rolling.addEventListener('change', syncRolling);
+}
@@ -0,0 +1,101 @@
+// Undo / redo for the builder: Ctrl+Z (Cmd+Z) steps back, Ctrl+Shift+Z or
+// Ctrl+Y steps forward. The history itself lives in state.js; this module
+// restores a step into the form and tells the user what happened.
+//
+// Text fields keep their native undo while focused, as with the other
+// builder shortcuts; the roadmap-level undo takes over once focus leaves
+// the field. Shortcuts are ignored while a modal is open or an inline
+// title edit is in progress.
+
+import * as roadmapState from './state.js';
+import { showToast } from './notifications.js';
+
+const TOAST_COLOR = '#495057';
+const UNDO_TOAST_MS = 5000;
+
+function isTextEntry(el) {
+    if (!el) return false;
+    if (el.isContentEditable || el.tagName === 'TEXTAREA') return true;
+    if (el.tagName !== 'INPUT') return false;
+    return !['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file'].includes(
+        el.type
+    );
+}
+
+function isModalOpen() {
+    return Array.from(document.querySelectorAll('.modal')).some(
+        (modal) =>
+            /** @type {HTMLElement} */ (modal).style.display === 'flex' ||
+            /** @type {HTMLElement} */ (modal).style.display === 'block'
+    );
+}
+
+/**
+ * @param {object} deps
+ * @param {(teamData: any, options: { restoring: boolean }) => void} deps.loadTeamData
+ * @param {() => void} deps.flushPendingEdits
+ *        Pushes not-yet-previewed form edits into the state so they become
+ *        the step that undo reverts.
+ */
+export function createUndoHandlers({ loadTeamData, flushPendingEdits }) {
+    function applyStep(step, doneVerb, followUp) {
+        loadTeamData(step.teamData, { restoring: true });
+        showToast(`${doneVerb}: ${step.label}`, {
+            color: TOAST_COLOR,
+            duration: UNDO_TOAST_MS,
+            action: { label: followUp.label, onClick: followUp.run },
+        });
+    }
+
+    function undo() {
+        if (roadmapState.isHistoryPaused()) return;
+        flushPendingEdits();
+        const step = roadmapState.undo();
+        if (!step) {
+            showToast('Nothing to undo', { color: TOAST_COLOR });
+            return;
+        }
+        applyStep(step, 'Undone', { label: 'Redo', run: redo });
+    }
+
+    function redo() {
+        if (roadmapState.isHistoryPaused()) return;
+        const step = roadmapState.redo();
+        if (!step) {
+            showToast('Nothing to redo', { color: TOAST_COLOR });
+            return;
+        }
+        applyStep(step, 'Redone', { label: 'Undo', run: undo });
+    }
+
+    /**
+     * Toast for a destructive action, with an Undo button. Call after the
+     * change has been labelled (roadmapState.labelNextChange) and applied.
+     *
+     * @param {string} message - e.g. 'Story deleted'
+     */
+    function notifyUndoable(message) {
+        showToast(message, {
+            color: TOAST_COLOR,
+            duration: UNDO_TOAST_MS,
+            action: { label: 'Undo', onClick: undo },
+        });
+    }
+
+    function handleUndoShortcut(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        const key = event.key.toLowerCase();
+        const isUndo = key === 'z' && !event.shiftKey;
+        const isRedo = (key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey);
+        if (!isUndo && !isRedo) return;
+        if (location.pathname !== '/builder') return;
+        if (isTextEntry(document.activeElement) || roadmapState.isEditingLocked() || isModalOpen())
+            return;
+
+        event.preventDefault();
+        if (isUndo) undo();
+        else redo();
+    }
+
+    return { undo, redo, notifyUndoable, handleUndoShortcut };
+}
@@ -0,0 +1,34 @@
+// Preview zoom: the quarter overview, months (the default) or weeks with ISO
+// week numbers. It's a way of looking at the roadmap rather than part of it,
+// so it is remembered in localStorage and never saved with the file.
+
+import { ZOOM_MODES, resolveZoom } from '../../domain/timeline.js';
+
+const ZOOM_STORAGE_KEY = 'roadmap-preview-zoom';
+const ZOOM_SELECT_ID = 'preview-zoom';
+
+/** @returns {import('../../domain/timeline.js').ZoomMode} */
+export function getPreviewZoom() {
+    const select = /** @type {HTMLSelectElement | null} */ (
+        document.getElementById(ZOOM_SELECT_ID)
+    );
+    return resolveZoom(select ? select.value : null);
+}
+
+/**
+ * Restore the saved zoom into the select and re-render on change.
+ *
+ * @param {() => void} onChange - Regenerates the preview
+ */
+export function attachPreviewZoom(onChange) {
+    const select = /** @type {HTMLSelectElement | null} */ (
+        document.getElementById(ZOOM_SELECT_ID)
+    );
+    if (!select) return;
+    const saved = localStorage.getItem(ZOOM_STORAGE_KEY);
+    if (saved && ZOOM_MODES.includes(saved)) select.value = saved;
+    select.addEventListener('change', () => {
+        localStorage.setItem(ZOOM_STORAGE_KEY, select.value);
+        onChange();
+    });
+}
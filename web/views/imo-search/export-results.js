@@ -0,0 +1,67 @@
+// CSV, XLSX and calendar downloads of the current search results. The
+// table itself comes from domain/search-export.js; XLSX is written by
+// SheetJS, loaded from CDN as window.XLSX in index.html (see NOTICE). The
+// calendar holds the stories' milestones (domain/ics.js).
+
+import { EXPORT_COLUMNS, rowsToCsv, searchResultRows } from '../../domain/search-export.js';
+import { storiesToIcs } from '../../domain/ics.js';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function buildFilename(extension) {
+    const now = new Date();
+    return `Search-Results.${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}.${extension}`;
+}
+
+function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * @param {object[]} stories - The result set after applyAdditionalFilters
+ */
+export function exportResultsCSV(stories) {
+    // The byte-order mark makes Excel read the file as UTF-8
+    const csv = '\uFEFF' + rowsToCsv(searchResultRows(stories));
+    download(new Blob([csv], { type: 'text/csv;charset=utf-8' }), buildFilename('csv'));
+}
+
+/**
+ * @param {object[]} stories - The result set after applyAdditionalFilters
+ */
+export function exportResultsXLSX(stories) {
+    const XLSX = window.XLSX;
+    if (!XLSX) {
+        alert(
+            'The spreadsheet library did not load. Check your connection, or export CSV instead.'
+        );
+        return;
+    }
+    const sheet = XLSX.utils.aoa_to_sheet(searchResultRows(stories));
+    sheet['!cols'] = EXPORT_COLUMNS.map((column) => ({ wch: column.width }));
+    sheet['!autofilter'] = { ref: sheet['!ref'] };
+    const book = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(book, sheet, 'Search Results');
+    const data = XLSX.write(book, { bookType: 'xlsx', type: 'array' });
+    download(
+        new Blob([data], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        }),
+        buildFilename('xlsx')
+    );
+}
+
+/**
+ * @param {object[]} stories - The result set after applyAdditionalFilters
+ */
+export function exportResultsICS(stories) {
+    const ics = storiesToIcs(stories, { name: 'Roadmap search results' });
+    download(new Blob([ics], { type: 'text/calendar;charset=utf-8' }), buildFilename('ics'));
+}
@@ -0,0 +1,139 @@
+// Type-ahead list and inline validation for the advanced filter box. The
+// suggestions and the error come from domain/filter-autocomplete.js; this
+// module draws them: a listbox under the input and a wavy underline laid
+// over the bad part of the text, with the parser's message below.
+//
+// Keys while the list is open: Up/Down move, Enter or Tab take the
+// suggestion, Escape closes. Ctrl+Space opens the list with nothing typed.
+// They're handled in the capture phase so the box's own Enter (apply the
+// filter) doesn't fire while a suggestion is being picked.
+
+import { completeFilter, findFilterProblem } from '../../domain/filter-autocomplete.js';
+import { escapeHtml } from '../../utilities/html.js';
+
+/**
+ * @param {HTMLInputElement} input - Inside a .filter-assist wrapper that also
+ *   holds the .filter-assist-underlay and the .filter-assist-list
+ * @param {object} options
+ * @param {() => Record<string, string[]>} options.getValues - Field values
+ *   harvested from the scanned roadmaps (collectFilterValues)
+ * @param {HTMLElement | null} [options.problem] - Where the error message goes
+ */
+export function attachFilterAssist(input, { getValues, problem = null }) {
+    const wrapper = /** @type {HTMLElement} */ (input.closest('.filter-assist'));
+    const underlay = /** @type {HTMLElement} */ (wrapper.querySelector('.filter-assist-underlay'));
+    const list = /** @type {HTMLElement} */ (wrapper.querySelector('.filter-assist-list'));
+
+    let completion = null;
+    let active = 0;
+
+    function close() {
+        completion = null;
+        list.hidden = true;
+        list.innerHTML = '';
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+
+    function renderList() {
+        list.innerHTML = completion.items
+            .map(
+                (item, i) =>
+                    `<li id="${list.id}-${i}" role="option" class="filter-assist-item filter-assist-${item.kind}"` +
+                    ` aria-selected="${i === active}" data-index="${i}">${escapeHtml(item.label)}</li>`
+            )
+            .join('');
+        list.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        input.setAttribute('aria-activedescendant', `${list.id}-${active}`);
+        list.children[active]?.scrollIntoView({ block: 'nearest' });
+    }
+
+    function suggest(all = false) {
+        completion = completeFilter(
+            input.value,
+            input.selectionStart ?? input.value.length,
+            getValues(),
+            { all }
+        );
+        active = 0;
+        if (completion) renderList();
+        else close();
+    }
+
+    function pick(index) {
+        const item = completion?.items[index];
+        if (!item) return;
+        const { from, to } = completion;
+        input.value = input.value.slice(0, from) + item.insert + input.value.slice(to);
+        const caret = from + item.insert.length;
+        input.setSelectionRange(caret, caret);
+        input.focus();
+        validate();
+        // A field's opening quote goes straight on to its values
+        suggest();
+    }
+
+    function validate() {
+        const text = input.value;
+        const found = findFilterProblem(text);
+        input.classList.toggle('filter-assist-invalid', !!found);
+        input.setAttribute('aria-invalid', String(!!found));
+        if (problem) problem.textContent = found ? found.message : '';
+        underlay.innerHTML = found
+            ? `<span>${escapeHtml(text.slice(0, found.start))}<mark>${escapeHtml(text.slice(found.start, found.end))}</mark>${escapeHtml(text.slice(found.end))}</span>`
+            : '';
+        syncScroll();
+    }
+
+    // The underlay doesn't scroll with the input's text, so shift it by hand
+    function syncScroll() {
+        const text = /** @type {HTMLElement | null} */ (underlay.firstElementChild);
+        if (text) text.style.transform = `translateX(${-input.scrollLeft}px)`;
+    }
+
+    input.addEventListener('input', () => {
+        validate();
+        // Text filled in by code (a saved search) shouldn't pop the list open
+        if (document.activeElement === input) suggest();
+    });
+    input.addEventListener('scroll', syncScroll);
+    input.addEventListener('keyup', syncScroll);
+    input.addEventListener('blur', close);
+
+    wrapper.addEventListener(
+        'keydown',
+        (event) => {
+            if (event.key === ' ' && event.ctrlKey) {
+                event.preventDefault();
+                suggest(true);
+                return;
+            }
+            if (!completion) return;
+            const count = completion.items.length;
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                active = (active + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+                renderList();
+            } else if (event.key === 'Enter' || event.key === 'Tab') {
+                pick(active);
+            } else if (event.key === 'Escape') {
+                close();
+            } else {
+                return;
+            }
+            event.preventDefault();
+            event.stopPropagation();
+        },
+        true
+    );
+
+    // mousedown, not click: a click would blur the input and close the list first
+    list.addEventListener('mousedown', (event) => {
+        const option = /** @type {HTMLElement} */ (event.target).closest('[data-index]');
+        if (!option) return;
+        event.preventDefault();
+        pick(Number(/** @type {HTMLElement} */ (option).dataset.index));
+    });
+
+    validate();
+}
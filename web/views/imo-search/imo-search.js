@@ -3,6 +3,12 @@
 // original logic intact, including its dependence on window globals set by
 // the utilities (DateUtility, RoadmapGenerator, etc.).
 
+import { parseFilter, evaluateFilter } from '../../domain/filter-expression.js';
+import { collectFilterValues } from '../../domain/filter-autocomplete.js';
+import { attachFilterAssist } from './filter-assist.js';
+import { attachSavedSearches, searchFromUrl, writeSearchToUrl } from './saved-searches.js';
+import { exportResultsCSV, exportResultsXLSX, exportResultsICS } from './export-results.js';
+
 /**
  * Mount this view. Called by the SPA router on every navigation here.
  *
@@ -35,6 +41,8 @@ export function init(_root) {
         let currentResults = [];
         let lastSearchStories = [];
         let lastRoadmapFiles = [];
+        // A search from the URL waits here until the folder is ready
+        let pendingUrlSearch = false;
         
         // Get roadmap year from URL parameter (passed from Roadmap Builder)
         const urlParams = new URLSearchParams(window.location.search);
@@ -1244,6 +1252,8 @@ export function init(_root) {
                     ? `"${searchQuery}"${priorityValue ? ` + Priority: ${priorityValue}` : ''}`
                     : `Priority: ${priorityValue}`;
 
+                writeSearchToUrl(readSearchForm());
+
                 // Show loading state
                 showLoadingState(`Searching for ${searchLabel}...`);
 
@@ -1280,7 +1290,7 @@ export function init(_root) {
                 displaySearchResults(matchingStories, searchLabel, null, teamInfoMap);
 
                 // Enable stats button
-                document.getElementById('searchStatsBtn').disabled = false;
+                setResultButtonsDisabled(false);
 
             } catch (error) {
 
@@ -1290,6 +1300,9 @@ export function init(_root) {
 
         // Temporary variable for search results force text below (one-time action)
         let searchTempForceTextBelow = false;
+        // Quarter, month or week zoom for the results timeline; like the toggle
+        // above it only lasts for this visit.
+        let searchZoom = 'month';
         let lastSearchQuery = null;
         
         /**
@@ -1300,12 +1313,18 @@ export function init(_root) {
             if (e.target && e.target.id === 'search-force-text-below-toggle') {
                 handleSearchForceTextBelowToggle();
             }
+            if (e.target && e.target.id === 'search-zoom-select') {
+                searchZoom = e.target.value;
+                if (!currentResults.length) return;
+                const teamInfoMap = buildTeamInfoMap(lastRoadmapFiles);
+                displaySearchResults(currentResults, lastSearchQuery, null, teamInfoMap);
+            }
         });
 
         // The nav status-style toggle changes between hover bar and side text
         // box layouts; rebuild the current results so they pick up the new mode.
         document.addEventListener('roadmap-status-style-changed', () => {
-            if (!currentResults) return;
+            if (!currentResults.length) return;
             const teamInfoMap = buildTeamInfoMap(lastRoadmapFiles);
             displaySearchResults(currentResults, lastSearchQuery, null, teamInfoMap);
         });
@@ -1419,6 +1438,7 @@ export function init(_root) {
                 
                 // Generate roadmap HTML - use embedded mode but extract content only
                 const generator = new RoadmapGenerator(crossTeamData.roadmapYear);
+                generator.setZoom(searchZoom);
                 const fullRoadmapHtml = generator.generateRoadmap(crossTeamData, true, false); // embedded=true, enableEditing=false
                 
                 // Extract just the content without the wrapper and embedded CSS
@@ -1463,6 +1483,14 @@ export function init(_root) {
                                     <input type="checkbox" id="search-force-text-below-toggle" style="width: auto; flex-shrink: 0;" onchange="handleSearchForceTextBelowToggle()" ${searchTempForceTextBelow ? 'checked' : ''}>
                                     Force all text boxes below stories
                                 </label>
+                                <label style="display: flex; align-items: center; gap: 5px; font-weight: normal; font-size: 14px; margin-top: 8px;">
+                                    Zoom:
+                                    <select id="search-zoom-select" style="width: auto;">
+                                        <option value="quarter" ${searchZoom === 'quarter' ? 'selected' : ''}>quarters</option>
+                                        <option value="month" ${searchZoom === 'month' ? 'selected' : ''}>months</option>
+                                        <option value="week" ${searchZoom === 'week' ? 'selected' : ''}>weeks</option>
+                                    </select>
+                                </label>
                             </div>
                         </div>
                         <div style="margin-bottom: 0; padding-bottom: 0;">
@@ -1735,6 +1763,35 @@ export function init(_root) {
             `;
         }
         
+        /**
+         * Stats and the CSV/XLSX exports work on a result set
+         */
+        function setResultButtonsDisabled(disabled) {
+            ['searchStatsBtn', 'exportCsvBtn', 'exportXlsxBtn', 'exportIcsBtn'].forEach(id => {
+                const button = /** @type {HTMLButtonElement | null} */ (document.getElementById(id));
+                if (button) button.disabled = disabled;
+            });
+        }
+
+        /**
+         * Download the current results (after applyAdditionalFilters)
+         *
+         * @param {'csv' | 'xlsx' | 'ics'} format
+         */
+        function exportSearchResults(format) {
+            if (!currentResults || currentResults.length === 0) {
+                alert('No search results to export. Please perform a search first.');
+                return;
+            }
+            try {
+                if (format === 'xlsx') exportResultsXLSX(currentResults);
+                else if (format === 'ics') exportResultsICS(currentResults);
+                else exportResultsCSV(currentResults);
+            } catch (error) {
+                alert(`Failed to export ${format.toUpperCase()}: ` + error.message);
+            }
+        }
+
         /**
          * Clear all results and return to blank state
          */
@@ -1745,7 +1802,7 @@ export function init(_root) {
             showBlankState();
             
             // Disable stats button
-            document.getElementById('searchStatsBtn').disabled = true;
+            setResultButtonsDisabled(true);
             
             // Clear search inputs
             document.getElementById('searchInput').value = '';
@@ -1794,6 +1851,7 @@ export function init(_root) {
             if (advancedExpr) advancedExpr.value = '';
             
             updateSearchButtonStates();
+            writeSearchToUrl(readSearchForm());
         }
 
         // Clear inputs and results from the top button
@@ -1932,220 +1990,31 @@ export function init(_root) {
             // Advanced expression filter — runs last so it applies on top of all other filters
             if (!opts.skipStatus) {
                 const advancedExpression = document.getElementById('advancedFilterExpression')?.value.trim();
-                if (advancedExpression) {
-                    result = result.filter(story => {
-                        const matches = evaluateFilterExpression(advancedExpression, story);
-                        return matches === null ? true : matches;
-                    });
+                let filterAst = null;
+                try {
+                    filterAst = parseFilter(advancedExpression);
+                } catch (error) {
+                    // An invalid expression filters nothing
+                    console.error('Expression parse error:', error.message);
+                }
+                if (filterAst) {
+                    result = result.filter(story => evaluateFilter(filterAst, story));
                 }
             }
 
             return result;
         }
 
-        /**
-         * Parse and evaluate a filter expression for a story
-         * Supports: &&, ||, !, and ( ) with status names
-         */
-        function evaluateFilterExpression(expression, story) {
-            if (!expression || !expression.trim()) return null;
-            
-            // Pre-process: remove newlines so multi-line input works as single expression
-            let processedExpr = expression.replace(/[\r\n]+/g, ' ');
-            
-            // LEADERSHIP="name" - matches Director/VP, EM, or PM
-            processedExpr = processedExpr.replace(/LEADERSHIP="([^"]+)"/gi, (match, name) => {
-                const nameLower = name.toLowerCase();
-                const directorVP = (story._directorVP || '').toLowerCase();
-                const em = (story._em || '').toLowerCase();
-                const pm = (story._pm || '').toLowerCase();
-                const matches = directorVP.includes(nameLower) || em.includes(nameLower) || pm.includes(nameLower);
-                return matches ? 'TRUE' : 'FALSE';
-            });
-            
-            // IMO="number" - matches IMO number
-            processedExpr = processedExpr.replace(/IMO="([^"]+)"/gi, (match, value) => {
-                const imo = (story.imo || '').toLowerCase();
-                return imo.includes(value.toLowerCase()) ? 'TRUE' : 'FALSE';
-            });
-
-            // IMO<chars> (no quotes) - shorthand keyword search on the IMO field.
-            // Bare `IMO` (no suffix) is handled later as a presence token, so the
-            // suffix regex requires at least one non-operator character.
-            processedExpr = processedExpr.replace(/\bIMO([^\s!&|()"]+)/gi, (match, value) => {
-                const imo = (story.imo || '').toLowerCase();
-                return imo.startsWith(('imo' + value).toLowerCase()) ? 'TRUE' : 'FALSE';
-            });
-
-            // PRIORITY="value" - matches priority value (exact, case-insensitive)
-            processedExpr = processedExpr.replace(/PRIORITY="([^"]+)"/gi, (match, value) => {
-                const priority = (story.priority || '').toLowerCase();
-                return priority === value.toLowerCase() ? 'TRUE' : 'FALSE';
-            });
-            
-            // TEAM="name" - matches team name
-            processedExpr = processedExpr.replace(/TEAM="([^"]+)"/gi, (match, value) => {
-                const teamName = (story.teamName || '').toLowerCase();
-                return teamName.includes(value.toLowerCase()) ? 'TRUE' : 'FALSE';
-            });
-            
-            // EPIC="name" - matches epic name
-            processedExpr = processedExpr.replace(/EPIC="([^"]+)"/gi, (match, value) => {
-                const epicName = (story.epicName || '').toLowerCase();
-                return epicName.includes(value.toLowerCase()) ? 'TRUE' : 'FALSE';
-            });
-            
-            // TITLE="text" - matches story title
-            processedExpr = processedExpr.replace(/TITLE="([^"]+)"/gi, (match, value) => {
-                const title = (story.title || '').toLowerCase();
-                return title.includes(value.toLowerCase()) ? 'TRUE' : 'FALSE';
-            });
-            
-            // VPID="id" - matches Director/VP ID field on story
-            processedExpr = processedExpr.replace(/VPID="([^"]+)"/gi, (match, value) => {
-                const vpId = (story.directorVPId || '').toLowerCase();
-                return vpId.includes(value.toLowerCase()) ? 'TRUE' : 'FALSE';
-            });
-            
-            // COUNTRY="name" - matches country flag
-            processedExpr = processedExpr.replace(/COUNTRY="([^"]+)"/gi, (match, value) => {
-                const flags = story.countryFlags || [];
-                const valueLower = value.toLowerCase();
-                const matches = flags.some(flag => flag.toLowerCase().includes(valueLower));
-                return matches ? 'TRUE' : 'FALSE';
-            });
-            
-            // Tokenize the expression
-            const tokens = processedExpr
-                .replace(/\(/g, ' ( ')
-                .replace(/\)/g, ' ) ')
-                .replace(/&&/g, ' && ')
-                .replace(/\|\|/g, ' || ')
-                .replace(/!/g, ' ! ')
-                .split(/\s+/)
-                .filter(t => t.length > 0);
-            
-            let pos = 0;
-            
-            // Recursive descent parser
-            const parseExpression = () => parseOr();
-            
-            const parseOr = () => {
-                let left = parseAnd();
-                while (pos < tokens.length && tokens[pos] === '||') {
-                    pos++; // consume ||
-                    const right = parseAnd();
-                    left = left || right;
-                }
-                return left;
-            };
-            
-            const parseAnd = () => {
-                let left = parseNot();
-                while (pos < tokens.length && tokens[pos] === '&&') {
-                    pos++; // consume &&
-                    const right = parseNot();
-                    left = left && right;
-                }
-                return left;
-            };
-            
-            const parseNot = () => {
-                if (pos < tokens.length && tokens[pos] === '!') {
-                    pos++; // consume !
-                    return !parsePrimary();
-                }
-                return parsePrimary();
-            };
-            
-            const parsePrimary = () => {
-                if (pos >= tokens.length) {
-                    throw new Error('Unexpected end of expression');
-                }
-                
-                const token = tokens[pos];
-                
-                // Handle parentheses
-                if (token === '(') {
-                    pos++; // consume (
-                    const result = parseExpression();
-                    if (pos >= tokens.length || tokens[pos] !== ')') {
-                        throw new Error('Missing closing parenthesis');
-                    }
-                    pos++; // consume )
-                    return result;
-                }
-                
-                // Handle status names
-                const storyPriority = (story.priority || '').toLowerCase();
-                const storyImo = (story.imo || '').toString().trim().toLowerCase();
-                const hasIMO = storyImo.startsWith('imo');
-                const hasPriority = storyPriority.length > 0;
-                const statusMap = {
-                    'Done': story.isDone,
-                    'Cancelled': story.isCancelled,
-                    'Timeline': story.roadmapChanges && story.roadmapChanges.changes && story.roadmapChanges.changes.length > 0,
-                    'New': story.isNewStory,
-                    'AtRisk': story.isAtRisk,
-                    'Proposed': story.isProposed,
-                    'Info': story.isInfo,
-                    'TransferredIn': story.isTransferredIn,
-                    'TransferredOut': story.isTransferredOut,
-                    // Field presence tokens
-                    'IMO': hasIMO,
-                    'Priority': hasPriority,
-                    // Priority value tokens (case-insensitive)
-                    'High': storyPriority === 'high',
-                    'Medium': storyPriority === 'medium',
-                    'Low': storyPriority === 'low',
-                    // Special tokens for pre-processed LEADERSHIP expressions
-                    'TRUE': true,
-                    'FALSE': false
-                };
-                
-                // Case-insensitive lookup
-                const statusKey = Object.keys(statusMap).find(key => key.toLowerCase() === token.toLowerCase());
-
-                if (statusKey !== undefined) {
-                    pos++; // consume status name
-                    return statusMap[statusKey] || false;
-                }
-
-                // Quarter tokens: Q1, Q2, Q3, Q4
-                if (/^q[1-4]$/i.test(token)) {
-                    pos++;
-                    const endVal = (story.endDate || story.endMonth || '').toString();
-                    const roadmapYear = story.roadmapYear || new Date().getFullYear();
-                    const isoDate = IMOUtility.convertStoryDateToISO(endVal, roadmapYear);
-                    if (isoDate) {
-                        const month = parseInt(isoDate.split('-')[1]);
-                        const quarter = month <= 3 ? 'q1' : month <= 6 ? 'q2' : month <= 9 ? 'q3' : 'q4';
-                        return quarter === token.toLowerCase();
-                    }
-                    return IMOUtility.getQuarterFromDate(endVal.toLowerCase()) === token.toLowerCase();
-                }
-
-                // Month tokens: Jan, February, Mar, etc.
-                const MONTH_RE = /^(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec|january|february|march|april|june|july|august|september|october|november|december)$/i;
-                if (MONTH_RE.test(token)) {
-                    pos++;
-                    const endVal = (story.endDate || story.endMonth || '').toString().toLowerCase();
-                    return endVal.includes(token.toLowerCase());
-                }
-
-                throw new Error(`Unknown status: ${token}`);
-            };
-            
-            try {
-                const result = parseExpression();
-                if (pos < tokens.length) {
-                    throw new Error(`Unexpected token: ${tokens[pos]}`);
-                }
-                return result;
-            } catch (error) {
-                console.error('Expression parse error:', error.message);
-                return null; // Return null on error to indicate invalid expression
+        // Values for the advanced filter's type-ahead, from the folder scan (or
+        // the last search's files), worked out once per scan
+        const filterValueCache = new WeakMap();
+        function getFilterValues() {
+            const files = (selectedDirectory && IMOUtility.scanCache.get(selectedDirectory)) || lastRoadmapFiles;
+            if (!files || !files.length) return {};
+            if (!filterValueCache.has(files)) {
+                filterValueCache.set(files, collectFilterValues(IMOUtility.aggregateStoriesAcrossTeams(files)));
             }
+            return filterValueCache.get(files);
         }
 
         /**
@@ -2241,7 +2110,8 @@ export function init(_root) {
                     <div style="margin-bottom: 15px;">
                         <strong>STATUS FLAGS:</strong><br>
                         <code>Done</code> <code>Cancelled</code> <code>Timeline</code> <code>New</code> <code>AtRisk</code><br>
-                        <code>Proposed</code> <code>Info</code> <code>TransferredIn</code> <code>TransferredOut</code>
+                        <code>Proposed</code> <code>Info</code> <code>TransferredIn</code> <code>TransferredOut</code><br>
+                        <code>Overdue</code> - past its end date (with timeline changes), not Done or Cancelled
                     </div>
                     <div style="margin-bottom: 15px;">
                         <strong>FIELD PRESENCE:</strong><br>
@@ -2261,7 +2131,14 @@ export function init(_root) {
                         <code>TITLE="migration"</code> - Story title<br>
                         <code>VPID="Paulo"</code> - Director/VP ID on story<br>
                         <code>COUNTRY="UK"</code> - Country flag<br>
-                        <code>LEADERSHIP="John"</code> - Director/VP, EM, or PM
+                        <code>LEADERSHIP="John"</code> - Director/VP, EM, or PM<br>
+                        <code>!=</code> instead of <code>=</code> excludes matches; <code>\\"</code> puts a quote in a value
+                    </div>
+                    <div style="margin-bottom: 15px;">
+                        <strong>DATES:</strong><br>
+                        <code>START</code> / <code>END</code> with <code>= != &lt; &lt;= &gt; &gt;=</code>
+                        against a day, month or quarter:<br>
+                        <code>END&lt;2026-06-30</code> &nbsp; <code>END&lt;=15/03/26</code> &nbsp; <code>START&gt;=Q2</code> &nbsp; <code>END=Sep</code>
                     </div>
                     <div>
                         <strong>EXAMPLES:</strong><br>
@@ -2272,6 +2149,8 @@ export function init(_root) {
                         <code>COUNTRY="UK" && LEADERSHIP="John"</code><br>
                         <code>!IMO</code> - stories without IMO<br>
                         <code>High && !Done</code> - High priority, not done<br>
+                        <code>Overdue && High</code> - late high-priority stories<br>
+                        <code>START&gt;=Q2 && END&lt;=Q3</code> - within Q2-Q3<br>
                         <code>!IMO && Priority</code> - no IMO but has priority
                     </div>
                 </div>
@@ -2351,7 +2230,7 @@ export function init(_root) {
                 const teamInfoMap = buildTeamInfoMap(lastRoadmapFiles);
                 displaySearchResults(filteredStories, 'Filtered Results', searchRange, teamInfoMap);
                 currentResults = filteredStories;
-                document.getElementById('searchStatsBtn').disabled = false;
+                setResultButtonsDisabled(false);
             } catch (e) {
                 console.error('Error applying status filters:', e);
                 showMessage('Error applying filters: ' + e.message, 'error');
@@ -2400,6 +2279,91 @@ export function init(_root) {
                 || hasStatusFilter || hasAdvancedFilter || hasProductRoadmap;
         }
 
+        /**
+         * A search form control by id; selects answer to .value the same way.
+         *
+         * @param {string} id
+         * @returns {HTMLInputElement | null}
+         */
+        function formField(id) {
+            return /** @type {HTMLInputElement | null} */ (document.getElementById(id));
+        }
+
+        /**
+         * The whole search form as plain data, for the URL and saved searches.
+         *
+         * @returns {import('../../domain/search-state.js').SearchState}
+         */
+        function readSearchForm() {
+            const statuses = /** @type {Record<string, 'include' | 'exclude'>} */ ({});
+            Object.entries(statusFilterStates).forEach(([filterId, state]) => {
+                if (state !== 'none') statuses[filterId.replace(/^filter/, '')] = /** @type {'include' | 'exclude'} */ (state);
+            });
+            return {
+                imo: formField('searchInput')?.value.trim() || '',
+                priority: formField('prioritySelect')?.value || '',
+                title: formField('titleSearchInput')?.value.trim() || '',
+                vpId: formField('directorVPIdSearchInput')?.value.trim() || '',
+                countries: getSelectedCountryFlags(),
+                from: formField('startDateInput')?.value || '',
+                to: formField('endDateInput')?.value || '',
+                mode: formField('searchModeSelect')?.value || 'exact',
+                statuses,
+                productRoadmapOnly: !!formField('filterProductRoadmapOnly')?.checked,
+                filter: formField('advancedFilterExpression')?.value.trim() || '',
+            };
+        }
+
+        /**
+         * Put a search read by readSearchForm back into the form. Fields it
+         * leaves empty are cleared; results on screen are kept.
+         *
+         * @param {import('../../domain/search-state.js').SearchState} search
+         */
+        function fillSearchForm(search) {
+            const setValue = (id, value) => {
+                const el = formField(id);
+                if (el) el.value = value;
+            };
+            setValue('searchInput', search.imo);
+            setValue('prioritySelect', search.priority);
+            setValue('titleSearchInput', search.title);
+            setValue('directorVPIdSearchInput', search.vpId);
+            setValue('startDateInput', search.from);
+            setValue('endDateInput', search.to);
+            setValue('advancedFilterExpression', search.filter);
+            // Let the filter box re-check what was put in it
+            formField('advancedFilterExpression')?.dispatchEvent(new Event('input'));
+
+            clearCountryFlagCheckboxes();
+            search.countries.forEach(name => {
+                const el = formField(`searchFlag${name}`);
+                if (el) el.checked = true;
+            });
+            clearSearchCountriesIfGlobalSelected();
+
+            const productRoadmapEl = formField('filterProductRoadmapOnly');
+            if (productRoadmapEl) productRoadmapEl.checked = search.productRoadmapOnly;
+
+            Object.keys(statusFilterStates).forEach(filterId => {
+                const state = search.statuses[filterId.replace(/^filter/, '')] || 'none';
+                statusFilterStates[filterId] = state;
+                const checkbox = document.getElementById(filterId);
+                if (checkbox) {
+                    checkbox.setAttribute('data-state', state);
+                    checkbox.textContent = state === 'include' ? '✓' : state === 'exclude' ? '!' : '';
+                }
+            });
+
+            const modeEl = formField('searchModeSelect');
+            if (modeEl) {
+                modeEl.value = search.mode;
+                updateSearchModeHelp();
+            }
+
+            updateSearchButtonStates();
+        }
+
         /**
          * Update search button enabled state
          */
@@ -2475,6 +2439,9 @@ export function init(_root) {
                     return;
                 }
 
+                // Keep the address bar in step so the search can be bookmarked
+                writeSearchToUrl(readSearchForm());
+
                 const label = buildCombinedSearchLabel();
                 showLoadingState(`Searching for ${label}...`);
 
@@ -2508,7 +2475,7 @@ export function init(_root) {
                 const teamInfoMap = buildTeamInfoMap(roadmapFiles);
                 displaySearchResults(matchingStories, label, searchRange, teamInfoMap);
 
-                document.getElementById('searchStatsBtn').disabled = false;
+                setResultButtonsDisabled(false);
             } catch (error) {
                 showMessage('Search error: ' + error.message, 'error');
             }
@@ -2539,6 +2506,8 @@ export function init(_root) {
                     return;
                 }
                 
+                writeSearchToUrl(readSearchForm());
+
                 // Build search message
                 let searchMessage = 'Searching for stories ';
                 let queryLabel = '';
@@ -2599,7 +2568,7 @@ export function init(_root) {
                 displaySearchResults(matchingStories, queryLabel, { startDate, endDate }, teamInfoMap);
                 
                 // Enable header stats button
-                document.getElementById('searchStatsBtn').disabled = false;
+                setResultButtonsDisabled(false);
                 
             } catch (error) {
                 
@@ -2631,6 +2600,8 @@ export function init(_root) {
                     return;
                 }
                 
+                writeSearchToUrl(readSearchForm());
+
                 // Show loading state
                 showLoadingState(`Searching for stories with title containing "${searchQuery}"...`);
                 
@@ -2664,7 +2635,7 @@ export function init(_root) {
                 displaySearchResults(matchingStories, `Title: "${searchQuery}"`, null, teamInfoMap);
                 
                 // Enable stats button
-                document.getElementById('searchStatsBtn').disabled = false;
+                setResultButtonsDisabled(false);
                 
             } catch (error) {
                 
@@ -2723,7 +2694,7 @@ export function init(_root) {
                 displaySearchResults(filteredStories, `Leadership: "${query}"`, null, teamInfoMap);
                 
                 // Enable stats button
-                document.getElementById('searchStatsBtn').disabled = false;
+                setResultButtonsDisabled(false);
             } catch (error) {
                 
                 showMessage('Search error: ' + error.message, 'error');
@@ -2749,6 +2720,8 @@ export function init(_root) {
                     return;
                 }
 
+                writeSearchToUrl(readSearchForm());
+
                 showLoadingState(`Searching stories for Director/VP ID containing "${query}"...`);
 
                 const roadmapFiles = await IMOUtility.scanRoadmapDirectory(selectedDirectory);
@@ -2803,7 +2776,7 @@ export function init(_root) {
                 displaySearchResults(filteredStories, `Director/VP ID: "${query}"`, null, teamInfoMap);
                 
                 // Enable stats button
-                document.getElementById('searchStatsBtn').disabled = false;
+                setResultButtonsDisabled(false);
             } catch (error) {
                 
                 showMessage('Search error: ' + error.message, 'error');
@@ -2890,6 +2863,8 @@ export function init(_root) {
                     return;
                 }
 
+                writeSearchToUrl(readSearchForm());
+
                 const countriesLabel = selectedCountries.join(', ');
                 showLoadingState(`Searching stories for country flags: ${countriesLabel}...`);
 
@@ -2949,7 +2924,7 @@ export function init(_root) {
                 displaySearchResults(filteredStories, `Countries: ${countriesLabel}`, null, teamInfoMap);
                 
                 // Enable stats button
-                document.getElementById('searchStatsBtn').disabled = false;
+                setResultButtonsDisabled(false);
             } catch (error) {
                 
                 showMessage('Search error: ' + error.message, 'error');
@@ -3009,6 +2984,33 @@ export function init(_root) {
             }
             if (document.getElementById('advancedFilterExpression')) {
                 document.getElementById('advancedFilterExpression').addEventListener('input', updateSearchButtonStates);
+                attachFilterAssist(/** @type {HTMLInputElement} */ (document.getElementById('advancedFilterExpression')), {
+                    getValues: getFilterValues,
+                    problem: document.getElementById('advancedFilterProblem'),
+                });
+            }
+            
+            document.getElementById('exportCsvBtn')?.addEventListener('click', () => exportSearchResults('csv'));
+            document.getElementById('exportXlsxBtn')?.addEventListener('click', () => exportSearchResults('xlsx'));
+            document.getElementById('exportIcsBtn')?.addEventListener('click', () => exportSearchResults('ics'));
+
+            // Bookmarked or shared search: fill the form now and run it once
+            // the folder is ready (see the AppDir subscription below)
+            const urlSearch = searchFromUrl();
+            if (urlSearch) {
+                fillSearchForm(urlSearch);
+                pendingUrlSearch = true;
+            }
+            if (document.getElementById('savedSearchSelect')) {
+                attachSavedSearches({
+                    select: /** @type {HTMLSelectElement} */ (document.getElementById('savedSearchSelect')),
+                    saveButton: /** @type {HTMLButtonElement} */ (document.getElementById('saveSearchBtn')),
+                    deleteButton: /** @type {HTMLButtonElement} */ (document.getElementById('deleteSavedSearchBtn')),
+                    copyButton: /** @type {HTMLButtonElement} */ (document.getElementById('copySearchLinkBtn')),
+                    readForm: readSearchForm,
+                    fillForm: fillSearchForm,
+                    run: performCombinedSearch,
+                });
             }
             
             // Focus on search input if directory is already selected
@@ -3063,6 +3065,10 @@ export function init(_root) {
                         await warmDirectoryCache({ refresh: true });
                         updateSearchButtonStates();
                     }
+                    if (pendingUrlSearch) {
+                        pendingUrlSearch = false;
+                        performCombinedSearch();
+                    }
                 });
             }
         });
@@ -3113,7 +3119,6 @@ if (typeof clearAllResults === 'function') window.clearAllResults = clearAllResu
 if (typeof clearAllSearchFields === 'function') window.clearAllSearchFields = clearAllSearchFields;
 if (typeof goToRoadmapBuilder === 'function') window.goToRoadmapBuilder = goToRoadmapBuilder;
 if (typeof applyAdditionalFilters === 'function') window.applyAdditionalFilters = applyAdditionalFilters;
-if (typeof evaluateFilterExpression === 'function') window.evaluateFilterExpression = evaluateFilterExpression;
 if (typeof cycleFilterState === 'function') window.cycleFilterState = cycleFilterState;
 if (typeof handleAdvancedFilterKeyDown === 'function') window.handleAdvancedFilterKeyDown = handleAdvancedFilterKeyDown;
 if (typeof handleAdvancedFilterChange === 'function') window.handleAdvancedFilterChange = handleAdvancedFilterChange;
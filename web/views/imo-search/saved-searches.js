@@ -0,0 +1,139 @@
+// Bookmarkable and saved searches for the cross-team search. Each search is
+// written to the address bar (replaceState, so Back still leaves the page)
+// and named searches are kept in localStorage; the encoding for both is
+// domain/search-state.js. Reading and filling the form stays in
+// imo-search.js, which owns the status buttons and flag checkboxes.
+
+import {
+    addSavedSearch,
+    isEmptySearchState,
+    parseSavedSearches,
+    removeSavedSearch,
+    searchStateFromParams,
+    searchStateToParams,
+} from '../../domain/search-state.js';
+
+/** @typedef {import('../../domain/search-state.js').SearchState} SearchState */
+
+const STORAGE_KEY = 'imo-search-saved-searches';
+
+/**
+ * The search carried by the page URL.
+ *
+ * @returns {SearchState | null} null when the URL has none
+ */
+export function searchFromUrl() {
+    const state = searchStateFromParams(new URLSearchParams(window.location.search));
+    return isEmptySearchState(state) ? null : state;
+}
+
+/**
+ * Replace the search in the address bar, keeping the page's own parameters.
+ *
+ * @param {SearchState} state
+ */
+export function writeSearchToUrl(state) {
+    history.replaceState(history.state, '', searchUrl(state));
+}
+
+function searchUrl(state) {
+    const query = searchStateToParams(
+        state,
+        new URLSearchParams(window.location.search)
+    ).toString();
+    return window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+}
+
+function loadSaved() {
+    try {
+        return parseSavedSearches(localStorage.getItem(STORAGE_KEY));
+    } catch {
+        return [];
+    }
+}
+
+function storeSaved(saved) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch (e) {
+        alert('Could not save searches in this browser: ' + e.message);
+    }
+}
+
+/**
+ * Wire the Copy Link button and the saved-search picker. Picking a saved
+ * search fills the form and runs it straight away.
+ *
+ * @param {object} controls
+ * @param {HTMLSelectElement} controls.select - Lists the saved searches
+ * @param {HTMLButtonElement} controls.saveButton
+ * @param {HTMLButtonElement} controls.deleteButton - Deletes the picked one
+ * @param {HTMLButtonElement} controls.copyButton
+ * @param {() => SearchState} controls.readForm
+ * @param {(state: SearchState) => void} controls.fillForm
+ * @param {() => void} controls.run
+ */
+export function attachSavedSearches({
+    select,
+    saveButton,
+    deleteButton,
+    copyButton,
+    readForm,
+    fillForm,
+    run,
+}) {
+    function render(picked = '') {
+        const saved = loadSaved();
+        select.replaceChildren(
+            new Option(saved.length ? '⭐ Saved searches' : 'No saved searches', ''),
+            ...saved.map(({ name }) => new Option(name, name))
+        );
+        select.value = picked;
+        select.disabled = !saved.length;
+        deleteButton.disabled = !select.value;
+    }
+
+    select.addEventListener('change', () => {
+        deleteButton.disabled = !select.value;
+        const entry = loadSaved().find(({ name }) => name === select.value);
+        if (!entry) return;
+        fillForm(searchStateFromParams(new URLSearchParams(entry.query)));
+        run();
+    });
+
+    saveButton.addEventListener('click', () => {
+        const state = readForm();
+        if (isEmptySearchState(state)) {
+            alert('Please enter at least one search criterion to save');
+            return;
+        }
+        const name = prompt('Name this search:', select.value);
+        if (!name || !name.trim()) return;
+        storeSaved(addSavedSearch(loadSaved(), name, state));
+        render(name.trim());
+    });
+
+    deleteButton.addEventListener('click', () => {
+        const name = select.value;
+        if (!name || !confirm(`Delete the saved search "${name}"?`)) return;
+        storeSaved(removeSavedSearch(loadSaved(), name));
+        render();
+    });
+
+    copyButton.addEventListener('click', async () => {
+        const link = new URL(searchUrl(readForm()), window.location.origin).href;
+        try {
+            await navigator.clipboard.writeText(link);
+            const label = copyButton.textContent;
+            copyButton.textContent = '✓ Copied';
+            setTimeout(() => {
+                copyButton.textContent = label;
+            }, 1500);
+        } catch {
+            // No clipboard access (insecure origin, denied): let the user copy it
+            prompt('Copy this link to share the search:', link);
+        }
+    });
+
+    render();
+}